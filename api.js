@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Homey Web API
+ * Lets wall tablets and scripts on the LAN use the assistant without Telegram:
+ *   POST /api/app/com.chatgtp.assistent/command  { token, command, language }
+ *   GET  /api/app/com.chatgtp.assistent/status?token=...&query=...&language=...
+ *   GET  /api/app/com.chatgtp.assistent/devices?token=...
+ *   GET  /api/app/com.chatgtp.assistent/log?token=...&limit=20
+ * These endpoints are public to Homey and authenticated with a per-client token instead.
+ * Command and status responses are { result, success, devices, report }: the reply text, whether it
+ * succeeded, and the outcome of every device (see executionReport).
+ * The /clients endpoints manage those tokens and are only used by the settings page.
+ * POST /telegram/:secret receives Telegram updates in webhook mode (see telegramWebhook).
+ */
+
+const {
+  listApiClients, createApiClient, revokeApiClient, authenticateApiClient
+} = require('./modules/apiClients');
+const { toApiResult } = require('./modules/executionReport');
+
+const DEFAULT_LOG_LIMIT = 20;
+
+/**
+ * Check the request's token
+ * @param {object} homey - Homey instance
+ * @param {object} query - Query string parameters
+ * @param {object} body - Request body
+ * @returns {object} The authenticated client
+ * @throws {Error} When the token is missing or unknown
+ */
+function authenticate(homey, query, body) {
+  const token = (body && body.token) || (query && query.token);
+  const client = authenticateApiClient(homey.settings, token);
+  if (!client) {
+    throw new Error('Unauthorized: missing or invalid API token');
+  }
+  return client;
+}
+
+module.exports = {
+  async submitCommand({ homey, query, body }) {
+    const client = authenticate(homey, query, body);
+    const command = String((body && body.command) || '').trim();
+    if (!command) {
+      throw new Error('A command is required');
+    }
+    const report = await homey.app.runAssistantCommand(command, {
+      language: (body && body.language) || 'en',
+      source: `api:${client.name}`
+    });
+    return toApiResult(report);
+  },
+
+  async getStatus({ homey, query }) {
+    const client = authenticate(homey, query);
+    const question = String(query.query || '').trim();
+    if (!question) {
+      throw new Error('A query is required');
+    }
+    const report = await homey.app.runAssistantCommand(question, {
+      language: query.language || 'en',
+      source: `api:${client.name}`,
+      statusOnly: true
+    });
+    return toApiResult(report);
+  },
+
+  async getDevices({ homey, query }) {
+    authenticate(homey, query);
+    return homey.app.listRoomsAndDevices();
+  },
+
+  async getLog({ homey, query }) {
+    authenticate(homey, query);
+    return homey.app.commandLog.list(query.limit || DEFAULT_LOG_LIMIT);
+  },
+
+  async receiveTelegramUpdate({ homey, params, body }) {
+    const webhook = homey.app.telegramWebhook;
+    if (!webhook || !webhook.handleUpdate(params.secret, body)) {
+      throw new Error('Unauthorized: unknown webhook');
+    }
+    return { ok: true };
+  },
+
+  async listClients({ homey }) {
+    return listApiClients(homey.settings);
+  },
+
+  async createClient({ homey, body }) {
+    return createApiClient(homey.settings, body && body.name);
+  },
+
+  async revokeClient({ homey, params }) {
+    const removed = revokeApiClient(homey.settings, params.id);
+    if (!removed) {
+      throw new Error(`No API client with ID ${params.id}`);
+    }
+    return removed;
+  }
+};
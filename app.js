@@ -23,31 +23,53 @@ const { transcribeVoice, initWhisper } = require('./modules/speech');
 const { initChatGPT, parseCommand } = require('./modules/chatgpt');
 const { downloadBuffer } = require('./modules/httpHelper');
 const { getHomeState, getDevicesMapping } = require('./modules/homeyApiHelper');
+const {
+  getTriggerableFlows, triggerFlow, getMoods, setMood
+} = require('./modules/homeyApiHelper');
 const initTelegramListener = require('./modules/telegramBot');
 const { constructPrompt } = require('./modules/chatgptHelper');
 const { preprocessCommand, suggestImprovement } = require('./modules/commandProcessor');
 const { handleStatusQuery } = require('./modules/statusQueryHandler');
 const { initializeKeys } = require('./modules/secureKeyManager');
 const { normalizeRoomNameAdvanced } = require('./modules/multilingualProcessor');
+const { comprehensiveDeviceMatch } = require('./modules/advancedMultilingualMatcher');
+const {
+  parseZonePattern, findZonesByPattern, expandZoneIds, getZoneName
+} = require('./modules/zoneHierarchy');
+const capabilityRegistry = require('./modules/capabilityRegistry');
+const { getDeviceCapabilityValue } = require('./modules/deviceStatusRetriever');
+const { UndoManager } = require('./modules/undoManager');
+const { CommandLog } = require('./modules/commandLog');
+const {
+  getConfirmationPolicy, evaluateConfirmation, formatConfirmationRefusal
+} = require('./modules/confirmationPolicy');
+const { Scheduler } = require('./modules/scheduler');
+const { getHomeyTimezone, formatLocalTime } = require('./modules/timeUtils');
+const sceneStore = require('./modules/sceneStore');
+const { evaluateCondition } = require('./modules/conditionEvaluator');
+const {
+  MAX_UNATTENDED_WAIT_SECONDS, isWaitStep, isParallelStep, getTotalWaitSeconds, formatElapsed
+} = require('./modules/commandSequence');
+const {
+  ERROR_TYPES, deviceSucceeded, deviceSkipped, deviceFailed, createDevicesReport, createDeviceReport,
+  createMessageReport, createErrorReport, createConditionReport, createSequenceReport, createCandidatesReport,
+  countUpdatedDevices,
+  isSuccessful, formatReport
+} = require('./modules/executionReport');
+const { registerFlowCards, triggerCommandExecuted } = require('./modules/flowCards');
+const {
+  TelegramWebhook, getWebhookSecret, buildWebhookUrl, usePolling
+} = require('./modules/telegramWebhook');
+const {
+  resolveAliases, getRoomAliasMap, findMentionedAliases, formatAliasesForPrompt
+} = require('./modules/aliasStore');
+const homeyFlows = require('./modules/homeyFlows');
+
+// Prefix of the reply for a wait step of a multi-command
+const WAIT_ICON = '⏳';
 
 // Removed redundant downloadFile helper from app.js
 
-/**
- * Helper function that returns an array of capability keys for a device.
- * It supports both the older 'capabilities' array and the newer 'capabilitiesObj' object.
- *
- * @param {object} device - The device object.
- * @returns {Array} Array of capability keys.
- */
-function getCapabilityKeys(device) {
-  if (device.capabilities && Array.isArray(device.capabilities)) {
-    return device.capabilities;
-  } if (device.capabilitiesObj && typeof device.capabilitiesObj === 'object') {
-    return Object.keys(device.capabilitiesObj);
-  }
-  return [];
-}
-
 /**
  * ChatGPTAssistant
  *
@@ -67,6 +89,10 @@ class ChatGPTAssistant extends Homey.App {
     // Expose helper methods for modular use
     this.downloadBuffer = downloadBuffer;
     this.transcribeVoice = transcribeVoice;
+    // Per-chat history of capability changes for /undo
+    this.undoManager = new UndoManager();
+    // Recently executed commands, for the Web API
+    this.commandLog = new CommandLog();
   }
 
   /**
@@ -76,6 +102,9 @@ class ChatGPTAssistant extends Homey.App {
     try {
       this.log('Initializing ChatGPT Assistant...');
 
+      // Flow cards are registered right away; they report an error until the API keys are configured
+      registerFlowCards(this);
+
       // Initialize secure key manager
       const homeySettings = this.homey.settings;
       const openaiKey = homeySettings.get('openaiApiKey');
@@ -170,6 +199,138 @@ class ChatGPTAssistant extends Homey.App {
 
     // Delegate Telegram listener setup to the new module
     initTelegramListener(this);
+    await this._initializeTelegramTransport();
+    this._setupTransportListener();
+
+    // Re-arm timers and routines persisted before the last restart
+    this._initializeScheduler();
+  }
+
+  /**
+   * Receive Telegram updates through a webhook or by polling, as configured
+   */
+  async _initializeTelegramTransport() {
+    if (this.telegramWebhook) {
+      await this.telegramWebhook.stop();
+      this.telegramWebhook = null;
+    }
+
+    const settings = this.homey.settings;
+    const baseUrl = settings.get('telegramWebhookUrl');
+    if (settings.get('telegramTransport') !== 'webhook') {
+      await usePolling(this);
+      return;
+    }
+    if (!baseUrl) {
+      this.error('Telegram webhook mode needs a public URL in the settings, polling instead.');
+      await usePolling(this);
+      return;
+    }
+
+    const port = parseInt(settings.get('telegramWebhookPort'), 10) || null;
+    const secret = getWebhookSecret(settings);
+    this.telegramWebhook = new TelegramWebhook({
+      url: buildWebhookUrl(baseUrl, secret, port),
+      secret,
+      port,
+      logger: this
+    });
+    await this.telegramWebhook.start();
+  }
+
+  /**
+   * Switch the Telegram transport when its settings change
+   */
+  _setupTransportListener() {
+    if (this._transportListenerSetup) return;
+
+    this.homey.settings.on('set', key => {
+      if (['telegramTransport', 'telegramWebhookUrl', 'telegramWebhookPort'].includes(key)) {
+        this._initializeTelegramTransport()
+          .catch(error => this.error('Failed to switch Telegram transport:', error.message));
+      }
+    });
+    this._transportListenerSetup = true;
+  }
+
+  /**
+   * Create the scheduler for delayed commands and routines, and re-arm persisted jobs
+   */
+  _initializeScheduler() {
+    if (this.scheduler) {
+      this.scheduler.destroy();
+    }
+
+    this.scheduler = new Scheduler({
+      settings: this.homey.settings,
+      logger: this,
+      getTimezone: () => this.getTimezone(),
+      getLocation: () => this.getLocation(),
+      execute: job => this._runScheduledCommand(job),
+      onMissed: job => {
+        const dueAt = formatLocalTime(job.fireAt, this.getTimezone());
+        const message = `⚠️ Timer #${job.id} was missed while Homey was offline (due ${dueAt}): ${job.commandText}`;
+        this.telegram.sendMessage(job.chatId, message)
+          .catch(error => this.error('Failed to report missed timer:', error.message));
+      }
+    });
+    this.scheduler.init();
+  }
+
+  /**
+   * Execute a scheduled command (timer or routine run) and report the result to the chat it came from
+   * @param {object} job - Scheduled job from the scheduler
+   */
+  async _runScheduledCommand(job) {
+    let resultMessage;
+    try {
+      resultMessage = await this.executeHomeyCommand(job.jsonCommand, {
+        chatId: job.chatId,
+        description: job.commandText
+      });
+    } catch (error) {
+      this.error(`Scheduled command #${job.id} failed:`, error.message);
+      resultMessage = `❌ ${error.message}`;
+    }
+
+    const label = job.type === 'routine' ? `🔁 Routine #${job.id}` : `⏰ Timer #${job.id}`;
+    await this.telegram.sendMessage(job.chatId, `${label}: ${job.commandText}\n${resultMessage}`);
+  }
+
+  /**
+   * Get the timezone configured on Homey
+   * @returns {string} IANA timezone, 'UTC' if unavailable
+   */
+  getTimezone() {
+    return getHomeyTimezone(this.homey);
+  }
+
+  /**
+   * Get Homey's location for sunrise/sunset calculations
+   * @returns {object|null} { latitude, longitude }, or null if unavailable
+   */
+  getLocation() {
+    try {
+      const latitude = this.homey.geolocation.getLatitude();
+      const longitude = this.homey.geolocation.getLongitude();
+      return { latitude, longitude };
+    } catch (error) {
+      this.error('Failed to read Homey location:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stop pending timers and the Telegram webhook when the app is stopped; both are set up
+   * again on the next start
+   */
+  async onUninit() {
+    if (this.scheduler) {
+      this.scheduler.destroy();
+    }
+    if (this.telegramWebhook) {
+      await this.telegramWebhook.stop();
+    }
   }
 
   /**
@@ -215,6 +376,55 @@ class ChatGPTAssistant extends Homey.App {
     return await getDevicesMapping(this);
   }
 
+  /**
+   * Lists rooms and devices the way commands resolve them: every device with its room,
+   * class, the appliance type behind sockets, and its capabilities
+   * @returns {Promise<object>} { rooms: [{ id, name, parentId, deviceCount }], devices: [...] }
+   */
+  async listRoomsAndDevices() {
+    const { zones, devices } = await this.getHomeState();
+    const deviceList = Object.values(devices || {}).map(device => ({
+      id: device.id,
+      name: device.name,
+      class: device.class,
+      socketType: device.class === 'socket' ? ChatGPTAssistant.getSocketDeviceType(device) : null,
+      roomId: device.zone,
+      room: zones[device.zone] ? zones[device.zone].name : null,
+      capabilities: device.capabilities || Object.keys(device.capabilitiesObj || {})
+    }));
+    const rooms = Object.values(zones || {}).map(zone => ({
+      id: zone.id,
+      name: zone.name,
+      parentId: zone.parent || null,
+      deviceCount: deviceList.filter(device => device.roomId === zone.id).length
+    }));
+    return { rooms, devices: deviceList };
+  }
+
+  /**
+   * Lists the Flows and moods that can be started from chat
+   * @returns {Promise<object>} { flows, moods }
+   */
+  async getFlowsAndMoods() {
+    const [flows, moods] = await Promise.all([getTriggerableFlows(this), getMoods(this)]);
+    return { flows, moods };
+  }
+
+  /**
+   * LLM function for the multilingual matcher's semantic matching, built on the ChatGPT integration
+   * @returns {function} async prompt => parsed response, or null if the call fails
+   */
+  createSemanticMatchFunction() {
+    return async prompt => {
+      try {
+        return await this.chatgpt.parseCommand(prompt);
+      } catch (error) {
+        console.warn('LLM function failed:', error);
+        return null;
+      }
+    };
+  }
+
   /**
    * Enhanced command parsing with fallback logic and validation.
    * @param {string} commandText - The natural language command.
@@ -276,8 +486,16 @@ class ChatGPTAssistant extends Homey.App {
       multilingualData: processedCmd.multilingualData
     });
 
+    // User-defined aliases mentioned in the command are spelled out for ChatGPT
+    const mentionedAliases = findMentionedAliases(resolveAliases(this.homey.settings, homeState), sanitizedCommand);
+    if (mentionedAliases.length > 0) {
+      this.log('Aliases in command:', mentionedAliases.map(resolved => resolved.alias).join(', '));
+    }
+
     // Use processed command for better results
-    const prompt = constructPrompt(processedCmd.processed, homeState);
+    const prompt = constructPrompt(processedCmd.processed, homeState, {
+      aliases: formatAliasesForPrompt(mentionedAliases)
+    });
 
     try {
       const jsonCommand = await this.chatgpt.parseCommand(prompt);
@@ -411,79 +629,172 @@ class ChatGPTAssistant extends Homey.App {
   }
 
   /**
-   * Executes multiple commands in sequence
+   * Runs a command without touching any device and returns the planned writes.
+   * Room resolution and device/socket filtering run exactly as for a real command.
+   * @param {object} jsonCommand - The structured command object
+   * @returns {Promise<object>} { result, report, changes } where changes lists the planned writes
+   */
+  async previewCommand(jsonCommand) {
+    const context = { dryRun: true, changes: [] };
+    const report = await this.executeCommandReport(jsonCommand, context);
+    return { result: formatReport(report), report, changes: context.changes };
+  }
+
+  /**
+   * Checks whether a command needs user confirmation before it runs, using the
+   * confirmation policy from the settings and the command's planned writes
+   * @param {object} jsonCommand - The structured command object
+   * @returns {Promise<object>} { required, reasons, changes }
+   */
+  async checkConfirmation(jsonCommand) {
+    if (jsonCommand.error || jsonCommand.query_type === 'status') {
+      return { required: false, reasons: [], changes: [] };
+    }
+
+    const { changes } = await this.previewCommand(jsonCommand);
+    const devices = await this.getDevicesMapping();
+    const policy = getConfirmationPolicy(this.homey.settings);
+    return { ...evaluateConfirmation(changes, devices, policy), changes };
+  }
+
+  /**
+   * Reverts the most recent command executed for a chat by writing back the
+   * capability values captured before it ran
+   * @param {string|number} chatId - Chat whose last command should be undone
+   * @returns {Promise<object|null>} { description, reverted, failed } or null if there is nothing to undo
+   */
+  async undoLastCommand(chatId) {
+    const entry = this.undoManager.pop(chatId);
+    if (!entry) {
+      return null;
+    }
+
+    const devices = await this.getDevicesMapping();
+    const reverted = [];
+    const failed = [];
+
+    // Restore in reverse order so companion capabilities (e.g. light_mode) end up consistent
+    for (const change of [...entry.changes].reverse()) {
+      const device = devices[change.deviceId] || Object.values(devices).find(d => d.id === change.deviceId);
+      try {
+        if (!device) {
+          throw new Error('device not found');
+        }
+        await device.setCapabilityValue(change.capability, change.previousValue);
+        reverted.push(change);
+      } catch (error) {
+        failed.push({ ...change, error: error.message });
+      }
+    }
+
+    this.log(`Undo for chat ${chatId}: ${reverted.length} reverted, ${failed.length} failed`);
+    return { description: entry.description, reverted, failed };
+  }
+
+  /**
+   * Executes multiple commands in sequence, including waits and groups of commands run at
+   * the same time (see commandSequence). Each result line shows when its step started.
    * @param {Array} commands - Array of command objects
-   * @returns {Promise<string>} Combined results from all commands
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<object>} Sequence report with the report of every command
    */
-  async executeMultiCommand(commands) {
-    const results = [];
-    let totalSuccess = 0;
-    let totalAttempted = 0;
+  async executeMultiCommand(commands, context = {}) {
+    const steps = [];
+    const sequenceStart = Date.now();
 
     this.log(`Executing ${commands.length} commands in sequence`);
 
     for (let i = 0; i < commands.length; i++) {
-      const command = commands[i];
-      try {
-        this.log(`Executing command ${i + 1}/${commands.length}:`, JSON.stringify(command));
-        const result = await this.executeSingleCommand(command);
-
-        // Parse success count from result
-        const successMatch = result.match(/(\d+)\/(\d+)/);
-        if (successMatch) {
-          totalSuccess += parseInt(successMatch[1]);
-          totalAttempted += parseInt(successMatch[2]);
-        } else {
-          // Single device command
-          totalAttempted += 1;
-          if (result.includes('✅')) totalSuccess += 1;
-        }
+      const step = commands[i];
+      const startedAt = Date.now() - sequenceStart;
+      this.log(`Executing command ${i + 1}/${commands.length}:`, JSON.stringify(step));
+      const outcomes = await this.executeSequenceStep(step, context);
+
+      for (const [index, outcome] of outcomes.entries()) {
+        const label = isParallelStep(step) ? `${i + 1}.${index + 1}` : `${i + 1}`;
+        steps.push({ label, startedAt, ...outcome });
+      }
+    }
 
-        results.push(`Command ${i + 1}: ${result}`);
+    return createSequenceReport(steps, Date.now() - sequenceStart);
+  }
+
+  /**
+   * Runs one step of a multi-command: a wait, a group of commands at the same time, or a single command
+   * @param {object} step - Multi-command step (see commandSequence)
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<Array>} One { report, duration, wait } per command in the step
+   */
+  async executeSequenceStep(step, context = {}) {
+    if (isWaitStep(step)) {
+      const report = await this.executeWaitStep(step.parameters.seconds, context);
+      return [{ report, duration: 0, wait: true }];
+    }
+
+    const commands = isParallelStep(step) ? step.parallel : [step];
+    return Promise.all(commands.map(async command => {
+      const commandStart = Date.now();
+      let report;
+      try {
+        report = await this.executeSingleCommand(command, context);
       } catch (error) {
-        results.push(`Command ${i + 1}: ❌ ${error.message}`);
-        totalAttempted += 1;
+        report = createErrorReport(error);
       }
+      return { report, duration: Date.now() - commandStart, wait: false };
+    }));
+  }
+
+  /**
+   * Pauses a multi-command. Dry runs (previews, confirmation checks) don't wait.
+   * @param {number} seconds - Wait duration, validated against MAX_WAIT_SECONDS
+   * @param {object} context - Execution context; context.onWait(seconds) is called before waiting
+   * @returns {Promise<object>} Message report; waits don't count as actions
+   */
+  async executeWaitStep(seconds, context = {}) {
+    const duration = formatElapsed(seconds * 1000);
+    if (context.dryRun) {
+      return createMessageReport(`${WAIT_ICON} Would wait ${duration}`, { counted: false });
     }
 
-    const summary = `🎯 Multi-command completed: ${totalSuccess}/${totalAttempted} actions successful`;
-    return `${summary}\n\n${results.join('\n\n')}`;
+    if (typeof context.onWait === 'function') {
+      try {
+        await context.onWait(seconds);
+      } catch (error) {
+        this.error('Failed to report wait:', error.message);
+      }
+    }
+    await new Promise(resolve => this.homey.setTimeout(resolve, seconds * 1000));
+    return createMessageReport(`${WAIT_ICON} Waited ${duration}`, { counted: false });
   }
 
   /**
    * Executes a status query
    * @param {object} statusQuery - Status query object from ChatGPT
+   * @param {string|null} language - Language of the question, detected from the query when not given
    * @returns {Promise<string>} Formatted status information
    */
-  async executeStatusQuery(statusQuery) {
+  async executeStatusQuery(statusQuery, language = null) {
     try {
       const homeState = await this.getHomeState();
 
-      // Create a mock LLM function for semantic matching (using our existing ChatGPT integration)
-      const llmFunction = async prompt => {
-        try {
-          return await this.chatgpt.parseCommand(prompt);
-        } catch (error) {
-          console.warn('LLM function failed:', error);
-          return null;
-        }
-      };
+      // LLM function for semantic matching (using our existing ChatGPT integration)
+      const llmFunction = this.createSemanticMatchFunction();
 
-      // Detect language from the original query if available
-      const language = this.detectLanguage(statusQuery.originalQuery || '');
+      // Detect language from the original query if the caller doesn't know it
+      const queryLanguage = language || this.detectLanguage(statusQuery.originalQuery || '');
 
       // Handle JSON status queries directly from ChatGPT
       if (statusQuery.query_type === 'status') {
-        return await this.executeDirectStatusQuery(statusQuery, homeState, llmFunction, language);
+        return await this.executeDirectStatusQuery(statusQuery, homeState, llmFunction, queryLanguage);
       }
 
       // Fallback to text-based status query processing
       const result = await handleStatusQuery(
         statusQuery.originalQuery || this.constructQueryFromJSON(statusQuery),
-        language,
+        queryLanguage,
         homeState,
         llmFunction,
-        { includeDetails: true, maxDevices: 20 }
+        { includeDetails: true }
       );
 
       if (result.success) {
@@ -515,12 +826,9 @@ class ChatGPTAssistant extends Homey.App {
 
     // Handle different types of status queries
     if (statusQuery.scope === 'global') {
-      // Global status query
-      const deviceArray = Object.values(devices);
-      const limitedDevices = deviceArray.slice(0, 20); // Limit for performance
-
+      // Global status query. Every device is listed; the Telegram reply pages long listings
       const allDeviceStatuses = [];
-      for (const device of limitedDevices) {
+      for (const device of Object.values(devices)) {
         const { getDeviceStatus } = require('./modules/deviceStatusRetriever');
         const status = await getDeviceStatus(device);
         allDeviceStatuses.push(status);
@@ -629,29 +937,127 @@ class ChatGPTAssistant extends Homey.App {
     return 'en';
   }
 
+  /**
+   * Runs a natural-language command through the same parse and execute pipeline as Telegram.
+   * Used by callers that can't answer a confirmation prompt, such as Flow cards and the Web API, so
+   * commands the confirmation policy flags are refused. These callers wait for the reply, so commands
+   * that pause longer than MAX_UNATTENDED_WAIT_SECONDS are refused as well.
+   * @param {string} commandText - The natural language command
+   * @param {object} options - { language, source, statusOnly } where statusOnly rejects anything
+   *   that isn't a status question
+   * @returns {Promise<object>} Execution report; errors are returned as an error report
+   */
+  async runAssistantCommand(commandText, options = {}) {
+    const { language = 'en', source = 'api', statusOnly = false } = options;
+    this.log(`Running ${source} command: ${commandText}`);
+
+    try {
+      if (this._initializationPending) {
+        throw new Error('The assistant is not configured yet. Add the API keys in the app settings.');
+      }
+
+      const jsonCommand = await this.parseCommandWithState(commandText, language);
+      if (jsonCommand.error) {
+        return createErrorReport(jsonCommand.error);
+      }
+      if (statusOnly && jsonCommand.query_type !== 'status') {
+        return createErrorReport('Only status questions are allowed here');
+      }
+      if (getTotalWaitSeconds(jsonCommand) > MAX_UNATTENDED_WAIT_SECONDS) {
+        return createErrorReport(
+          `Waits longer than ${MAX_UNATTENDED_WAIT_SECONDS} seconds only work in Telegram`
+        );
+      }
+
+      const confirmation = await this.checkConfirmation(jsonCommand);
+      if (confirmation.required) {
+        this.log(`Refused ${source} command that needs confirmation: ${confirmation.reasons.join(', ')}`);
+        return createErrorReport(formatConfirmationRefusal(confirmation.reasons));
+      }
+
+      return await this.executeCommandReport(jsonCommand, { description: commandText, source, language });
+    } catch (error) {
+      this.error(`${source} command failed:`, error.message);
+      return createErrorReport(error);
+    }
+  }
+
   /**
    * Executes a single command (used by both single and multi-command execution)
    * @param {object} command - Single command object
-   * @returns {Promise<string>} Result message
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<object>} Execution report
    */
-  async executeSingleCommand(command) {
+  async executeSingleCommand(command, context = {}) {
     // Add device_filter support to the command
-    return await this.executeHomeyCommand(command);
+    return await this.executeCommandReport(command, context);
+  }
+
+  /**
+   * Executes a JSON command returned by ChatGPT and renders the result as the Telegram reply.
+   * @param {object} jsonCommand - The structured command object.
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<string>} A promise resolving to a success message or error details.
+   */
+  async executeHomeyCommand(jsonCommand, context = {}) {
+    return formatReport(await this.executeCommandReport(jsonCommand, context));
   }
 
   /**
    * Executes a JSON command returned by ChatGPT.
    * Supports room commands, multiple device_ids commands, or a single device command.
    * @param {object} jsonCommand - The structured command object.
-   * @returns {Promise<string>} A promise resolving to a success message or error details.
+   * @param {object} context - Execution context: { chatId, description, source, language, dryRun, onWait }, where
+   *   language is the language of the command, for status replies. The previous value
+   *   of every capability written is collected in context.changes and recorded for /undo.
+   *   With dryRun set, writes are only collected and no device is changed.
+   * @returns {Promise<object>} Execution report (see executionReport)
    */
-  async executeHomeyCommand(jsonCommand) {
+  async executeCommandReport(jsonCommand, context = {}) {
+    if (!context.changes) {
+      // Top-level call: collect changes from all nested commands as one undo step
+      const rootContext = { ...context, changes: [] };
+      let report = null;
+      try {
+        report = await this.executeCommandReport(jsonCommand, rootContext);
+        return report;
+      } catch (error) {
+        report = createErrorReport(error);
+        throw error;
+      } finally {
+        const success = isSuccessful(report);
+        this.undoManager.record(context.chatId, context.description, rootContext.changes);
+        if (!context.dryRun) {
+          this.commandLog.add({
+            source: context.source || 'telegram',
+            command: context.description || JSON.stringify(jsonCommand),
+            result: formatReport(report),
+            success,
+            deviceCount: countUpdatedDevices(report)
+          });
+        }
+        if (!context.dryRun && jsonCommand.query_type !== 'status') {
+          triggerCommandExecuted(this, jsonCommand, {
+            description: context.description,
+            changes: rootContext.changes,
+            success
+          });
+        }
+      }
+    }
+
     if (jsonCommand.error) throw new Error(jsonCommand.error);
     if (jsonCommand.query_type === 'status') {
-      return await this.executeStatusQuery(jsonCommand);
+      return createMessageReport(await this.executeStatusQuery(jsonCommand, context.language));
+    }
+    if (jsonCommand.condition) {
+      return await this.executeConditionalCommand(jsonCommand, context);
     }
     if (jsonCommand.commands && Array.isArray(jsonCommand.commands)) {
-      return await this.executeMultiCommand(jsonCommand.commands);
+      return await this.executeMultiCommand(jsonCommand.commands, context);
+    }
+    if (isParallelStep(jsonCommand)) {
+      return await this.executeMultiCommand([jsonCommand], context);
     }
     if (jsonCommand.command === 'onoff') {
       if (jsonCommand.parameters && typeof jsonCommand.parameters.onoff === 'boolean') {
@@ -660,35 +1066,103 @@ class ChatGPTAssistant extends Homey.App {
         throw new Error('Invalid parameters for onoff command.');
       }
     }
+    if (jsonCommand.command === sceneStore.SCENE_COMMANDS.save) {
+      return await this.saveScene(jsonCommand, context);
+    }
+    if (jsonCommand.command === sceneStore.SCENE_COMMANDS.activate) {
+      return await this.activateScene(jsonCommand.parameters && jsonCommand.parameters.scene, context);
+    }
+    if (jsonCommand.command === homeyFlows.FLOW_COMMANDS.run) {
+      return await this.runFlow(jsonCommand.parameters.flow, context);
+    }
+    if (jsonCommand.command === homeyFlows.FLOW_COMMANDS.mood) {
+      return await this.activateMood(jsonCommand.parameters.mood, jsonCommand.room, context);
+    }
+    if (jsonCommand.device) {
+      return await this.handleNamedDeviceCommand(jsonCommand, context);
+    }
     if (jsonCommand.room) {
-      return await this.handleRoomCommand(jsonCommand);
+      return await this.handleRoomCommand(jsonCommand, context);
     }
     if (jsonCommand.device_ids) {
-      return await this.handleMultiDeviceCommand(jsonCommand);
+      return await this.handleMultiDeviceCommand(jsonCommand, context);
     }
     if (jsonCommand.device_id) {
-      return await this.handleSingleDeviceCommand(jsonCommand);
+      return await this.handleSingleDeviceCommand(jsonCommand, context);
     }
-    throw new Error('❌ Invalid command format: must include "room", "device_ids", or "device_id"');
+    throw new Error('❌ Invalid command format: must include "room", "device", "device_ids", or "device_id"');
   }
 
   /**
-   * Refactored: Handles Homey commands for a room.
+   * Executes a command only if its condition holds for the live device values right now
+   * @param {object} jsonCommand - Command with a "condition" clause (see conditionEvaluator)
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<object>} Condition report, with the command's report if it ran
    */
-  async handleRoomCommand(jsonCommand) {
-    // Check if room name is provided
-    if (!jsonCommand.room) {
-      this.log('No room name provided in jsonCommand for LLM matching.');
-      throw new Error('No room name specified in the command.');
+  async executeConditionalCommand(jsonCommand, context = {}) {
+    const { condition, ...command } = jsonCommand;
+    const evaluation = await evaluateCondition(condition, comparison => this.findConditionDevices(comparison, command));
+    this.log(`Condition ${evaluation.held ? 'met' : 'not met'}: ${evaluation.description}`);
+
+    if (!evaluation.held) {
+      return createConditionReport(false, evaluation.description);
+    }
+    const report = await this.executeCommandReport(command, context);
+    return createConditionReport(true, evaluation.description, report);
+  }
+
+  /**
+   * Find the devices a condition comparison refers to: its own room/device(s), otherwise
+   * the targets of the command it guards, otherwise the whole home
+   * @param {object} comparison - Comparison condition
+   * @param {object} command - The guarded command
+   * @returns {Promise<Array>} Devices, filtered by comparison.device_type when set
+   */
+  async findConditionDevices(comparison, command) {
+    const devices = Object.values(await this.getDevicesMapping());
+    const scope = comparison.room || comparison.device_id || comparison.device_ids ? comparison : command;
+    let scoped = devices;
+
+    if (scope.device_id || scope.device_ids) {
+      const ids = scope.device_ids || [scope.device_id];
+      scoped = devices.filter(device => ids.includes(device.id));
+    } else if (scope.room) {
+      const { zoneIds } = await this.findRoomZoneIds(scope.room);
+      scoped = devices.filter(device => zoneIds.includes(device.zone));
     }
 
+    if (comparison.device_type) {
+      const deviceType = comparison.device_type.toLowerCase();
+      scoped = scoped.filter(device => device.class === deviceType
+        || (device.class === 'socket' && ChatGPTAssistant.isSocketOfType(device, deviceType)));
+    }
+    return scoped;
+  }
+
+  /**
+   * Find the zones matching a room name, using advanced (LLM-assisted) room normalization.
+   * Floors and other parent zones include every zone below them, "all bedrooms" every
+   * bedroom and "all"/"everywhere" the whole home.
+   * @param {string} room - Room name as given by the user or ChatGPT
+   * @returns {Promise<object>} { zoneIds, normalizedRoomName, zones }
+   */
+  async findRoomZoneIds(room) {
     const homeState = await this.getHomeState();
     const zones = homeState.zones;
     const availableRooms = Object.values(zones).map(z => z.name);
+
+    const pattern = parseZonePattern(room);
+    const patternZoneIds = pattern ? findZonesByPattern(zones, pattern) : [];
+    if (patternZoneIds.length > 0) {
+      const zoneIds = expandZoneIds(zones, patternZoneIds);
+      this.log(`Room pattern: "${room}" -> zones:`, zoneIds.map(id => zones[id].name));
+      return { zoneIds, normalizedRoomName: room, zones };
+    }
     const language = this.lastDetectedLanguage || 'en';
 
     // Log the attempt for debugging
-    this.log(`Attempting to normalize room: ${jsonCommand.room}, Language: ${language}, Available rooms: ${availableRooms.join(', ')}`);
+    this.log(`Attempting to normalize room: ${room}, Language: ${language}, `
+      + `Available rooms: ${availableRooms.join(', ')}`);
 
     let normalizedRoomName;
     try {
@@ -713,16 +1187,17 @@ class ChatGPTAssistant extends Homey.App {
 
       // Use advanced room matching with LLM integration
       normalizedRoomName = await normalizeRoomNameAdvanced(
-        jsonCommand.room,
+        room,
         language,
         availableRooms,
-        simpleLLMFunction
+        simpleLLMFunction,
+        getRoomAliasMap(resolveAliases(this.homey.settings, homeState))
       );
       
-      if (normalizedRoomName && normalizedRoomName.toLowerCase() !== jsonCommand.room.toLowerCase()) {
-        this.log(`LLM Normalized room name: "${jsonCommand.room}" -> "${normalizedRoomName}"`);
+      if (normalizedRoomName && normalizedRoomName.toLowerCase() !== room.toLowerCase()) {
+        this.log(`LLM Normalized room name: "${room}" -> "${normalizedRoomName}"`);
       } else if (!normalizedRoomName) {
-        this.log(`LLM could not normalize room name: "${jsonCommand.room}".`);
+        this.log(`LLM could not normalize room name: "${room}".`);
       }
     } catch (error) {
       this.error('Error during advanced room name normalization:', error);
@@ -751,21 +1226,36 @@ class ChatGPTAssistant extends Homey.App {
     // If normalized name doesn't match any zones but was returned by LLM, log warning
     if (normalizedRoomName && targetZoneIds.length === 0) {
       // Check if the normalized name exists in available rooms but doesn't match zones
-      const matchedAvailableRoom = availableRooms.find(room => 
-        room.toLowerCase() === normalizedRoomName.toLowerCase()
+      const matchedAvailableRoom = availableRooms.find(roomName => 
+        roomName.toLowerCase() === normalizedRoomName.toLowerCase()
       );
       if (matchedAvailableRoom || normalizedRoomName) {
         this.log(`Warning: Matched room name "${normalizedRoomName}" not found in available zones.`);
       }
     }
 
-    this.log(`Room matching: "${jsonCommand.room}" -> zones:`, targetZoneIds.map(id => zones[id].name));
+    this.log(`Room matching: "${room}" -> zones:`, targetZoneIds.map(id => zones[id].name));
 
     if (targetZoneIds.length === 0) {
       const availableRoomsStr = availableRooms.join(', ');
-      throw new Error(`No room matching "${jsonCommand.room}" found after LLM attempt. Available rooms: ${availableRoomsStr}`);
+      throw new Error(`No room matching "${room}" found after LLM attempt. Available rooms: ${availableRoomsStr}`);
+    }
+
+    return { zoneIds: expandZoneIds(zones, targetZoneIds), normalizedRoomName, zones };
+  }
+
+  /**
+   * Refactored: Handles Homey commands for a room.
+   */
+  async handleRoomCommand(jsonCommand, context = {}) {
+    // Check if room name is provided
+    if (!jsonCommand.room) {
+      this.log('No room name provided in jsonCommand for LLM matching.');
+      throw new Error('No room name specified in the command.');
     }
 
+    const { zoneIds: targetZoneIds, normalizedRoomName, zones } = await this.findRoomZoneIds(jsonCommand.room);
+
     const devicesObj = await this.getDevicesMapping();
     const devices = Object.values(devicesObj);
 
@@ -883,101 +1373,229 @@ class ChatGPTAssistant extends Homey.App {
       throw new Error(`No devices supporting "${jsonCommand.command}" found in "${jsonCommand.room}". Available device types: ${deviceClasses}`);
     }
 
+    const results = await this.runDeviceOperations(targetDevices,
+      device => ChatGPTAssistant.runCommandOnDevice(device, jsonCommand, context));
+    return createDevicesReport({
+      command: jsonCommand.command,
+      room: jsonCommand.room,
+      devices: results.map((result, index) => ({ ...result, zoneName: getZoneName(zones, targetDevices[index].zone) }))
+    });
+  }
+
+  /**
+   * Run an operation on several devices in parallel and collect per-device results
+   * @param {Array} targetDevices - Devices to process
+   * @param {Function} operation - async (device) => device result (see executionReport)
+   * @returns {Promise<Array>} Device results, in the order of targetDevices
+   */
+  async runDeviceOperations(targetDevices, operation) {
     // Parallel device processing for better performance
     const devicePromises = targetDevices.map(async (device) => {
       try {
-        const cap = ChatGPTAssistant.getCapabilityForCommand(device, jsonCommand.command);
-        if (!cap) {
-          return { device: device.name, success: false, message: `doesn't support ${jsonCommand.command}`, icon: '⚠️' };
-        }
-
-        const value = ChatGPTAssistant.getValueForCommand(jsonCommand.command, jsonCommand.parameters);
-        await device.setCapabilityValue(cap, value);
-        return { device: device.name, success: true, message: `${jsonCommand.command} successful`, icon: '✅' };
+        return await operation(device);
       } catch (error) {
-        return { device: device.name, success: false, message: error.message, icon: '❌' };
+        return deviceFailed(device, error);
       }
     });
 
     // Wait for all device operations to complete
     const deviceResults = await Promise.allSettled(devicePromises);
+    return deviceResults.map((result, index) => (result.status === 'fulfilled'
+      ? result.value
+      : deviceFailed(targetDevices[index], result.reason)));
+  }
+
+  /**
+   * Capture the current state of a room or a device selection as a named scene
+   * @param {object} jsonCommand - { command: 'save_scene', parameters: { scene }, room | device_ids | device_id }
+   * @param {object} context - Execution context (see executeCommandReport); nothing is stored in a dry run
+   * @returns {Promise<object>} Message report
+   */
+  async saveScene(jsonCommand, context = {}) {
+    const sceneName = jsonCommand.parameters && jsonCommand.parameters.scene;
+    const devices = Object.values(await this.getDevicesMapping());
+    let targetDevices;
+    let source;
+
+    if (jsonCommand.room) {
+      const { zoneIds, normalizedRoomName } = await this.findRoomZoneIds(jsonCommand.room);
+      targetDevices = devices.filter(device => zoneIds.includes(device.zone));
+      source = normalizedRoomName || jsonCommand.room;
+    } else {
+      const targetIds = jsonCommand.device_ids || (jsonCommand.device_id ? [jsonCommand.device_id] : []);
+      targetDevices = devices.filter(device => targetIds.includes(device.id));
+      source = `${targetDevices.length} selected device(s)`;
+    }
 
-    // Process results and count successes
-    const results = [];
-    let successCount = 0;
+    if (jsonCommand.device_filter) {
+      const filterType = jsonCommand.device_filter.toLowerCase();
+      targetDevices = targetDevices.filter(device => device.class === filterType
+        || (device.class === 'socket' && ChatGPTAssistant.isSocketOfType(device, filterType)));
+    }
 
-    deviceResults.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        const deviceResult = result.value;
-        results.push(`${deviceResult.icon} ${deviceResult.device}: ${deviceResult.message}`);
-        if (deviceResult.success) successCount++;
+    const captured = targetDevices.map(sceneStore.captureDeviceState).filter(Boolean);
+    if (captured.length === 0) {
+      throw new Error(`No controllable devices found in ${source} to save as a scene`);
+    }
+
+    if (context.dryRun) {
+      const deviceNames = captured.map(device => device.deviceName).join(', ');
+      return createMessageReport(
+        `🎬 Would save scene "${sceneName}" with ${captured.length} device(s): ${deviceNames}`
+      );
+    }
+
+    const scene = sceneStore.saveScene(this.homey.settings, sceneName, captured);
+    this.log(`Saved scene "${scene.name}" with ${captured.length} devices from ${source}`);
+    return createMessageReport(`✅ Scene "${scene.name}" saved with ${captured.length} device(s) from ${source}`);
+  }
+
+  /**
+   * Activate a saved scene by writing its captured values back to every device in parallel
+   * @param {string} name - Scene name
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<object>} Devices report; devices that no longer exist are skipped
+   */
+  async activateScene(name, context = {}) {
+    const scene = sceneStore.getScene(this.homey.settings, name);
+    if (!scene) {
+      const available = sceneStore.listScenes(this.homey.settings).map(s => s.name).join(', ') || 'none';
+      throw new Error(`No scene named "${name}" found. Available scenes: ${available}`);
+    }
+
+    const devicesObj = await this.getDevicesMapping();
+    const targetDevices = [];
+    const missing = [];
+    scene.devices.forEach(entry => {
+      const device = devicesObj[entry.deviceId];
+      if (device) {
+        targetDevices.push(device);
       } else {
-        // Handle promise rejection
-        const deviceName = targetDevices[index]?.name || `Device ${index}`;
-        results.push(`❌ ${deviceName}: Promise rejected - ${result.reason?.message || 'Unknown error'}`);
+        missing.push(deviceSkipped({ id: entry.deviceId, name: entry.deviceName },
+          ERROR_TYPES.deviceMissing, 'device no longer exists'));
+      }
+    });
+    const entriesById = Object.fromEntries(scene.devices.map(entry => [entry.deviceId, entry]));
+
+    const results = await this.runDeviceOperations(targetDevices, async device => {
+      const capabilities = device.capabilities || Object.keys(device.capabilitiesObj || {});
+      const writes = sceneStore.getSceneWrites(entriesById[device.id].values)
+        .filter(write => capabilities.includes(write.capability));
+      if (writes.length === 0) {
+        return deviceSkipped(device, ERROR_TYPES.unsupported, 'none of the saved capabilities are available');
       }
+
+      return deviceSucceeded(device, await ChatGPTAssistant.applyCommandWrites(device, writes, context));
+    });
+
+    return createDevicesReport({ scene: scene.name, devices: results.concat(missing) });
+  }
+
+  /**
+   * Start a Flow that has the "This Flow is started" trigger, matched by name
+   * @param {string} name - Flow name as spoken, in any language
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<object>} Message report
+   */
+  async runFlow(name, context = {}) {
+    const flow = await homeyFlows.findFlow(await getTriggerableFlows(this), name, {
+      language: this.detectLanguage(name), llmFunction: this.createSemanticMatchFunction()
+    });
+    if (context.dryRun) {
+      return createMessageReport(`▶️ Would start Flow "${flow.name}"`);
+    }
+
+    await triggerFlow(this, flow);
+    this.log(`Started ${flow.advanced ? 'Advanced Flow' : 'Flow'} "${flow.name}" (${flow.id})`);
+    return createMessageReport(`✅ Started Flow "${flow.name}"`);
+  }
+
+  /**
+   * Activate a zone mood, matched by name and optionally by room
+   * @param {string} name - Mood name as spoken, in any language
+   * @param {string} room - Room the mood belongs to, if mentioned
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<object>} Message report
+   */
+  async activateMood(name, room, context = {}) {
+    const mood = await homeyFlows.findMood(await getMoods(this), name, room || null, {
+      language: this.detectLanguage(name), llmFunction: this.createSemanticMatchFunction()
     });
+    const where = mood.zoneName ? ` in ${mood.zoneName}` : '';
+    if (context.dryRun) {
+      return createMessageReport(`🌈 Would activate mood "${mood.name}"${where}`);
+    }
 
-    const summary = `${successCount}/${targetDevices.length} devices updated in ${jsonCommand.room}`;
-    return `${summary}\n${results.join('\n')}`;
+    await setMood(this, mood);
+    this.log(`Activated mood "${mood.name}" (${mood.id})${where}`);
+    return createMessageReport(`✅ Activated mood "${mood.name}"${where}`);
   }
 
   /**
-   * Handles Homey commands for multiple device_ids (parallel processing)
+   * Handles Homey commands for multiple device_ids (parallel processing).
+   * IDs that don't match a device are reported as skipped.
+   * @returns {Promise<object>} Devices report
    */
-  async handleMultiDeviceCommand(jsonCommand) {
+  async handleMultiDeviceCommand(jsonCommand, context = {}) {
     const devicesObj = await this.getDevicesMapping();
-    const devices = Object.values(devicesObj);
     const targetIds = Array.isArray(jsonCommand.device_ids) ? jsonCommand.device_ids : [];
     if (targetIds.length === 0) {
       throw new Error('No device_ids specified for multi-device command');
     }
-    const targetDevices = devices.filter(d => targetIds.includes(d.id));
+    const targetDevices = targetIds.map(id => devicesObj[id]).filter(Boolean);
     if (targetDevices.length === 0) {
       throw new Error('No matching devices found for device_ids: ' + targetIds.join(', '));
     }
-    // Parallel device processing
-    const devicePromises = targetDevices.map(async (device) => {
-      try {
-        const cap = ChatGPTAssistant.getCapabilityForCommand(device, jsonCommand.command);
-        if (!cap) {
-          return { device: device.name, success: false, message: `doesn't support ${jsonCommand.command}`, icon: '⚠️' };
-        }
-        const value = ChatGPTAssistant.getValueForCommand(jsonCommand.command, jsonCommand.parameters);
-        await device.setCapabilityValue(cap, value);
-        return { device: device.name, success: true, message: `${jsonCommand.command} successful`, icon: '✅' };
-      } catch (error) {
-        return { device: device.name, success: false, message: error.message, icon: '❌' };
-      }
-    });
-    const deviceResults = await Promise.allSettled(devicePromises);
-    const results = [];
-    let successCount = 0;
-    deviceResults.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        const deviceResult = result.value;
-        results.push(`${deviceResult.icon} ${deviceResult.device}: ${deviceResult.message}`);
-        if (deviceResult.success) {
-          successCount++;
-        }
-      } else {
-        const device = devices[index];
-        results.push(`❌ ${device.name}: ${result.reason?.message || 'Unknown error'}`);
-      }
-    });
+    const missing = targetIds.filter(id => !devicesObj[id])
+      .map(id => deviceSkipped({ id, name: id }, ERROR_TYPES.deviceMissing, 'device not found'));
 
-    return {
-      results,
-      successCount,
-      totalDevices: devices.length,
-      summary: `${successCount}/${devices.length} devices controlled successfully`
-    };
+    const results = await this.runDeviceOperations(targetDevices,
+      device => ChatGPTAssistant.runCommandOnDevice(device, jsonCommand, context));
+    return createDevicesReport({ command: jsonCommand.command, devices: results.concat(missing) });
+  }
+
+  /**
+   * Handles Homey commands for a device named in the command ("turn off the Hue Go"), matched
+   * within the mentioned room if there is one. When several devices match equally well they
+   * are returned as candidates instead of guessing.
+   * @returns {Promise<object>} Device report, or a candidates report
+   */
+  async handleNamedDeviceCommand(jsonCommand, context = {}) {
+    const { devices: devicesObj, zones } = await this.getHomeState();
+    let devices = Object.values(devicesObj);
+    let where = '';
+    if (jsonCommand.room) {
+      const { zoneIds, normalizedRoomName } = await this.findRoomZoneIds(jsonCommand.room);
+      devices = devices.filter(device => zoneIds.includes(device.zone));
+      where = ` in ${normalizedRoomName || jsonCommand.room}`;
+    }
+
+    const result = await comprehensiveDeviceMatch(jsonCommand.device, devices,
+      this.detectLanguage(jsonCommand.device), this.createSemanticMatchFunction());
+    if (result.candidates.length === 0) {
+      throw new Error(`No device named "${jsonCommand.device}" found${where}`);
+    }
+
+    // Devices that can't run the command are never what was meant
+    const capable = result.candidates
+      .filter(device => ChatGPTAssistant.getCapabilityForCommand(device, jsonCommand.command) !== null);
+    const candidates = capable.length > 0 ? capable : result.candidates;
+    if (candidates.length > 1) {
+      this.log(`Device name "${jsonCommand.device}" is ambiguous: ${candidates.map(d => d.name).join(', ')}`);
+      return createCandidatesReport(jsonCommand.device, candidates.map(device => ({
+        id: device.id, name: device.name, room: zones[device.zone] ? zones[device.zone].name : null
+      })));
+    }
+
+    this.log(`Device name "${jsonCommand.device}" -> "${candidates[0].name}" (${result.method})`);
+    return this.handleSingleDeviceCommand({ ...jsonCommand, device_id: candidates[0].id }, context);
   }
 
   /**
    * Handles Homey commands for a single device_id
+   * @returns {Promise<object>} Device report
    */
-  async handleSingleDeviceCommand(jsonCommand) {
+  async handleSingleDeviceCommand(jsonCommand, context = {}) {
     const devicesObj = await this.getDevicesMapping();
     const devices = Object.values(devicesObj);
     const targetDevice = devices.find(d => d.id === jsonCommand.device_id);
@@ -991,51 +1609,78 @@ class ChatGPTAssistant extends Homey.App {
       throw new Error(`Device "${targetDevice.name}" doesn't support "${jsonCommand.command}"`);
     }
 
+    let result;
     try {
-      const value = ChatGPTAssistant.getValueForCommand(jsonCommand.command, jsonCommand.parameters);
-      await targetDevice.setCapabilityValue(cap, value);
-      return `✅ ${targetDevice.name}: ${jsonCommand.command} successful`;
+      result = await ChatGPTAssistant.runCommandOnDevice(targetDevice, jsonCommand, context);
     } catch (error) {
-      throw new Error(`❌ ${targetDevice.name}: ${error.message}`);
+      result = deviceFailed(targetDevice, error);
+    }
+    return createDeviceReport(jsonCommand.command, result);
+  }
+
+  /**
+   * Resolve a command's writes for one device and apply them
+   * @param {object} device - Target device
+   * @param {object} jsonCommand - { command, parameters }
+   * @param {object} context - Execution context (see executeCommandReport)
+   * @returns {Promise<object>} Device result; skipped if the device doesn't support the command
+   */
+  static async runCommandOnDevice(device, jsonCommand, context = {}) {
+    const writes = await ChatGPTAssistant.resolveCommandWrites(device, jsonCommand.command, jsonCommand.parameters);
+    if (!writes) {
+      return deviceSkipped(device, ERROR_TYPES.unsupported, `doesn't support ${jsonCommand.command}`);
     }
+    return deviceSucceeded(device, await ChatGPTAssistant.applyCommandWrites(device, writes, context));
   }
 
   /**
    * Static helper methods
    */
   static getCapabilityForCommand(device, command) {
-    const capabilities = getCapabilityKeys(device);
-    
-    switch (command) {
-      case 'turn_on':
-      case 'turn_off':
-        return capabilities.find(cap => cap === 'onoff') || null;
-      case 'dim':
-        return capabilities.find(cap => cap === 'dim') || null;
-      case 'set_temperature':
-        return capabilities.find(cap => cap === 'target_temperature') || null;
-      case 'set_volume':
-        return capabilities.find(cap => cap === 'volume_set') || null;
-      default:
-        return null;
-    }
+    return capabilityRegistry.getCapabilityForCommand(device, command);
   }
 
   static getValueForCommand(command, parameters = {}) {
-    switch (command) {
-      case 'turn_on':
-        return true;
-      case 'turn_off':
-        return false;
-      case 'dim':
-        return parameters.dim_level || 0.5;
-      case 'set_temperature':
-        return parameters.temperature || 20;
-      case 'set_volume':
-        return parameters.volume || 0.5;
-      default:
-        return null;
+    return capabilityRegistry.getValueForCommand(command, parameters);
+  }
+
+  static getCommandWrites(device, command, parameters = {}) {
+    return capabilityRegistry.getCommandWrites(device, command, parameters);
+  }
+
+  /**
+   * Like getCommandWrites, but resolves relative adjustments ("a bit brighter")
+   * against the device's current capability value
+   */
+  static async resolveCommandWrites(device, command, parameters = {}) {
+    return capabilityRegistry.resolveCommandWrites(device, command, parameters);
+  }
+
+  /**
+   * Writes capability values to a device in order (primary capability first,
+   * so e.g. light_mode is only set after the hue was accepted).
+   * When context.changes is present the previous values are recorded for /undo;
+   * in a dry run the writes are only recorded.
+   * @returns {Promise<Array>} The applied writes { capability, previousValue, value }
+   */
+  static async applyCommandWrites(device, writes, context = {}) {
+    const applied = [];
+    for (const write of writes) {
+      const previousValue = await getDeviceCapabilityValue(device, write.capability);
+      if (!context.dryRun) {
+        await device.setCapabilityValue(write.capability, write.value);
+      }
+      applied.push({ capability: write.capability, previousValue, value: write.value });
+      if (context.changes) {
+        context.changes.push({
+          deviceId: device.id,
+          deviceName: device.name,
+          deviceClass: device.class,
+          ...applied[applied.length - 1]
+        });
+      }
     }
+    return applied;
   }
 
   static isLightControllingSocket(device) {
@@ -10,6 +10,7 @@
 const SIMILARITY_THRESHOLD = 0.6; // Minimum similarity score for matches
 const PHONETIC_THRESHOLD = 0.7; // Threshold for phonetic matching
 const LLM_CONFIDENCE_THRESHOLD = 0.8; // Threshold for LLM-based matches
+const AMBIGUITY_MARGIN = 0.05; // Device names scoring this close to the best match are all candidates
 
 /**
  * Calculate Levenshtein distance between two strings
@@ -225,20 +226,21 @@ function fuzzyMatch(input, candidates, language = 'en') {
  * @param {Array} candidates - Available room names
  * @param {string} language - Input language
  * @param {Function} llmFunction - LLM function for semantic matching
+ * @param {string} subject - What is being matched, 'room' or 'device'
  * @returns {Promise<Object>} Semantic match result
  */
-async function semanticMatch(input, candidates, language, llmFunction) {
+async function semanticMatch(input, candidates, language, llmFunction, subject = 'room') {
   if (!input || !candidates || candidates.length === 0 || !llmFunction) {
     return { match: null, confidence: 0, method: 'semantic_unavailable' };
   }
 
   try {
-    const prompt = `You are a multilingual smart home assistant. Help match a room name to available rooms.
+    const prompt = `You are a multilingual smart home assistant. Help match a ${subject} name to available ${subject}s.
 
-Input room name: "${input}" (language: ${language})
-Available rooms: ${candidates.map(room => `"${room}"`).join(', ')}
+Input ${subject} name: "${input}" (language: ${language})
+Available ${subject}s: ${candidates.map(room => `"${room}"`).join(', ')}
 
-Task: Find the best semantic match for the input room name among the available rooms. Consider:
+Task: Find the best semantic match for the input ${subject} name among the available ${subject}s. Consider:
 - Translation equivalents (e.g., "garden" = "trädgård" = "jardin")
 - Spelling variations and typos
 - Definite articles (e.g., "trädgården" vs "trädgård")
@@ -246,7 +248,7 @@ Task: Find the best semantic match for the input room name among the available r
 
 Respond with ONLY a JSON object in this exact format:
 {
-  "match": "exact_room_name_from_list_or_null",
+  "match": "exact_${subject}_name_from_list_or_null",
   "confidence": 0.0-1.0,
   "reasoning": "brief_explanation"
 }
@@ -277,7 +279,7 @@ If no good match exists, return null for match and 0.0 for confidence.`;
 
     // Validate the result
     if (result.match && !candidates.includes(result.match)) {
-      console.warn('LLM returned invalid room name:', result.match);
+      console.warn(`LLM returned invalid ${subject} name:`, result.match);
       return { match: null, confidence: 0, method: 'semantic_invalid' };
     }
 
@@ -305,19 +307,43 @@ function findBestRoomMatch(roomName, availableRooms, language = 'en') {
   return fuzzyMatch(roomName, availableRooms, language);
 }
 
+/**
+ * Match a room name against user-defined aliases ("upstairs office" -> "Kontor 2")
+ * @param {string} roomName - Room name to match
+ * @param {Array} availableRooms - Array of available room names
+ * @param {Object} aliases - Map of lowercase alias -> room name
+ * @returns {Object|null} Match result, or null if no alias applies
+ */
+function matchRoomAlias(roomName, availableRooms, aliases = {}) {
+  const aliasedRoom = aliases[roomName.trim().replace(/\s+/g, ' ').toLowerCase()];
+  if (!aliasedRoom) {
+    return null;
+  }
+
+  const match = availableRooms.find(room => room.toLowerCase() === aliasedRoom.toLowerCase());
+  return match ? { match, confidence: 1.0, method: 'alias' } : null;
+}
+
 /**
  * Comprehensive room matching with multiple strategies
  * @param {string} roomName - Room name to match
  * @param {Array} availableRooms - Array of available room names
  * @param {string} language - Language code
  * @param {Function} llmFunction - Optional LLM function for semantic matching
+ * @param {Object} aliases - Optional map of lowercase alias -> room name, checked first
  * @returns {Promise<Object>} Best match result
  */
-async function comprehensiveRoomMatch(roomName, availableRooms, language = 'en', llmFunction = null) {
+async function comprehensiveRoomMatch(roomName, availableRooms, language = 'en', llmFunction = null, aliases = {}) {
   if (!roomName || !availableRooms || availableRooms.length === 0) {
     return { match: null, confidence: 0, method: 'no_input' };
   }
 
+  // Strategy 0: user-defined aliases, which no fuzzy or semantic matcher can guess
+  const aliasResult = matchRoomAlias(roomName, availableRooms, aliases);
+  if (aliasResult) {
+    return aliasResult;
+  }
+
   // Strategy 1: Advanced fuzzy matching
   const fuzzyResult = findBestRoomMatch(roomName, availableRooms, language);
 
@@ -344,6 +370,59 @@ async function comprehensiveRoomMatch(roomName, availableRooms, language = 'en',
   return fuzzyResult;
 }
 
+/**
+ * Match a spoken device name ("the Hue Go", "reading lamp") against devices, with the same
+ * fuzzy, phonetic and semantic strategies as comprehensiveRoomMatch. Device names are often
+ * shared or numbered ("Ceiling" in every room, "Reading lamp left/right"), so every device
+ * whose name scores about as well as the best one is returned as a candidate instead of
+ * picking one of them.
+ * @param {string} deviceName - Device name to match
+ * @param {Array} devices - Devices to choose from ({ id, name }), already narrowed to a room if one was mentioned
+ * @param {string} language - Language code
+ * @param {Function} llmFunction - Optional LLM function for semantic matching
+ * @returns {Promise<Object>} { match, candidates, confidence, method } where match is the device
+ *   when exactly one candidate is left, otherwise null
+ */
+async function comprehensiveDeviceMatch(deviceName, devices, language = 'en', llmFunction = null) {
+  const noMatch = { match: null, candidates: [], confidence: 0, method: 'none' };
+  if (!deviceName || !devices || devices.length === 0) {
+    return { ...noMatch, method: 'no_input' };
+  }
+
+  const names = [...new Set(devices.map(device => device.name).filter(Boolean))];
+  const scored = names
+    .map(name => ({ name, ...fuzzyMatch(deviceName, [name], language) }))
+    .filter(result => result.match)
+    .sort((a, b) => b.confidence - a.confidence);
+  const best = scored[0] || { confidence: 0, method: 'none' };
+
+  let matchedNames = scored
+    .filter(result => result.confidence >= best.confidence - AMBIGUITY_MARGIN)
+    .map(result => result.name);
+  let { confidence, method } = best;
+
+  // Same rule as for rooms: only ask the LLM when fuzzy matching isn't confident
+  if (best.confidence < 0.9 && llmFunction && best.confidence < LLM_CONFIDENCE_THRESHOLD) {
+    const semanticResult = await semanticMatch(deviceName, names, language, llmFunction, 'device');
+    if (semanticResult.match && semanticResult.confidence > best.confidence) {
+      matchedNames = [semanticResult.match];
+      ({ confidence, method } = semanticResult);
+    }
+  }
+
+  if (matchedNames.length === 0 || confidence < SIMILARITY_THRESHOLD) {
+    return noMatch;
+  }
+
+  const candidates = devices.filter(device => matchedNames.includes(device.name));
+  return {
+    match: candidates.length === 1 ? candidates[0] : null,
+    candidates,
+    confidence,
+    method
+  };
+}
+
 /**
  * Batch process multiple room names for matching
  * @param {Array} roomNames - Array of room names to match
@@ -375,9 +454,12 @@ module.exports = {
   fuzzyMatch,
   semanticMatch,
   findBestRoomMatch,
+  matchRoomAlias,
   comprehensiveRoomMatch,
+  comprehensiveDeviceMatch,
   batchRoomMatch,
   SIMILARITY_THRESHOLD,
   PHONETIC_THRESHOLD,
-  LLM_CONFIDENCE_THRESHOLD
+  LLM_CONFIDENCE_THRESHOLD,
+  AMBIGUITY_MARGIN
 };
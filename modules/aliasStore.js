@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Alias Store
+ * User-defined names for devices, rooms and device groups ("the big lamp", "upstairs office").
+ * Aliases are kept as text, one "alias = target, target" per line, so the settings page and
+ * /alias edit the same value. Targets are device or zone names (or IDs) and are resolved
+ * against the current home state when used, so renamed devices only need the line updated.
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+
+const SETTINGS_KEY = 'aliases';
+const MAX_ALIAS_LENGTH = 50;
+
+/**
+ * Normalize an alias for lookups ("The  Big Lamp" -> "the big lamp")
+ * @param {string} name - Alias or name
+ * @returns {string} Normalized name
+ */
+function normalizeAlias(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Parse alias definitions. Empty lines, lines starting with # and lines without "=" are ignored.
+ * @param {string} text - One "alias = target, target" per line
+ * @returns {Array} Array of { alias, targets }
+ */
+function parseAliases(text) {
+  const entries = [];
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    const separator = trimmed.indexOf('=');
+    if (!trimmed || trimmed.startsWith('#') || separator <= 0) return;
+
+    const alias = trimmed.slice(0, separator).trim().replace(/\s+/g, ' ');
+    const targets = trimmed.slice(separator + 1).split(',').map(target => target.trim()).filter(Boolean);
+    if (alias && targets.length > 0) {
+      entries.push({ alias, targets });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Serialize aliases back to the text format
+ * @param {Array} entries - Array of { alias, targets }
+ * @returns {string} Alias definitions
+ */
+function serializeAliases(entries) {
+  return entries.map(entry => `${entry.alias} = ${entry.targets.join(', ')}`).join('\n');
+}
+
+/**
+ * Get all alias definitions
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @returns {Array} Array of { alias, targets }
+ */
+function getAliases(settings) {
+  return parseAliases(settings && settings.get(SETTINGS_KEY));
+}
+
+/**
+ * Add or replace an alias
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} alias - Alias name
+ * @param {Array} targets - Device or zone names/IDs
+ * @returns {object} The stored { alias, targets }
+ */
+function setAlias(settings, alias, targets) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+  const name = String(alias || '').trim().replace(/\s+/g, ' ');
+  ErrorHandler.validateInput(name.length > 0, 'An alias name is required');
+  ErrorHandler.validateInput(name.length <= MAX_ALIAS_LENGTH, `Aliases can be at most ${MAX_ALIAS_LENGTH} characters`);
+  ErrorHandler.validateInput(!/[=,]/.test(name), 'Aliases cannot contain "=" or ","');
+  ErrorHandler.validateInput(Array.isArray(targets) && targets.length > 0, 'An alias needs at least one target');
+
+  const entry = { alias: name, targets };
+  const entries = getAliases(settings).filter(existing => normalizeAlias(existing.alias) !== normalizeAlias(name));
+  entries.push(entry);
+  settings.set(SETTINGS_KEY, serializeAliases(entries));
+  return entry;
+}
+
+/**
+ * Remove an alias
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} alias - Alias name
+ * @returns {object|null} The removed { alias, targets }, or null if it doesn't exist
+ */
+function removeAlias(settings, alias) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+  const entries = getAliases(settings);
+  const removed = entries.find(entry => normalizeAlias(entry.alias) === normalizeAlias(alias));
+  if (!removed) {
+    return null;
+  }
+
+  settings.set(SETTINGS_KEY, serializeAliases(entries.filter(entry => entry !== removed)));
+  return removed;
+}
+
+/**
+ * Resolve an alias against the home state. A single target naming a zone makes a room alias,
+ * otherwise every target naming a device is included (unknown targets are skipped).
+ * @param {object} entry - { alias, targets }
+ * @param {object} homeState - { zones, devices }
+ * @returns {object|null} { alias, type: 'zone', zoneId, zoneName } or
+ *   { alias, type: 'devices', devices: [{ id, name }] }, or null if nothing matches
+ */
+function resolveAlias(entry, homeState) {
+  const zones = Object.entries((homeState && homeState.zones) || {});
+  const devices = Object.values((homeState && homeState.devices) || {});
+  const matches = (target, id, name) => target === id || normalizeAlias(target) === normalizeAlias(name);
+
+  if (entry.targets.length === 1) {
+    const zone = zones.find(([zoneId, candidate]) => matches(entry.targets[0], zoneId, candidate.name));
+    if (zone) {
+      return {
+        alias: entry.alias, type: 'zone', zoneId: zone[0], zoneName: zone[1].name
+      };
+    }
+  }
+
+  const targetDevices = [];
+  entry.targets.forEach(target => {
+    const device = devices.find(candidate => matches(target, candidate.id, candidate.name));
+    if (device && !targetDevices.some(existing => existing.id === device.id)) {
+      targetDevices.push({ id: device.id, name: device.name });
+    }
+  });
+
+  return targetDevices.length > 0 ? { alias: entry.alias, type: 'devices', devices: targetDevices } : null;
+}
+
+/**
+ * Resolve all stored aliases against the home state, dropping those that match nothing
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {object} homeState - { zones, devices }
+ * @returns {Array} Resolved aliases (see resolveAlias)
+ */
+function resolveAliases(settings, homeState) {
+  return getAliases(settings).map(entry => resolveAlias(entry, homeState)).filter(Boolean);
+}
+
+/**
+ * Build the alias -> room name map used by comprehensiveRoomMatch
+ * @param {Array} resolvedAliases - Resolved aliases
+ * @returns {object} Normalized alias -> zone name
+ */
+function getRoomAliasMap(resolvedAliases) {
+  const map = {};
+  resolvedAliases.filter(resolved => resolved.type === 'zone').forEach(resolved => {
+    map[normalizeAlias(resolved.alias)] = resolved.zoneName;
+  });
+  return map;
+}
+
+/**
+ * Find the aliases mentioned as whole words in a command
+ * @param {Array} resolvedAliases - Resolved aliases
+ * @param {string} text - Command text
+ * @returns {Array} Mentioned aliases, longest first
+ */
+function findMentionedAliases(resolvedAliases, text) {
+  const normalizedText = ` ${normalizeAlias(text).replace(/[^\p{L}\p{N}' ]+/gu, ' ').replace(/\s+/g, ' ')} `;
+  return resolvedAliases
+    .filter(resolved => normalizedText.includes(` ${normalizeAlias(resolved.alias)} `))
+    .sort((a, b) => b.alias.length - a.alias.length);
+}
+
+/**
+ * Describe resolved aliases as the JSON target to use, for the ChatGPT prompts
+ * @param {Array} resolvedAliases - Resolved aliases
+ * @returns {Array} Lines like '"the big lamp" = {"device_id": "abc"} (Floor lamp)'
+ */
+function formatAliasesForPrompt(resolvedAliases) {
+  return resolvedAliases.map(resolved => {
+    if (resolved.type === 'zone') {
+      return `"${resolved.alias}" = {"room": "${resolved.zoneName}"}`;
+    }
+    const names = resolved.devices.map(device => device.name).join(', ');
+    const target = resolved.devices.length === 1
+      ? `{"device_id": "${resolved.devices[0].id}"}`
+      : `{"device_ids": ${JSON.stringify(resolved.devices.map(device => device.id))}}`;
+    return `"${resolved.alias}" = ${target} (${names})`;
+  });
+}
+
+/**
+ * Describe a resolved alias for chat replies
+ * @param {object} resolved - Resolved alias
+ * @returns {string} e.g. 'room Kontor 2' or 'devices TV, Soundbar'
+ */
+function describeAliasTarget(resolved) {
+  if (resolved.type === 'zone') {
+    return `room ${resolved.zoneName}`;
+  }
+  const names = resolved.devices.map(device => device.name).join(', ');
+  return resolved.devices.length === 1 ? `device ${names}` : `devices ${names}`;
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  normalizeAlias,
+  parseAliases,
+  serializeAliases,
+  getAliases,
+  setAlias,
+  removeAlias,
+  resolveAlias,
+  resolveAliases,
+  getRoomAliasMap,
+  findMentionedAliases,
+  formatAliasesForPrompt,
+  describeAliasTarget
+};
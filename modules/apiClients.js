@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * API Clients
+ * Per-client tokens for the local Web API (wall tablets, shell scripts). A token is shown
+ * once when the client is created; only its SHA-256 hash is kept in Homey settings.
+ */
+
+const crypto = require('crypto');
+const { ErrorHandler } = require('./errorHandler');
+
+const SETTINGS_KEY = 'apiClients';
+const MAX_NAME_LENGTH = 50;
+// lastUsedAt is only rewritten this often, so a polling tablet doesn't write settings on every call
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+/**
+ * Hash a token for storage and lookups
+ * @param {string} token - API token
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Compare a stored token hash with the hash of a request's token in constant time
+ * @param {*} storedHash - Hash from settings; anything malformed never matches
+ * @param {Buffer} tokenHash - Hash of the request's token
+ * @returns {boolean} True if the hashes are equal
+ */
+function matchesTokenHash(storedHash, tokenHash) {
+  if (typeof storedHash !== 'string') {
+    return false;
+  }
+  // timingSafeEqual throws on buffers of different lengths
+  const stored = Buffer.from(storedHash);
+  return stored.length === tokenHash.length && crypto.timingSafeEqual(stored, tokenHash);
+}
+
+/**
+ * Strip the token hash from a stored client
+ * @param {object} client - Stored client
+ * @returns {object} { id, name, createdAt, lastUsedAt }
+ */
+function toPublicClient(client) {
+  return {
+    id: client.id, name: client.name, createdAt: client.createdAt, lastUsedAt: client.lastUsedAt || null
+  };
+}
+
+/**
+ * List the API clients, without their token hashes
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @returns {Array} Array of { id, name, createdAt, lastUsedAt }
+ */
+function listApiClients(settings) {
+  return ((settings && settings.get(SETTINGS_KEY)) || []).map(toPublicClient);
+}
+
+/**
+ * Create a client and its token
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} name - Client name, e.g. "Hallway tablet"
+ * @returns {object} { id, name, createdAt, token } - the only time the token is returned
+ */
+function createApiClient(settings, name) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+  const clientName = String(name || '').trim().replace(/\s+/g, ' ');
+  ErrorHandler.validateInput(clientName.length > 0, 'A client name is required');
+  ErrorHandler.validateInput(clientName.length <= MAX_NAME_LENGTH,
+    `Client names can be at most ${MAX_NAME_LENGTH} characters`);
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const client = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: clientName,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString()
+  };
+  settings.set(SETTINGS_KEY, [...(settings.get(SETTINGS_KEY) || []), client]);
+  return { ...toPublicClient(client), token };
+}
+
+/**
+ * Revoke a client's token
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} id - Client ID
+ * @returns {object|null} The removed client, or null if it doesn't exist
+ */
+function revokeApiClient(settings, id) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+  const clients = settings.get(SETTINGS_KEY) || [];
+  const removed = clients.find(client => client.id === id);
+  if (!removed) {
+    return null;
+  }
+
+  settings.set(SETTINGS_KEY, clients.filter(client => client !== removed));
+  return toPublicClient(removed);
+}
+
+/**
+ * Find the client a token belongs to and note when it was last used
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} token - Token from the request
+ * @returns {object|null} { id, name, createdAt, lastUsedAt }, or null if the token is unknown
+ */
+function authenticateApiClient(settings, token) {
+  if (!settings || !token || typeof token !== 'string') {
+    return null;
+  }
+
+  const tokenHash = Buffer.from(hashToken(token));
+  const clients = settings.get(SETTINGS_KEY) || [];
+  const client = clients.find(candidate => matchesTokenHash(candidate.tokenHash, tokenHash));
+  if (!client) {
+    return null;
+  }
+
+  if (!client.lastUsedAt || Date.now() - Date.parse(client.lastUsedAt) > LAST_USED_RESOLUTION) {
+    client.lastUsedAt = new Date().toISOString();
+    settings.set(SETTINGS_KEY, clients);
+  }
+  return toPublicClient(client);
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  listApiClients,
+  createApiClient,
+  revokeApiClient,
+  authenticateApiClient
+};
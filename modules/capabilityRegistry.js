@@ -0,0 +1,375 @@
+'use strict';
+
+/**
+ * Command Capability Registry
+ * Maps the command verbs the LLM emits to Homey capabilities and the values
+ * written to them, so every command handler resolves commands the same way
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+const { getDeviceCapabilityValue } = require('./deviceStatusRetriever');
+
+// Hue values (0-1) for color names the LLM is told to emit in English
+const COLOR_HUES = {
+  'red': 0,
+  'orange': 0.08,
+  'yellow': 0.16,
+  'green': 0.33,
+  'cyan': 0.5,
+  'blue': 0.66,
+  'purple': 0.77,
+  'magenta': 0.83,
+  'pink': 0.92
+};
+
+const THERMOSTAT_MODES = ['auto', 'heat', 'cool', 'off'];
+
+// Relative adjustment settings. Percent capabilities take deltas in percent
+// points (10 = +10%), absolute ones in the capability's own unit (degrees).
+// min/max are used when the device doesn't report its own range.
+const PERCENT_ADJUSTMENT = { scale: 'percent', step: 10, min: 0, max: 1 };
+const TEMPERATURE_ADJUSTMENT = { scale: 'absolute', step: 1, min: 4, max: 35 };
+
+/**
+ * Normalize a percentage to Homey's 0-1 range (e.g. 40 -> 0.4).
+ * Command parameters are always 0-100, so 1 means 1%, not 100%.
+ * @param {*} value - Raw parameter value
+ * @param {number} fallback - Value used when the parameter is missing
+ * @returns {number} Value between 0 and 1
+ */
+function toUnitInterval(value, fallback) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    return fallback;
+  }
+  return Math.min(Math.max(number / 100, 0), 1);
+}
+
+/**
+ * Resolve the hue for a set_color command from a color name or a hue value.
+ * @param {Object} parameters - Command parameters
+ * @returns {number} Hue between 0 and 1
+ */
+function resolveHue(parameters) {
+  if (parameters.hue !== undefined) {
+    const hue = parseFloat(parameters.hue);
+    ErrorHandler.validateInput(!Number.isNaN(hue), 'Hue must be a number');
+    // Accept degrees (0-360) as well as Homey's 0-1 range
+    return hue > 1 ? (hue % 360) / 360 : Math.max(hue, 0);
+  }
+
+  const color = typeof parameters.color === 'string' ? parameters.color.toLowerCase().trim() : null;
+  ErrorHandler.validateInput(color && COLOR_HUES[color] !== undefined,
+    `Unknown color "${parameters.color}". Supported colors: ${Object.keys(COLOR_HUES).join(', ')}`);
+  return COLOR_HUES[color];
+}
+
+/**
+ * Registry of supported commands. Each command lists alternatives in order of
+ * preference; the first alternative whose capability the device supports is used.
+ * `companions` are extra capabilities written alongside the primary one when the
+ * device supports them.
+ */
+const COMMAND_CAPABILITIES = {
+  'turn_on': [{ capability: 'onoff', value: () => true }],
+  'turn_off': [{ capability: 'onoff', value: () => false }],
+  'dim': [{ capability: 'dim', value: p => toUnitInterval(p.dim_level, 0.5), relative: PERCENT_ADJUSTMENT }],
+  'set_temperature': [{
+    capability: 'target_temperature',
+    value: p => (p.temperature !== undefined ? Number(p.temperature) : 20),
+    relative: TEMPERATURE_ADJUSTMENT
+  }],
+  'set_volume': [{ capability: 'volume_set', value: p => toUnitInterval(p.volume, 0.5), relative: PERCENT_ADJUSTMENT }],
+  'lock': [{ capability: 'locked', value: () => true }],
+  'unlock': [{ capability: 'locked', value: () => false }],
+  'open': [
+    { capability: 'windowcoverings_set', value: () => 1 },
+    { capability: 'windowcoverings_state', value: () => 'up' },
+    { capability: 'garagedoor_closed', value: () => false }
+  ],
+  'close': [
+    { capability: 'windowcoverings_set', value: () => 0 },
+    { capability: 'windowcoverings_state', value: () => 'down' },
+    { capability: 'garagedoor_closed', value: () => true }
+  ],
+  'set_position': [{
+    capability: 'windowcoverings_set',
+    value: p => toUnitInterval(p.position, 0.5),
+    relative: PERCENT_ADJUSTMENT
+  }],
+  'stop': [{ capability: 'windowcoverings_state', value: () => 'idle' }],
+  'play_music': [{ capability: 'speaker_playing', value: () => true }],
+  'stop_music': [{ capability: 'speaker_playing', value: () => false }],
+  'next_track': [{ capability: 'speaker_next', value: () => true }],
+  'previous_track': [{ capability: 'speaker_prev', value: () => true }],
+  'set_color': [{
+    capability: 'light_hue',
+    value: p => resolveHue(p),
+    companions: [
+      { capability: 'light_saturation', value: p => toUnitInterval(p.saturation, 1) },
+      { capability: 'light_mode', value: () => 'color' }
+    ]
+  }],
+  'set_color_temperature': [{
+    capability: 'light_temperature',
+    value: p => toUnitInterval(p.color_temperature, 0.5),
+    relative: PERCENT_ADJUSTMENT,
+    companions: [{ capability: 'light_mode', value: () => 'temperature' }]
+  }],
+  'set_thermostat_mode': [{
+    capability: 'thermostat_mode',
+    value: p => {
+      const mode = typeof p.mode === 'string' ? p.mode.toLowerCase() : null;
+      ErrorHandler.validateInput(THERMOSTAT_MODES.includes(mode),
+        `Thermostat mode must be one of: ${THERMOSTAT_MODES.join(', ')}`);
+      return mode;
+    }
+  }],
+  'set_fan_speed': [{
+    capability: 'fan_speed',
+    value: p => toUnitInterval(p.speed, 0.5),
+    relative: PERCENT_ADJUSTMENT
+  }],
+  'press': [{ capability: 'button', value: () => true }]
+};
+
+// Alternative verbs the LLM (or older prompts) may emit for the same command
+const COMMAND_ALIASES = {
+  'play': 'play_music',
+  'pause': 'stop_music',
+  'pause_music': 'stop_music',
+  'next': 'next_track',
+  'speaker_next': 'next_track',
+  'previous': 'previous_track',
+  'speaker_prev': 'previous_track',
+  'set_brightness': 'dim',
+  'set_color_temp': 'set_color_temperature',
+  'set_mode': 'set_thermostat_mode',
+  'set_speed': 'set_fan_speed',
+  'open_cover': 'open',
+  'close_cover': 'close',
+  'push': 'press'
+};
+
+/**
+ * Returns an array of capability keys for a device.
+ * Supports both the 'capabilities' array and the 'capabilitiesObj' object.
+ * @param {Object} device - Homey device object
+ * @returns {Array} Array of capability keys
+ */
+function getCapabilityKeys(device) {
+  if (device.capabilities && Array.isArray(device.capabilities)) {
+    return device.capabilities;
+  } if (device.capabilitiesObj && typeof device.capabilitiesObj === 'object') {
+    return Object.keys(device.capabilitiesObj);
+  }
+  return [];
+}
+
+/**
+ * Resolve command aliases to the canonical command name
+ * @param {string} command - Command name from the parsed JSON
+ * @returns {string} Canonical command name
+ */
+function resolveCommandName(command) {
+  if (!command || typeof command !== 'string') return command;
+  const normalized = command.toLowerCase().trim();
+  return COMMAND_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Find the registry alternative a device supports for a command
+ * @param {Object} device - Homey device object
+ * @param {string} command - Command name
+ * @returns {Object|null} Matching registry alternative
+ */
+function findAlternative(device, command) {
+  const alternatives = COMMAND_CAPABILITIES[resolveCommandName(command)];
+  if (!alternatives) return null;
+
+  const capabilities = getCapabilityKeys(device);
+  return alternatives.find(alternative => capabilities.includes(alternative.capability)) || null;
+}
+
+/**
+ * Get the primary capability a device uses for a command
+ * @param {Object} device - Homey device object
+ * @param {string} command - Command name
+ * @returns {string|null} Capability id, or null if the device doesn't support the command
+ */
+function getCapabilityForCommand(device, command) {
+  const alternative = findAlternative(device, command);
+  return alternative ? alternative.capability : null;
+}
+
+/**
+ * Get the value written for a command. When no capability is given the
+ * command's first alternative is used.
+ * @param {string} command - Command name
+ * @param {Object} parameters - Command parameters
+ * @param {string} capability - Optional capability the value is for
+ * @returns {*} Value to write, or null for unknown commands
+ */
+function getValueForCommand(command, parameters = {}, capability = null) {
+  const alternatives = COMMAND_CAPABILITIES[resolveCommandName(command)];
+  if (!alternatives) return null;
+
+  const alternative = (capability && alternatives.find(alt => alt.capability === capability)) || alternatives[0];
+  return alternative.value(parameters || {});
+}
+
+/**
+ * Get every capability write a command results in for a device, including
+ * companion capabilities (e.g. light_saturation for set_color).
+ * @param {Object} device - Homey device object
+ * @param {string} command - Command name
+ * @param {Object} parameters - Command parameters
+ * @returns {Array|null} Array of { capability, value }, or null if unsupported
+ */
+function getCommandWrites(device, command, parameters = {}) {
+  const alternative = findAlternative(device, command);
+  if (!alternative) return null;
+
+  const params = parameters || {};
+  const capabilities = getCapabilityKeys(device);
+  const writes = [{ capability: alternative.capability, value: alternative.value(params) }];
+
+  (alternative.companions || []).forEach(companion => {
+    if (capabilities.includes(companion.capability)) {
+      writes.push({ capability: companion.capability, value: companion.value(params) });
+    }
+  });
+
+  return writes;
+}
+
+/**
+ * Check whether command parameters describe a relative adjustment
+ * (e.g. {"relative": true, "delta": -10} or {"direction": "up"})
+ * @param {Object} parameters - Command parameters
+ * @returns {boolean} True for relative adjustments
+ */
+function isRelativeAdjustment(parameters) {
+  if (!parameters || typeof parameters !== 'object') return false;
+  return parameters.relative === true || parameters.delta !== undefined || parameters.direction !== undefined;
+}
+
+/**
+ * Get the signed delta of a relative adjustment in the capability's scale.
+ * A missing delta falls back to the default step in the given direction.
+ * @param {Object} parameters - Command parameters
+ * @param {Object} adjustment - Relative adjustment settings from the registry
+ * @returns {number} Signed delta
+ */
+function getRelativeDelta(parameters, adjustment) {
+  const direction = typeof parameters.direction === 'string' ? parameters.direction.toLowerCase() : null;
+  let delta = parameters.delta !== undefined ? parseFloat(parameters.delta) : adjustment.step;
+  ErrorHandler.validateInput(!Number.isNaN(delta), 'Relative delta must be a number');
+
+  if (direction === 'down') {
+    delta = -Math.abs(delta);
+  } else if (direction === 'up') {
+    delta = Math.abs(delta);
+  }
+
+  // Percent deltas are given in percent points
+  if (adjustment.scale === 'percent') {
+    delta /= 100;
+  }
+  return delta;
+}
+
+/**
+ * Get the allowed range of a capability, preferring the range the device reports
+ * @param {Object} device - Homey device object
+ * @param {string} capability - Capability id
+ * @param {Object} adjustment - Relative adjustment settings from the registry
+ * @returns {Object} { min, max }
+ */
+function getCapabilityRange(device, capability, adjustment) {
+  const capabilityObj = device.capabilitiesObj && device.capabilitiesObj[capability];
+  return {
+    min: capabilityObj && typeof capabilityObj.min === 'number' ? capabilityObj.min : adjustment.min,
+    max: capabilityObj && typeof capabilityObj.max === 'number' ? capabilityObj.max : adjustment.max
+  };
+}
+
+/**
+ * Apply a relative adjustment to a current value and clamp it to the capability range
+ * @param {Object} device - Homey device object
+ * @param {string} capability - Capability id
+ * @param {number} currentValue - Current capability value
+ * @param {Object} parameters - Command parameters
+ * @param {Object} adjustment - Relative adjustment settings from the registry
+ * @returns {number} New clamped value
+ */
+function computeRelativeValue(device, capability, currentValue, parameters, adjustment) {
+  const { min, max } = getCapabilityRange(device, capability, adjustment);
+  const next = currentValue + getRelativeDelta(parameters, adjustment);
+  // Round away floating point noise (0.1 + 0.2) before clamping
+  return Math.min(Math.max(Math.round(next * 1000) / 1000, min), max);
+}
+
+/**
+ * Resolve the capability writes for a command, reading the device's current
+ * value first when the command is a relative adjustment.
+ * @param {Object} device - Homey device object
+ * @param {string} command - Command name
+ * @param {Object} parameters - Command parameters
+ * @returns {Promise<Array|null>} Array of { capability, value }, or null if unsupported
+ */
+async function resolveCommandWrites(device, command, parameters = {}) {
+  if (!isRelativeAdjustment(parameters)) {
+    return getCommandWrites(device, command, parameters);
+  }
+
+  const alternative = findAlternative(device, command);
+  if (!alternative) return null;
+
+  if (!alternative.relative) {
+    throw ErrorHandler.validation(`"${resolveCommandName(command)}" doesn't support relative adjustments`);
+  }
+
+  const currentValue = await getDeviceCapabilityValue(device, alternative.capability);
+  if (typeof currentValue !== 'number') {
+    throw ErrorHandler.device(`Current ${alternative.capability} value of "${device.name}" is unknown`);
+  }
+
+  const value = computeRelativeValue(device, alternative.capability, currentValue, parameters, alternative.relative);
+  return [{ capability: alternative.capability, value }];
+}
+
+/**
+ * Check whether a command name is known to the registry
+ * @param {string} command - Command name
+ * @returns {boolean} True if the command is supported
+ */
+function isSupportedCommand(command) {
+  return Object.prototype.hasOwnProperty.call(COMMAND_CAPABILITIES, resolveCommandName(command));
+}
+
+/**
+ * List all canonical command names
+ * @returns {Array} Supported command names
+ */
+function getSupportedCommands() {
+  return Object.keys(COMMAND_CAPABILITIES);
+}
+
+module.exports = {
+  COMMAND_CAPABILITIES,
+  COMMAND_ALIASES,
+  COLOR_HUES,
+  THERMOSTAT_MODES,
+  getCapabilityKeys,
+  resolveCommandName,
+  getCapabilityForCommand,
+  getValueForCommand,
+  getCommandWrites,
+  resolveCommandWrites,
+  isRelativeAdjustment,
+  computeRelativeValue,
+  isSupportedCommand,
+  getSupportedCommands,
+  toUnitInterval
+};
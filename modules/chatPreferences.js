@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Chat Preferences
+ * Per-chat preferences (e.g. "preview first") persisted in Homey settings
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+
+const SETTINGS_KEY = 'chatPreferences';
+
+const DEFAULT_PREFERENCES = {
+  previewFirst: false,
+  // Replies to voice messages: 'on' (voice and text), 'only' (voice instead of text) or 'off'
+  voiceReplies: 'on'
+};
+
+/**
+ * Get all preferences for a chat, merged with the defaults
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string|number} chatId - Chat ID
+ * @returns {object} Chat preferences
+ */
+function getChatPreferences(settings, chatId) {
+  const allPreferences = (settings && settings.get(SETTINGS_KEY)) || {};
+  return { ...DEFAULT_PREFERENCES, ...(allPreferences[String(chatId)] || {}) };
+}
+
+/**
+ * Get a single preference for a chat
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string|number} chatId - Chat ID
+ * @param {string} key - Preference name
+ * @returns {*} Preference value
+ */
+function getChatPreference(settings, chatId, key) {
+  return getChatPreferences(settings, chatId)[key];
+}
+
+/**
+ * Store a preference for a chat
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string|number} chatId - Chat ID
+ * @param {string} key - Preference name
+ * @param {*} value - Preference value
+ * @returns {object} Updated chat preferences
+ */
+function setChatPreference(settings, chatId, key, value) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+
+  const allPreferences = { ...(settings.get(SETTINGS_KEY) || {}) };
+  const id = String(chatId);
+  allPreferences[id] = { ...(allPreferences[id] || {}), [key]: value };
+  settings.set(SETTINGS_KEY, allPreferences);
+
+  return getChatPreferences(settings, chatId);
+}
+
+module.exports = {
+  getChatPreferences,
+  getChatPreference,
+  setChatPreference,
+  DEFAULT_PREFERENCES
+};
@@ -3,6 +3,21 @@
 const https = require('https');
 const { getKeyManager } = require('./secureKeyManager');
 const { ErrorHandler, ErrorTypes } = require('./errorHandler');
+const { SCENE_COMMANDS } = require('./sceneStore');
+const { FLOW_COMMANDS } = require('./homeyFlows');
+const { validateCondition } = require('./conditionEvaluator');
+const { isWaitStep, isParallelStep, validateSequenceStep } = require('./commandSequence');
+
+// Commands that act on stored state rather than on a room or device selection
+const TARGETLESS_COMMANDS = [SCENE_COMMANDS.activate, FLOW_COMMANDS.run, FLOW_COMMANDS.mood];
+
+// Commands that name what they act on, and the parameter holding the name
+const NAMED_COMMAND_PARAMETERS = {
+  [SCENE_COMMANDS.save]: 'scene',
+  [SCENE_COMMANDS.activate]: 'scene',
+  [FLOW_COMMANDS.run]: 'flow',
+  [FLOW_COMMANDS.mood]: 'mood'
+};
 
 let logger = console;
 let isInitialized = false;
@@ -99,6 +114,78 @@ function validateChatGPTResponse(response) {
   return { isValid: errors.length === 0, errors };
 }
 
+/**
+ * Validates the optional parameters object of a command, including the relative
+ * adjustment form ({"relative": true, "delta": -10} or {"relative": true, "direction": "down"})
+ * @param {*} parameters - Command parameters
+ * @param {string} prefix - Error message prefix
+ * @returns {Array} Validation errors
+ */
+function validateCommandParameters(parameters, prefix = 'Command') {
+  const errors = [];
+  if (parameters === undefined || parameters === null) {
+    return errors;
+  }
+
+  if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+    errors.push(`${prefix} parameters must be an object`);
+    return errors;
+  }
+
+  if (parameters.relative !== undefined && typeof parameters.relative !== 'boolean') {
+    errors.push(`${prefix} parameters.relative must be a boolean`);
+  }
+  if (parameters.delta !== undefined && (typeof parameters.delta !== 'number' || !Number.isFinite(parameters.delta))) {
+    errors.push(`${prefix} parameters.delta must be a number`);
+  }
+  if (parameters.direction !== undefined && !['up', 'down'].includes(parameters.direction)) {
+    errors.push(`${prefix} parameters.direction must be "up" or "down"`);
+  }
+  if ((parameters.delta !== undefined || parameters.direction !== undefined) && parameters.relative !== true) {
+    errors.push(`${prefix} parameters.relative must be true with delta or direction`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the name parameter of scene, Flow and mood commands
+ * @param {Object} command - Single command object
+ * @param {string} prefix - Error message prefix
+ * @returns {Array} Validation errors
+ */
+function validateNameParameters(command, prefix = 'Command') {
+  const parameter = NAMED_COMMAND_PARAMETERS[command.command];
+  if (!parameter) {
+    return [];
+  }
+  const name = command.parameters && command.parameters[parameter];
+  if (!name || typeof name !== 'string') {
+    return [`${prefix} parameters.${parameter} must be a non-empty string`];
+  }
+  return [];
+}
+
+/**
+ * Validates one command of a multi-command or parallel group
+ * @param {Object} cmd - Command object
+ * @param {string} prefix - Error message prefix
+ * @returns {Array} Validation errors
+ */
+function validateSubcommand(cmd, prefix) {
+  if (!cmd.command || typeof cmd.command !== 'string') {
+    return [`${prefix} must have command string`];
+  }
+  const errors = [
+    ...validateCommandParameters(cmd.parameters, prefix),
+    ...validateNameParameters(cmd, prefix)
+  ];
+  if (cmd.condition !== undefined) {
+    errors.push(...validateCondition(cmd.condition, `${prefix} condition`));
+  }
+  return errors;
+}
+
 /**
  * Validate command structure from ChatGPT
  * @param {Object} command - The parsed command object
@@ -130,11 +217,25 @@ function validateCommandStructure(command) {
       command.commands.forEach((cmd, index) => {
         if (!cmd || typeof cmd !== 'object') {
           errors.push(`Command ${index} must be an object`);
-        } else if (!cmd.command || typeof cmd.command !== 'string') {
-          errors.push(`Command ${index} must have command string`);
+        } else if (isWaitStep(cmd) || isParallelStep(cmd)) {
+          errors.push(...validateSequenceStep(cmd, `Command ${index}`, validateSubcommand));
+        } else {
+          errors.push(...validateSubcommand(cmd, `Command ${index}`));
         }
       });
     }
+    if (command.condition !== undefined) {
+      errors.push(...validateCondition(command.condition));
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  // A top-level parallel group runs its commands at the same time
+  if (isParallelStep(command)) {
+    errors.push(...validateSequenceStep(command, 'Command', validateSubcommand));
+    if (command.condition !== undefined) {
+      errors.push(...validateCondition(command.condition));
+    }
     return { isValid: errors.length === 0, errors };
   }
 
@@ -143,13 +244,23 @@ function validateCommandStructure(command) {
     errors.push('Command must have command string');
   }
 
-  // Validate command has at least one target (room, device_id, or device_ids)
+  // Validate command has at least one target (room, device name, device_id, or device_ids)
   const hasRoom = command.room && typeof command.room === 'string';
+  const hasDevice = command.device && typeof command.device === 'string';
   const hasDeviceId = command.device_id && typeof command.device_id === 'string';
   const hasDeviceIds = command.device_ids && Array.isArray(command.device_ids);
 
-  if (!hasRoom && !hasDeviceId && !hasDeviceIds) {
-    errors.push('Command must specify room, device_id, or device_ids');
+  if (!hasRoom && !hasDevice && !hasDeviceId && !hasDeviceIds && !TARGETLESS_COMMANDS.includes(command.command)) {
+    errors.push('Command must specify room, device, device_id, or device_ids');
+  }
+  if (command.device !== undefined && !hasDevice) {
+    errors.push('device must be a non-empty string');
+  }
+
+  errors.push(...validateCommandParameters(command.parameters));
+  errors.push(...validateNameParameters(command));
+  if (command.condition !== undefined) {
+    errors.push(...validateCondition(command.condition));
   }
 
   // Validate device_ids array if present
@@ -212,25 +323,45 @@ function parseCommand(prompt) {
 CRITICAL RULES:
 1. ALWAYS output valid JSON only - no explanations or markdown
 2. For SINGLE commands, use one of these formats:
-   - Room command: {"room": "<roomName>", "command": "<action>"}
+   - Room command: {"room": "<roomName>", "command": "<action>"} - a floor or area ("upstairs", "outside") covers the rooms in it; "all bedrooms" or "everywhere" can be used as the room
    - Device IDs: {"device_ids": ["id1", "id2"], "command": "<action>"}
    - Single device: {"device_id": "<deviceId>", "command": "<action>"}
+   - Device by name: {"device": "<device name as said>", "room": "<room, only if said>", "command": "<action>"}
    - Error: {"error": "<description>"}
 
 3. For MULTIPLE commands (connected by "and", "then", etc.), use:
    - Multi-command: {"commands": [{"room": "<room1>", "command": "<action1>"}, {"room": "<room2>", "command": "<action2>"}]}
-
-4. If a room is mentioned, ALWAYS use room format (never device_ids)
-5. Commands must be: "turn_on", "turn_off", "dim", "set_temperature", "play_music", "stop_music", etc.
-6. For ambiguous requests, prefer "turn_on" for lights
-7. If unsure about device capabilities, use the most common action for that device type
+   - Commands run in order. A pause ("wait 5 minutes") is a step {"command": "wait", "parameters": {"seconds": <1-3600>}}; things done "at the same time" go in one step {"parallel": [<command>, <command>]} (or {"parallel": [...]} alone)
+
+4. If a room is mentioned, ALWAYS use room format (never device_ids). When a specific device is named ("the Hue Go", "the reading lamp"), add "device" with its name instead of guessing a device_id
+5. Commands must be one of: "turn_on", "turn_off", "dim", "set_temperature", "set_volume", "play_music", "stop_music", "next_track", "previous_track", "open", "close", "set_position", "stop", "lock", "unlock", "set_color", "set_color_temperature", "set_thermostat_mode", "set_fan_speed", "press", "save_scene", "activate_scene", "run_flow", "activate_mood"
+   Values go in "parameters": dim_level, volume, position, speed and color_temperature as 0-100, temperature in °C, color as an English color name, mode as "auto", "heat", "cool" or "off"
+   Relative changes ("brighter", "2 degrees warmer", "volume down 10%") use {"relative": true, "delta": <signed number>} in "parameters": percent points for dim/volume/position/speed, °C for set_temperature. Without a stated amount use {"relative": true, "direction": "up"|"down"}
+   Scenes: "save_scene" stores the current state of a room or devices under {"scene": "<name>"}; "activate_scene" restores it and needs no room or device
+   Homey Flows and moods: "run_flow" with {"flow": "<name>"}; "activate_mood" with {"mood": "<name>"} and "room" only if mentioned
+6. Conditions ("if ...", "only when ...") go in "condition": {"capability": "<capability>", "operator": "<"|"<="|">"|">="|"=="|"!=", "value": <value>, "room": "<room>", "device_type": "<class>", "quantifier": "any"|"all"}. Without room/device the command's own targets are checked. Combine with {"all": [...]} or {"any": [...]}
+7. For ambiguous requests, prefer "turn_on" for lights
+8. If unsure about device capabilities, use the most common action for that device type
 
 Examples:
 - "Turn on living room lights" → {"room": "living room", "command": "turn_on"}
 - "Turn off bedroom lamp" → {"room": "bedroom", "command": "turn_off"}
+- "Turn off all lights upstairs" → {"room": "upstairs", "command": "turn_off", "device_filter": "light"}
 - "Turn on lights and play music in living room" → {"commands": [{"room": "living room", "command": "turn_on", "device_filter": "light"}, {"room": "living room", "command": "play_music", "device_filter": "speaker"}]}
 - "Dim kitchen lights and set temperature to 22" → {"commands": [{"room": "kitchen", "command": "dim", "device_filter": "light"}, {"room": "kitchen", "command": "set_temperature", "parameters": {"temperature": 22}}]}
-- "Turn on bedroom lights then lock the front door" → {"commands": [{"room": "bedroom", "command": "turn_on", "device_filter": "light"}, {"device_id": "front_door_lock", "command": "lock"}]}`
+- "Set the living room lamp to red" → {"room": "living room", "command": "set_color", "parameters": {"color": "red"}, "device_filter": "light"}
+- "Lower the bedroom temperature 2 degrees" → {"room": "bedroom", "command": "set_temperature", "parameters": {"relative": true, "delta": -2}}
+- "A bit brighter in the kitchen" → {"room": "kitchen", "command": "dim", "parameters": {"relative": true, "direction": "up"}, "device_filter": "light"}
+- "Pause the music in the kitchen" → {"room": "kitchen", "command": "stop_music", "device_filter": "speaker"}
+- "Dim the reading lamp in the bedroom" → {"device": "reading lamp", "room": "bedroom", "command": "dim"}
+- "Turn on bedroom lights then lock the front door" → {"commands": [{"room": "bedroom", "command": "turn_on", "device_filter": "light"}, {"device": "front door lock", "command": "lock"}]}
+- "Save the living room as movie night" → {"room": "living room", "command": "save_scene", "parameters": {"scene": "movie night"}}
+- "If the bedroom is below 19 degrees, turn on the heater" → {"room": "bedroom", "command": "turn_on", "device_filter": "heater", "condition": {"capability": "measure_temperature", "operator": "<", "value": 19, "room": "bedroom"}}
+- "Turn off the lights in rooms with no motion" → {"commands": [{"room": "kitchen", "command": "turn_off", "device_filter": "light", "condition": {"capability": "alarm_motion", "operator": "==", "value": false, "quantifier": "all"}}, {"room": "hallway", "command": "turn_off", "device_filter": "light", "condition": {"capability": "alarm_motion", "operator": "==", "value": false, "quantifier": "all"}}]}
+- "Turn on the porch light, wait 5 minutes, then turn it off" → {"commands": [{"room": "porch", "command": "turn_on", "device_filter": "light"}, {"command": "wait", "parameters": {"seconds": 300}}, {"room": "porch", "command": "turn_off", "device_filter": "light"}]}
+- "Close the living room blinds and at the same time dim the lights" → {"parallel": [{"room": "living room", "command": "close", "device_filter": "windowcoverings"}, {"room": "living room", "command": "dim", "device_filter": "light"}]}
+- "Run the good night flow" → {"command": "run_flow", "parameters": {"flow": "good night"}}
+- "Activate movie night and lock the front door" → {"commands": [{"command": "activate_scene", "parameters": {"scene": "movie night"}}, {"device": "front door lock", "command": "lock"}]}`
     }, {
       role: 'user',
       content: prompt
@@ -1,5 +1,18 @@
 'use strict';
 
+/**
+ * Build the note listing user-defined aliases mentioned in the command
+ * @param {Array} aliases - Lines from aliasStore.formatAliasesForPrompt
+ * @returns {string} Prompt section, empty without aliases
+ */
+function buildAliasNote(aliases) {
+  if (!aliases || aliases.length === 0) {
+    return '';
+  }
+  const lines = aliases.map(line => `- ${line}`).join('\n');
+  return `\n\nALIASES (user-defined names, always use exactly these targets):\n${lines}`;
+}
+
 /**
  * Construct a ChatGPT prompt with size limits to prevent exceeding API limits
  * @param {string} commandText - The command text to process
@@ -8,7 +21,8 @@
  * @returns {string} The constructed prompt
  */
 function constructPrompt(commandText, homeState, options = {}) {
-  const { maxPromptLength = 9500, maxDevices = 50 } = options; // Leave buffer for safety
+  const { maxPromptLength = 9500, maxDevices = 50, aliases = [] } = options; // Leave buffer for safety
+  const aliasNote = buildAliasNote(aliases);
 
   // Summarize zones (only id and name)
   const zonesSummary = {};
@@ -28,63 +42,13 @@ function constructPrompt(commandText, homeState, options = {}) {
     class: device.class
   }));
 
-  // Enhanced device class mapping for better context and capability understanding
-  const deviceClassMapping = {
-    'light': {
-      'capabilities': ['onoff', 'dim', 'light_hue', 'light_saturation', 'light_temperature', 'light_mode'],
-      'common_commands': ['turn_on', 'turn_off', 'dim'],
-      'description': 'Lighting devices that can be turned on/off and often dimmed'
-    },
-    'socket': {
-      'capabilities': ['onoff', 'measure_power'],
-      'common_commands': ['turn_on', 'turn_off'],
-      'description': 'Smart plugs and power outlets - may control lights, appliances, or other devices'
-    },
-    'speaker': {
-      'capabilities': ['speaker_playing', 'speaker_next', 'speaker_prev', 'volume_set'],
-      'common_commands': ['turn_on', 'turn_off', 'speaker_next', 'speaker_prev'],
-      'description': 'Audio devices and speakers'
-    },
-    'thermostat': {
-      'capabilities': ['target_temperature', 'measure_temperature'],
-      'common_commands': ['set_temperature'],
-      'description': 'Temperature control devices'
-    },
-    'sensor': {
-      'capabilities': ['measure_temperature', 'measure_humidity', 'alarm_motion', 'alarm_contact'],
-      'common_commands': [],
-      'description': 'Sensors for monitoring (read-only)'
-    },
-    'fan': {
-      'capabilities': ['onoff', 'fan_speed'],
-      'common_commands': ['turn_on', 'turn_off'],
-      'description': 'Fans and ventilation devices'
-    },
-    'curtain': {
-      'capabilities': ['windowcoverings_set', 'windowcoverings_state'],
-      'common_commands': ['open', 'close'],
-      'description': 'Window coverings and blinds'
-    },
-    'lock': {
-      'capabilities': ['locked'],
-      'common_commands': ['lock', 'unlock'],
-      'description': 'Door locks and security devices'
-    },
-    'tv': {
-      'capabilities': ['onoff', 'volume_set', 'channel_up', 'channel_down'],
-      'common_commands': ['turn_on', 'turn_off'],
-      'description': 'Television and entertainment devices'
-    }
-  };
-
   const summary = {
     zones: zonesSummary,
-    devices: devicesSummary,
-    deviceClassMapping
+    devices: devicesSummary
   };
 
   // Build the prompt and check size
-  let prompt = buildFullPrompt(commandText, summary, allDevices.length, limitedDevices.length);
+  let prompt = buildFullPrompt(commandText, summary, allDevices.length, limitedDevices.length, aliasNote);
 
   // If prompt is too long, try with fewer devices
   if (prompt.length > maxPromptLength) {
@@ -98,27 +62,76 @@ function constructPrompt(commandText, homeState, options = {}) {
         name: device.name,
         zone: device.zone,
         class: device.class
-      })),
-      deviceClassMapping
+      }))
     };
 
-    prompt = buildFullPrompt(commandText, reducedSummary, allDevices.length, reducedDevices.length);
+    prompt = buildFullPrompt(commandText, reducedSummary, allDevices.length, reducedDevices.length, aliasNote);
   }
 
   // If still too long, use minimal prompt
   if (prompt.length > maxPromptLength) {
     console.log(`Prompt still too long (${prompt.length} chars), using minimal prompt`);
-    prompt = buildMinimalPrompt(commandText, zonesSummary);
+    prompt = buildMinimalPrompt(commandText, zonesSummary, aliasNote);
   }
 
   console.log(`Final prompt length: ${prompt.length} characters`);
   return prompt;
 }
 
+// Enhanced device class mapping for better context and capability understanding.
+// It is the same for every home, so it goes in the prompt as compact JSON.
+const DEVICE_CLASS_MAPPING = {
+  'light': {
+    'capabilities': ['onoff', 'dim', 'light_hue', 'light_saturation', 'light_temperature', 'light_mode'],
+    'common_commands': ['turn_on', 'turn_off', 'dim', 'set_color'],
+    'description': 'Lighting devices that can be turned on/off and often dimmed'
+  },
+  'socket': {
+    'capabilities': ['onoff', 'measure_power'],
+    'common_commands': ['turn_on', 'turn_off'],
+    'description': 'Smart plugs and power outlets - may control lights, appliances, or other devices'
+  },
+  'speaker': {
+    'capabilities': ['speaker_playing', 'speaker_next', 'speaker_prev', 'volume_set'],
+    'common_commands': ['play_music', 'stop_music', 'next_track', 'previous_track'],
+    'description': 'Audio devices and speakers'
+  },
+  'thermostat': {
+    'capabilities': ['target_temperature', 'measure_temperature'],
+    'common_commands': ['set_temperature'],
+    'description': 'Temperature control devices'
+  },
+  'sensor': {
+    'capabilities': ['measure_temperature', 'measure_humidity', 'alarm_motion', 'alarm_contact'],
+    'common_commands': [],
+    'description': 'Sensors for monitoring (read-only)'
+  },
+  'fan': {
+    'capabilities': ['onoff', 'fan_speed'],
+    'common_commands': ['turn_on', 'turn_off'],
+    'description': 'Fans and ventilation devices'
+  },
+  'curtain': {
+    'capabilities': ['windowcoverings_set', 'windowcoverings_state'],
+    'common_commands': ['open', 'close'],
+    'description': 'Window coverings and blinds'
+  },
+  'lock': {
+    'capabilities': ['locked'],
+    'common_commands': ['lock', 'unlock'],
+    'description': 'Door locks and security devices'
+  },
+  'tv': {
+    'capabilities': ['onoff', 'volume_set', 'channel_up', 'channel_down'],
+    'common_commands': ['turn_on', 'turn_off'],
+    'description': 'Television and entertainment devices'
+  }
+};
+
 /**
  * Build the full prompt with all context
  */
-function buildFullPrompt(commandText, summary, totalDevices, includedDevices) {
+function buildFullPrompt(commandText, summary, totalDevices, includedDevices, aliasNote = '') {
   const deviceLimitNote = totalDevices > includedDevices ?
     `\n\nNOTE: Showing ${includedDevices} of ${totalDevices} total devices for brevity.` : '';
 
@@ -131,16 +144,19 @@ function buildFullPrompt(commandText, summary, totalDevices, includedDevices) {
   return `You are a Homey home automation expert with multilingual support. Convert this natural language command into valid JSON.
 
 AVAILABLE DEVICES AND ROOMS:
-${JSON.stringify(summary, null, 2)}${deviceLimitNote}${socketDeviceNote}
+${JSON.stringify(summary, null, 2)}${deviceLimitNote}
+
+DEVICE CLASSES: ${JSON.stringify(DEVICE_CLASS_MAPPING)}${socketDeviceNote}${aliasNote}
 
 COMMAND TO PROCESS: "${commandText}"
 
 RESPONSE RULES:
 1. Output ONLY valid JSON - no explanations
 2. For SINGLE commands, use these formats:
-   - Room: {"room": "<exact_room_name>", "command": "<action>"}
+   - Room: {"room": "<exact_room_name>", "command": "<action>"} (floors like "upstairs" and "all bedrooms" work too)
    - Multiple devices: {"device_ids": ["id1", "id2"], "command": "<action>"}
    - Single device: {"device_id": "<device_id>", "command": "<action>"}
+   - Named device: {"device": "<name as said>", "room": "<room if said>", "command": "<action>"}
    - Error: {"error": "<helpful_message>"}
 
 3. For MULTIPLE commands (with "and", "then", etc.), use:
@@ -166,7 +182,7 @@ RESPONSE RULES:
    - German: "was ist", "wie ist", "zeige", "status", "zustand"
    - Spanish: "qué es", "cuál es", "muestra", "estado", "cómo"
 
-6. ROOM PRIORITY: If ANY room is mentioned, use room format (never device_ids)
+6. ROOM PRIORITY: If ANY room is mentioned, use room format (never device_ids); add "device" if a device is named
 7. MULTILINGUAL SUPPORT: Understand commands in multiple languages but ALWAYS output English room names:
    - Input "vardagsrum", "salon", "wohnzimmer", "sala de estar" → Output "living room"
    - Input "sovrum", "chambre", "schlafzimmer", "dormitorio" → Output "bedroom"
@@ -175,7 +191,13 @@ RESPONSE RULES:
    - Input "kontor", "bureau", "büro", "oficina" → Output "office"
 
 6. ROOM NAME RULE: ALWAYS use English room names in JSON output, regardless of input language
-7. COMMON COMMANDS: turn_on, turn_off, dim, set_temperature, play_music, stop_music, open, close, lock, unlock
+7. COMMON COMMANDS: turn_on, turn_off, dim, set_temperature, play_music, stop_music, next_track, previous_track, open, close, set_position, lock, unlock, set_color, set_color_temperature, set_thermostat_mode, set_fan_speed, press
+   - "parameters": dim_level/volume/position/speed 0-100, temperature °C, color (English name), mode auto|heat|cool|off
+   - Relative ("brighter", "2 degrees warmer"): {"relative": true, "delta": <signed %-points or °C>} or {"relative": true, "direction": "up"|"down"}
+   - Scenes: save_scene (room or devices) / activate_scene (no target) with {"scene": "<name>"}
+   - Flows/moods: run_flow {"flow": "<name>"} / activate_mood {"mood": "<name>"}, room only if said
+   - Steps: {"command": "wait", "parameters": {"seconds": n}}; {"parallel": [...]} for "at the same time"
+   - "If ...": "condition": {"capability", "operator" (< <= > >= == !=), "value", "room"?, "quantifier": any|all}
 8. DEFAULT BEHAVIOR: For lights without clear on/off, default to "turn_on"
 9. DEVICE CONTEXT: Consider device class when choosing commands
 10. DEVICE FILTERS: Use "light", "speaker", "socket", "thermostat", etc. to target specific device types
@@ -183,6 +205,7 @@ RESPONSE RULES:
 EXAMPLES (English):
 - "Turn on living room lights" → {"room": "living room", "command": "turn_on"}
 - "Dim bedroom" → {"room": "bedroom", "command": "dim"}
+- "Make the kitchen lights blue" → {"room": "kitchen", "command": "set_color", "parameters": {"color": "blue"}}
 - "Turn on lights and play music in living room" → {"commands": [{"room": "living room", "command": "turn_on", "device_filter": "light"}, {"room": "living room", "command": "play_music", "device_filter": "speaker"}]}
 
 EXAMPLES (Spanish - note English room names in output):
@@ -221,7 +244,7 @@ OUTPUT JSON:`;
 /**
  * Build a minimal prompt when the full prompt is too long
  */
-function buildMinimalPrompt(commandText, zonesSummary) {
+function buildMinimalPrompt(commandText, zonesSummary, aliasNote = '') {
   // Limit room names to prevent prompt from being too long
   const roomNames = Object.values(zonesSummary).slice(0, 10).join(', ');
   const roomCount = Object.values(zonesSummary).length;
@@ -233,7 +256,7 @@ function buildMinimalPrompt(commandText, zonesSummary) {
 
   return `Convert this command to JSON.
 
-ROOMS: ${roomNames}${roomNote}
+ROOMS: ${roomNames}${roomNote}${aliasNote}
 COMMAND: "${commandText}"
 
 OUTPUT FORMATS:
@@ -243,7 +266,8 @@ OUTPUT FORMATS:
 - Error: {"error": "<message>"}${deviceFilterNote}
 
 DEVICE FILTERS: light, speaker, socket, thermostat
-COMMANDS: turn_on, turn_off, dim, lock, unlock
+COMMANDS: turn_on, turn_off, dim, lock, unlock, open, close, play_music, stop_music
+RELATIVE parameters: {"relative": true, "delta": -10}
 
 EXAMPLES:
 - "Turn on lights" → {"room": "all", "command": "turn_on", "device_filter": "light"}
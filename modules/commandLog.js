@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Command Log
+ * Ring buffer of the most recently executed commands, whatever they came from
+ * (Telegram, Flows, the Web API), for the Web API's log endpoint
+ */
+
+const DEFAULT_CAPACITY = 100;
+
+/**
+ * In-memory log of executed commands, oldest entries dropped first
+ */
+class CommandLog {
+  /**
+   * @param {number} capacity - Maximum number of entries kept
+   */
+  constructor(capacity = DEFAULT_CAPACITY) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Add an executed command
+   * @param {object} entry - { source, command, result, success, deviceCount }
+   * @returns {object} The stored entry with its id and timestamp
+   */
+  add(entry) {
+    const stored = { id: this.nextId++, timestamp: new Date().toISOString(), ...entry };
+    this.entries.push(stored);
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+    return stored;
+  }
+
+  /**
+   * Most recent entries, newest first
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array} Log entries
+   */
+  list(limit = this.capacity) {
+    const count = Math.max(0, Math.min(Number(limit) || 0, this.entries.length));
+    return count === 0 ? [] : this.entries.slice(-count).reverse();
+  }
+
+  /**
+   * Number of entries in the log
+   * @returns {number} Entry count
+   */
+  size() {
+    return this.entries.length;
+  }
+}
+
+module.exports = {
+  CommandLog
+};
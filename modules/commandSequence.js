@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Command Sequence
+ * Steps of a multi-command run in order ("then"). Two step types control timing:
+ *   { "command": "wait", "parameters": { "seconds": 300 } }  pauses before the next step
+ *   { "parallel": [<command>, <command>] }                    runs its commands at the same time
+ * A top-level { "parallel": [...] } is a single group of concurrent commands.
+ */
+
+const WAIT_COMMAND = 'wait';
+
+// Waits hold the command in memory, so anything longer belongs in a timer ("in 2 hours ...")
+const MAX_WAIT_SECONDS = 60 * 60;
+// Flow cards and the Web API answer once the whole command has run, so they only allow short waits
+const MAX_UNATTENDED_WAIT_SECONDS = 30;
+
+/**
+ * Check whether a step is a wait
+ * @param {object} step - Multi-command step
+ * @returns {boolean} True for wait steps
+ */
+function isWaitStep(step) {
+  return Boolean(step) && step.command === WAIT_COMMAND;
+}
+
+/**
+ * Check whether a step is a group of concurrent commands
+ * @param {object} step - Multi-command step
+ * @returns {boolean} True for parallel groups
+ */
+function isParallelStep(step) {
+  return Boolean(step) && Array.isArray(step.parallel);
+}
+
+/**
+ * Total time a command pauses between its steps
+ * @param {object} jsonCommand - Parsed command
+ * @returns {number} Seconds
+ */
+function getTotalWaitSeconds(jsonCommand) {
+  const steps = jsonCommand && Array.isArray(jsonCommand.commands) ? jsonCommand.commands : [jsonCommand];
+  return steps.reduce((total, step) => {
+    const seconds = isWaitStep(step) && step.parameters ? Number(step.parameters.seconds) : 0;
+    return total + (seconds > 0 ? seconds : 0);
+  }, 0);
+}
+
+/**
+ * Validate a wait or parallel step
+ * @param {object} step - Multi-command step
+ * @param {string} prefix - Error message prefix
+ * @param {Function} validateCommand - (command, prefix) => errors, for the commands of a parallel group
+ * @returns {Array} Validation errors
+ */
+function validateSequenceStep(step, prefix, validateCommand) {
+  if (isWaitStep(step)) {
+    const seconds = step.parameters && step.parameters.seconds;
+    if (typeof seconds !== 'number' || !(seconds >= 1) || seconds > MAX_WAIT_SECONDS) {
+      return [`${prefix} parameters.seconds must be a number between 1 and ${MAX_WAIT_SECONDS}`];
+    }
+    return [];
+  }
+
+  if (step.parallel.length === 0) {
+    return [`${prefix} parallel cannot be empty`];
+  }
+  return step.parallel.flatMap((command, index) => {
+    const commandPrefix = `${prefix} parallel[${index}]`;
+    if (!command || typeof command !== 'object' || isParallelStep(command) || isWaitStep(command)) {
+      return [`${commandPrefix} must be a device command`];
+    }
+    return validateCommand(command, commandPrefix);
+  });
+}
+
+/**
+ * Format a step's timing for result messages, e.g. "0.4 s" or "5 min"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Display text
+ */
+function formatElapsed(ms) {
+  if (ms < 60 * 1000) {
+    return `${(Math.max(0, ms) / 1000).toFixed(1)} s`;
+  }
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return seconds > 0 ? `${minutes} min ${seconds} s` : `${minutes} min`;
+}
+
+module.exports = {
+  WAIT_COMMAND,
+  MAX_WAIT_SECONDS,
+  MAX_UNATTENDED_WAIT_SECONDS,
+  isWaitStep,
+  isParallelStep,
+  getTotalWaitSeconds,
+  validateSequenceStep,
+  formatElapsed
+};
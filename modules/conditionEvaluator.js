@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Condition Evaluator
+ * Validates and evaluates the optional "condition" clause of a command
+ * ("if the bedroom is below 19 degrees, turn on the heater") against live capability values.
+ *
+ * A condition is either a comparison:
+ *   { "capability": "measure_temperature", "operator": "<", "value": 19,
+ *     "room": "bedroom", "device_type": "sensor", "quantifier": "any" }
+ * or a combination: { "all": [<condition>, ...] } / { "any": [<condition>, ...] }.
+ * Without room/device_id/device_ids a comparison checks the devices the command targets.
+ */
+
+const { getDeviceCapabilityValue, getCapabilityKeys } = require('./deviceStatusRetriever');
+
+const OPERATORS = {
+  '<': (actual, expected) => actual < expected,
+  '<=': (actual, expected) => actual <= expected,
+  '>': (actual, expected) => actual > expected,
+  '>=': (actual, expected) => actual >= expected,
+  '==': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected
+};
+
+const QUANTIFIERS = ['any', 'all'];
+
+/**
+ * Get the combination key of a condition
+ * @param {object} condition - Condition
+ * @returns {string|null} 'all', 'any', or null for a comparison
+ */
+function getConditionGroup(condition) {
+  return ['all', 'any'].find(group => Array.isArray(condition[group])) || null;
+}
+
+/**
+ * Validate a condition clause
+ * @param {*} condition - Condition from the command JSON
+ * @param {string} prefix - Error message prefix
+ * @returns {Array} Validation errors
+ */
+function validateCondition(condition, prefix = 'condition') {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${prefix} must be an object`];
+  }
+
+  const group = getConditionGroup(condition);
+  if (group) {
+    if (condition[group].length === 0) {
+      return [`${prefix}.${group} cannot be empty`];
+    }
+    return condition[group].flatMap((child, index) => validateCondition(child, `${prefix}.${group}[${index}]`));
+  }
+
+  const errors = [];
+  if (!condition.capability || typeof condition.capability !== 'string') {
+    errors.push(`${prefix}.capability must be a string`);
+  }
+  if (!OPERATORS[condition.operator]) {
+    errors.push(`${prefix}.operator must be one of ${Object.keys(OPERATORS).join(' ')}`);
+  }
+  if (!['number', 'boolean', 'string'].includes(typeof condition.value)) {
+    errors.push(`${prefix}.value must be a number, boolean or string`);
+  }
+  if (condition.quantifier !== undefined && !QUANTIFIERS.includes(condition.quantifier)) {
+    errors.push(`${prefix}.quantifier must be "any" or "all"`);
+  }
+  ['room', 'device_type', 'device_id'].forEach(field => {
+    if (condition[field] !== undefined && typeof condition[field] !== 'string') {
+      errors.push(`${prefix}.${field} must be a string`);
+    }
+  });
+  if (condition.device_ids !== undefined && !Array.isArray(condition.device_ids)) {
+    errors.push(`${prefix}.device_ids must be an array`);
+  }
+  return errors;
+}
+
+/**
+ * Compare a live value with the expected value. Numbers in strings are compared as numbers.
+ * @param {*} actual - Live capability value
+ * @param {string} operator - Comparison operator
+ * @param {*} expected - Expected value
+ * @returns {boolean} True if the comparison holds
+ */
+function compareValues(actual, operator, expected) {
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+  if (typeof expected === 'number' && typeof actual !== 'number') {
+    const numeric = Number(actual);
+    return Number.isFinite(numeric) && OPERATORS[operator](numeric, expected);
+  }
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    return OPERATORS[operator](actual.toLowerCase(), expected.toLowerCase());
+  }
+  return OPERATORS[operator](actual, expected);
+}
+
+/**
+ * Describe a comparison for replies, e.g. 'bedroom measure_temperature < 19'
+ * @param {object} condition - Comparison condition
+ * @returns {string} Description
+ */
+function describeComparison(condition) {
+  const scope = condition.room || condition.device_type || '';
+  const quantifier = condition.quantifier === 'all' ? 'all ' : '';
+  return `${quantifier}${scope ? `${scope} ` : ''}${condition.capability} ${condition.operator} ${condition.value}`;
+}
+
+/**
+ * Evaluate a condition against live values
+ * @param {object} condition - Validated condition
+ * @param {Function} resolveDevices - async (comparison) => devices in the comparison's scope
+ * @returns {Promise<object>} { held, description } where description includes the live values
+ */
+async function evaluateCondition(condition, resolveDevices) {
+  const group = getConditionGroup(condition);
+  if (group) {
+    const results = await Promise.all(condition[group].map(child => evaluateCondition(child, resolveDevices)));
+    const held = group === 'all' ? results.every(result => result.held) : results.some(result => result.held);
+    return { held, description: results.map(result => result.description).join(group === 'all' ? ' and ' : ' or ') };
+  }
+
+  const devices = (await resolveDevices(condition))
+    .filter(device => getCapabilityKeys(device).includes(condition.capability));
+  if (devices.length === 0) {
+    throw new Error(`No devices with ${condition.capability} found to check "${describeComparison(condition)}"`);
+  }
+
+  const values = await Promise.all(devices.map(device => getDeviceCapabilityValue(device, condition.capability)));
+  const readings = devices
+    .map((device, index) => ({ name: device.name, value: values[index] }))
+    .filter(reading => reading.value !== null && reading.value !== undefined);
+  if (readings.length === 0) {
+    return { held: false, description: `${describeComparison(condition)} (no current value)` };
+  }
+
+  const matches = readings.map(reading => compareValues(reading.value, condition.operator, condition.value));
+  const held = condition.quantifier === 'all' ? matches.every(Boolean) : matches.some(Boolean);
+  const current = readings.map(reading => `${reading.name}: ${reading.value}`).join(', ');
+  return { held, description: `${describeComparison(condition)} (now ${current})` };
+}
+
+module.exports = {
+  OPERATORS,
+  QUANTIFIERS,
+  validateCondition,
+  compareValues,
+  describeComparison,
+  evaluateCondition
+};
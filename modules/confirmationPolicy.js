@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * Confirmation Policy
+ * Decides which commands must be confirmed by the user before they are executed,
+ * based on the planned capability writes of a dry run
+ */
+
+const { SOCKET_CONNECTED_DEVICES, identifySocketDeviceType, getDeviceCategory } = require('./socketDeviceMapper');
+
+const SETTINGS_KEYS = {
+  deviceClasses: 'confirmDeviceClasses',
+  socketCategories: 'confirmSocketCategories',
+  deviceThreshold: 'confirmDeviceThreshold'
+};
+
+const DEFAULT_POLICY = {
+  deviceClasses: ['lock', 'garagedoor'],
+  socketCategories: ['climate'],
+  deviceThreshold: 10
+};
+
+// Writes that secure the home (locking, closing the garage) never need confirmation
+const SECURING_WRITES = {
+  'locked': true,
+  'garagedoor_closed': true
+};
+
+/**
+ * Parse a comma-separated setting (or array) into a lowercase list
+ * @param {string|Array} value - Setting value
+ * @returns {Array} List of lowercase entries
+ */
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim().toLowerCase()).filter(item => item.length > 0);
+}
+
+/**
+ * Read the confirmation policy from Homey settings. Settings that were never
+ * saved fall back to the defaults; an empty value disables that rule.
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @returns {object} { deviceClasses, socketCategories, deviceThreshold }
+ */
+function getConfirmationPolicy(settings) {
+  const read = key => (settings ? settings.get(SETTINGS_KEYS[key]) : null);
+
+  const deviceClasses = read('deviceClasses');
+  const socketCategories = read('socketCategories');
+  const deviceThreshold = parseInt(read('deviceThreshold'), 10);
+
+  return {
+    deviceClasses: deviceClasses === null || deviceClasses === undefined
+      ? DEFAULT_POLICY.deviceClasses : parseList(deviceClasses),
+    socketCategories: socketCategories === null || socketCategories === undefined
+      ? DEFAULT_POLICY.socketCategories : parseList(socketCategories),
+    deviceThreshold: Number.isNaN(deviceThreshold) ? DEFAULT_POLICY.deviceThreshold : deviceThreshold
+  };
+}
+
+/**
+ * Get the socket category (from SOCKET_CONNECTED_DEVICES) of the appliance behind a socket
+ * @param {object} device - Homey device object
+ * @returns {string|null} Category or null if unknown or not a socket
+ */
+function getSocketCategory(device) {
+  if (!device || device.class !== 'socket') {
+    return null;
+  }
+
+  const virtualClass = device.settings?.virtualClass || device.virtualClass;
+  const deviceType = virtualClass && SOCKET_CONNECTED_DEVICES[virtualClass.toLowerCase()]
+    ? virtualClass.toLowerCase()
+    : identifySocketDeviceType(device.name);
+
+  if (!deviceType) {
+    return null;
+  }
+  const category = getDeviceCategory(deviceType);
+  return category === 'unknown' ? null : category;
+}
+
+/**
+ * Check whether a planned write secures the home and can skip confirmation
+ * @param {object} change - Planned change { capability, value }
+ * @returns {boolean} True for securing writes
+ */
+function isSecuringWrite(change) {
+  return Object.prototype.hasOwnProperty.call(SECURING_WRITES, change.capability)
+    && SECURING_WRITES[change.capability] === change.value;
+}
+
+/**
+ * Evaluate the planned writes of a command against the confirmation policy
+ * @param {Array} changes - Planned changes from a dry run ({ deviceId, deviceName, deviceClass, capability, value })
+ * @param {object} devices - Devices mapping keyed by device ID
+ * @param {object} policy - Policy from getConfirmationPolicy
+ * @returns {object} { required, reasons }
+ */
+function evaluateConfirmation(changes, devices, policy) {
+  const reasons = [];
+  const deviceIds = new Set((changes || []).map(change => change.deviceId));
+
+  (changes || []).forEach(change => {
+    if (isSecuringWrite(change)) {
+      return;
+    }
+
+    const device = (devices && devices[change.deviceId]) || { class: change.deviceClass, name: change.deviceName };
+    const deviceClass = String(device.class || change.deviceClass || '').toLowerCase();
+
+    if (policy.deviceClasses.includes(deviceClass)) {
+      reasons.push(`${change.deviceName} is a ${deviceClass}`);
+      return;
+    }
+
+    const socketCategory = getSocketCategory(device);
+    if (socketCategory && policy.socketCategories.includes(socketCategory)) {
+      reasons.push(`${change.deviceName} powers a ${socketCategory} appliance`);
+    }
+  });
+
+  if (policy.deviceThreshold > 0 && deviceIds.size > policy.deviceThreshold) {
+    reasons.push(`${deviceIds.size} devices would change (limit ${policy.deviceThreshold})`);
+  }
+
+  // One reason per device is enough
+  const uniqueReasons = [...new Set(reasons)];
+  return { required: uniqueReasons.length > 0, reasons: uniqueReasons };
+}
+
+/**
+ * Message for callers that can't ask for confirmation (Flow cards, the Web API) when a
+ * command needs it
+ * @param {Array} reasons - Reasons from evaluateConfirmation
+ * @returns {string} Message text
+ */
+function formatConfirmationRefusal(reasons) {
+  return `This command needs confirmation in Telegram: ${reasons.join(', ')}`;
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  SETTINGS_KEYS,
+  getConfirmationPolicy,
+  getSocketCategory,
+  evaluateConfirmation,
+  formatConfirmationRefusal,
+  isSecuringWrite
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Control Panels
+ * /rooms replies with a keyboard of rooms. Tapping a room shows its lights and switches with
+ * toggle and dim buttons, and every tap edits the same message so it shows the current state.
+ * Callback data (at most 64 bytes) carries the zone or device ID:
+ *   panel:rooms                    the list of rooms
+ *   panel:room:<zoneId>            the devices in a room
+ *   panel:dev:<deviceId>:<action>  toggle, down or up
+ *   panel:close                    remove the keyboard
+ */
+
+const PANEL_PREFIX = 'panel';
+const DEVICE_ACTIONS = ['toggle', 'down', 'up'];
+const ROOMS_PER_ROW = 2;
+// Dim buttons change the brightness by this many percent points
+const DIM_STEP = 25;
+const MAX_CALLBACK_DATA = 64;
+
+/**
+ * Capability IDs of a device
+ * @param {object} device - Homey device
+ * @returns {Array} Capability IDs
+ */
+function getCapabilities(device) {
+  return device.capabilities || Object.keys(device.capabilitiesObj || {});
+}
+
+/**
+ * Current value of a capability, as last reported by Homey
+ * @param {object} device - Homey device
+ * @param {string} capability - Capability ID
+ * @returns {*} Value, null if unknown
+ */
+function readValue(device, capability) {
+  const capabilityObj = device.capabilitiesObj && device.capabilitiesObj[capability];
+  return capabilityObj && capabilityObj.value !== undefined ? capabilityObj.value : null;
+}
+
+/**
+ * Check whether a device gets buttons in a panel: anything that switches or dims
+ * @param {object} device - Homey device
+ * @returns {boolean} True for panel devices
+ */
+function isPanelDevice(device) {
+  const capabilities = getCapabilities(device);
+  return capabilities.includes('onoff') || capabilities.includes('dim');
+}
+
+/**
+ * Callback data for a panel button, null if Telegram would reject it
+ * @param {...string} parts - Parts after the prefix
+ * @returns {string|null} Callback data
+ */
+function toCallbackData(...parts) {
+  const data = [PANEL_PREFIX, ...parts].join(':');
+  return Buffer.byteLength(data) <= MAX_CALLBACK_DATA ? data : null;
+}
+
+/**
+ * Describe a device's state, e.g. "on, 60%"
+ * @param {object} device - Homey device
+ * @returns {string} State text
+ */
+function formatDeviceState(device) {
+  const on = readValue(device, 'onoff');
+  const dim = readValue(device, 'dim');
+  const parts = [];
+  if (on !== null) {
+    parts.push(on ? 'on' : 'off');
+  }
+  if (dim !== null && on !== false) {
+    parts.push(`${Math.round(dim * 100)}%`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'unknown';
+}
+
+/**
+ * Build the list of rooms that have lights or switches
+ * @param {object} zones - Zones by ID
+ * @param {Array} devices - Homey devices
+ * @returns {object} { text, reply_markup }
+ */
+function buildRoomsPanel(zones, devices) {
+  const rooms = Object.values(zones)
+    .map(zone => ({ zone, count: devices.filter(device => device.zone === zone.id && isPanelDevice(device)).length }))
+    .filter(room => room.count > 0 && toCallbackData('room', room.zone.id))
+    .sort((a, b) => a.zone.name.localeCompare(b.zone.name));
+
+  if (rooms.length === 0) {
+    return { text: '🏠 No rooms with lights or switches found.', reply_markup: { inline_keyboard: [] } };
+  }
+
+  const rows = [];
+  for (let index = 0; index < rooms.length; index += ROOMS_PER_ROW) {
+    rows.push(rooms.slice(index, index + ROOMS_PER_ROW).map(room => ({
+      text: `${room.zone.name} (${room.count})`, callback_data: toCallbackData('room', room.zone.id)
+    })));
+  }
+  rows.push([{ text: '✖️ Close', callback_data: toCallbackData('close') }]);
+  return { text: '🏠 Choose a room:', reply_markup: { inline_keyboard: rows } };
+}
+
+/**
+ * Build the panel of a room: its devices' state, a toggle button per device and dim buttons
+ * for dimmable ones
+ * @param {object} zone - Zone { id, name }
+ * @param {Array} devices - Homey devices
+ * @returns {object} { text, reply_markup }
+ */
+function buildRoomPanel(zone, devices) {
+  const roomDevices = devices
+    .filter(device => device.zone === zone.id && isPanelDevice(device) && toCallbackData('dev', device.id, 'toggle'))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const icon = device => (readValue(device, 'onoff') ? '🟢' : '⚪');
+  const lines = roomDevices.map(device => `${icon(device)} ${device.name}: ${formatDeviceState(device)}`);
+  const rows = roomDevices.map(device => {
+    const row = [{ text: `${icon(device)} ${device.name}`, callback_data: toCallbackData('dev', device.id, 'toggle') }];
+    if (getCapabilities(device).includes('dim')) {
+      row.push({ text: '🔅', callback_data: toCallbackData('dev', device.id, 'down') });
+      row.push({ text: '🔆', callback_data: toCallbackData('dev', device.id, 'up') });
+    }
+    return row;
+  });
+  rows.push([
+    { text: '⬅️ Rooms', callback_data: toCallbackData('rooms') },
+    { text: '✖️ Close', callback_data: toCallbackData('close') }
+  ]);
+
+  return {
+    text: [`🏠 ${zone.name}`, ...(lines.length > 0 ? lines : ['No lights or switches in this room.'])].join('\n'),
+    reply_markup: { inline_keyboard: rows }
+  };
+}
+
+/**
+ * Parse the callback data of a panel button
+ * @param {string} data - Callback data
+ * @returns {object|null} { type: 'rooms'|'close' }, { type: 'room', zoneId } or
+ *   { type: 'device', deviceId, action }; null if it isn't a panel button
+ */
+function parsePanelData(data) {
+  const [prefix, type, id, action] = String(data || '').split(':');
+  if (prefix !== PANEL_PREFIX) {
+    return null;
+  }
+  if (type === 'rooms' || type === 'close') {
+    return { type };
+  }
+  if (type === 'room' && id) {
+    return { type, zoneId: id };
+  }
+  if (type === 'dev' && id && DEVICE_ACTIONS.includes(action)) {
+    return { type: 'device', deviceId: id, action };
+  }
+  return null;
+}
+
+/**
+ * The command a device button runs
+ * @param {object} device - Homey device
+ * @param {string} action - toggle, down or up
+ * @returns {object} JSON command
+ */
+function toPanelCommand(device, action) {
+  if (action === 'toggle') {
+    return { device_id: device.id, command: readValue(device, 'onoff') ? 'turn_off' : 'turn_on' };
+  }
+  return {
+    device_id: device.id,
+    command: 'dim',
+    parameters: { relative: true, direction: action, delta: DIM_STEP }
+  };
+}
+
+module.exports = {
+  PANEL_PREFIX,
+  DIM_STEP,
+  isPanelDevice,
+  formatDeviceState,
+  buildRoomsPanel,
+  buildRoomPanel,
+  parsePanelData,
+  toPanelCommand
+};
@@ -7,6 +7,9 @@
 
 const { comprehensiveRoomMatch } = require('./advancedMultilingualMatcher');
 const { getSocketDescription, identifySocketDeviceType, SOCKET_CONNECTED_DEVICES } = require('./socketDeviceMapper');
+const {
+  parseZonePattern, findZonesByPattern, expandZoneIds, getZoneName
+} = require('./zoneHierarchy');
 
 /**
  * Get current capability value from a device
@@ -245,7 +248,57 @@ function generateDeviceSummary(device, capabilities) {
 }
 
 /**
- * Get status for devices in a specific room
+ * Find the zones a room phrase covers: a pattern ("all bedrooms", "everywhere") or a single
+ * room matched by name, in both cases including the zones below them
+ * @param {string} roomName - Room name to query
+ * @param {Array} availableRooms - Available room names from Homey
+ * @param {Object} zones - Zones object from Homey
+ * @param {string} language - Language for room matching
+ * @param {Function} llmFunction - Optional LLM function for semantic matching
+ * @returns {Promise<Object>} { zoneIds, matchedRoom, confidence, method }, zoneIds empty if nothing matched
+ */
+async function findRoomZones(roomName, availableRooms, zones, language, llmFunction) {
+  const pattern = parseZonePattern(roomName);
+  const patternZoneIds = pattern ? findZonesByPattern(zones, pattern) : [];
+  if (patternZoneIds.length > 0) {
+    return {
+      zoneIds: expandZoneIds(zones, patternZoneIds), matchedRoom: roomName, confidence: 1, method: 'pattern'
+    };
+  }
+
+  const roomMatch = await comprehensiveRoomMatch(roomName, availableRooms, language, llmFunction);
+  if (!roomMatch.match || roomMatch.confidence < 0.6) {
+    return {
+      zoneIds: [], matchedRoom: null, confidence: roomMatch.confidence, method: roomMatch.method
+    };
+  }
+
+  const zoneId = Object.keys(zones).find(id => zones[id].name.toLowerCase() === roomMatch.match.toLowerCase());
+  return {
+    zoneIds: zoneId ? expandZoneIds(zones, [zoneId]) : [],
+    matchedRoom: roomMatch.match,
+    confidence: roomMatch.confidence,
+    method: roomMatch.method
+  };
+}
+
+/**
+ * Get the status of devices, noting the zone each one is in
+ * @param {Array} devices - Homey devices
+ * @param {Object} zones - Zones object from Homey
+ * @returns {Promise<Array>} Device statuses with a zoneName
+ */
+async function getZonedDeviceStatuses(devices, zones) {
+  const deviceStatuses = [];
+  for (const device of devices) {
+    const status = await getDeviceStatus(device);
+    deviceStatuses.push({ ...status, zoneName: getZoneName(zones, device.zone) });
+  }
+  return deviceStatuses;
+}
+
+/**
+ * Get status for devices in a specific room, including the zones below it
  * @param {string} roomName - Room name to query
  * @param {Array} availableRooms - Available room names from Homey
  * @param {Object} devices - Devices object from Homey
@@ -255,10 +308,9 @@ function generateDeviceSummary(device, capabilities) {
  * @returns {Promise<Object>} Room status information
  */
 async function getRoomStatus(roomName, availableRooms, devices, zones, language = 'en', llmFunction = null) {
-  // Use advanced room matching
-  const roomMatch = await comprehensiveRoomMatch(roomName, availableRooms, language, llmFunction);
+  const roomMatch = await findRoomZones(roomName, availableRooms, zones, language, llmFunction);
 
-  if (!roomMatch.match || roomMatch.confidence < 0.6) {
+  if (!roomMatch.matchedRoom) {
     return {
       success: false,
       error: `Room "${roomName}" not found. Available rooms: ${availableRooms.join(', ')}`,
@@ -267,12 +319,9 @@ async function getRoomStatus(roomName, availableRooms, devices, zones, language
     };
   }
 
-  const matchedRoomName = roomMatch.match;
-
-  // Find the zone ID for the matched room
-  const zoneId = Object.keys(zones).find(id => zones[id].name.toLowerCase() === matchedRoomName.toLowerCase());
+  const matchedRoomName = roomMatch.matchedRoom;
 
-  if (!zoneId) {
+  if (roomMatch.zoneIds.length === 0) {
     return {
       success: false,
       error: `Zone not found for room "${matchedRoomName}"`,
@@ -281,8 +330,8 @@ async function getRoomStatus(roomName, availableRooms, devices, zones, language
     };
   }
 
-  // Get all devices in this zone
-  const roomDevices = Object.values(devices).filter(device => device.zone === zoneId);
+  // Get all devices in these zones
+  const roomDevices = Object.values(devices).filter(device => roomMatch.zoneIds.includes(device.zone));
 
   if (roomDevices.length === 0) {
     return {
@@ -295,12 +344,7 @@ async function getRoomStatus(roomName, availableRooms, devices, zones, language
     };
   }
 
-  // Get status for each device
-  const deviceStatuses = [];
-  for (const device of roomDevices) {
-    const status = await getDeviceStatus(device);
-    deviceStatuses.push(status);
-  }
+  const deviceStatuses = await getZonedDeviceStatuses(roomDevices, zones);
 
   return {
     success: true,
@@ -387,18 +431,11 @@ async function getDeviceTypeStatus(deviceType, devices, zones = null, roomFilter
 
   // Apply room filter if specified
   if (roomFilter && zones) {
-    // Use advanced room matching to find the correct zone
     const availableRooms = Object.values(zones).map(zone => zone.name);
-    const roomMatch = await comprehensiveRoomMatch(roomFilter, availableRooms, language, llmFunction);
+    const roomMatch = await findRoomZones(roomFilter, availableRooms, zones, language, llmFunction);
 
-    if (roomMatch.match && roomMatch.confidence >= 0.6) {
-      // Find the zone ID for the matched room
-      const targetZoneId = Object.keys(zones).find(id => zones[id].name.toLowerCase() === roomMatch.match.toLowerCase());
-
-      if (targetZoneId) {
-        // Filter devices by zone ID
-        filteredDevices = filteredDevices.filter(device => device.zone === targetZoneId);
-      }
+    if (roomMatch.zoneIds.length > 0) {
+      filteredDevices = filteredDevices.filter(device => roomMatch.zoneIds.includes(device.zone));
     }
   }
 
@@ -413,12 +450,7 @@ async function getDeviceTypeStatus(deviceType, devices, zones = null, roomFilter
     };
   }
 
-  // Get status for each device
-  const deviceStatuses = [];
-  for (const device of filteredDevices) {
-    const status = await getDeviceStatus(device);
-    deviceStatuses.push(status);
-  }
+  const deviceStatuses = await getZonedDeviceStatuses(filteredDevices, zones);
 
   return {
     success: true,
@@ -435,5 +467,6 @@ module.exports = {
   getRoomStatus,
   getDeviceTypeStatus,
   generateDeviceSummary,
-  getDeviceCapabilityValue
+  getDeviceCapabilityValue,
+  getCapabilityKeys
 };
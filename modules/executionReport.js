@@ -0,0 +1,406 @@
+'use strict';
+
+/**
+ * Execution Report
+ * Command handlers return a report of what they did instead of a formatted string. The
+ * Telegram reply, the Flow card tokens and the Web API response are all rendered from it.
+ *
+ * Report types:
+ *   devices   - one command on several devices (room, device_ids) or a scene activation
+ *   device    - one command on a single device (device_id)
+ *   message   - an outcome without device results (status answers, Flows, moods, saved scenes, waits)
+ *   condition - a conditional command, with the report of the command if the condition held
+ *   sequence  - a multi-command, with the report of every step
+ *   candidates - a device name that matched several devices, which were left alone
+ *
+ * Every device result has the same shape:
+ *   { id, name, zoneName, capability, oldValue, newValue, outcome, errorType, error }
+ * zoneName is filled in by room commands, whose results are grouped by zone when they span several.
+ * Status answers carry messageRenderer markup; Flow tokens and Web API results get it stripped.
+ */
+
+const { formatElapsed } = require('./commandSequence');
+const { groupByZone } = require('./zoneHierarchy');
+const { stripMarkup } = require('./messageRenderer');
+
+const REPORT_TYPES = {
+  devices: 'devices',
+  device: 'device',
+  message: 'message',
+  condition: 'condition',
+  sequence: 'sequence',
+  candidates: 'candidates'
+};
+
+const OUTCOMES = {
+  success: 'success',
+  skipped: 'skipped',
+  failed: 'failed'
+};
+
+const ERROR_TYPES = {
+  unsupported: 'unsupported',
+  deviceMissing: 'device_missing',
+  deviceError: 'device_error'
+};
+
+const OUTCOME_ICONS = {
+  [OUTCOMES.success]: '✅',
+  [OUTCOMES.skipped]: '⚠️',
+  [OUTCOMES.failed]: '❌'
+};
+
+// Prefix of the reply for a conditional command whose condition didn't hold
+const CONDITION_NOT_MET_ICON = '⏭️';
+
+/**
+ * Build a device result
+ * @param {object} device - Device ({ id, name })
+ * @param {string} outcome - One of OUTCOMES
+ * @param {object} details - { capability, oldValue, newValue, errorType, error }
+ * @returns {object} Device result
+ */
+function createDeviceResult(device, outcome, details = {}) {
+  return {
+    id: device.id,
+    name: device.name,
+    zoneName: null,
+    capability: details.capability || null,
+    oldValue: details.oldValue === undefined ? null : details.oldValue,
+    newValue: details.newValue === undefined ? null : details.newValue,
+    outcome,
+    errorType: details.errorType || null,
+    error: details.error || null
+  };
+}
+
+/**
+ * Result of a device whose capabilities were written
+ * @param {object} device - Device
+ * @param {Array} writes - Applied writes { capability, previousValue, value }, primary capability first
+ * @returns {object} Device result for the primary capability
+ */
+function deviceSucceeded(device, writes) {
+  const primary = writes[0] || {};
+  return createDeviceResult(device, OUTCOMES.success, {
+    capability: primary.capability, oldValue: primary.previousValue, newValue: primary.value
+  });
+}
+
+/**
+ * Result of a device that was left alone, e.g. because it doesn't support the command
+ * @param {object} device - Device
+ * @param {string} errorType - One of ERROR_TYPES
+ * @param {string} error - Reason shown to the user
+ * @returns {object} Device result
+ */
+function deviceSkipped(device, errorType, error) {
+  return createDeviceResult(device, OUTCOMES.skipped, { errorType, error });
+}
+
+/**
+ * Result of a device whose write failed
+ * @param {object} device - Device
+ * @param {Error|string} error - The error
+ * @returns {object} Device result
+ */
+function deviceFailed(device, error) {
+  return createDeviceResult(device, OUTCOMES.failed, {
+    errorType: ERROR_TYPES.deviceError, error: (error && error.message) || String(error || 'Unknown error')
+  });
+}
+
+/**
+ * Report of a command on several devices
+ * @param {object} options - { command, room, scene, devices } where scene is set for scene activations
+ * @returns {object} Report
+ */
+function createDevicesReport({
+  command = null, room = null, scene = null, devices = []
+}) {
+  return {
+    type: REPORT_TYPES.devices, command, room, scene, devices
+  };
+}
+
+/**
+ * Report of a command on a single device
+ * @param {string} command - Command name
+ * @param {object} device - Device result
+ * @returns {object} Report
+ */
+function createDeviceReport(command, device) {
+  return { type: REPORT_TYPES.device, command, device };
+}
+
+/**
+ * Report of an outcome without device results
+ * @param {string} text - Reply text
+ * @param {object} options - { success, counted } where counted is false for steps that aren't
+ *   actions, such as waits
+ * @returns {object} Report
+ */
+function createMessageReport(text, { success = true, counted = true } = {}) {
+  return {
+    type: REPORT_TYPES.message, text, success, counted
+  };
+}
+
+/**
+ * Report of a command that failed as a whole
+ * @param {Error|string} error - The error
+ * @returns {object} Message report
+ */
+function createErrorReport(error) {
+  const message = (error && error.message) || String(error || 'Unknown error');
+  return createMessageReport(message.startsWith('❌') ? message : `❌ ${message}`, { success: false });
+}
+
+/**
+ * Report of a conditional command
+ * @param {boolean} held - Whether the condition held
+ * @param {string} description - Condition description
+ * @param {object|null} report - Report of the guarded command, null if it didn't run
+ * @returns {object} Report
+ */
+function createConditionReport(held, description, report = null) {
+  return {
+    type: REPORT_TYPES.condition, held, description, report
+  };
+}
+
+/**
+ * Report of a multi-command
+ * @param {Array} steps - { label, startedAt, duration, wait, report } per command, times in ms
+ * @param {number} elapsed - Total duration in ms
+ * @returns {object} Report
+ */
+function createSequenceReport(steps, elapsed) {
+  return { type: REPORT_TYPES.sequence, steps, elapsed };
+}
+
+/**
+ * Report of a device name that matched several devices, so nothing was done
+ * @param {string} query - Device name from the command
+ * @param {Array} candidates - Matching devices { id, name, room }
+ * @returns {object} Report
+ */
+function createCandidatesReport(query, candidates) {
+  return { type: REPORT_TYPES.candidates, query, candidates };
+}
+
+/**
+ * Count the device actions in a report
+ * @param {object} report - Execution report
+ * @returns {object|null} { success, failed, attempted } where skipped devices count as neither
+ *   success nor failure, or null for waits and skipped conditional commands
+ */
+function countActions(report) {
+  switch (report.type) {
+    case REPORT_TYPES.devices:
+      return {
+        success: report.devices.filter(device => device.outcome === OUTCOMES.success).length,
+        failed: report.devices.filter(device => device.outcome === OUTCOMES.failed).length,
+        attempted: report.devices.length
+      };
+    case REPORT_TYPES.device:
+      return {
+        success: report.device.outcome === OUTCOMES.success ? 1 : 0,
+        failed: report.device.outcome === OUTCOMES.failed ? 1 : 0,
+        attempted: 1
+      };
+    case REPORT_TYPES.condition:
+      return report.held ? countActions(report.report) : null;
+    case REPORT_TYPES.sequence:
+      return report.steps.map(step => countActions(step.report)).filter(Boolean).reduce((total, counts) => ({
+        success: total.success + counts.success,
+        failed: total.failed + counts.failed,
+        attempted: total.attempted + counts.attempted
+      }), { success: 0, failed: 0, attempted: 0 });
+    case REPORT_TYPES.candidates:
+      return { success: 0, failed: 0, attempted: 1 };
+    default:
+      return report.counted ? { success: report.success ? 1 : 0, failed: report.success ? 0 : 1, attempted: 1 } : null;
+  }
+}
+
+/**
+ * Whether a command succeeded: nothing failed outright and, when it targeted several
+ * devices or steps, at least one action succeeded
+ * @param {object} report - Execution report
+ * @returns {boolean} True if successful
+ */
+function isSuccessful(report) {
+  if (report.type === REPORT_TYPES.message) {
+    return report.success;
+  }
+  if (report.type === REPORT_TYPES.condition && !report.held) {
+    return true;
+  }
+  const counts = countActions(report);
+  return counts.failed === 0 && (counts.success > 0 || counts.attempted === 0);
+}
+
+/**
+ * All device results in a report, including those of nested steps
+ * @param {object} report - Execution report
+ * @returns {Array} Device results
+ */
+function collectDevices(report) {
+  switch (report.type) {
+    case REPORT_TYPES.devices:
+      return report.devices;
+    case REPORT_TYPES.device:
+      return [report.device];
+    case REPORT_TYPES.condition:
+      return report.held ? collectDevices(report.report) : [];
+    case REPORT_TYPES.sequence:
+      return report.steps.flatMap(step => collectDevices(step.report));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Number of devices a report updated
+ * @param {object} report - Execution report
+ * @returns {number} Devices with a successful outcome
+ */
+function countUpdatedDevices(report) {
+  return collectDevices(report).filter(result => result.outcome === OUTCOMES.success).length;
+}
+
+/**
+ * Format one device result, e.g. "✅ Ceiling: turn_on successful"
+ * @param {object} result - Device result
+ * @param {string} successText - Text for a successful device
+ * @returns {string} Result line
+ */
+function formatDeviceResult(result, successText) {
+  const text = result.outcome === OUTCOMES.success ? successText : result.error;
+  return `${OUTCOME_ICONS[result.outcome]} ${result.name}: ${text}`;
+}
+
+/**
+ * Render a report as the Telegram reply
+ * @param {object} report - Execution report
+ * @returns {string} Message text
+ */
+function formatReport(report) {
+  switch (report.type) {
+    case REPORT_TYPES.devices: {
+      const { success, attempted } = countActions(report);
+      const summary = report.scene
+        ? `🎬 Scene "${report.scene}": ${success}/${attempted} devices restored`
+        : `${success}/${attempted} devices updated${report.room ? ` in ${report.room}` : ''}`;
+      const successText = report.scene ? 'restored' : `${report.command} successful`;
+      const groups = groupByZone(report.devices);
+      const lines = groups.length > 1
+        ? groups.flatMap(group => [
+          `📍 ${group.zoneName || 'Other'}`,
+          ...group.items.map(result => formatDeviceResult(result, successText))
+        ])
+        : report.devices.map(result => formatDeviceResult(result, successText));
+      return [summary, ...lines].join('\n');
+    }
+    case REPORT_TYPES.device:
+      return formatDeviceResult(report.device, `${report.command} successful`);
+    case REPORT_TYPES.condition:
+      return report.held
+        ? `🔎 Condition met: ${report.description}\n${formatReport(report.report)}`
+        : `${CONDITION_NOT_MET_ICON} Condition not met, nothing was done: ${report.description}`;
+    case REPORT_TYPES.sequence: {
+      const { success, attempted } = countActions(report);
+      const elapsed = formatElapsed(report.elapsed);
+      const summary = `🎯 Multi-command completed: ${success}/${attempted} actions successful in ${elapsed}`;
+      const steps = report.steps.map(step => {
+        const timing = step.wait
+          ? `at ${formatElapsed(step.startedAt)}`
+          : `at ${formatElapsed(step.startedAt)}, took ${formatElapsed(step.duration)}`;
+        return `Command ${step.label} (${timing}): ${formatReport(step.report)}`;
+      });
+      return `${summary}\n\n${steps.join('\n\n')}`;
+    }
+    case REPORT_TYPES.candidates:
+      return [
+        `❓ Several devices match "${report.query}", nothing was done:`,
+        ...report.candidates.map(candidate => `• ${candidate.name}${candidate.room ? ` (${candidate.room})` : ''}`),
+        'Say the full device name, or add the room.'
+      ].join('\n');
+    default:
+      return report.text;
+  }
+}
+
+/**
+ * Lines for the devices and steps that didn't succeed, e.g. for a preview
+ * @param {object} report - Execution report
+ * @returns {Array} Result lines
+ */
+function listIssues(report) {
+  if (report.type === REPORT_TYPES.message) {
+    return report.success ? [] : [report.text];
+  }
+  if (report.type === REPORT_TYPES.candidates) {
+    return [formatReport(report)];
+  }
+  if (report.type === REPORT_TYPES.sequence) {
+    return report.steps.flatMap(step => listIssues(step.report));
+  }
+  return collectDevices(report)
+    .filter(result => result.outcome !== OUTCOMES.success)
+    .map(result => formatDeviceResult(result));
+}
+
+/**
+ * Render a report as the tokens of the "Ask the assistant" Flow card
+ * @param {object} report - Execution report
+ * @returns {object} { result, success, devices_updated, devices_not_updated }
+ */
+function toFlowTokens(report) {
+  const updated = countUpdatedDevices(report);
+  return {
+    result: stripMarkup(formatReport(report)),
+    success: isSuccessful(report),
+    devices_updated: updated,
+    devices_not_updated: collectDevices(report).length - updated
+  };
+}
+
+/**
+ * Render a report as a Web API response
+ * @param {object} report - Execution report
+ * @returns {object} { result, success, devices, report } where devices lists every device result
+ */
+function toApiResult(report) {
+  return {
+    result: stripMarkup(formatReport(report)),
+    success: isSuccessful(report),
+    devices: collectDevices(report),
+    report
+  };
+}
+
+module.exports = {
+  REPORT_TYPES,
+  OUTCOMES,
+  ERROR_TYPES,
+  deviceSucceeded,
+  deviceSkipped,
+  deviceFailed,
+  createDevicesReport,
+  createDeviceReport,
+  createMessageReport,
+  createErrorReport,
+  createConditionReport,
+  createSequenceReport,
+  createCandidatesReport,
+  countActions,
+  isSuccessful,
+  collectDevices,
+  countUpdatedDevices,
+  listIssues,
+  formatReport,
+  toFlowTokens,
+  toApiResult
+};
@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * Flow Cards
+ * Registers the app's Homey Flow cards, so Flows, buttons and other apps can use
+ * the assistant's natural-language commands without going through Telegram, and
+ * Flows can send proactive Telegram notifications
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+const { sendPhoto } = require('./telegram');
+const { parseQuickReplyButtons, saveQuickReplies, buildQuickReplyKeyboard } = require('./quickReplies');
+const { createErrorReport, toFlowTokens } = require('./executionReport');
+
+// Recipient value that follows the "Default notification chat" setting
+const DEFAULT_RECIPIENT = 'default';
+const PARSE_MODES = { markdown: 'Markdown', html: 'HTML' };
+const MAX_CAPTION_LENGTH = 1024;
+
+/**
+ * Get the Telegram user IDs from the "Authorized User IDs" setting
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @returns {Array} User IDs as strings
+ */
+function getAuthorizedUserIds(settings) {
+  return String(settings.get('authorizedUsers') || '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * List the chats a Flow can send Telegram messages to
+ * @param {object} app - Homey app instance
+ * @param {string} query - Text typed in the recipient field
+ * @returns {Array} Autocomplete results { name, description, id }
+ */
+function getTelegramRecipients(app, query) {
+  const settings = app.homey.settings;
+  const defaultChatId = String(settings.get('notificationChatId') || '').trim();
+  const recipients = getAuthorizedUserIds(settings)
+    .map(id => ({ name: `User ${id}`, description: 'Authorized user', id }));
+  if (defaultChatId) {
+    recipients.unshift({ name: 'Default chat', description: `Chat ${defaultChatId}`, id: DEFAULT_RECIPIENT });
+  }
+
+  const search = String(query || '').trim().toLowerCase();
+  return recipients.filter(recipient => `${recipient.name} ${recipient.description}`.toLowerCase().includes(search));
+}
+
+/**
+ * Resolve a recipient picked in a Flow to a chat ID. Only the default chat and authorized
+ * users can be messaged, so a Flow can't be used to contact arbitrary Telegram users.
+ * @param {object} app - Homey app instance
+ * @param {object} recipient - Autocomplete value { id }
+ * @returns {string} Chat ID
+ */
+function resolveTelegramRecipient(app, recipient) {
+  const settings = app.homey.settings;
+  const id = String((recipient && recipient.id) || '');
+  const defaultChatId = String(settings.get('notificationChatId') || '').trim();
+
+  if (id === DEFAULT_RECIPIENT) {
+    ErrorHandler.validateInput(defaultChatId, 'No default Telegram chat is set in the app settings');
+    return defaultChatId;
+  }
+  ErrorHandler.validateInput(id && (id === defaultChatId || getAuthorizedUserIds(settings).includes(id)),
+    `Telegram user ${id} is not an authorized user`);
+  return id;
+}
+
+/**
+ * Read a Homey image token (e.g. a camera snapshot) into memory
+ * @param {object} image - Homey Image from a droptoken
+ * @returns {Promise<object>} { data, filename, contentType }
+ */
+async function readImage(image) {
+  const stream = await image.getStream();
+  const data = await new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+  return { data, filename: stream.filename || 'snapshot.jpg', contentType: stream.contentType || 'image/jpeg' };
+}
+
+/**
+ * Send a proactive Telegram message from a Flow, as a photo caption when an image is given
+ * @param {object} app - Homey app instance
+ * @param {object} args - Flow card arguments { recipient, text, format, buttons, droptoken }
+ * @returns {Promise<void>} Resolves once sent
+ */
+async function sendTelegramNotification(app, args) {
+  const chatId = resolveTelegramRecipient(app, args.recipient);
+  const text = String(args.text || '').trim();
+  ErrorHandler.validateInput(text || args.droptoken, 'A message or an image is required');
+
+  const options = {};
+  if (PARSE_MODES[args.format]) {
+    options.parse_mode = PARSE_MODES[args.format];
+  }
+  const buttons = parseQuickReplyButtons(args.buttons);
+  if (buttons.length > 0) {
+    options.reply_markup = buildQuickReplyKeyboard(saveQuickReplies(app.homey.settings, chatId, buttons));
+  }
+
+  if (args.droptoken) {
+    const image = await readImage(args.droptoken);
+    const photoOptions = { filename: image.filename, contentType: image.contentType };
+    // Long texts don't fit in a caption, so they follow the photo as a message
+    if (text.length <= MAX_CAPTION_LENGTH) {
+      await sendPhoto(chatId, image.data, { ...photoOptions, ...options, caption: text || undefined });
+      return;
+    }
+    await sendPhoto(chatId, image.data, photoOptions);
+  }
+  await app.telegram.sendMessage(chatId, text, options);
+}
+
+/**
+ * Register the run listeners of all Flow cards declared in app.json
+ * @param {object} app - Homey app instance (provides homey.flow, homey.settings, telegram and runAssistantCommand)
+ */
+function registerFlowCards(app) {
+  ErrorHandler.validateInput(app && app.homey && app.homey.flow, 'Homey Flow manager is not available');
+
+  // "Ask the assistant": run a command and return the reply, success and device counts as tokens
+  app.homey.flow.getActionCard('ask_assistant')
+    .registerRunListener(async args => {
+      const commandText = String(args.command || '').trim();
+      if (!commandText) {
+        return toFlowTokens(createErrorReport('Empty command'));
+      }
+      const report = await app.runAssistantCommand(commandText, { language: args.language || 'en', source: 'flow' });
+      return toFlowTokens(report);
+    });
+
+  // "Send a Telegram message": proactive notifications with optional photo and quick-reply buttons
+  const sendMessageCard = app.homey.flow.getActionCard('send_telegram_message');
+  sendMessageCard.registerArgumentAutocompleteListener('recipient', async query => getTelegramRecipients(app, query));
+  sendMessageCard.registerRunListener(async args => sendTelegramNotification(app, args));
+}
+
+/**
+ * Fire a trigger card without letting Flow errors affect the caller
+ * @param {object} app - Homey app instance
+ * @param {string} cardId - Trigger card ID
+ * @param {object} tokens - Token values
+ * @returns {Promise<void>} Resolves once triggered (or failed)
+ */
+async function fireTrigger(app, cardId, tokens) {
+  try {
+    await app.homey.flow.getTriggerCard(cardId).trigger(tokens);
+  } catch (error) {
+    app.error(`Failed to trigger Flow card ${cardId}:`, error.message);
+  }
+}
+
+/**
+ * Trigger "A Telegram message was received"
+ * @param {object} app - Homey app instance
+ * @param {object} msg - Telegram message
+ * @param {string} text - Message text (the transcription for voice messages)
+ * @param {string} language - Detected language, falls back to the sender's Telegram language
+ * @returns {Promise<void>} Resolves once triggered
+ */
+function triggerMessageReceived(app, msg, text, language = null) {
+  const from = msg.from || {};
+  return fireTrigger(app, 'telegram_message_received', {
+    text: text || '',
+    user_id: String(from.id || msg.chat.id),
+    username: from.username || from.first_name || '',
+    language: language || from.language_code || 'en'
+  });
+}
+
+/**
+ * Collect the room names a command targets
+ * @param {object} jsonCommand - Structured command
+ * @returns {string} Comma-separated room names, empty if none
+ */
+function getCommandRooms(jsonCommand) {
+  const steps = Array.isArray(jsonCommand.commands) ? jsonCommand.commands : [jsonCommand];
+  const commands = steps.flatMap(step => (Array.isArray(step.parallel) ? step.parallel : [step]));
+  return [...new Set(commands.map(command => command.room).filter(Boolean))].join(', ');
+}
+
+/**
+ * Trigger "The assistant executed a command"
+ * @param {object} app - Homey app instance
+ * @param {object} jsonCommand - Structured command that ran
+ * @param {object} details - { description, changes, success }
+ * @returns {Promise<void>} Resolves once triggered
+ */
+function triggerCommandExecuted(app, jsonCommand, details) {
+  const { description, changes = [], success } = details;
+  return fireTrigger(app, 'command_executed', {
+    command: description || JSON.stringify(jsonCommand),
+    room: getCommandRooms(jsonCommand),
+    device_count: new Set(changes.map(change => change.deviceId)).size,
+    success: Boolean(success)
+  });
+}
+
+module.exports = {
+  registerFlowCards,
+  triggerMessageReceived,
+  triggerCommandExecuted
+};
@@ -2,6 +2,19 @@
 
 const { HomeyAPIV3 } = require('homey-api');
 
+/**
+ * Returns the homey-api client, creating it on first use.
+ * @param {object} app - The ChatGPTAssistant instance.
+ * @returns {Promise<object>} HomeyAPIV3 app client
+ */
+async function getApiClient(app) {
+  if (!app._apiClient) {
+    app._apiClient = await HomeyAPIV3.createAppAPI({ homey: app.homey });
+    app.log('Connected to Homey via homey-api.');
+  }
+  return app._apiClient;
+}
+
 /**
  * Retrieves the full home state (devices and zones) using homey-api.
  * @param {object} app - The ChatGPTAssistant instance.
@@ -9,12 +22,9 @@ const { HomeyAPIV3 } = require('homey-api');
  */
 async function getHomeState(app) {
   try {
-    if (!app._apiClient) {
-      app._apiClient = await HomeyAPIV3.createAppAPI({ homey: app.homey });
-      app.log('Connected to Homey via homey-api.');
-    }
-    const devicesObj = await app._apiClient.devices.getDevices();
-    const zones = await app._apiClient.zones.getZones();
+    const api = await getApiClient(app);
+    const devicesObj = await api.devices.getDevices();
+    const zones = await api.zones.getZones();
     return { devices: devicesObj, zones };
   } catch (error) {
     app.error('Failed to retrieve home state:', error);
@@ -47,4 +57,77 @@ async function getDevicesMapping(app) {
   }
 }
 
-module.exports = { getHomeState, getDevicesMapping };
+/**
+ * Retrieves the enabled Flows that can be started without a trigger event
+ * ("This Flow is started"), both standard and Advanced Flows.
+ * @param {object} app - The ChatGPTAssistant instance.
+ * @returns {Promise<Array>} Array of { id, name, advanced }, sorted by name
+ */
+async function getTriggerableFlows(app) {
+  const api = await getApiClient(app);
+  const [flows, advancedFlows] = await Promise.all([
+    api.flow.getFlows(),
+    typeof api.flow.getAdvancedFlows === 'function' ? api.flow.getAdvancedFlows() : {}
+  ]);
+
+  const toEntries = (flowsObj, advanced) => Object.values(flowsObj || {})
+    .filter(flow => flow.triggerable && flow.enabled !== false)
+    .map(flow => ({ id: flow.id, name: flow.name, advanced }));
+
+  return toEntries(flows, false).concat(toEntries(advancedFlows, true))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Starts a Flow returned by getTriggerableFlows.
+ * @param {object} app - The ChatGPTAssistant instance.
+ * @param {object} flow - { id, advanced }
+ * @returns {Promise<void>}
+ */
+async function triggerFlow(app, flow) {
+  const api = await getApiClient(app);
+  if (flow.advanced) {
+    await api.flow.triggerAdvancedFlow({ id: flow.id });
+  } else {
+    await api.flow.triggerFlow({ id: flow.id });
+  }
+}
+
+/**
+ * Retrieves the moods of all zones. Homeys without moods support return none.
+ * @param {object} app - The ChatGPTAssistant instance.
+ * @returns {Promise<Array>} Array of { id, name, zoneId, zoneName }, sorted by name
+ */
+async function getMoods(app) {
+  const api = await getApiClient(app);
+  if (!api.moods || typeof api.moods.getMoods !== 'function') {
+    return [];
+  }
+
+  const [moods, zones] = await Promise.all([api.moods.getMoods(), api.zones.getZones()]);
+  return Object.values(moods || {})
+    .map(mood => ({
+      id: mood.id, name: mood.name, zoneId: mood.zone, zoneName: zones[mood.zone] ? zones[mood.zone].name : ''
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Activates a mood returned by getMoods.
+ * @param {object} app - The ChatGPTAssistant instance.
+ * @param {object} mood - { id }
+ * @returns {Promise<void>}
+ */
+async function setMood(app, mood) {
+  const api = await getApiClient(app);
+  await api.moods.setMood({ id: mood.id });
+}
+
+module.exports = {
+  getHomeState,
+  getDevicesMapping,
+  getTriggerableFlows,
+  triggerFlow,
+  getMoods,
+  setMood
+};
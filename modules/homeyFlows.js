@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Homey Flows and Moods
+ * Picks the triggerable Flow or zone mood meant by a spoken name ("run the good night flow",
+ * "activera mysig stämning") with the multilingual matcher. Listing and starting them goes
+ * through the homey-api client in homeyApiHelper.
+ */
+
+const { comprehensiveRoomMatch } = require('./advancedMultilingualMatcher');
+
+const FLOW_COMMANDS = {
+  run: 'run_flow',
+  mood: 'activate_mood'
+};
+
+// Semantic matches below this are treated as "not found" rather than guessed
+const MIN_MATCH_CONFIDENCE = 0.6;
+
+/**
+ * Find the items whose name best matches a spoken name
+ * @param {string} name - Name from the command
+ * @param {Array} items - Items with a name property
+ * @param {string} language - Language code
+ * @param {Function} llmFunction - Optional LLM function for semantic matching
+ * @returns {Promise<Array>} All items with the matched name (names need not be unique)
+ */
+async function matchByName(name, items, language = 'en', llmFunction = null) {
+  const names = [...new Set(items.map(item => item.name))];
+  const result = await comprehensiveRoomMatch(name, names, language, llmFunction);
+  if (!result.match || result.confidence < MIN_MATCH_CONFIDENCE) {
+    return [];
+  }
+  return items.filter(item => item.name === result.match);
+}
+
+/**
+ * Find a triggerable Flow by name
+ * @param {Array} flows - From getTriggerableFlows
+ * @param {string} name - Flow name from the command
+ * @param {object} options - { language, llmFunction }
+ * @returns {Promise<object>} { id, name, advanced }
+ */
+async function findFlow(flows, name, options = {}) {
+  const [flow] = await matchByName(name, flows, options.language, options.llmFunction);
+  if (!flow) {
+    const available = flows.map(candidate => candidate.name).join(', ') || 'none';
+    throw new Error(`No Flow named "${name}" that can be started found. Available Flows: ${available}`);
+  }
+  return flow;
+}
+
+/**
+ * Find a mood by name, optionally within a room. Moods are per zone, so a name used
+ * in several rooms needs the room to pick one.
+ * @param {Array} allMoods - From getMoods
+ * @param {string} name - Mood name from the command
+ * @param {string|null} room - Room name from the command
+ * @param {object} options - { language, llmFunction }
+ * @returns {Promise<object>} { id, name, zoneId, zoneName }
+ */
+async function findMood(allMoods, name, room, options = {}) {
+  let moods = allMoods;
+  if (room) {
+    const zoneNames = [...new Set(moods.map(mood => mood.zoneName).filter(Boolean))];
+    const zoneMatch = await comprehensiveRoomMatch(room, zoneNames, options.language, options.llmFunction);
+    moods = moods.filter(mood => mood.zoneName === zoneMatch.match);
+  }
+
+  const matches = await matchByName(name, moods, options.language, options.llmFunction);
+  if (matches.length === 0) {
+    const available = moods.map(mood => mood.name).join(', ') || 'none';
+    throw new Error(`No mood named "${name}"${room ? ` in ${room}` : ''} found. Available moods: ${available}`);
+  }
+  if (matches.length > 1) {
+    const rooms = matches.map(mood => mood.zoneName).join(', ');
+    throw new Error(`The mood "${matches[0].name}" exists in several rooms (${rooms}). Please say which room.`);
+  }
+  return matches[0];
+}
+
+/**
+ * Format the Flows and moods that can be started from chat
+ * @param {Array} flows - From getTriggerableFlows
+ * @param {Array} moods - From getMoods
+ * @returns {string} Message text
+ */
+function formatFlowsAndMoods(flows, moods) {
+  const lines = [];
+  lines.push(flows.length > 0
+    ? `▶️ Flows (${flows.length}):\n${flows.map(flow => `• ${flow.name}`).join('\n')}`
+    : '▶️ No Flows can be started from chat. Add the "This Flow is started" trigger to a Flow to start it by name.');
+  if (moods.length > 0) {
+    const moodLines = moods.map(mood => (mood.zoneName ? `• ${mood.name} (${mood.zoneName})` : `• ${mood.name}`));
+    lines.push(`🌈 Moods (${moods.length}):\n${moodLines.join('\n')}`);
+  }
+  lines.push('Say e.g. "run the good night flow" or "activate the cozy mood in the living room".');
+  return lines.join('\n\n');
+}
+
+module.exports = {
+  FLOW_COMMANDS,
+  matchByName,
+  findFlow,
+  findMood,
+  formatFlowsAndMoods
+};
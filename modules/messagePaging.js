@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Message Paging
+ * Telegram rejects messages over 4096 characters. Long replies are split into numbered parts
+ * at section (blank line) or line boundaries, keeping code blocks intact. Lengths are measured
+ * after rendering, since escaping and tags make a part longer than its markup. Status listings are
+ * paged instead: the first page is sent with a "More ▸" button, and the buttons show the other
+ * pages in the same message. Callback data: page:<id>:<index>
+ */
+
+const { FORMATS, renderMessage } = require('./messageRenderer');
+
+const MAX_MESSAGE_LENGTH = 4096;
+// Room for the part label and the <pre><code> tags that close and reopen a split code block
+const PART_RESERVE = 200;
+// Device lines per page of a status listing
+const LISTING_PAGE_SIZE = 15;
+const PAGE_PREFIX = 'page';
+
+const LIST_ITEM_PREFIX = '• ';
+// Zone headers that group the items (see statusFormatter)
+const GROUP_HEADER_PREFIX = '📍 ';
+const FENCE = '```';
+
+/**
+ * Break text into pieces no longer than the limit: sections, or the lines of a section that
+ * doesn't fit, or slices of a line that doesn't fit
+ * @param {string} text - Text
+ * @param {number} limit - Maximum piece length
+ * @param {Function} measure - (text) => length after rendering
+ * @returns {Array} Pieces { text, separator } where separator joins the piece to the previous one
+ */
+function toPieces(text, limit, measure) {
+  const pieces = [];
+  text.split(/\n{2,}/).forEach(section => {
+    if (measure(section) <= limit) {
+      pieces.push({ text: section, separator: '\n\n' });
+      return;
+    }
+    section.split('\n').forEach((line, index) => {
+      const separator = index === 0 ? '\n\n' : '\n';
+      if (line.length === 0) {
+        pieces.push({ text: line, separator });
+      }
+      for (let start = 0; start < line.length;) {
+        // Shrink the slice by how much its rendering overshoots until it fits
+        let end = Math.min(start + limit, line.length);
+        let length = measure(line.slice(start, end));
+        while (length > limit && end - start > 1) {
+          end = start + Math.max(Math.floor(((end - start) * limit) / length), 1);
+          length = measure(line.slice(start, end));
+        }
+        pieces.push({ text: line.slice(start, end), separator: start === 0 ? separator : '' });
+        start = end;
+      }
+    });
+  });
+  return pieces;
+}
+
+/**
+ * Close a code block that runs past the end of a part and reopen it in the next part
+ * @param {Array} chunks - Parts
+ * @returns {Array} Parts with balanced code blocks
+ */
+function balanceCodeBlocks(chunks) {
+  let openFence = null;
+  return chunks.map(chunk => {
+    const reopen = openFence;
+    chunk.split('\n').forEach(line => {
+      if (line.startsWith(FENCE)) {
+        openFence = openFence ? null : line;
+      }
+    });
+    return `${reopen ? `${reopen}\n` : ''}${chunk}${openFence ? `\n${FENCE}` : ''}`;
+  });
+}
+
+/**
+ * Split a message that is too long for Telegram into numbered parts
+ * @param {string} text - Message text (messageRenderer markup)
+ * @param {number} maxLength - Maximum length of a rendered part
+ * @param {string} format - Format the parts are sent in (see messageRenderer)
+ * @returns {Array} Parts; just the text when it fits
+ */
+function splitMessage(text, maxLength = MAX_MESSAGE_LENGTH, format = FORMATS.html) {
+  const measure = markup => renderMessage(markup, format).text.length;
+  if (measure(text) <= maxLength) {
+    return [text];
+  }
+
+  const chunks = [];
+  let current = null;
+  toPieces(text, maxLength - PART_RESERVE, measure).forEach(piece => {
+    const joined = current === null ? piece.text : `${current}${piece.separator}${piece.text}`;
+    if (current !== null && measure(joined) > maxLength - PART_RESERVE) {
+      chunks.push(current);
+      current = piece.text;
+    } else {
+      current = joined;
+    }
+  });
+  chunks.push(current);
+
+  return balanceCodeBlocks(chunks).map((chunk, index) => `${chunk}\n\n(${index + 1}/${chunks.length})`);
+}
+
+/**
+ * Split a status listing into pages of items. Everything before the first item stays on the
+ * first page, and later pages start with its first line as a title. A zone header is repeated
+ * when its items continue on the next page.
+ * @param {string} text - Formatted status (see statusFormatter)
+ * @param {number} pageSize - Items per page
+ * @returns {Array} Pages; just the text when the items fit on one page
+ */
+function paginateListing(text, pageSize = LISTING_PAGE_SIZE) {
+  const lines = text.split('\n');
+  const isItem = line => line.startsWith(LIST_ITEM_PREFIX);
+  const isListing = line => isItem(line) || line.startsWith(GROUP_HEADER_PREFIX);
+
+  const first = lines.findIndex(isListing);
+  const itemCount = lines.filter(isItem).length;
+  if (first === -1 || itemCount <= pageSize) {
+    return [text];
+  }
+
+  let last = lines.length - 1;
+  while (!isItem(lines[last])) {
+    last--;
+  }
+
+  const pages = [];
+  let page = lines.slice(0, first);
+  let count = 0;
+  let groupHeader = null;
+  lines.slice(first, last + 1).forEach(line => {
+    if (isItem(line) && count === pageSize) {
+      pages.push(page);
+      page = [lines[0], ''];
+      count = 0;
+      if (groupHeader) {
+        page.push(groupHeader);
+      }
+    }
+    if (isItem(line)) {
+      count++;
+    } else if (line.startsWith(GROUP_HEADER_PREFIX)) {
+      groupHeader = line;
+    }
+    page.push(line);
+  });
+  pages.push([...page, ...lines.slice(last + 1)]);
+
+  return pages.map(pageLines => pageLines.join('\n'));
+}
+
+/**
+ * Text of a page, with its number
+ * @param {Array} pages - Pages from paginateListing
+ * @param {number} index - Page index
+ * @returns {string} Page text (messageRenderer markup)
+ */
+function formatPage(pages, index) {
+  return `${pages[index]}\n\n__Page ${index + 1}/${pages.length}__`;
+}
+
+/**
+ * Inline keyboard to move between pages
+ * @param {string} id - ID of the paged reply
+ * @param {number} index - Index of the page shown
+ * @param {number} count - Number of pages
+ * @returns {object} reply_markup
+ */
+function buildPageKeyboard(id, index, count) {
+  const row = [];
+  if (index > 0) {
+    row.push({ text: '◂ Back', callback_data: `${PAGE_PREFIX}:${id}:${index - 1}` });
+  }
+  if (index < count - 1) {
+    row.push({ text: 'More ▸', callback_data: `${PAGE_PREFIX}:${id}:${index + 1}` });
+  }
+  return { inline_keyboard: [row] };
+}
+
+/**
+ * Parse the callback data of a page button
+ * @param {string} data - Callback data
+ * @returns {object|null} { id, index }, null if it isn't a page button
+ */
+function parsePageData(data) {
+  const [prefix, id, index] = String(data || '').split(':');
+  if (prefix !== PAGE_PREFIX || !id || !/^\d+$/.test(index || '')) {
+    return null;
+  }
+  return { id, index: parseInt(index, 10) };
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  LISTING_PAGE_SIZE,
+  PAGE_PREFIX,
+  splitMessage,
+  paginateListing,
+  formatPage,
+  buildPageKeyboard,
+  parsePageData
+};
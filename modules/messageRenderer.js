@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * Message Renderer
+ * Formatters write a small markup language:
+ *   **bold**   __italic__   `code`   ```json ... ``` (code block)
+ * This module renders it to Telegram HTML or MarkdownV2, escaping everything else, so device
+ * and room names with underscores, brackets or "<" show up as written. For plain-text
+ * destinations (Flow tokens, the Web API) the markup is stripped.
+ */
+
+const FORMATS = {
+  html: 'html',
+  markdown: 'markdown',
+  plain: 'plain'
+};
+
+const PARSE_MODES = {
+  [FORMATS.html]: 'HTML',
+  [FORMATS.markdown]: 'MarkdownV2'
+};
+
+const CODE_BLOCK_PATTERN = /```([\w-]*)\n?([\s\S]*?)```/g;
+const INLINE_PATTERN = /`([^`\n]+)`|\*\*([^*\n]+?)\*\*|__([^_\n]+?)__/g;
+
+/**
+ * Escape text for Telegram HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for Telegram MarkdownV2
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdownV2(text) {
+  return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+/**
+ * Escape the contents of a MarkdownV2 code span or block, where only ` and \ are special
+ * @param {string} text - Code
+ * @returns {string} Escaped code
+ */
+function escapeMarkdownV2Code(text) {
+  return String(text).replace(/[`\\]/g, '\\$&');
+}
+
+/**
+ * Split inline markup into tokens
+ * @param {string} text - Text without code blocks
+ * @returns {Array} Tokens { type: 'text'|'code'|'bold'|'italic', text }
+ */
+function tokenizeInline(text) {
+  const tokens = [];
+  let last = 0;
+  text.replace(INLINE_PATTERN, (match, code, bold, italic, offset) => {
+    if (offset > last) {
+      tokens.push({ type: 'text', text: text.slice(last, offset) });
+    }
+    if (code !== undefined) {
+      tokens.push({ type: 'code', text: code });
+    } else if (bold !== undefined) {
+      tokens.push({ type: 'bold', text: bold });
+    } else {
+      tokens.push({ type: 'italic', text: italic });
+    }
+    last = offset + match.length;
+    return match;
+  });
+  if (last < text.length) {
+    tokens.push({ type: 'text', text: text.slice(last) });
+  }
+  return tokens;
+}
+
+/**
+ * Split markup into tokens
+ * @param {string} text - Formatter output
+ * @returns {Array} Tokens { type: 'text'|'code'|'bold'|'italic'|'pre', text, language }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let last = 0;
+  text.replace(CODE_BLOCK_PATTERN, (match, language, code, offset) => {
+    tokens.push(...tokenizeInline(text.slice(last, offset)));
+    tokens.push({ type: 'pre', text: code.replace(/\n$/, ''), language });
+    last = offset + match.length;
+    return match;
+  });
+  tokens.push(...tokenizeInline(text.slice(last)));
+  return tokens;
+}
+
+/**
+ * Render one token as Telegram HTML
+ * @param {object} token - Token
+ * @returns {string} HTML
+ */
+function renderHtmlToken(token) {
+  const text = escapeHtml(token.text);
+  switch (token.type) {
+    case 'bold':
+      return `<b>${text}</b>`;
+    case 'italic':
+      return `<i>${text}</i>`;
+    case 'code':
+      return `<code>${text}</code>`;
+    case 'pre':
+      return token.language
+        ? `<pre><code class="language-${token.language}">${text}</code></pre>`
+        : `<pre>${text}</pre>`;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Render one token as Telegram MarkdownV2
+ * @param {object} token - Token
+ * @returns {string} MarkdownV2
+ */
+function renderMarkdownToken(token) {
+  switch (token.type) {
+    case 'bold':
+      return `*${escapeMarkdownV2(token.text)}*`;
+    case 'italic':
+      return `_${escapeMarkdownV2(token.text)}_`;
+    case 'code':
+      return `\`${escapeMarkdownV2Code(token.text)}\``;
+    case 'pre':
+      return `\`\`\`${token.language}\n${escapeMarkdownV2Code(token.text)}\n\`\`\``;
+    default:
+      return escapeMarkdownV2(token.text);
+  }
+}
+
+/**
+ * Render formatter output for Telegram
+ * @param {string} text - Text with markup
+ * @param {string} format - One of FORMATS
+ * @returns {object} { text, parse_mode } where parse_mode is undefined for plain text
+ */
+function renderMessage(text, format = FORMATS.html) {
+  const tokens = tokenize(String(text || ''));
+  let rendered;
+  if (format === FORMATS.html) {
+    rendered = tokens.map(renderHtmlToken).join('');
+  } else if (format === FORMATS.markdown) {
+    rendered = tokens.map(renderMarkdownToken).join('');
+  } else {
+    rendered = tokens.map(token => token.text).join('');
+  }
+  return { text: rendered, parse_mode: PARSE_MODES[format] };
+}
+
+/**
+ * Remove the markup, e.g. for Flow tokens and Web API responses
+ * @param {string} text - Text with markup
+ * @returns {string} Plain text
+ */
+function stripMarkup(text) {
+  return renderMessage(text, FORMATS.plain).text;
+}
+
+/**
+ * Wrap a value in a code block
+ * @param {*} value - Text, or anything else to show as JSON
+ * @param {string} language - Language for syntax highlighting
+ * @returns {string} Code block markup
+ */
+function formatCodeBlock(value, language = 'json') {
+  const code = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  // A ``` inside the code would end the block early; a zero-width space breaks it up
+  return `\`\`\`${language}\n${code.replace(/```/g, '`​``')}\n\`\`\``;
+}
+
+/**
+ * Lay out rows as a monospace table in a code block
+ * @param {Array} headers - Column headers
+ * @param {Array} rows - Rows, each an array of cell values
+ * @returns {string} Code block markup
+ */
+function formatTable(headers, rows) {
+  const toCell = cell => (cell === null || cell === undefined ? '' : String(cell));
+  const cells = [headers, ...rows].map(row => row.map(toCell));
+  const widths = headers.map((header, column) => Math.max(...cells.map(row => (row[column] || '').length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  const separator = widths.map(width => '-'.repeat(width)).join('  ');
+  const lines = [formatRow(cells[0]), separator, ...cells.slice(1).map(formatRow)];
+  return formatCodeBlock(lines.join('\n'), '');
+}
+
+module.exports = {
+  FORMATS,
+  escapeHtml,
+  escapeMarkdownV2,
+  renderMessage,
+  stripMarkup,
+  formatCodeBlock,
+  formatTable
+};
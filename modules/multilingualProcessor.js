@@ -123,6 +123,591 @@ const ROOM_TRANSLATIONS = {
   }
 };
 
+// Phrases that ask to revert the last command (matched against the whole message)
+const UNDO_PHRASES = {
+  'en': ['undo', 'undo that', 'undo it', 'undo the last command', 'revert', 'revert that', 'take that back'],
+  'es': ['deshacer', 'deshaz eso', 'deshazlo', 'deshacer eso', 'revertir'],
+  'fr': ['annuler', 'annule ça', 'annule', 'annuler ça', 'annuler la dernière commande'],
+  'de': ['rückgängig', 'rückgängig machen', 'mach das rückgängig', 'mach es rückgängig'],
+  'it': ['annulla', 'annulla quello', 'annullalo', 'annulla l\'ultimo comando'],
+  'pt': ['desfazer', 'desfaz isso', 'desfazer isso', 'desfaça isso'],
+  'nl': ['ongedaan maken', 'maak dat ongedaan', 'maak het ongedaan', 'terugdraaien'],
+  'sv': ['ångra', 'ångra det', 'ångra det där', 'ångra senaste', 'ångra senaste kommandot']
+};
+
+// Vocabulary for delayed commands ("in 20 minutes", "om en halvtimme", "at 22:30").
+// Units and phrases are in milliseconds; relative prefixes introduce a delay,
+// absolute prefixes introduce a wall-clock time. bareHour allows "klockan 7" without
+// minutes or a suffix, which is off where the prefix also means "to"/"by" ("dim at 20").
+// particles are separable verb parts that may follow a delay at the end of a command
+// ("schalte das Licht in einer Stunde aus").
+const TIME_EXPRESSIONS = {
+  'en': {
+    relative: ['in', 'after'],
+    absolute: ['at'],
+    units: {
+      'seconds': 1000,
+      'second': 1000,
+      'secs': 1000,
+      'sec': 1000,
+      'minutes': 60000,
+      'minute': 60000,
+      'mins': 60000,
+      'min': 60000,
+      'hours': 3600000,
+      'hour': 3600000,
+      'hrs': 3600000,
+      'hr': 3600000,
+      'h': 3600000
+    },
+    numbers: {
+      'a': 1,
+      'an': 1,
+      'one': 1,
+      'two': 2,
+      'three': 3,
+      'four': 4,
+      'five': 5,
+      'ten': 10,
+      'fifteen': 15,
+      'twenty': 20,
+      'thirty': 30,
+      'forty five': 45
+    },
+    phrases: {
+      'half an hour': 1800000,
+      'a quarter of an hour': 900000,
+      'a quarter hour': 900000,
+      'an hour and a half': 5400000
+    },
+    suffixes: ['am', 'pm', 'a.m.', 'p.m.', 'o\'clock'],
+    bareHour: false,
+    particles: []
+  },
+  'sv': {
+    relative: ['om'],
+    absolute: ['klockan', 'kl.', 'kl'],
+    units: {
+      'sekunder': 1000,
+      'sekund': 1000,
+      'sek': 1000,
+      'minuter': 60000,
+      'minut': 60000,
+      'min': 60000,
+      'timmar': 3600000,
+      'timme': 3600000,
+      'tim': 3600000,
+      'h': 3600000
+    },
+    numbers: {
+      'en': 1,
+      'ett': 1,
+      'två': 2,
+      'tre': 3,
+      'fyra': 4,
+      'fem': 5,
+      'tio': 10,
+      'femton': 15,
+      'tjugo': 20,
+      'trettio': 30
+    },
+    phrases: {
+      'en halvtimme': 1800000,
+      'en halv timme': 1800000,
+      'halvtimme': 1800000,
+      'en kvart': 900000,
+      'en och en halv timme': 5400000
+    },
+    suffixes: [],
+    bareHour: true,
+    particles: []
+  },
+  'de': {
+    relative: ['in'],
+    absolute: ['um'],
+    units: {
+      'sekunden': 1000,
+      'sekunde': 1000,
+      'sek': 1000,
+      'minuten': 60000,
+      'minute': 60000,
+      'min': 60000,
+      'stunden': 3600000,
+      'stunde': 3600000,
+      'std': 3600000
+    },
+    numbers: {
+      'einer': 1,
+      'einem': 1,
+      'eine': 1,
+      'ein': 1,
+      'zwei': 2,
+      'drei': 3,
+      'vier': 4,
+      'fünf': 5,
+      'zehn': 10,
+      'fünfzehn': 15,
+      'zwanzig': 20,
+      'dreißig': 30
+    },
+    phrases: {
+      'einer halben stunde': 1800000,
+      'einer viertelstunde': 900000,
+      'anderthalb stunden': 5400000,
+      'eineinhalb stunden': 5400000
+    },
+    suffixes: ['uhr'],
+    bareHour: false,
+    particles: ['aus', 'an', 'ein', 'ab', 'zu', 'auf']
+  },
+  'fr': {
+    relative: ['dans'],
+    absolute: ['à'],
+    units: {
+      'secondes': 1000,
+      'seconde': 1000,
+      'minutes': 60000,
+      'minute': 60000,
+      'min': 60000,
+      'heures': 3600000,
+      'heure': 3600000
+    },
+    numbers: {
+      'un': 1,
+      'une': 1,
+      'deux': 2,
+      'trois': 3,
+      'quatre': 4,
+      'cinq': 5,
+      'dix': 10,
+      'quinze': 15,
+      'vingt': 20,
+      'trente': 30
+    },
+    phrases: {
+      'une demi-heure': 1800000,
+      'une demi heure': 1800000,
+      'un quart d\'heure': 900000,
+      'une heure et demie': 5400000
+    },
+    suffixes: ['h', 'heures', 'heure'],
+    bareHour: false,
+    particles: []
+  },
+  'es': {
+    relative: ['dentro de', 'en'],
+    absolute: ['a las', 'a la'],
+    units: {
+      'segundos': 1000,
+      'segundo': 1000,
+      'seg': 1000,
+      'minutos': 60000,
+      'minuto': 60000,
+      'min': 60000,
+      'horas': 3600000,
+      'hora': 3600000
+    },
+    numbers: {
+      'un': 1,
+      'una': 1,
+      'uno': 1,
+      'dos': 2,
+      'tres': 3,
+      'cuatro': 4,
+      'cinco': 5,
+      'diez': 10,
+      'quince': 15,
+      'veinte': 20,
+      'treinta': 30
+    },
+    phrases: {
+      'media hora': 1800000,
+      'un cuarto de hora': 900000,
+      'una hora y media': 5400000
+    },
+    suffixes: [],
+    bareHour: true,
+    particles: []
+  },
+  'it': {
+    relative: ['tra', 'fra'],
+    absolute: ['alle'],
+    units: {
+      'secondi': 1000,
+      'secondo': 1000,
+      'sec': 1000,
+      'minuti': 60000,
+      'minuto': 60000,
+      'min': 60000,
+      'ore': 3600000,
+      'ora': 3600000
+    },
+    numbers: {
+      'un': 1,
+      'una': 1,
+      'uno': 1,
+      'due': 2,
+      'tre': 3,
+      'quattro': 4,
+      'cinque': 5,
+      'dieci': 10,
+      'quindici': 15,
+      'venti': 20,
+      'trenta': 30
+    },
+    phrases: {
+      'mezz\'ora': 1800000,
+      'mezzora': 1800000,
+      'un quarto d\'ora': 900000,
+      'un\'ora e mezza': 5400000,
+      'un\'ora': 3600000
+    },
+    suffixes: [],
+    bareHour: true,
+    particles: []
+  },
+  'pt': {
+    relative: ['daqui a', 'dentro de', 'em'],
+    absolute: ['às'],
+    units: {
+      'segundos': 1000,
+      'segundo': 1000,
+      'seg': 1000,
+      'minutos': 60000,
+      'minuto': 60000,
+      'min': 60000,
+      'horas': 3600000,
+      'hora': 3600000
+    },
+    numbers: {
+      'um': 1,
+      'uma': 1,
+      'dois': 2,
+      'duas': 2,
+      'três': 3,
+      'quatro': 4,
+      'cinco': 5,
+      'dez': 10,
+      'quinze': 15,
+      'vinte': 20,
+      'trinta': 30
+    },
+    phrases: {
+      'meia hora': 1800000,
+      'um quarto de hora': 900000,
+      'uma hora e meia': 5400000
+    },
+    suffixes: ['h', 'horas'],
+    bareHour: true,
+    particles: []
+  },
+  'nl': {
+    relative: ['over', 'binnen'],
+    absolute: ['om'],
+    units: {
+      'seconden': 1000,
+      'seconde': 1000,
+      'sec': 1000,
+      'minuten': 60000,
+      'minuut': 60000,
+      'min': 60000,
+      'uren': 3600000,
+      'uur': 3600000
+    },
+    numbers: {
+      'een': 1,
+      'één': 1,
+      'twee': 2,
+      'drie': 3,
+      'vier': 4,
+      'vijf': 5,
+      'tien': 10,
+      'vijftien': 15,
+      'twintig': 20,
+      'dertig': 30
+    },
+    phrases: {
+      'een half uur': 1800000,
+      'half uur': 1800000,
+      'een kwartier': 900000,
+      'anderhalf uur': 5400000
+    },
+    suffixes: ['uur'],
+    bareHour: true,
+    particles: ['uit', 'aan', 'af', 'dicht', 'open']
+  }
+};
+
+// Vocabulary for recurring routines ("every weekday at 06:45", "varje dag kl 7").
+// every introduces an interval or a list of days; days map to weekday numbers (0 = Sunday).
+const RECURRENCE_EXPRESSIONS = {
+  'en': {
+    every: ['every', 'each'],
+    daily: ['every day', 'each day', 'daily'],
+    weekdays: ['every weekday', 'on weekdays', 'weekdays'],
+    weekends: ['every weekend', 'on weekends', 'weekends'],
+    joiners: ['and'],
+    days: {
+      'monday': 1,
+      'mondays': 1,
+      'tuesday': 2,
+      'tuesdays': 2,
+      'wednesday': 3,
+      'wednesdays': 3,
+      'thursday': 4,
+      'thursdays': 4,
+      'friday': 5,
+      'fridays': 5,
+      'saturday': 6,
+      'saturdays': 6,
+      'sunday': 0,
+      'sundays': 0
+    }
+  },
+  'sv': {
+    every: ['varje', 'var'],
+    daily: ['varje dag', 'alla dagar', 'dagligen'],
+    weekdays: ['varje vardag', 'på vardagar', 'vardagar'],
+    weekends: ['varje helg', 'på helger', 'helger'],
+    joiners: ['och'],
+    days: {
+      'måndag': 1,
+      'måndagar': 1,
+      'tisdag': 2,
+      'tisdagar': 2,
+      'onsdag': 3,
+      'onsdagar': 3,
+      'torsdag': 4,
+      'torsdagar': 4,
+      'fredag': 5,
+      'fredagar': 5,
+      'lördag': 6,
+      'lördagar': 6,
+      'söndag': 0,
+      'söndagar': 0
+    }
+  },
+  'de': {
+    every: ['jeden', 'jede', 'jedes', 'alle'],
+    daily: ['jeden tag', 'täglich'],
+    weekdays: ['jeden werktag', 'an werktagen', 'werktags'],
+    weekends: ['jedes wochenende', 'am wochenende'],
+    joiners: ['und'],
+    days: {
+      'montag': 1,
+      'montags': 1,
+      'dienstag': 2,
+      'dienstags': 2,
+      'mittwoch': 3,
+      'mittwochs': 3,
+      'donnerstag': 4,
+      'donnerstags': 4,
+      'freitag': 5,
+      'freitags': 5,
+      'samstag': 6,
+      'samstags': 6,
+      'sonntag': 0,
+      'sonntags': 0
+    }
+  },
+  'fr': {
+    every: ['tous les', 'toutes les', 'chaque'],
+    daily: ['tous les jours', 'chaque jour'],
+    weekdays: ['chaque jour de semaine', 'en semaine'],
+    weekends: ['chaque week-end', 'le week-end', 'le weekend'],
+    joiners: ['et'],
+    days: {
+      'lundi': 1,
+      'lundis': 1,
+      'mardi': 2,
+      'mardis': 2,
+      'mercredi': 3,
+      'mercredis': 3,
+      'jeudi': 4,
+      'jeudis': 4,
+      'vendredi': 5,
+      'vendredis': 5,
+      'samedi': 6,
+      'samedis': 6,
+      'dimanche': 0,
+      'dimanches': 0
+    }
+  },
+  'es': {
+    every: ['cada', 'todos los', 'todas las'],
+    daily: ['todos los días', 'cada día', 'diariamente'],
+    weekdays: ['los días laborables', 'días laborables', 'entre semana'],
+    weekends: ['los fines de semana', 'cada fin de semana'],
+    joiners: ['y'],
+    days: {
+      'lunes': 1,
+      'martes': 2,
+      'miércoles': 3,
+      'jueves': 4,
+      'viernes': 5,
+      'sábado': 6,
+      'sábados': 6,
+      'domingo': 0,
+      'domingos': 0
+    }
+  },
+  'it': {
+    every: ['ogni', 'tutti i', 'tutte le'],
+    daily: ['ogni giorno', 'tutti i giorni'],
+    weekdays: ['nei giorni feriali', 'giorni feriali'],
+    weekends: ['ogni fine settimana', 'nel fine settimana', 'nei weekend'],
+    joiners: ['e'],
+    days: {
+      'lunedì': 1,
+      'martedì': 2,
+      'mercoledì': 3,
+      'giovedì': 4,
+      'venerdì': 5,
+      'sabato': 6,
+      'sabati': 6,
+      'domenica': 0,
+      'domeniche': 0
+    }
+  },
+  'pt': {
+    every: ['a cada', 'cada', 'todos os', 'todas as'],
+    daily: ['todos os dias', 'cada dia', 'diariamente'],
+    weekdays: ['nos dias úteis', 'dias úteis', 'durante a semana'],
+    weekends: ['nos fins de semana', 'aos fins de semana'],
+    joiners: ['e'],
+    days: {
+      'segunda-feira': 1,
+      'segundas-feiras': 1,
+      'segunda': 1,
+      'terça-feira': 2,
+      'terças-feiras': 2,
+      'terça': 2,
+      'quarta-feira': 3,
+      'quartas-feiras': 3,
+      'quarta': 3,
+      'quinta-feira': 4,
+      'quintas-feiras': 4,
+      'quinta': 4,
+      'sexta-feira': 5,
+      'sextas-feiras': 5,
+      'sexta': 5,
+      'sábado': 6,
+      'sábados': 6,
+      'domingo': 0,
+      'domingos': 0
+    }
+  },
+  'nl': {
+    every: ['elke', 'iedere', 'elk', 'ieder'],
+    daily: ['elke dag', 'iedere dag', 'dagelijks'],
+    weekdays: ['elke werkdag', 'op werkdagen', 'doordeweeks'],
+    weekends: ['elk weekend', 'in het weekend'],
+    joiners: ['en'],
+    days: {
+      'maandag': 1,
+      'dinsdag': 2,
+      'woensdag': 3,
+      'donderdag': 4,
+      'vrijdag': 5,
+      'zaterdag': 6,
+      'zondag': 0
+    }
+  }
+};
+
+// Vocabulary for solar anchors ("30 minutes after sunset", "i gryningen").
+// Dawn and dusk are civil twilight; offsets reuse the units of TIME_EXPRESSIONS.
+const SOLAR_EXPRESSIONS = {
+  'en': {
+    events: {
+      sunrise: ['sunrise', 'sunup', 'sun-up'],
+      sunset: ['sunset', 'sundown'],
+      dawn: ['dawn', 'first light', 'daybreak'],
+      dusk: ['dusk', 'nightfall', 'twilight']
+    },
+    prefixes: ['at', 'by'],
+    before: ['before'],
+    after: ['after']
+  },
+  'sv': {
+    events: {
+      sunrise: ['soluppgången', 'soluppgång'],
+      sunset: ['solnedgången', 'solnedgång'],
+      dawn: ['gryningen', 'gryning'],
+      dusk: ['skymningen', 'skymning']
+    },
+    prefixes: ['vid', 'i'],
+    before: ['före', 'innan'],
+    after: ['efter']
+  },
+  'de': {
+    events: {
+      sunrise: ['sonnenaufgang'],
+      sunset: ['sonnenuntergang'],
+      dawn: ['morgendämmerung', 'tagesanbruch'],
+      dusk: ['abenddämmerung', 'dämmerung']
+    },
+    prefixes: ['bei der', 'bei', 'zum', 'in der'],
+    before: ['vor dem', 'vor der', 'vor'],
+    after: ['nach dem', 'nach der', 'nach']
+  },
+  'fr': {
+    events: {
+      sunrise: ['lever du soleil', 'lever de soleil'],
+      sunset: ['coucher du soleil', 'coucher de soleil'],
+      dawn: ['l\'aube', 'aube'],
+      dusk: ['crépuscule', 'tombée de la nuit']
+    },
+    prefixes: ['au', 'à la', 'à', 'dès'],
+    before: ['avant le', 'avant la', 'avant'],
+    after: ['après le', 'après la', 'après']
+  },
+  'es': {
+    events: {
+      sunrise: ['salida del sol', 'amanecer'],
+      sunset: ['puesta del sol', 'puesta de sol', 'atardecer'],
+      dawn: ['alba', 'madrugada'],
+      dusk: ['anochecer', 'crepúsculo']
+    },
+    prefixes: ['al', 'a la', 'en el'],
+    before: ['antes del', 'antes de la', 'antes de'],
+    after: ['después del', 'después de la', 'después de']
+  },
+  'it': {
+    events: {
+      sunrise: ['sorgere del sole', 'levata del sole'],
+      sunset: ['tramonto'],
+      dawn: ['alba'],
+      dusk: ['crepuscolo', 'imbrunire']
+    },
+    prefixes: ['al', 'all\'', 'alla'],
+    before: ['prima del', 'prima dell\'', 'prima della'],
+    after: ['dopo il', 'dopo l\'', 'dopo la']
+  },
+  'pt': {
+    events: {
+      sunrise: ['nascer do sol'],
+      sunset: ['pôr do sol', 'por do sol'],
+      dawn: ['amanhecer', 'alvorada'],
+      dusk: ['anoitecer', 'crepúsculo']
+    },
+    prefixes: ['ao', 'no'],
+    before: ['antes do', 'antes da'],
+    after: ['depois do', 'depois da', 'após o']
+  },
+  'nl': {
+    events: {
+      sunrise: ['zonsopgang', 'zonsopkomst'],
+      sunset: ['zonsondergang'],
+      dawn: ['dageraad', 'ochtendschemering'],
+      dusk: ['avondschemering', 'schemering']
+    },
+    prefixes: ['bij', 'met'],
+    before: ['voor'],
+    after: ['na']
+  }
+};
+
 // Multilingual action/intent mappings
 const ACTION_TRANSLATIONS = {
   'en': {
@@ -354,9 +939,12 @@ const {
  * @param {string} language - The detected language
  * @param {Array} availableRooms - Optional array of available room names from Homey
  * @param {Function} llmFunction - Optional LLM function for semantic matching
+ * @param {Object} aliases - Optional map of lowercase alias -> room name
  * @returns {Promise<string>} Normalized room name or best match
  */
-async function normalizeRoomNameAdvanced(roomName, language = 'en', availableRooms = [], llmFunction = null) {
+async function normalizeRoomNameAdvanced(
+  roomName, language = 'en', availableRooms = [], llmFunction = null, aliases = {}
+) {
   if (!roomName) return '';
 
   const lowerRoomName = roomName.toLowerCase().trim();
@@ -368,7 +956,7 @@ async function normalizeRoomNameAdvanced(roomName, language = 'en', availableRoo
 
   // Use advanced matching for better results
   try {
-    const matchResult = await comprehensiveRoomMatch(roomName, availableRooms, language, llmFunction);
+    const matchResult = await comprehensiveRoomMatch(roomName, availableRooms, language, llmFunction, aliases);
 
     if (matchResult.match && matchResult.confidence >= SIMILARITY_THRESHOLD) {
       console.log(`🎯 Advanced room match: "${roomName}" -> "${matchResult.match}" (${matchResult.method}, confidence: ${matchResult.confidence.toFixed(2)})`);
@@ -500,6 +1088,305 @@ function normalizeRoomName(roomName, language = 'en', availableRooms = []) {
   return normalizeRoomNameLegacy(roomName, language, availableRooms);
 }
 
+/**
+ * Check whether a message asks to undo the last command ("undo that", "ångra det", ...).
+ * The detected language is checked first, then all other supported languages.
+ * @param {string} text - The message text
+ * @param {string} language - The detected language
+ * @returns {boolean} True if the message is an undo request
+ */
+function isUndoRequest(text, language = 'en') {
+  if (!text || typeof text !== 'string') return false;
+
+  const normalized = text.toLowerCase().replace(/[.!?¡¿]/g, '').replace(/\s+/g, ' ').trim();
+  const languages = [language, ...Object.keys(UNDO_PHRASES).filter(lang => lang !== language)];
+
+  return languages.some(lang => (UNDO_PHRASES[lang] || []).includes(normalized));
+}
+
+// Words after a number that make it a value rather than a time ("at 21 degrees")
+const NON_TIME_UNITS = [
+  '°', '%', 'degrees?', 'grader', 'grad', 'grados', 'gradi', 'graus', 'graden', 'degrés',
+  'percent', 'procent', 'prozent', 'pour ?cent', 'por ?ciento', 'per ?cento', 'por ?cento'
+].join('|');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a regex alternation from words, longest first so "minutes" wins over "min"
+ * @param {Array} words - Words or phrases
+ * @returns {string} Alternation pattern
+ */
+function buildAlternation(words) {
+  return [...new Set(words)]
+    .sort((a, b) => b.length - a.length)
+    .map(word => escapeRegExp(word).replace(/ /g, '\\s+'))
+    .join('|');
+}
+
+/**
+ * Remove a matched time expression from the command text
+ * @param {string} text - Original text
+ * @param {object} match - Regex match
+ * @returns {string} Text without the time expression
+ */
+function removeMatch(text, match) {
+  return `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Match a pattern only at the start or the end of the text. A trailing separable verb particle
+ * still counts as the end ("schalte das Licht in einer Stunde aus").
+ * @param {string} text - Command text
+ * @param {string} pattern - Pattern source
+ * @param {object} vocabulary - TIME_EXPRESSIONS entry
+ * @returns {Array|null} Regex match or null
+ */
+function matchAtEnds(text, pattern, vocabulary) {
+  const particles = vocabulary.particles.length > 0
+    ? `(?:\\s+(?:${buildAlternation(vocabulary.particles)}))?`
+    : '';
+  return text.match(new RegExp(`^\\s*${pattern}(?![\\p{L}\\d])`, 'iu'))
+    || text.match(new RegExp(`(?<![\\p{L}\\d])${pattern}(?=${particles}[\\s.!?]*$)`, 'iu'));
+}
+
+/**
+ * Find a relative delay ("in 20 minutes", "om en halvtimme") at the start or end of the text.
+ * A delay in the middle ("turn on the light and after 5 minutes turn it off") is a sequence
+ * and is left to the LLM.
+ * @param {string} text - Command text
+ * @param {string} language - Language to use
+ * @returns {object|null} Delay expression or null
+ */
+function matchRelativeTime(text, language) {
+  const vocabulary = TIME_EXPRESSIONS[language];
+  const prefixes = buildAlternation(vocabulary.relative);
+
+  const phraseMatch = matchAtEnds(
+    text, `(?:${prefixes})\\s+(${buildAlternation(Object.keys(vocabulary.phrases))})`, vocabulary
+  );
+  if (phraseMatch) {
+    const phrase = phraseMatch[1].toLowerCase().replace(/\s+/g, ' ');
+    return {
+      type: 'delay',
+      delayMs: vocabulary.phrases[phrase],
+      text: phraseMatch[0].trim(),
+      remainingText: removeMatch(text, phraseMatch)
+    };
+  }
+
+  const amounts = `\\d+(?:[.,]\\d+)?|${buildAlternation(Object.keys(vocabulary.numbers))}`;
+  const units = buildAlternation(Object.keys(vocabulary.units));
+  const unitMatch = matchAtEnds(text, `(?:${prefixes})\\s+(${amounts})\\s*(${units})`, vocabulary);
+  if (!unitMatch) {
+    return null;
+  }
+
+  const amountText = unitMatch[1].toLowerCase().replace(/\s+/g, ' ');
+  const amount = /^\d/.test(amountText)
+    ? parseFloat(amountText.replace(',', '.'))
+    : vocabulary.numbers[amountText];
+  const delayMs = Math.round(amount * vocabulary.units[unitMatch[2].toLowerCase()]);
+
+  if (!(delayMs > 0)) {
+    return null;
+  }
+  return {
+    type: 'delay',
+    delayMs,
+    text: unitMatch[0].trim(),
+    remainingText: removeMatch(text, unitMatch)
+  };
+}
+
+/**
+ * Find a wall-clock time ("at 22:30", "klockan 7", "um 22 Uhr") in the text
+ * @param {string} text - Command text
+ * @param {string|null} language - Language to use, or null for a bare HH:MM time
+ * @param {boolean} allowBareHour - Accept "at 7" even where the language is ambiguous
+ * @returns {object|null} Time expression or null
+ */
+function matchAbsoluteTime(text, language, allowBareHour = false) {
+  const vocabulary = language ? TIME_EXPRESSIONS[language] : null;
+  const prefix = vocabulary ? `(?:${buildAlternation(vocabulary.absolute)})\\s+` : '';
+  const suffixes = vocabulary && vocabulary.suffixes.length > 0
+    ? `(?:\\s*(${buildAlternation(vocabulary.suffixes)}))?`
+    : '()';
+  // Without a prefix only an explicit HH:MM counts as a time
+  const minutes = vocabulary ? '(?:\\s*[:.h]\\s*(\\d{2}))?' : ':(\\d{2})';
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\d])${prefix}(\\d{1,2})${minutes}${suffixes}(?![\\p{L}\\d])(?!\\s*(?:${NON_TIME_UNITS}))`, 'iu'
+  );
+  const match = text.match(pattern);
+  if (!match || (vocabulary && !vocabulary.bareHour && !allowBareHour && !match[2] && !match[3])) {
+    return null;
+  }
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const suffix = (match[3] || '').toLowerCase().replace(/\./g, '');
+
+  if (suffix === 'pm' && hour < 12) hour += 12;
+  if (suffix === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+
+  return {
+    type: 'time',
+    hour,
+    minute,
+    text: match[0].trim(),
+    remainingText: removeMatch(text, match)
+  };
+}
+
+/**
+ * Join words into a pattern where words ending in an apostrophe ("all'") attach to the next word
+ * @param {Array} words - Words or phrases
+ * @returns {string} Pattern matching one of the words plus the following separator
+ */
+function buildPrefixPattern(words) {
+  return `(?:${buildAlternation(words)})(?:\\s+|(?<=['’]))`;
+}
+
+/**
+ * Find a solar anchor ("at sunset", "30 minutes after sunset", "i gryningen") in the text
+ * @param {string} text - Command text
+ * @param {string} language - Language to use
+ * @returns {object|null} Solar expression or null
+ */
+function matchSolarTime(text, language) {
+  const solar = SOLAR_EXPRESSIONS[language];
+  const vocabulary = TIME_EXPRESSIONS[language];
+  const eventWords = Object.values(solar.events).flat();
+
+  const amounts = `\\d+(?:[.,]\\d+)?|${buildAlternation(Object.keys(vocabulary.numbers))}`;
+  const units = buildAlternation(Object.keys(vocabulary.units));
+  const phrases = buildAlternation(Object.keys(vocabulary.phrases));
+  const direction = `(${buildPrefixPattern([...solar.before, ...solar.after])})`;
+  const offset = `(?:(${amounts})\\s*(${units})|(${phrases}))\\s+${direction}`;
+  const prefix = `(?:${buildPrefixPattern(solar.prefixes)})`;
+
+  // The event needs a prefix ("at sunset") or an offset ("30 minutes after sunset"), so names
+  // such as "Sunrise lamp" or "the sunset scene" aren't read as times
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\d])(?:${offset}${prefix}?|${prefix})(${buildAlternation(eventWords)})(?![\\p{L}\\d])`, 'iu'
+  );
+  const match = text.match(pattern);
+  if (!match) {
+    return null;
+  }
+
+  const normalize = value => value.toLowerCase().replace(/\s+/g, ' ').trim();
+  const eventWord = normalize(match[5]);
+  const event = Object.keys(solar.events).find(key => solar.events[key].includes(eventWord));
+
+  let offsetMs = 0;
+  if (match[1]) {
+    const amountText = normalize(match[1]);
+    const amount = /^\d/.test(amountText) ? parseFloat(amountText.replace(',', '.')) : vocabulary.numbers[amountText];
+    offsetMs = Math.round(amount * vocabulary.units[match[2].toLowerCase()]);
+  } else if (match[3]) {
+    offsetMs = vocabulary.phrases[normalize(match[3])];
+  }
+  if (offsetMs && solar.before.includes(normalize(match[4]))) {
+    offsetMs = -offsetMs;
+  }
+
+  return {
+    type: 'solar',
+    event,
+    offsetMs,
+    text: match[0].trim(),
+    remainingText: removeMatch(text, match)
+  };
+}
+
+// Words of each language's vocabulary, built on first use by detectCommandLanguage
+const commandVocabularies = new Map();
+
+/**
+ * Get the words a command in the language is likely to contain
+ * @param {string} language - Language code
+ * @returns {Set} Lowercase words
+ */
+function getCommandVocabulary(language) {
+  if (!commandVocabularies.has(language)) {
+    const time = TIME_EXPRESSIONS[language];
+    const phrases = [
+      ...Object.values(ACTION_TRANSLATIONS[language] || {}).flat(),
+      ...Object.values(ROOM_TRANSLATIONS[language] || {}).flat(),
+      ...Object.values(DEVICE_TRANSLATIONS[language] || {}).flat(),
+      ...(UNDO_PHRASES[language] || []),
+      ...time.relative,
+      ...time.absolute,
+      ...Object.keys(time.units),
+      ...Object.keys(time.numbers),
+      ...Object.keys(time.phrases)
+    ];
+    commandVocabularies.set(language, new Set(phrases.flatMap(phrase => phrase.toLowerCase().split(/\s+/))));
+  }
+  return commandVocabularies.get(language);
+}
+
+/**
+ * Guess the language of a typed command from its words, for time expressions such as "om"
+ * that mean "in" in Swedish but "at" in Dutch. Ties go to the fallback.
+ * @param {string} text - Command text
+ * @param {string} fallback - Language to use when no other language fits better
+ * @returns {string} Language code
+ */
+function detectCommandLanguage(text, fallback = 'en') {
+  const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  const score = language => words.filter(word => getCommandVocabulary(language).has(word)).length;
+
+  let best = TIME_EXPRESSIONS[fallback] ? fallback : 'en';
+  let bestScore = score(best);
+  Object.keys(TIME_EXPRESSIONS).forEach(language => {
+    const languageScore = score(language);
+    if (languageScore > bestScore) {
+      best = language;
+      bestScore = languageScore;
+    }
+  });
+  return best;
+}
+
+/**
+ * Extract a scheduling expression from a command ("turn off the lights in 20 minutes",
+ * "släck i köket om en halvtimme", "mach das Licht um 22:30 aus", "turn on the porch light at sunset").
+ * Only the command's language is used, since "om" means "in" in Swedish but "at" in Dutch
+ * and "over" is a delay only in Dutch. Without a supported language it is detected from the text.
+ * @param {string} text - Command text
+ * @param {string} language - The detected language
+ * @returns {object|null} { type: 'delay', delayMs }, { type: 'time', hour, minute } or
+ *   { type: 'solar', event, offsetMs }, plus the matched text and the remaining command text;
+ *   null if the command isn't scheduled
+ */
+function extractTimeExpression(text, language = 'en') {
+  if (!text || typeof text !== 'string') return null;
+
+  const lang = TIME_EXPRESSIONS[language] ? language : detectCommandLanguage(text);
+
+  // Solar anchors first, so "30 minutes after sunset" isn't read as a plain delay
+  return matchSolarTime(text, lang)
+    || matchRelativeTime(text, lang)
+    || matchAbsoluteTime(text, lang)
+    || matchAbsoluteTime(text, null);
+}
+
 /**
  * Normalize action/intent across languages
  * @param {string} action - The action to normalize
@@ -798,10 +1685,147 @@ function extractDeviceTypesFromText(text, language = 'en') {
   return deviceTypes;
 }
 
+/**
+ * Find a recurring interval ("every 2 hours", "varje timme") in the text
+ * @param {string} text - Command text
+ * @param {string} language - Language to use
+ * @returns {object|null} { rule, match } or null
+ */
+function matchRecurringInterval(text, language) {
+  const recurrence = RECURRENCE_EXPRESSIONS[language];
+  const vocabulary = TIME_EXPRESSIONS[language];
+  if (!vocabulary) {
+    return null;
+  }
+
+  const amounts = `\\d+(?:[.,]\\d+)?|${buildAlternation(Object.keys(vocabulary.numbers))}`;
+  const units = buildAlternation(Object.keys(vocabulary.units));
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\d])(?:${buildAlternation(recurrence.every)})\\s+(?:(${amounts})\\s*)?(${units})(?![\\p{L}\\d])`, 'iu'
+  );
+  const match = text.match(pattern);
+  if (!match) {
+    return null;
+  }
+
+  const amountText = (match[1] || '1').toLowerCase().replace(/\s+/g, ' ');
+  const amount = /^\d/.test(amountText)
+    ? parseFloat(amountText.replace(',', '.'))
+    : vocabulary.numbers[amountText];
+  const intervalMs = Math.round(amount * vocabulary.units[match[2].toLowerCase()]);
+
+  // Sub-minute intervals would flood the chat with results
+  if (!(intervalMs >= 60000)) {
+    return null;
+  }
+  return { rule: { type: 'interval', intervalMs }, match };
+}
+
+/**
+ * Find the days of a weekly rule ("every weekday", "every monday and friday") in the text
+ * @param {string} text - Command text
+ * @param {string} language - Language to use
+ * @returns {object|null} { days, match } or null
+ */
+function matchRecurringDays(text, language) {
+  const recurrence = RECURRENCE_EXPRESSIONS[language];
+  const phrases = [
+    [recurrence.daily, [0, 1, 2, 3, 4, 5, 6]],
+    [recurrence.weekdays, [1, 2, 3, 4, 5]],
+    [recurrence.weekends, [0, 6]]
+  ];
+
+  for (const [words, days] of phrases) {
+    const pattern = new RegExp(`(?<![\\p{L}\\d])(?:${buildAlternation(words)})(?![\\p{L}\\d])`, 'iu');
+    const match = text.match(pattern);
+    if (match) {
+      return { days, match };
+    }
+  }
+
+  const dayNames = buildAlternation(Object.keys(recurrence.days));
+  const separator = `(?:\\s*,\\s*|\\s+(?:${buildAlternation(recurrence.joiners)})\\s+)`;
+  const dayList = `(?:${dayNames})(?:${separator}(?:${dayNames}))*`;
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\d])(?:${buildAlternation(recurrence.every)})\\s+(${dayList})(?![\\p{L}\\d])`, 'iu'
+  );
+  const match = text.match(pattern);
+  if (!match) {
+    return null;
+  }
+
+  const days = match[1]
+    .split(new RegExp(separator, 'iu'))
+    .map(day => recurrence.days[day.toLowerCase()])
+    .filter(day => day !== undefined);
+  return { days: [...new Set(days)].sort((a, b) => a - b), match };
+}
+
+/**
+ * Extract a recurrence rule from a command ("every weekday at 06:45 turn on the kitchen lights",
+ * "varje dag klockan 22 släck i vardagsrummet", "every day at sunset ...", "every 2 hours turn on the fan").
+ * The detected language is tried first, then all other supported languages.
+ * @param {string} text - Command text
+ * @param {string} language - The detected language
+ * @returns {object|null} { rule, text, remainingText } where rule is { type: 'weekly', days, hour, minute },
+ *   { type: 'solar', days, event, offsetMs } or { type: 'interval', intervalMs }, or null when days
+ *   were given without a time; returns null if the command isn't recurring
+ */
+function extractRecurrenceExpression(text, language = 'en') {
+  if (!text || typeof text !== 'string') return null;
+
+  const languages = [language, ...Object.keys(RECURRENCE_EXPRESSIONS).filter(lang => lang !== language)]
+    .filter(lang => RECURRENCE_EXPRESSIONS[lang]);
+
+  for (const lang of languages) {
+    const interval = matchRecurringInterval(text, lang);
+    if (interval) {
+      return {
+        rule: interval.rule,
+        text: interval.match[0].trim(),
+        remainingText: removeMatch(text, interval.match)
+      };
+    }
+  }
+
+  for (const lang of languages) {
+    const recurringDays = matchRecurringDays(text, lang);
+    if (recurringDays) {
+      const withoutDays = removeMatch(text, recurringDays.match);
+      // A weekly rule needs a time or solar anchor; its language may differ from the day's
+      const timeLanguages = [lang, ...languages.filter(other => other !== lang)];
+      const time = timeLanguages.map(timeLang => matchSolarTime(withoutDays, timeLang)).find(Boolean)
+        || timeLanguages.map(timeLang => matchAbsoluteTime(withoutDays, timeLang, true)).find(Boolean)
+        || matchAbsoluteTime(withoutDays, null);
+
+      if (!time) {
+        return { rule: null, text: recurringDays.match[0].trim(), remainingText: withoutDays };
+      }
+      const rule = time.type === 'solar'
+        ? {
+          type: 'solar', days: recurringDays.days, event: time.event, offsetMs: time.offsetMs
+        }
+        : {
+          type: 'weekly', days: recurringDays.days, hour: time.hour, minute: time.minute
+        };
+      return {
+        rule,
+        text: `${recurringDays.match[0].trim()} ${time.text}`,
+        remainingText: time.remainingText
+      };
+    }
+  }
+  return null;
+}
+
 module.exports = {
   ROOM_TRANSLATIONS,
   ACTION_TRANSLATIONS,
   DEVICE_TRANSLATIONS,
+  UNDO_PHRASES,
+  TIME_EXPRESSIONS,
+  RECURRENCE_EXPRESSIONS,
+  SOLAR_EXPRESSIONS,
   normalizeRoomName,
   normalizeRoomNameAdvanced,
   normalizeRoomNameLegacy,
@@ -811,5 +1835,9 @@ module.exports = {
   extractRoomsFromText,
   extractActionsFromText,
   extractDeviceTypesFromText,
-  getEnhancedDeviceTranslations
+  getEnhancedDeviceTranslations,
+  isUndoRequest,
+  detectCommandLanguage,
+  extractTimeExpression,
+  extractRecurrenceExpression
 };
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Quick Replies
+ * Inline buttons attached to proactive Telegram messages ("Garage is open" -> [Close it]).
+ * Telegram limits callback data to 64 bytes, so each button carries a short ID and the
+ * command it runs is kept in Homey settings, where it survives app restarts.
+ */
+
+const crypto = require('crypto');
+const { ErrorHandler } = require('./errorHandler');
+
+const SETTINGS_KEY = 'quickReplies';
+const MAX_STORED_REPLIES = 100;
+const MAX_BUTTONS = 8;
+const MAX_LABEL_LENGTH = 40;
+const BUTTONS_PER_ROW = 2;
+
+/**
+ * Parse button definitions. Buttons are separated by "|" or new lines and written as
+ * "Label = command", or just "command" to use the command as the label.
+ * @param {string} text - Button definitions
+ * @returns {Array} Array of { label, command }
+ */
+function parseQuickReplyButtons(text) {
+  const buttons = String(text || '').split(/\||\r?\n/)
+    .map(definition => {
+      const separator = definition.indexOf('=');
+      const command = (separator >= 0 ? definition.slice(separator + 1) : definition).trim();
+      const label = (separator > 0 ? definition.slice(0, separator) : command).trim();
+      return { label: label.slice(0, MAX_LABEL_LENGTH), command };
+    })
+    .filter(button => button.label && button.command);
+
+  ErrorHandler.validateInput(buttons.length <= MAX_BUTTONS, `At most ${MAX_BUTTONS} buttons can be added to a message`);
+  return buttons;
+}
+
+/**
+ * Store the commands behind a message's buttons. Only the newest replies are kept.
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string|number} chatId - Chat the buttons are sent to
+ * @param {Array} buttons - Array of { label, command }
+ * @returns {Array} Array of { id, label, command }
+ */
+function saveQuickReplies(settings, chatId, buttons) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+
+  const createdAt = new Date().toISOString();
+  const stored = buttons.map(button => ({ id: crypto.randomBytes(6).toString('hex'), ...button }));
+  const replies = { ...(settings.get(SETTINGS_KEY) || {}) };
+  stored.forEach(button => {
+    replies[button.id] = {
+      chatId: String(chatId), label: button.label, command: button.command, createdAt
+    };
+  });
+
+  const kept = Object.entries(replies)
+    .sort(([, a], [, b]) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, MAX_STORED_REPLIES);
+  settings.set(SETTINGS_KEY, Object.fromEntries(kept));
+  return stored;
+}
+
+/**
+ * Look up the command behind a button
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} id - Button ID from the callback data
+ * @returns {object|null} { chatId, label, command, createdAt }, or null if unknown
+ */
+function getQuickReply(settings, id) {
+  const replies = (settings && settings.get(SETTINGS_KEY)) || {};
+  return replies[id] || null;
+}
+
+/**
+ * Build the inline keyboard for stored buttons
+ * @param {Array} stored - Array of { id, label } from saveQuickReplies
+ * @returns {object} Telegram reply_markup
+ */
+function buildQuickReplyKeyboard(stored) {
+  const rows = [];
+  for (let index = 0; index < stored.length; index += BUTTONS_PER_ROW) {
+    rows.push(stored.slice(index, index + BUTTONS_PER_ROW)
+      .map(button => ({ text: button.label, callback_data: `quick:${button.id}` })));
+  }
+  return { inline_keyboard: rows };
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  parseQuickReplyButtons,
+  saveQuickReplies,
+  getQuickReply,
+  buildQuickReplyKeyboard
+};
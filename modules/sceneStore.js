@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Scene Store
+ * Named snapshots of device capability values ("movie night"), persisted in Homey settings
+ * and activated later by writing the captured values back
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+const { NON_RESTORABLE_CAPABILITIES } = require('./undoManager');
+
+const SETTINGS_KEY = 'scenes';
+
+const SCENE_COMMANDS = {
+  save: 'save_scene',
+  activate: 'activate_scene'
+};
+
+const MAX_SCENE_NAME_LENGTH = 50;
+
+/**
+ * Normalize a scene name for lookups ("Movie  Night" -> "movie night")
+ * @param {string} name - Scene name
+ * @returns {string} Normalized name
+ */
+function normalizeSceneName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Validate a scene name entered by the user
+ * @param {string} name - Scene name
+ * @returns {string} Trimmed name
+ */
+function validateSceneName(name) {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+  ErrorHandler.validateInput(trimmed.length > 0, 'A scene name is required');
+  ErrorHandler.validateInput(
+    trimmed.length <= MAX_SCENE_NAME_LENGTH,
+    `Scene names can be at most ${MAX_SCENE_NAME_LENGTH} characters`
+  );
+  return trimmed;
+}
+
+/**
+ * Capture the settable capability values of a device
+ * @param {object} device - Homey device object
+ * @returns {object|null} { deviceId, deviceName, deviceClass, values } or null if nothing can be captured
+ */
+function captureDeviceState(device) {
+  const capabilitiesObj = device.capabilitiesObj || {};
+  const values = {};
+
+  Object.keys(capabilitiesObj).forEach(capability => {
+    const capabilityState = capabilitiesObj[capability];
+    if (!capabilityState || capabilityState.setable === false) return;
+    if (NON_RESTORABLE_CAPABILITIES.includes(capability)) return;
+    if (capabilityState.value === null || capabilityState.value === undefined) return;
+    values[capability] = capabilityState.value;
+  });
+
+  if (Object.keys(values).length === 0) {
+    return null;
+  }
+  return {
+    deviceId: device.id,
+    deviceName: device.name,
+    deviceClass: device.class,
+    values
+  };
+}
+
+/**
+ * Order the writes that restore a device. Turning a device off goes last and turning it on
+ * goes first, since setting e.g. dim on many lights switches them on again.
+ * @param {object} values - Captured capability values
+ * @returns {Array} Array of { capability, value }
+ */
+function getSceneWrites(values) {
+  const writes = Object.keys(values)
+    .filter(capability => capability !== 'onoff')
+    .map(capability => ({ capability, value: values[capability] }));
+
+  if (values.onoff === true) {
+    writes.unshift({ capability: 'onoff', value: true });
+  } else if (values.onoff === false) {
+    writes.push({ capability: 'onoff', value: false });
+  }
+  return writes;
+}
+
+/**
+ * Get all scenes
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @returns {Array} Scenes sorted by name
+ */
+function listScenes(settings) {
+  const scenes = (settings && settings.get(SETTINGS_KEY)) || {};
+  return Object.values(scenes).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a scene by name (case-insensitive)
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} name - Scene name
+ * @returns {object|null} Scene or null
+ */
+function getScene(settings, name) {
+  const scenes = (settings && settings.get(SETTINGS_KEY)) || {};
+  return scenes[normalizeSceneName(name)] || null;
+}
+
+/**
+ * Save a scene, replacing any scene with the same name
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} name - Scene name
+ * @param {Array} devices - Captured device states from captureDeviceState
+ * @returns {object} The stored scene
+ */
+function saveScene(settings, name, devices) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+  const sceneName = validateSceneName(name);
+  ErrorHandler.validateInput(Array.isArray(devices) && devices.length > 0, 'A scene needs at least one device');
+
+  const scenes = settings.get(SETTINGS_KEY) || {};
+  const scene = { name: sceneName, devices, createdAt: Date.now() };
+  scenes[normalizeSceneName(sceneName)] = scene;
+  settings.set(SETTINGS_KEY, scenes);
+  return scene;
+}
+
+/**
+ * Rename a scene
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} name - Current scene name
+ * @param {string} newName - New scene name
+ * @returns {object|null} The renamed scene, or null if it doesn't exist
+ */
+function renameScene(settings, name, newName) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+  const sceneName = validateSceneName(newName);
+  const scenes = settings.get(SETTINGS_KEY) || {};
+  const key = normalizeSceneName(name);
+  const newKey = normalizeSceneName(sceneName);
+
+  if (!scenes[key]) {
+    return null;
+  }
+  ErrorHandler.validateInput(newKey === key || !scenes[newKey], `A scene named "${sceneName}" already exists`);
+
+  const scene = { ...scenes[key], name: sceneName };
+  delete scenes[key];
+  scenes[newKey] = scene;
+  settings.set(SETTINGS_KEY, scenes);
+  return scene;
+}
+
+/**
+ * Delete a scene
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @param {string} name - Scene name
+ * @returns {object|null} The deleted scene, or null if it doesn't exist
+ */
+function deleteScene(settings, name) {
+  ErrorHandler.validateInput(settings, 'Settings are not available');
+  const scenes = settings.get(SETTINGS_KEY) || {};
+  const key = normalizeSceneName(name);
+  const scene = scenes[key];
+
+  if (!scene) {
+    return null;
+  }
+  delete scenes[key];
+  settings.set(SETTINGS_KEY, scenes);
+  return scene;
+}
+
+module.exports = {
+  SETTINGS_KEY,
+  SCENE_COMMANDS,
+  normalizeSceneName,
+  captureDeviceState,
+  getSceneWrites,
+  listScenes,
+  getScene,
+  saveScene,
+  renameScene,
+  deleteScene
+};
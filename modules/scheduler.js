@@ -0,0 +1,390 @@
+'use strict';
+
+/**
+ * Scheduler
+ * Persistent one-shot timers for delayed commands ("turn off the lights in 20 minutes")
+ * and recurring routines ("every weekday at 06:45 ..."). Jobs hold the already-parsed
+ * command and are stored in Homey settings so they survive app restarts.
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+const { MINUTE, getNextRuleOccurrence } = require('./timeUtils');
+
+const SETTINGS_KEY = 'scheduledJobs';
+
+// setTimeout overflows above this delay (~24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+// Jobs that became due while the app was stopped still run if they are at most this late
+const DEFAULT_MISSED_GRACE_PERIOD = 5 * MINUTE;
+
+const MAX_JOBS_PER_CHAT = 20;
+
+/**
+ * Persistent job scheduler
+ */
+class Scheduler {
+  /**
+   * @param {object} options - Scheduler options
+   * @param {object} options.settings - Homey settings manager (homey.settings)
+   * @param {Function} options.execute - async (job) => void, runs a due job
+   * @param {Function} options.onMissed - Optional (job) => void, called for timers that were missed while stopped
+   * @param {Function} options.getTimezone - Returns the IANA timezone routines are evaluated in
+   * @param {Function} options.getLocation - Returns { latitude, longitude } for sunrise/sunset routines
+   * @param {object} options.logger - Logger with log/error methods
+   * @param {number} options.missedGracePeriod - How late a job may still run after a restart (ms)
+   */
+  constructor({
+    settings,
+    execute,
+    onMissed = null,
+    getTimezone = () => 'UTC',
+    getLocation = () => null,
+    logger = console,
+    missedGracePeriod = DEFAULT_MISSED_GRACE_PERIOD
+  }) {
+    ErrorHandler.validateInput(settings, 'Settings are required for the scheduler');
+    ErrorHandler.validateInput(typeof execute === 'function', 'An execute callback is required for the scheduler');
+
+    this.settings = settings;
+    this.execute = execute;
+    this.onMissed = onMissed;
+    this.getTimezone = getTimezone;
+    this.getLocation = getLocation;
+    this.logger = logger;
+    this.missedGracePeriod = missedGracePeriod;
+    this.handles = new Map();
+  }
+
+  /**
+   * Load persisted jobs and arm their timers. Jobs that became due while the app
+   * was stopped run immediately within the grace period. Older timers are reported
+   * as missed; older routine runs are skipped to the next occurrence.
+   * @param {number} now - Current timestamp
+   */
+  init(now = Date.now()) {
+    const state = this._load();
+    const isMissed = job => !job.paused && job.fireAt < now - this.missedGracePeriod;
+    const missedTimers = state.jobs.filter(job => job.type === 'timer' && isMissed(job));
+
+    state.jobs = state.jobs.filter(job => !missedTimers.includes(job));
+    state.jobs.filter(job => job.type === 'routine' && isMissed(job)).forEach(job => {
+      job.fireAt = this._getNextRun(job, now);
+      this.logger.log(`Routine #${job.id} missed a run while the app was stopped, next run rescheduled`);
+    });
+    this._save(state);
+
+    missedTimers.forEach(job => {
+      this.logger.log(`Scheduled job #${job.id} was missed while the app was stopped`);
+      if (this.onMissed) {
+        this.onMissed(job);
+      }
+    });
+
+    const activeJobs = state.jobs.filter(job => !job.paused);
+    activeJobs.forEach(job => this._arm(job, now));
+    this.logger.log(`Scheduler initialized with ${activeJobs.length} active job(s)`);
+  }
+
+  /**
+   * Schedule a command to run once
+   * @param {object} timer - Timer definition
+   * @param {string|number} timer.chatId - Chat the command came from
+   * @param {string} timer.commandText - Original command text (without the time expression)
+   * @param {object} timer.jsonCommand - Parsed command to execute
+   * @param {number} timer.fireAt - Timestamp to run the command at
+   * @param {number} now - Current timestamp
+   * @returns {object} The stored job
+   */
+  addTimer({ chatId, commandText, jsonCommand, fireAt }, now = Date.now()) {
+    ErrorHandler.validateInput(jsonCommand && typeof jsonCommand === 'object', 'A parsed command is required');
+    ErrorHandler.validateInput(Number.isFinite(fireAt) && fireAt > now, 'The timer must be set in the future');
+
+    return this._addJob({
+      type: 'timer',
+      chatId,
+      commandText,
+      jsonCommand,
+      fireAt,
+      createdAt: now
+    }, now);
+  }
+
+  /**
+   * Create a recurring routine
+   * @param {object} routine - Routine definition
+   * @param {string|number} routine.chatId - Chat that owns the routine and receives its results
+   * @param {string} routine.commandText - Original command text (without the recurrence expression)
+   * @param {object} routine.jsonCommand - Parsed command to execute on every run
+   * @param {object} routine.rule - Recurrence rule (see getNextRuleOccurrence)
+   * @param {number} now - Current timestamp
+   * @returns {object} The stored job
+   */
+  addRoutine({ chatId, commandText, jsonCommand, rule }, now = Date.now()) {
+    ErrorHandler.validateInput(jsonCommand && typeof jsonCommand === 'object', 'A parsed command is required');
+
+    const job = {
+      type: 'routine',
+      chatId,
+      commandText,
+      jsonCommand,
+      rule,
+      paused: false,
+      createdAt: now,
+      lastRunAt: null
+    };
+    job.fireAt = this._getNextRun(job, now);
+
+    return this._addJob(job, now);
+  }
+
+  /**
+   * List pending timers, soonest first
+   * @param {string|number} chatId - Optional chat to filter by
+   * @returns {Array} Pending jobs
+   */
+  listTimers(chatId = null) {
+    return this._listJobs('timer', chatId);
+  }
+
+  /**
+   * List routines, next run first
+   * @param {string|number} chatId - Optional chat to filter by
+   * @returns {Array} Routine jobs
+   */
+  listRoutines(chatId = null) {
+    return this._listJobs('routine', chatId);
+  }
+
+  /**
+   * Cancel a pending timer. Chats can only cancel their own timers.
+   * @param {string|number} chatId - Chat requesting the cancellation
+   * @param {number|string} id - Job ID
+   * @returns {object|null} The cancelled job, or null if not found
+   */
+  cancelTimer(chatId, id) {
+    return this._removeJob('timer', chatId, id);
+  }
+
+  /**
+   * Delete a routine. Chats can only delete their own routines.
+   * @param {string|number} chatId - Chat requesting the deletion
+   * @param {number|string} id - Job ID
+   * @returns {object|null} The deleted routine, or null if not found
+   */
+  deleteRoutine(chatId, id) {
+    return this._removeJob('routine', chatId, id);
+  }
+
+  /**
+   * Pause or resume a routine. Resuming schedules the next upcoming run.
+   * @param {string|number} chatId - Chat requesting the change
+   * @param {number|string} id - Job ID
+   * @param {boolean} paused - True to pause, false to resume
+   * @param {number} now - Current timestamp
+   * @returns {object|null} The updated routine, or null if not found
+   */
+  setRoutinePaused(chatId, id, paused, now = Date.now()) {
+    const state = this._load();
+    const job = this._findJob(state, 'routine', chatId, id);
+    if (!job) {
+      return null;
+    }
+
+    job.paused = paused;
+    if (paused) {
+      this._disarm(job.id);
+    } else {
+      job.fireAt = this._getNextRun(job, now);
+      this._arm(job, now);
+    }
+    this._save(state);
+    return job;
+  }
+
+  /**
+   * Stop all timers (jobs stay persisted and are re-armed by the next init)
+   */
+  destroy() {
+    this.handles.forEach(handle => clearTimeout(handle));
+    this.handles.clear();
+  }
+
+  /**
+   * Store and arm a new job
+   * @param {object} job - Job without ID
+   * @param {number} now - Current timestamp
+   * @returns {object} The stored job
+   * @private
+   */
+  _addJob(job, now) {
+    const state = this._load();
+    const chatJobs = state.jobs.filter(candidate => String(candidate.chatId) === String(job.chatId));
+    ErrorHandler.validateInput(
+      chatJobs.length < MAX_JOBS_PER_CHAT,
+      `Too many timers and routines (maximum ${MAX_JOBS_PER_CHAT}). Remove one first.`
+    );
+
+    const storedJob = { id: state.nextId, ...job };
+    state.nextId += 1;
+    state.jobs.push(storedJob);
+    this._save(state);
+    this._arm(storedJob, now);
+
+    return storedJob;
+  }
+
+  /**
+   * List jobs of a type, soonest first
+   * @param {string} type - 'timer' or 'routine'
+   * @param {string|number} chatId - Optional chat to filter by
+   * @returns {Array} Jobs
+   * @private
+   */
+  _listJobs(type, chatId) {
+    return this._load().jobs
+      .filter(job => job.type === type)
+      .filter(job => chatId === null || String(job.chatId) === String(chatId))
+      .sort((a, b) => a.fireAt - b.fireAt);
+  }
+
+  /**
+   * Find a job of a type owned by a chat
+   * @param {object} state - Scheduler state
+   * @param {string} type - 'timer' or 'routine'
+   * @param {string|number} chatId - Owning chat
+   * @param {number|string} id - Job ID
+   * @returns {object|undefined} The job
+   * @private
+   */
+  _findJob(state, type, chatId, id) {
+    const jobId = parseInt(id, 10);
+    return state.jobs.find(candidate => candidate.id === jobId
+      && candidate.type === type
+      && String(candidate.chatId) === String(chatId));
+  }
+
+  /**
+   * Remove a job of a type owned by a chat
+   * @param {string} type - 'timer' or 'routine'
+   * @param {string|number} chatId - Owning chat
+   * @param {number|string} id - Job ID
+   * @returns {object|null} The removed job, or null if not found
+   * @private
+   */
+  _removeJob(type, chatId, id) {
+    const state = this._load();
+    const job = this._findJob(state, type, chatId, id);
+    if (!job) {
+      return null;
+    }
+
+    state.jobs = state.jobs.filter(candidate => candidate.id !== job.id);
+    this._save(state);
+    this._disarm(job.id);
+    return job;
+  }
+
+  /**
+   * Get the next run of a routine after now. Intervals stay on the grid of their previous run.
+   * @param {object} job - Routine job
+   * @param {number} now - Current timestamp
+   * @returns {number} Timestamp of the next run
+   * @private
+   */
+  _getNextRun(job, now) {
+    const previousRun = job.rule.type === 'interval' && !job.paused ? job.fireAt : null;
+    return getNextRuleOccurrence(job.rule, this.getTimezone(), now, previousRun, this.getLocation());
+  }
+
+  /**
+   * Arm the timer for a job, chaining timeouts for delays setTimeout can't handle
+   * @param {object} job - Job to arm
+   * @param {number} now - Current timestamp
+   * @private
+   */
+  _arm(job, now = Date.now()) {
+    this._disarm(job.id);
+
+    const delay = Math.max(0, job.fireAt - now);
+    if (delay > MAX_TIMEOUT) {
+      this.handles.set(job.id, setTimeout(() => this._arm(job), MAX_TIMEOUT));
+      return;
+    }
+    this.handles.set(job.id, setTimeout(() => this._fire(job.id), delay));
+  }
+
+  /**
+   * Clear the timer of a job
+   * @param {number} id - Job ID
+   * @private
+   */
+  _disarm(id) {
+    if (this.handles.has(id)) {
+      clearTimeout(this.handles.get(id));
+      this.handles.delete(id);
+    }
+  }
+
+  /**
+   * Run a due job. Timers are removed and routines rescheduled before running,
+   * so a crash while running can't repeat the job.
+   * @param {number} id - Job ID
+   * @private
+   */
+  async _fire(id) {
+    this.handles.delete(id);
+
+    const now = Date.now();
+    const state = this._load();
+    const job = state.jobs.find(candidate => candidate.id === id);
+    if (!job || job.paused) {
+      return;
+    }
+
+    if (job.type === 'routine') {
+      job.lastRunAt = now;
+      job.fireAt = this._getNextRun(job, now);
+      this._arm(job, now);
+    } else {
+      state.jobs = state.jobs.filter(candidate => candidate.id !== id);
+    }
+    this._save(state);
+
+    try {
+      this.logger.log(`Running scheduled job #${job.id}: ${job.commandText}`);
+      await this.execute(job);
+    } catch (error) {
+      ErrorHandler.log(error, this.logger, `Scheduled job #${job.id}`);
+    }
+  }
+
+  /**
+   * Load the persisted scheduler state
+   * @returns {object} { nextId, jobs }
+   * @private
+   */
+  _load() {
+    const state = this.settings.get(SETTINGS_KEY);
+    return {
+      nextId: state && Number.isInteger(state.nextId) ? state.nextId : 1,
+      jobs: state && Array.isArray(state.jobs) ? state.jobs : []
+    };
+  }
+
+  /**
+   * Persist the scheduler state
+   * @param {object} state - { nextId, jobs }
+   * @private
+   */
+  _save(state) {
+    this.settings.set(SETTINGS_KEY, state);
+  }
+}
+
+module.exports = {
+  Scheduler,
+  SETTINGS_KEY,
+  MAX_TIMEOUT,
+  MAX_JOBS_PER_CHAT
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Solar Calculator
+ * Computes sunrise, sunset and civil twilight locally from latitude/longitude using the
+ * NOAA solar position equations (accurate to about a minute), so no web service is needed
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+
+// Sun altitude (degrees) at each event; -0.833 accounts for refraction and the solar disc
+const SOLAR_EVENTS = {
+  dawn: { altitude: -6, rising: true },
+  sunrise: { altitude: -0.833, rising: true },
+  sunset: { altitude: -0.833, rising: false },
+  dusk: { altitude: -6, rising: false }
+};
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a location has usable coordinates
+ * @param {object} location - { latitude, longitude }
+ * @returns {boolean} True if valid
+ */
+function isValidLocation(location) {
+  return Boolean(location)
+    && Number.isFinite(location.latitude) && Math.abs(location.latitude) <= 90
+    && Number.isFinite(location.longitude) && Math.abs(location.longitude) <= 180;
+}
+
+/**
+ * Convert a timestamp to Julian centuries since J2000.0
+ * @param {number} timestamp - UTC timestamp
+ * @returns {number} Julian century
+ */
+function toJulianCentury(timestamp) {
+  const julianDay = (timestamp / DAY_MS) + 2440587.5;
+  return (julianDay - 2451545) / 36525;
+}
+
+/**
+ * Solar declination and equation of time at a moment (NOAA equations)
+ * @param {number} timestamp - UTC timestamp
+ * @returns {object} { declination (degrees), equationOfTime (minutes) }
+ */
+function getSolarPosition(timestamp) {
+  const t = toJulianCentury(timestamp);
+
+  const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+  const equationOfCenter = Math.sin(meanAnomaly * RAD) * (1.914602 - t * (0.004817 + 0.000014 * t))
+    + Math.sin(2 * meanAnomaly * RAD) * (0.019993 - 0.000101 * t)
+    + Math.sin(3 * meanAnomaly * RAD) * 0.000289;
+
+  const omega = 125.04 - 1934.136 * t;
+  const apparentLongitude = meanLongitude + equationOfCenter - 0.00569 - 0.00478 * Math.sin(omega * RAD);
+
+  const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+  const obliquity = meanObliquity + 0.00256 * Math.cos(omega * RAD);
+
+  const declination = Math.asin(Math.sin(obliquity * RAD) * Math.sin(apparentLongitude * RAD)) / RAD;
+
+  const y = Math.tan((obliquity / 2) * RAD) ** 2;
+  const equationOfTime = (4 / RAD) * (
+    y * Math.sin(2 * meanLongitude * RAD)
+    - 2 * eccentricity * Math.sin(meanAnomaly * RAD)
+    + 4 * eccentricity * y * Math.sin(meanAnomaly * RAD) * Math.cos(2 * meanLongitude * RAD)
+    - 0.5 * y * y * Math.sin(4 * meanLongitude * RAD)
+    - 1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly * RAD)
+  );
+
+  return { declination, equationOfTime };
+}
+
+/**
+ * Compute the moment of a solar event around a given solar noon
+ * @param {string} event - 'dawn', 'sunrise', 'sunset' or 'dusk'
+ * @param {number} approximateTime - Timestamp near the event, used for the solar position
+ * @param {number} utcMidnight - Timestamp of UTC midnight of the day
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {number|null} UTC timestamp, or null if the sun doesn't reach the altitude that day
+ */
+function computeEventTime(event, approximateTime, utcMidnight, latitude, longitude) {
+  const { altitude, rising } = SOLAR_EVENTS[event];
+  const { declination, equationOfTime } = getSolarPosition(approximateTime);
+
+  const cosHourAngle = (Math.sin(altitude * RAD) - Math.sin(latitude * RAD) * Math.sin(declination * RAD))
+    / (Math.cos(latitude * RAD) * Math.cos(declination * RAD));
+
+  // Midnight sun (< -1) or polar night (> 1): the sun never crosses the altitude
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return null;
+  }
+
+  const hourAngle = Math.acos(cosHourAngle) / RAD;
+  const solarNoonMinutes = 720 - 4 * longitude - equationOfTime;
+  const eventMinutes = solarNoonMinutes + (rising ? -4 : 4) * hourAngle;
+
+  return utcMidnight + Math.round(eventMinutes * 60 * 1000);
+}
+
+/**
+ * Get the time of a solar event on a UTC calendar day
+ * @param {string} event - 'dawn', 'sunrise', 'sunset' or 'dusk'
+ * @param {object} date - { year, month, day } (month 1-12)
+ * @param {object} location - { latitude, longitude }
+ * @returns {number|null} UTC timestamp, or null if the event doesn't happen that day
+ */
+function getSolarEventTime(event, date, location) {
+  ErrorHandler.validateInput(SOLAR_EVENTS[event], `Unknown solar event: ${event}`);
+  ErrorHandler.validateInput(isValidLocation(location), 'A valid latitude and longitude are required');
+
+  const { latitude, longitude } = location;
+  const utcMidnight = Date.UTC(date.year, date.month - 1, date.day);
+
+  // First pass around solar noon, second pass at the estimated event time
+  const estimate = computeEventTime(event, utcMidnight + DAY_MS / 2, utcMidnight, latitude, longitude);
+  if (estimate === null) {
+    return null;
+  }
+  return computeEventTime(event, estimate, utcMidnight, latitude, longitude);
+}
+
+/**
+ * Get all solar events for a UTC calendar day
+ * @param {object} date - { year, month, day } (month 1-12)
+ * @param {object} location - { latitude, longitude }
+ * @returns {object} { dawn, sunrise, sunset, dusk } as UTC timestamps (null when they don't happen)
+ */
+function getSolarTimes(date, location) {
+  const times = {};
+  Object.keys(SOLAR_EVENTS).forEach(event => {
+    times[event] = getSolarEventTime(event, date, location);
+  });
+  return times;
+}
+
+module.exports = {
+  SOLAR_EVENTS,
+  getSolarPosition,
+  getSolarEventTime,
+  getSolarTimes,
+  isValidLocation
+};
@@ -1,10 +1,23 @@
 'use strict';
 
+const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const { getKeyManager } = require('./secureKeyManager');
 const { ErrorHandler, ErrorTypes } = require('./errorHandler');
 const { getSocketSpeechContext, identifySocketDeviceType } = require('./socketDeviceMapper');
+const { stripMarkup } = require('./messageRenderer');
+
+// Text-to-speech defaults; any OpenAI-compatible /audio/speech endpoint (e.g. a local TTS server) works
+const SPEECH_DEFAULTS = {
+  baseUrl: 'https://api.openai.com/v1',
+  model: 'tts-1',
+  voice: 'alloy'
+};
+// Longest input the OpenAI speech endpoint accepts
+const MAX_SPEECH_INPUT = 4096;
+// A spoken reply that takes longer than this is given up, so the text reply still goes out
+const SPEECH_TIMEOUT = 20000;
 
 // Supported languages for Whisper API (99+ languages)
 const SUPPORTED_LANGUAGES = {
@@ -139,6 +152,22 @@ const SUPPORTED_LANGUAGES = {
   'udi': 'Udi'
 };
 
+/**
+ * Turn the language Whisper reports (a name such as "swedish") into a language code ("sv").
+ * @param {string} language - Language name or code.
+ * @returns {string|null} Language code, or null if the language is unknown.
+ */
+function toLanguageCode(language) {
+  if (!language || typeof language !== 'string') {
+    return null;
+  }
+  const name = language.toLowerCase();
+  if (name !== 'auto' && Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, name)) {
+    return name;
+  }
+  return Object.keys(SUPPORTED_LANGUAGES).find(code => SUPPORTED_LANGUAGES[code].toLowerCase() === name) || null;
+}
+
 /**
  * Initialize the Whisper API key.
  * @param {string} apiKey - The OpenAI API key for Whisper.
@@ -292,7 +321,7 @@ async function transcribeVoice(input, language = 'auto', devices = null) {
               // Return enhanced response with language information
               const result = {
                 text: response.text,
-                language: response.language || language,
+                language: toLanguageCode(response.language) || language,
                 duration: response.duration || null,
                 confidence: response.confidence || null,
                 segments: response.segments || null
@@ -326,6 +355,115 @@ async function transcribeVoice(input, language = 'auto', devices = null) {
   });
 }
 
+/**
+ * Turn a reply into text worth speaking: no markup, code blocks, emoji or bullets, cut at a line
+ * boundary when it is too long.
+ * @param {string} text - Reply text (messageRenderer markup).
+ * @param {number} maxLength - Maximum length.
+ * @returns {string} Text to speak, empty if nothing is left.
+ */
+function toSpeechText(text, maxLength = MAX_SPEECH_INPUT) {
+  const lines = stripMarkup(String(text || '').replace(/```[\s\S]*?```/g, ''))
+    .replace(/[\p{Extended_Pictographic}\u{FE0F}\u{200D}]/gu, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*[•-]\s*/, '').replace(/\s+/g, ' ').trim())
+    .filter(line => line.length > 0);
+
+  let speech = '';
+  for (const line of lines) {
+    const next = speech ? `${speech}\n${line}` : line;
+    if (next.length > maxLength) {
+      return speech || line.slice(0, maxLength);
+    }
+    speech = next;
+  }
+  return speech;
+}
+
+/**
+ * Synthesize speech with an OpenAI-compatible text-to-speech endpoint.
+ * The audio comes back as OGG/Opus, the format Telegram plays as a voice message.
+ * @param {string} text - Text to speak (see toSpeechText).
+ * @param {Object} options - { baseUrl, model, voice, apiKey, timeout }. Without apiKey, the OpenAI key is used
+ *   for api.openai.com only, so it is never sent to another server. timeout is in milliseconds.
+ * @returns {Promise<Buffer>} OGG/Opus audio.
+ * @throws {StandardError} When the request fails or takes longer than the timeout
+ */
+async function synthesizeSpeech(text, options = {}) {
+  ErrorHandler.validateInput(text && typeof text === 'string', 'Text to speak must be a non-empty string');
+  ErrorHandler.validateInput(text.length <= MAX_SPEECH_INPUT,
+    `Text to speak must be ${MAX_SPEECH_INPUT} characters or less`);
+
+  const {
+    baseUrl = SPEECH_DEFAULTS.baseUrl,
+    model = SPEECH_DEFAULTS.model,
+    voice = SPEECH_DEFAULTS.voice,
+    apiKey = null,
+    timeout = SPEECH_TIMEOUT
+  } = options;
+
+  let url;
+  try {
+    url = new URL(`${String(baseUrl).replace(/\/+$/, '')}/audio/speech`);
+  } catch (error) {
+    throw ErrorHandler.validation(`Invalid text-to-speech URL: ${baseUrl}`);
+  }
+  ErrorHandler.validateInput(url.protocol === 'https:' || url.protocol === 'http:',
+    'Text-to-speech URL must use http or https');
+
+  const headers = { 'Content-Type': 'application/json' };
+  const keyManager = getKeyManager();
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  } else if (url.hostname === 'api.openai.com') {
+    if (!keyManager.hasKey('openai')) {
+      throw ErrorHandler.authentication('OpenAI API key not initialized. Call initWhisper first.');
+    }
+    headers.Authorization = keyManager.createAuthHeader('openai', 'Bearer');
+  }
+
+  const body = JSON.stringify({
+    model, voice, input: text, response_format: 'opus'
+  });
+  headers['Content-Length'] = Buffer.byteLength(body);
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, { method: 'POST', headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const data = Buffer.concat(chunks);
+        if (res.statusCode !== 200) {
+          reject(ErrorHandler.api(`Text-to-speech request failed with status ${res.statusCode}`, {
+            statusCode: res.statusCode,
+            responseData: data.toString('utf8').substring(0, 500)
+          }));
+          return;
+        }
+        if (data.length === 0) {
+          reject(ErrorHandler.api('No audio in text-to-speech response'));
+          return;
+        }
+        resolve(data);
+      });
+    });
+
+    req.on('error', networkError => {
+      reject(ErrorHandler.network(`Text-to-speech request failed: ${networkError.message}`));
+    });
+
+    // A server that accepts the request but never answers would otherwise hold the reply back
+    req.setTimeout(timeout, () => {
+      req.destroy();
+      reject(ErrorHandler.timeout(`Text-to-speech request timed out after ${timeout} ms`, { url: url.origin }));
+    });
+
+    req.write(body);
+    req.end();
+  });
+}
+
 /**
  * Get list of supported languages.
  * @returns {Object} Object containing language codes and names.
@@ -346,7 +484,11 @@ function isLanguageSupported(languageCode) {
 
 
 module.exports = {
+  SPEECH_DEFAULTS,
   transcribeVoice,
+  synthesizeSpeech,
+  toSpeechText,
+  toLanguageCode,
   initWhisper,
   getSupportedLanguages,
   isLanguageSupported
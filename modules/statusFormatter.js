@@ -5,6 +5,9 @@
  * Formats device status information for user-friendly display across languages
  */
 
+const { groupByZone } = require('./zoneHierarchy');
+const { formatTable } = require('./messageRenderer');
+
 // Multilingual status text templates
 const STATUS_TEMPLATES = {
   'en': {
@@ -103,6 +106,20 @@ function getLocalizedText(key, language = 'en', params = {}) {
   return text;
 }
 
+/**
+ * Device detail lines, under a header per zone when the devices are in several zones
+ * @param {Array} devices - Device statuses with a zoneName
+ * @param {Function} formatLine - (device) => detail line
+ * @returns {Array} Lines
+ */
+function formatDeviceLines(devices, formatLine) {
+  const groups = groupByZone(devices);
+  if (groups.length <= 1) {
+    return devices.map(formatLine);
+  }
+  return groups.flatMap(group => [`📍 **${group.zoneName || 'Other'}**`, ...group.items.map(formatLine)]);
+}
+
 /**
  * Format room status for display
  * @param {Object} roomStatus - Room status object from getRoomStatus
@@ -164,10 +181,8 @@ function formatRoomStatus(roomStatus, language = 'en', includeDetails = true) {
     parts.push(''); // Empty line
     parts.push(getLocalizedText('details_header', language));
 
-    roomStatus.devices.forEach(device => {
-      const statusLine = `• **${device.name}** (${device.class}): ${device.summary}`;
-      parts.push(statusLine);
-    });
+    parts.push(...formatDeviceLines(roomStatus.devices,
+      device => `• **${device.name}** (${device.class}): ${device.summary}`));
   }
 
   return parts.join('\n');
@@ -213,10 +228,7 @@ function formatDeviceTypeStatus(deviceTypeStatus, language = 'en', includeDetail
     parts.push(''); // Empty line
     parts.push(getLocalizedText('details_header', language));
 
-    deviceTypeStatus.devices.forEach(device => {
-      const statusLine = `• **${device.name}**: ${device.summary}`;
-      parts.push(statusLine);
-    });
+    parts.push(...formatDeviceLines(deviceTypeStatus.devices, device => `• **${device.name}**: ${device.summary}`));
   }
 
   return parts.join('\n');
@@ -268,13 +280,12 @@ function formatGlobalStatus(allDevices, language = 'en', includeDetails = false)
   if (Object.keys(devicesByType).length > 1) {
     parts.push(''); // Empty line
     parts.push('**Device Types:**');
-    Object.entries(devicesByType).forEach(([type, counts]) => {
-      parts.push(`• ${type}: ${counts.online}/${counts.total} online`);
-    });
+    parts.push(formatTable(['Type', 'Online', 'Total'],
+      Object.entries(devicesByType).map(([type, counts]) => [type, counts.online, counts.total])));
   }
 
-  // Device details (only if requested and not too many devices)
-  if (includeDetails && allDevices.length <= 10) {
+  // Device details (long listings are paged by the Telegram reply)
+  if (includeDetails) {
     parts.push(''); // Empty line
     parts.push(getLocalizedText('details_header', language));
 
@@ -282,9 +293,6 @@ function formatGlobalStatus(allDevices, language = 'en', includeDetails = false)
       const statusLine = `• **${device.name}** (${device.class}): ${device.summary}`;
       parts.push(statusLine);
     });
-  } else if (includeDetails && allDevices.length > 10) {
-    parts.push(''); // Empty line
-    parts.push('_Too many devices to show details. Use room-specific queries for details._');
   }
 
   return parts.join('\n');
@@ -25,7 +25,8 @@ const { comprehensiveRoomMatch } = require('./advancedMultilingualMatcher');
  * @returns {Promise<Object>} Status query result
  */
 async function handleStatusQuery(queryText, language = 'en', homeState, llmFunction = null, options = {}) {
-  const { includeDetails = true, maxDevices = 50 } = options;
+  // Telegram pages long listings, so by default every device is included
+  const { includeDetails = true, maxDevices = Infinity } = options;
 
   try {
     // Parse the status query
@@ -140,7 +141,6 @@ async function handleGlobalStatusQuery(devices, language, includeDetails, maxDev
     };
   }
 
-  // Limit number of devices for performance
   const limitedDevices = deviceArray.slice(0, maxDevices);
 
   // Get status for all devices
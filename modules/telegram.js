@@ -1,12 +1,36 @@
 'use strict';
 
 const https = require('https');
+const crypto = require('crypto');
 const { ErrorHandler, ErrorTypes } = require('./errorHandler');
 const { getKeyManager } = require('./secureKeyManager');
+const { renderMessage, stripMarkup } = require('./messageRenderer');
 
 let messageCallback = null;
+let callbackQueryCallback = null;
 // Make poll interval configurable, default to 1 second
 let POLL_INTERVAL = 1000;
+// While a webhook is registered Telegram refuses getUpdates, so polling stays off
+let webhookActive = false;
+// Highest update_id received through the webhook; Telegram redelivers updates it isn't sure arrived
+let lastWebhookUpdateId = 0;
+
+// Update types the bot handles, so Telegram doesn't push others to the webhook
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+
+/**
+ * Hand an update to the registered message or callback query listener
+ * @param {Object} update - Telegram update
+ */
+function dispatchUpdate(update) {
+  if (messageCallback && update.message) {
+    console.log('Received Telegram message:', update.message);
+    messageCallback(update.message);
+  } else if (callbackQueryCallback && update.callback_query) {
+    console.log('Received Telegram callback query:', update.callback_query.data);
+    callbackQueryCallback(update.callback_query);
+  }
+}
 
 /**
  * Simple mutex implementation for synchronization
@@ -130,10 +154,7 @@ class TelegramPoller {
 
       // Process updates with thread-safe state updates
       for (const update of updates) {
-        if (messageCallback && update.message) {
-          console.log('Received Telegram message:', update.message);
-          messageCallback(update.message);
-        }
+        dispatchUpdate(update);
         await this.state.updateLastId(update.update_id);
       }
 
@@ -207,6 +228,18 @@ function configurePollInterval(interval) {
   }
 }
 
+/**
+ * Start polling for updates, e.g. after falling back from a webhook
+ */
+function startPolling() {
+  // Initialize poller if not exists
+  if (!telegramPoller) {
+    telegramPoller = new TelegramPoller();
+  }
+
+  telegramPoller.startPolling();
+}
+
 /**
  * Listen for incoming messages.
  * @param {Function} callback - Callback function receiving the message object.
@@ -223,12 +256,25 @@ function onMessage(callback) {
   console.log('Setting up Telegram message listener...');
   messageCallback = callback;
 
-  // Initialize poller if not exists
-  if (!telegramPoller) {
-    telegramPoller = new TelegramPoller();
+  if (!webhookActive) {
+    startPolling();
   }
+}
 
-  telegramPoller.startPolling();
+/**
+ * Listen for inline keyboard button presses (callback queries).
+ * Callback queries arrive through the same polling loop as messages.
+ * @param {Function} callback - Callback function receiving the callback_query object.
+ * @throws {StandardError} When bot not initialized
+ */
+function onCallbackQuery(callback) {
+  const keyManager = getKeyManager();
+  if (!keyManager.hasKey('telegram')) {
+    throw ErrorHandler.authentication('Bot must be initialized before setting up callback query listener');
+  }
+
+  ErrorHandler.validateInput(callback && typeof callback === 'function', 'Callback must be a function');
+  callbackQueryCallback = callback;
 }
 
 /**
@@ -273,18 +319,15 @@ async function getUpdates(offset = 0, signal = null) {
 }
 
 /**
- * Send a message back to the user.
- * @param {Number} chatId - The Telegram chat ID.
- * @param {String} text - The message text.
- * @throws {StandardError} When input validation fails or sending fails
+ * POST a request body to a Telegram Bot API method.
+ * @param {String} method - Bot API method name (e.g. 'sendMessage').
+ * @param {String|Buffer} data - Encoded request body.
+ * @param {String} contentType - Content-Type of the body.
+ * @param {Object} logDetails - Details attached to errors for logging.
+ * @throws {StandardError} When the request or the API call fails
  * @returns {Promise<Object>} Telegram API response
  */
-async function sendMessage(chatId, text) {
-  // Input validation
-  ErrorHandler.validateInput(chatId && (typeof chatId === 'number' || typeof chatId === 'string'), 'Chat ID must be a valid number or string');
-  ErrorHandler.validateInput(text && typeof text === 'string', 'Message text must be a non-empty string');
-  ErrorHandler.validateInput(text.length <= 4096, 'Message text must be 4096 characters or less');
-
+function postToTelegramApi(method, data, contentType, logDetails) {
   const keyManager = getKeyManager();
   if (!keyManager.hasKey('telegram')) {
     throw ErrorHandler.authentication('Bot token not initialized');
@@ -292,17 +335,12 @@ async function sendMessage(chatId, text) {
 
   const botToken = keyManager.getKey('telegram');
 
-  const data = JSON.stringify({
-    chat_id: chatId,
-    text
-  });
-
   const options = {
     hostname: 'api.telegram.org',
-    path: `/bot${botToken}/sendMessage`,
+    path: `/bot${botToken}/${method}`,
     method: 'POST',
     headers: {
-      'Content-Type': 'application/json',
+      'Content-Type': contentType,
       'Content-Length': Buffer.byteLength(data)
     }
   };
@@ -315,20 +353,18 @@ async function sendMessage(chatId, text) {
         try {
           const parsedData = JSON.parse(responseData);
           if (!parsedData.ok) {
-            const errorMessage = parsedData.description || 'Failed to send message';
+            const errorMessage = parsedData.description || `Failed to call ${method}`;
             const error = ErrorHandler.api(`Telegram API error: ${errorMessage}`, {
-              chatId,
-              text: text.substring(0, 100), // Truncate for logging
+              ...logDetails,
               telegramError: parsedData
             });
             reject(error);
           } else {
-            console.log(`Sent message to chat ${chatId}: "${text}"`);
             resolve(parsedData);
           }
         } catch (parseError) {
           const error = ErrorHandler.parsing('Failed to parse Telegram API response', {
-            chatId,
+            ...logDetails,
             responseData: responseData.substring(0, 200) // Truncate for logging
           });
           reject(error);
@@ -336,11 +372,8 @@ async function sendMessage(chatId, text) {
       });
     });
     req.on('error', err => {
-      console.error('Error sending message:', err);
-      const error = ErrorHandler.network(`Network error sending message: ${err.message}`, {
-        chatId,
-        text: text.substring(0, 100) // Truncate for logging
-      });
+      console.error(`Error calling Telegram ${method}:`, err);
+      const error = ErrorHandler.network(`Network error calling ${method}: ${err.message}`, logDetails);
       reject(error);
     });
     req.write(data);
@@ -348,6 +381,288 @@ async function sendMessage(chatId, text) {
   });
 }
 
+/**
+ * POST a JSON payload to a Telegram Bot API method.
+ * @param {String} method - Bot API method name (e.g. 'sendMessage').
+ * @param {Object} payload - Request body.
+ * @param {Object} logDetails - Details attached to errors for logging.
+ * @throws {StandardError} When the request or the API call fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+function callTelegramApi(method, payload, logDetails = {}) {
+  return postToTelegramApi(method, JSON.stringify(payload), 'application/json', logDetails);
+}
+
+/**
+ * Length of a message text as sent, i.e. after rendering when a format is given.
+ * @param {String} text - The message text.
+ * @param {String} format - 'html' or 'markdown' (see messageRenderer), undefined for text sent as is.
+ * @returns {Number} Length in characters
+ */
+function getMessageLength(text, format) {
+  return format ? renderMessage(text, format).text.length : text.length;
+}
+
+/**
+ * Call a Bot API method that takes a message text, rendering formatter markup first.
+ * @param {String} method - Bot API method name (e.g. 'sendMessage').
+ * @param {Object} payload - Request body without the text.
+ * @param {String} text - The message text.
+ * @param {String} format - 'html' or 'markdown' to render the text (see messageRenderer), undefined to send it as is.
+ * @param {Object} logDetails - Details attached to errors for logging.
+ * @throws {StandardError} When the request or the API call fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function callTelegramApiFormatted(method, payload, text, format, logDetails) {
+  if (!format) {
+    return callTelegramApi(method, { ...payload, text }, logDetails);
+  }
+
+  const rendered = renderMessage(text, format);
+  try {
+    return await callTelegramApi(method, {
+      ...payload, text: rendered.text, parse_mode: rendered.parse_mode
+    }, logDetails);
+  } catch (error) {
+    if (!String(error.message).includes('can\'t parse entities')) {
+      throw error;
+    }
+    console.error('Telegram rejected formatted message, sending it as plain text:', error.message);
+    return callTelegramApi(method, { ...payload, text: stripMarkup(text) }, logDetails);
+  }
+}
+
+/**
+ * POST fields and a file as multipart/form-data to a Telegram Bot API method.
+ * Object fields (e.g. reply_markup) are sent JSON-encoded, as the Bot API expects.
+ * @param {String} method - Bot API method name (e.g. 'sendPhoto').
+ * @param {Object} fields - Form fields.
+ * @param {Object} file - { field, data, filename, contentType }
+ * @param {Object} logDetails - Details attached to errors for logging.
+ * @throws {StandardError} When the request or the API call fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+function callTelegramApiMultipart(method, fields, file, logDetails = {}) {
+  const boundary = `----HomeyTelegram${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+
+  Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .forEach(([name, value]) => {
+      const encoded = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${encoded}\r\n`));
+    });
+
+  parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; `
+    + `filename="${file.filename}"\r\nContent-Type: ${file.contentType}\r\n\r\n`));
+  parts.push(file.data);
+  parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+  return postToTelegramApi(method, Buffer.concat(parts), `multipart/form-data; boundary=${boundary}`, logDetails);
+}
+
+/**
+ * Have Telegram push updates to a URL instead of polling for them. Polling stops once the
+ * webhook is registered.
+ * @param {String} url - Public HTTPS URL Telegram posts updates to.
+ * @param {String} secret - Sent back by Telegram in the X-Telegram-Bot-Api-Secret-Token header.
+ * @throws {StandardError} When input validation fails or Telegram rejects the webhook
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function setWebhook(url, secret) {
+  ErrorHandler.validateInput(typeof url === 'string' && url.startsWith('https://'),
+    'Webhook URL must be an https:// URL');
+  ErrorHandler.validateInput(typeof secret === 'string' && /^[A-Za-z0-9_-]{1,256}$/.test(secret),
+    'Webhook secret must be 1-256 letters, digits, _ or -');
+
+  const response = await callTelegramApi('setWebhook', {
+    url, secret_token: secret, allowed_updates: ALLOWED_UPDATES
+  }, { method: 'setWebhook' });
+  webhookActive = true;
+  stopPolling();
+  console.log('Telegram webhook registered');
+  return response;
+}
+
+/**
+ * Remove the webhook so updates can be polled again.
+ * @throws {StandardError} When the call fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function deleteWebhook() {
+  const response = await callTelegramApi('deleteWebhook', {}, { method: 'deleteWebhook' });
+  webhookActive = false;
+  return response;
+}
+
+/**
+ * Get the webhook's delivery status.
+ * @throws {StandardError} When the call fails
+ * @returns {Promise<Object>} { url, pending_update_count, last_error_date, last_error_message, ... }
+ */
+async function getWebhookInfo() {
+  const response = await callTelegramApi('getWebhookInfo', {}, { method: 'getWebhookInfo' });
+  return response.result;
+}
+
+/**
+ * Handle an update delivered through the webhook. Redelivered updates are ignored.
+ * @param {Object} update - Telegram update
+ * @returns {boolean} True if the update was new
+ */
+function processUpdate(update) {
+  ErrorHandler.validateInput(update && Number.isInteger(update.update_id), 'Update must have an update_id');
+  if (update.update_id <= lastWebhookUpdateId) {
+    return false;
+  }
+
+  lastWebhookUpdateId = update.update_id;
+  dispatchUpdate(update);
+  return true;
+}
+
+/**
+ * Send a message back to the user.
+ * @param {Number} chatId - The Telegram chat ID.
+ * @param {String} text - The message text.
+ * @param {Object} options - Extra sendMessage fields, e.g. reply_markup for inline keyboards or parse_mode.
+ *   With format ('html' or 'markdown') the text is formatter markup (see messageRenderer) and is
+ *   rendered and escaped for Telegram; if Telegram still can't parse it, it is sent as plain text.
+ * @throws {StandardError} When input validation fails or sending fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function sendMessage(chatId, text, options = {}) {
+  // Input validation
+  ErrorHandler.validateInput(chatId && (typeof chatId === 'number' || typeof chatId === 'string'), 'Chat ID must be a valid number or string');
+  ErrorHandler.validateInput(text && typeof text === 'string', 'Message text must be a non-empty string');
+
+  const { format, ...fields } = options;
+  ErrorHandler.validateInput(getMessageLength(text, format) <= 4096, 'Message text must be 4096 characters or less');
+  const response = await callTelegramApiFormatted('sendMessage', { ...fields, chat_id: chatId }, text, format, {
+    chatId,
+    text: text.substring(0, 100) // Truncate for logging
+  });
+  console.log(`Sent message to chat ${chatId}: "${text}"`);
+  return response;
+}
+
+/**
+ * Send a photo, e.g. a camera snapshot, with an optional caption.
+ * @param {Number} chatId - The Telegram chat ID.
+ * @param {Buffer|String} photo - Image data to upload, or a URL / file_id Telegram can fetch itself.
+ * @param {Object} options - Extra sendPhoto fields (caption, parse_mode, reply_markup), plus
+ *   filename and contentType for uploaded image data.
+ * @throws {StandardError} When input validation fails or sending fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function sendPhoto(chatId, photo, options = {}) {
+  ErrorHandler.validateInput(chatId && (typeof chatId === 'number' || typeof chatId === 'string'),
+    'Chat ID must be a valid number or string');
+  ErrorHandler.validateInput(Buffer.isBuffer(photo) ? photo.length > 0 : photo && typeof photo === 'string',
+    'Photo must be image data or a non-empty URL');
+  ErrorHandler.validateInput(!options.caption || options.caption.length <= 1024,
+    'Photo caption must be 1024 characters or less');
+
+  const { filename = 'photo.jpg', contentType = 'image/jpeg', ...fields } = options;
+  const logDetails = { chatId, caption: (fields.caption || '').substring(0, 100) };
+
+  const response = Buffer.isBuffer(photo)
+    ? await callTelegramApiMultipart('sendPhoto', { ...fields, chat_id: chatId }, {
+      field: 'photo', data: photo, filename, contentType
+    }, logDetails)
+    : await callTelegramApi('sendPhoto', { ...fields, chat_id: chatId, photo }, logDetails);
+  console.log(`Sent photo to chat ${chatId}`);
+  return response;
+}
+
+/**
+ * Send a voice message, e.g. a spoken reply.
+ * @param {Number} chatId - The Telegram chat ID.
+ * @param {Buffer|String} voice - OGG/Opus audio to upload, or a URL / file_id Telegram can fetch itself.
+ * @param {Object} options - Extra sendVoice fields (caption, duration, reply_markup), plus filename for
+ *   uploaded audio.
+ * @throws {StandardError} When input validation fails or sending fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function sendVoice(chatId, voice, options = {}) {
+  ErrorHandler.validateInput(chatId && (typeof chatId === 'number' || typeof chatId === 'string'),
+    'Chat ID must be a valid number or string');
+  ErrorHandler.validateInput(Buffer.isBuffer(voice) ? voice.length > 0 : voice && typeof voice === 'string',
+    'Voice must be audio data or a non-empty URL');
+  ErrorHandler.validateInput(!options.caption || options.caption.length <= 1024,
+    'Voice caption must be 1024 characters or less');
+
+  const { filename = 'voice.ogg', ...fields } = options;
+  const logDetails = { chatId, caption: (fields.caption || '').substring(0, 100) };
+
+  const response = Buffer.isBuffer(voice)
+    ? await callTelegramApiMultipart('sendVoice', { ...fields, chat_id: chatId }, {
+      field: 'voice', data: voice, filename, contentType: 'audio/ogg'
+    }, logDetails)
+    : await callTelegramApi('sendVoice', { ...fields, chat_id: chatId, voice }, logDetails);
+  console.log(`Sent voice message to chat ${chatId}`);
+  return response;
+}
+
+/**
+ * Edit the text (and optionally the inline keyboard) of a message the bot sent.
+ * @param {Number} chatId - The Telegram chat ID.
+ * @param {Number} messageId - ID of the message to edit.
+ * @param {String} text - The new message text.
+ * @param {Object} options - Extra editMessageText fields, e.g. reply_markup or parse_mode, and format as for
+ *   sendMessage.
+ * @throws {StandardError} When input validation fails or editing fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function editMessageText(chatId, messageId, text, options = {}) {
+  ErrorHandler.validateInput(chatId && (typeof chatId === 'number' || typeof chatId === 'string'),
+    'Chat ID must be a valid number or string');
+  ErrorHandler.validateInput(Number.isInteger(messageId), 'Message ID must be an integer');
+  ErrorHandler.validateInput(text && typeof text === 'string', 'Message text must be a non-empty string');
+
+  const { format, ...fields } = options;
+  ErrorHandler.validateInput(getMessageLength(text, format) <= 4096, 'Message text must be 4096 characters or less');
+  const payload = { ...fields, chat_id: chatId, message_id: messageId };
+  return callTelegramApiFormatted('editMessageText', payload, text, format, { chatId, messageId });
+}
+
+/**
+ * Replace (or with an empty keyboard, remove) the inline keyboard of a message the bot sent.
+ * @param {Number} chatId - The Telegram chat ID.
+ * @param {Number} messageId - ID of the message to edit.
+ * @param {Object} replyMarkup - The new reply_markup, e.g. { inline_keyboard: [] }.
+ * @throws {StandardError} When input validation fails or editing fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function editMessageReplyMarkup(chatId, messageId, replyMarkup) {
+  ErrorHandler.validateInput(chatId && (typeof chatId === 'number' || typeof chatId === 'string'),
+    'Chat ID must be a valid number or string');
+  ErrorHandler.validateInput(Number.isInteger(messageId), 'Message ID must be an integer');
+  ErrorHandler.validateInput(replyMarkup && typeof replyMarkup === 'object', 'Reply markup must be an object');
+
+  return callTelegramApi('editMessageReplyMarkup', {
+    chat_id: chatId, message_id: messageId, reply_markup: replyMarkup
+  }, { chatId, messageId });
+}
+
+/**
+ * Acknowledge an inline keyboard button press so the client stops its loading indicator.
+ * @param {String} callbackQueryId - ID of the callback query.
+ * @param {String} text - Optional notification shown to the user.
+ * @throws {StandardError} When input validation fails or the call fails
+ * @returns {Promise<Object>} Telegram API response
+ */
+async function answerCallbackQuery(callbackQueryId, text = '') {
+  ErrorHandler.validateInput(callbackQueryId && typeof callbackQueryId === 'string',
+    'Callback query ID must be a non-empty string');
+
+  const payload = { callback_query_id: callbackQueryId };
+  if (text) {
+    payload.text = text.substring(0, 200); // Telegram limit for notifications
+  }
+  return callTelegramApi('answerCallbackQuery', payload, { callbackQueryId });
+}
+
 /**
  * Retrieve file information from Telegram (used for downloading voice files).
  * @param {String} fileId - File identifier from a voice message.
@@ -440,4 +755,22 @@ function httpGet(url, signal = null) {
   });
 }
 
-module.exports = { initBot, onMessage, sendMessage, getFileInfo, stopPolling, configurePollInterval };
+module.exports = {
+  initBot,
+  onMessage,
+  onCallbackQuery,
+  sendMessage,
+  sendPhoto,
+  sendVoice,
+  editMessageText,
+  editMessageReplyMarkup,
+  answerCallbackQuery,
+  getFileInfo,
+  setWebhook,
+  deleteWebhook,
+  getWebhookInfo,
+  processUpdate,
+  startPolling,
+  stopPolling,
+  configurePollInterval
+};
@@ -1,13 +1,54 @@
 'use strict';
 
-const { onMessage } = require('./telegram');
+const crypto = require('crypto');
+const {
+  onMessage, onCallbackQuery, answerCallbackQuery, editMessageText, editMessageReplyMarkup, sendVoice
+} = require('./telegram');
+const { synthesizeSpeech, toSpeechText } = require('./speech');
 const { ErrorHandler } = require('./errorHandler');
+const { triggerMessageReceived } = require('./flowCards');
+const {
+  isUndoRequest, detectCommandLanguage, extractTimeExpression, extractRecurrenceExpression
+} = require('./multilingualProcessor');
+const { getChatPreference, setChatPreference } = require('./chatPreferences');
+const {
+  resolveTimeExpression, formatLocalTime, formatDuration, describeRule
+} = require('./timeUtils');
+const {
+  SCENE_COMMANDS, listScenes, renameScene, deleteScene
+} = require('./sceneStore');
+const {
+  getAliases, setAlias, removeAlias, resolveAlias, describeAliasTarget
+} = require('./aliasStore');
+const { getQuickReply } = require('./quickReplies');
+const { formatFlowsAndMoods } = require('./homeyFlows');
+const { listIssues } = require('./executionReport');
+const {
+  buildRoomsPanel, buildRoomPanel, parsePanelData, toPanelCommand
+} = require('./controlPanels');
+const { FORMATS, formatCodeBlock } = require('./messageRenderer');
+const {
+  splitMessage, paginateListing, formatPage, buildPageKeyboard, parsePageData
+} = require('./messagePaging');
 
 // Rate limiting map: chatId -> { count, resetTime }
 const rateLimits = new Map();
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const DEFAULT_RATE_LIMIT = 10; // 10 commands per minute
 
+// Previewed commands waiting for /run: chatId -> { jsonCommand, commandText, schedule, replyOptions, expiresAt }
+const pendingPreviews = new Map();
+const PREVIEW_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Commands waiting for Confirm/Cancel:
+// confirmation id -> { chatId, jsonCommand, commandText, schedule, replyOptions, expiresAt }
+const pendingConfirmations = new Map();
+const CONFIRMATION_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Paged status replies: reply id -> { chatId, pages, expiresAt }
+const pagedReplies = new Map();
+const PAGED_REPLY_TTL = 30 * 60 * 1000; // 30 minutes
+
 /**
  * Check if user is authorized to use the bot
  * @param {number} chatId - Telegram chat ID
@@ -58,7 +99,669 @@ function checkRateLimit(chatId, app) {
   return false;
 }
 
+// Capabilities stored as 0-1 fractions that read better as percentages
+const PERCENT_CAPABILITIES = [
+  'dim', 'volume_set', 'windowcoverings_set', 'fan_speed', 'light_saturation', 'light_temperature'
+];
+
+/**
+ * Format a capability value for display
+ * @param {string} capability - Capability id
+ * @param {*} value - Capability value
+ * @returns {string} Display text
+ */
+function formatCapabilityValue(capability, value) {
+  if (typeof value === 'boolean') {
+    return value ? 'on' : 'off';
+  }
+  if (typeof value === 'number' && PERCENT_CAPABILITIES.includes(capability)) {
+    return `${Math.round(value * 100)}%`;
+  }
+  return String(value);
+}
+
+/**
+ * Build the reply for an undo request
+ * @param {object|null} result - Result of app.undoLastCommand
+ * @returns {string} Message text
+ */
+function formatUndoResult(result) {
+  if (!result) {
+    return '↩️ Nothing to undo.';
+  }
+
+  const total = result.reverted.length + result.failed.length;
+  const header = result.description
+    ? `↩️ Undid "${result.description}": ${result.reverted.length}/${total} changes reverted`
+    : `↩️ ${result.reverted.length}/${total} changes reverted`;
+
+  const lines = [
+    ...result.reverted.map(change => {
+      const value = formatCapabilityValue(change.capability, change.previousValue);
+      return `✅ ${change.deviceName}: ${change.capability} back to ${value}`;
+    }),
+    ...result.failed.map(change => `❌ ${change.deviceName}: ${change.capability} - ${change.error}`)
+  ];
+
+  return `${header}\n${lines.join('\n')}`;
+}
+
+/**
+ * Describe when a delayed command will run, e.g. "22:30 (in 1 h 5 min)"
+ * @param {object} app - Homey app instance
+ * @param {number} fireAt - Timestamp the command runs at
+ * @returns {string} Display text
+ */
+function formatFireTime(app, fireAt) {
+  const now = Date.now();
+  return `${formatLocalTime(fireAt, app.getTimezone(), now)} (in ${formatDuration(fireAt - now)})`;
+}
+
+/**
+ * Describe when a scheduled command runs
+ * @param {object} app - Homey app instance
+ * @param {object} schedule - { fireAt } for a timer or { rule } for a routine
+ * @returns {string} Display text
+ */
+function formatSchedule(app, schedule) {
+  return schedule.rule ? describeRule(schedule.rule) : formatFireTime(app, schedule.fireAt);
+}
+
+/**
+ * Build the reply for a previewed command
+ * @param {string} commandText - The command as entered by the user
+ * @param {object} preview - Result of app.previewCommand
+ * @param {string} schedule - Optional description of when the command will run
+ * @param {object} jsonCommand - Optional parsed command, shown as a JSON code block
+ * @returns {string} Message text (messageRenderer markup)
+ */
+function formatPreview(commandText, preview, schedule = null, jsonCommand = null) {
+  const lines = preview.changes.map(change => {
+    const from = formatCapabilityValue(change.capability, change.previousValue);
+    const to = formatCapabilityValue(change.capability, change.value);
+    return `• ${change.deviceName} (${change.deviceClass}): ${change.capability} ${from} → ${to}`;
+  });
+
+  // Devices that were matched but would be skipped or fail
+  const issues = listIssues(preview.report);
+
+  const header = preview.changes.length > 0
+    ? `🔍 Preview of "${commandText}" - ${preview.changes.length} change(s) planned:`
+    : `🔍 Preview of "${commandText}" - no device changes planned.`;
+
+  return [
+    header,
+    ...lines,
+    ...issues,
+    ...(jsonCommand ? ['', formatCodeBlock(jsonCommand)] : []),
+    '',
+    schedule
+      ? `Nothing has been changed yet. Send /run to schedule this command for ${schedule}.`
+      : 'Nothing has been changed yet. Send /run to execute this command.'
+  ].join('\n');
+}
+
+/**
+ * Send a reply that may be too long for one message. Status listings are paged with
+ * "More ▸" buttons, anything else is split into numbered parts.
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} text - Reply (messageRenderer markup)
+ * @param {boolean} paginate - Whether the reply is a status listing
+ */
+async function sendReply(app, chatId, text, paginate = false) {
+  const pages = paginate ? paginateListing(text) : [text];
+  if (pages.length > 1) {
+    // Drop expired replies so old listings don't pile up
+    const now = Date.now();
+    pagedReplies.forEach((paged, id) => {
+      if (paged.expiresAt < now) pagedReplies.delete(id);
+    });
+
+    const id = crypto.randomBytes(6).toString('hex');
+    pagedReplies.set(id, { chatId, pages, expiresAt: now + PAGED_REPLY_TTL });
+    await app.telegram.sendMessage(chatId, formatPage(pages, 0), {
+      format: FORMATS.html,
+      reply_markup: buildPageKeyboard(id, 0, pages.length)
+    });
+    return;
+  }
+
+  // One at a time, so the parts arrive in order
+  for (const part of splitMessage(text)) {
+    await app.telegram.sendMessage(chatId, part, { format: FORMATS.html });
+  }
+}
+
+/**
+ * Speak a reply as a voice message, with the text-to-speech endpoint from the app settings
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} text - Reply (messageRenderer markup)
+ * @returns {Promise<boolean>} False if there was nothing to say or speaking failed
+ */
+async function sendVoiceReply(app, chatId, text) {
+  const speechText = toSpeechText(text);
+  if (!speechText) {
+    return false;
+  }
+
+  const settings = app.homey?.settings;
+  try {
+    const audio = await synthesizeSpeech(speechText, {
+      baseUrl: settings?.get('ttsBaseUrl') || undefined,
+      model: settings?.get('ttsModel') || undefined,
+      voice: settings?.get('ttsVoice') || undefined,
+      apiKey: settings?.get('ttsApiKey') || null
+    });
+    await sendVoice(chatId, audio);
+    return true;
+  } catch (error) {
+    // The text reply still goes out
+    app.error('Failed to send voice reply:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Execute a command now, or schedule it when it has a fire time, and reply with the result
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {object} jsonCommand - Parsed command
+ * @param {string} commandText - The command as entered by the user
+ * @param {object|null} schedule - { fireAt } for a timer, { rule } for a routine, null to run now
+ * @param {object} replyOptions - { spoken, language }: spoken when the command came as a voice message,
+ *   to reply with one too; language of the command, for replies that have translations
+ * @returns {Promise<string>} The reply that was sent
+ */
+async function runOrSchedule(app, chatId, jsonCommand, commandText, schedule = null, replyOptions = {}) {
+  const { spoken = false, language = 'en' } = replyOptions;
+  let reply;
+  if (schedule && schedule.rule) {
+    const job = app.scheduler.addRoutine({
+      chatId, commandText, jsonCommand, rule: schedule.rule
+    });
+    reply = `🔁 Routine #${job.id} created, ${describeRule(job.rule)}: ${commandText}
+Next run: ${formatFireTime(app, job.fireAt)}
+Pause it with /pause ${job.id}, delete it with /delete ${job.id}`;
+  } else if (schedule) {
+    const job = app.scheduler.addTimer({
+      chatId, commandText, jsonCommand, fireAt: schedule.fireAt
+    });
+    reply = `⏰ Timer #${job.id} set for ${formatFireTime(app, job.fireAt)}: ${commandText}
+Cancel it with /cancel ${job.id}`;
+  } else {
+    reply = await app.executeHomeyCommand(jsonCommand, {
+      chatId,
+      description: commandText,
+      language,
+      onWait: seconds => app.telegram.sendMessage(chatId, `⏳ Waiting ${formatDuration(seconds * 1000)}...`)
+    });
+  }
+
+  const voiceReplies = spoken ? getChatPreference(app.homey?.settings, chatId, 'voiceReplies') : 'off';
+  // Without a voice reply, "only" falls back to text
+  if (voiceReplies === 'only' && await sendVoiceReply(app, chatId, reply)) {
+    return reply;
+  }
+  await sendReply(app, chatId, reply, jsonCommand.query_type === 'status');
+  if (voiceReplies === 'on') {
+    await sendVoiceReply(app, chatId, reply);
+  }
+  return reply;
+}
+
+/**
+ * Build the /timers reply for a chat
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @returns {string} Message text
+ */
+function formatTimers(app, chatId) {
+  const timers = app.scheduler.listTimers(chatId);
+  if (timers.length === 0) {
+    return '⏰ No pending timers.';
+  }
+
+  return [
+    `⏰ Pending timers (${timers.length}):`,
+    ...timers.map(job => `#${job.id} ${formatFireTime(app, job.fireAt)}: ${job.commandText}`),
+    '',
+    'Cancel one with /cancel <id>.'
+  ].join('\n');
+}
+
+/**
+ * Build the /routines reply for a chat
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @returns {string} Message text
+ */
+function formatRoutines(app, chatId) {
+  const routines = app.scheduler.listRoutines(chatId);
+  if (routines.length === 0) {
+    return '🔁 No routines. Create one like "every weekday at 06:45 turn on the kitchen lights".';
+  }
+
+  return [
+    `🔁 Routines (${routines.length}):`,
+    ...routines.map(job => {
+      const status = job.paused ? '⏸️ paused' : `next ${formatFireTime(app, job.fireAt)}`;
+      return `#${job.id} ${describeRule(job.rule)}: ${job.commandText} (${status})`;
+    }),
+    '',
+    'Manage them with /pause <id>, /resume <id> and /delete <id>.'
+  ].join('\n');
+}
+
+/**
+ * Handle /pause, /resume and /delete for routines
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {string} action - 'pause', 'resume' or 'delete'
+ * @param {string} argument - Routine ID as entered
+ * @returns {string} Message text
+ */
+function manageRoutine(app, chatId, action, argument) {
+  const routineId = argument.trim().replace(/^#/, '');
+  if (!/^\d+$/.test(routineId)) {
+    return `🔁 Usage: /${action} <id>. Send /routines to see your routines.`;
+  }
+
+  const routine = action === 'delete'
+    ? app.scheduler.deleteRoutine(chatId, routineId)
+    : app.scheduler.setRoutinePaused(chatId, routineId, action === 'pause');
+
+  if (!routine) {
+    return `❌ No routine #${routineId}. Send /routines to see your routines.`;
+  }
+  if (action === 'delete') {
+    return `🗑️ Deleted routine #${routine.id}: ${routine.commandText}`;
+  }
+  return action === 'pause'
+    ? `⏸️ Paused routine #${routine.id}: ${routine.commandText}`
+    : `▶️ Resumed routine #${routine.id}, next run ${formatFireTime(app, routine.fireAt)}`;
+}
+
+/**
+ * Build the /scenes reply
+ * @param {object} app - Homey app instance
+ * @returns {string} Message text
+ */
+function formatScenes(app) {
+  const scenes = listScenes(app.homey?.settings);
+  if (scenes.length === 0) {
+    return '🎬 No scenes yet. Save one like "save the living room as movie night".';
+  }
+
+  return [
+    `🎬 Scenes (${scenes.length}):`,
+    ...scenes.map(scene => `• ${scene.name} (${scene.devices.length} devices)`),
+    '',
+    'Activate one with /scene <name>.'
+  ].join('\n');
+}
+
+/**
+ * Handle "/scene rename <name> to <new name>" and "/scene delete <name>"
+ * @param {object} app - Homey app instance
+ * @param {string} action - 'rename' or 'delete'
+ * @param {string} argument - Text after the action
+ * @returns {string} Message text
+ */
+function manageScene(app, action, argument) {
+  const settings = app.homey?.settings;
+  if (action === 'delete') {
+    if (!argument) {
+      return '🎬 Usage: /scene delete <name>';
+    }
+    const deleted = deleteScene(settings, argument);
+    return deleted
+      ? `🗑️ Deleted scene "${deleted.name}"`
+      : `❌ No scene named "${argument}". Send /scenes to see your scenes.`;
+  }
+
+  const names = argument.match(/^(.+?)\s+to\s+(.+)$/i);
+  if (!names) {
+    return '🎬 Usage: /scene rename <name> to <new name>';
+  }
+  try {
+    const renamed = renameScene(settings, names[1], names[2]);
+    return renamed
+      ? `✏️ Renamed scene "${names[1].trim()}" to "${renamed.name}"`
+      : `❌ No scene named "${names[1].trim()}". Send /scenes to see your scenes.`;
+  } catch (error) {
+    return `❌ ${error.message}`;
+  }
+}
+
+/**
+ * Handle /alias: list aliases, "/alias <name> = <target>, <target>" and "/alias remove <name>"
+ * @param {object} app - Homey app instance
+ * @param {string} argument - Text after /alias
+ * @returns {Promise<string>} Message text
+ */
+async function manageAliases(app, argument) {
+  const settings = app.homey?.settings;
+  const homeState = await app.getHomeState();
+  const removeRequest = argument.match(/^(?:remove|delete)\s+(.+)$/i);
+
+  if (removeRequest) {
+    const removed = removeAlias(settings, removeRequest[1]);
+    return removed
+      ? `🗑️ Removed alias "${removed.alias}"`
+      : `❌ No alias named "${removeRequest[1].trim()}". Send /alias to see your aliases.`;
+  }
+
+  const definition = argument.match(/^([^=]+)=(.+)$/);
+  if (definition) {
+    const targets = definition[2].split(',').map(target => target.trim()).filter(Boolean);
+    const entry = { alias: definition[1].trim(), targets };
+    const resolved = resolveAlias(entry, homeState);
+    if (!resolved) {
+      return `❌ No room or device named ${entry.targets.map(target => `"${target}"`).join(', ')}.`;
+    }
+    try {
+      setAlias(settings, entry.alias, entry.targets);
+    } catch (error) {
+      return `❌ ${error.message}`;
+    }
+    return `🏷️ "${entry.alias}" now means ${describeAliasTarget(resolved)}`;
+  }
+
+  if (argument) {
+    return '🏷️ Usage: /alias <name> = <room or devices>, /alias remove <name>';
+  }
+
+  const aliases = getAliases(settings);
+  if (aliases.length === 0) {
+    return '🏷️ No aliases yet. Add one like "/alias the big lamp = Floor lamp".';
+  }
+  return [
+    `🏷️ Aliases (${aliases.length}):`,
+    ...aliases.map(entry => {
+      const resolved = resolveAlias(entry, homeState);
+      const target = resolved ? describeAliasTarget(resolved) : `⚠️ ${entry.targets.join(', ')} not found`;
+      return `• ${entry.alias} → ${target}`;
+    }),
+    '',
+    'Add with /alias <name> = <room or devices>, remove with /alias remove <name>.'
+  ].join('\n');
+}
+
+/**
+ * Preview a parsed command and keep it as the chat's pending command
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {object} jsonCommand - Parsed command
+ * @param {string} commandText - The command as entered by the user
+ * @param {object|null} schedule - { fireAt } or { rule } for scheduled commands, null to run now
+ * @param {object} replyOptions - { spoken, language }, see runOrSchedule
+ */
+async function sendPreview(app, chatId, jsonCommand, commandText, schedule = null, replyOptions = {}) {
+  const preview = await app.previewCommand(jsonCommand);
+  pendingPreviews.set(chatId, {
+    jsonCommand, commandText, schedule, replyOptions, expiresAt: Date.now() + PREVIEW_TTL
+  });
+  const scheduleText = schedule ? formatSchedule(app, schedule) : null;
+  await app.telegram.sendMessage(chatId, formatPreview(commandText, preview, scheduleText, jsonCommand), {
+    format: FORMATS.html
+  });
+}
+
+/**
+ * Ask the user to confirm a command with inline Confirm/Cancel buttons
+ * @param {object} app - Homey app instance
+ * @param {number} chatId - Telegram chat ID
+ * @param {object} jsonCommand - Parsed command
+ * @param {string} commandText - The command as entered by the user
+ * @param {object} confirmation - Result of app.checkConfirmation
+ * @param {object|null} schedule - { fireAt } or { rule } for scheduled commands, null to run now
+ * @param {object} replyOptions - { spoken, language }, see runOrSchedule
+ */
+async function requestConfirmation(
+  app, chatId, jsonCommand, commandText, confirmation, schedule = null, replyOptions = {}
+) {
+  // Drop expired requests so abandoned confirmations don't pile up
+  const now = Date.now();
+  pendingConfirmations.forEach((pending, id) => {
+    if (pending.expiresAt < now) pendingConfirmations.delete(id);
+  });
+
+  const id = crypto.randomBytes(6).toString('hex');
+  pendingConfirmations.set(id, {
+    chatId, jsonCommand, commandText, schedule, replyOptions, expiresAt: now + CONFIRMATION_TTL
+  });
+
+  const plannedChanges = confirmation.changes.map(change => {
+    const value = formatCapabilityValue(change.capability, change.value);
+    return `• ${change.deviceName}: ${change.capability} → ${value}`;
+  });
+
+  const text = [
+    schedule
+      ? `⚠️ Please confirm "${commandText}" (${formatSchedule(app, schedule)})`
+      : `⚠️ Please confirm "${commandText}"`,
+    ...confirmation.reasons.map(reason => `• ${reason}`),
+    '',
+    'Planned changes:',
+    ...plannedChanges
+  ].join('\n');
+
+  await app.telegram.sendMessage(chatId, text, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '✅ Confirm', callback_data: `confirm:${id}` },
+        { text: '❌ Cancel', callback_data: `cancel:${id}` }
+      ]]
+    }
+  });
+}
+
+/**
+ * Handle a Confirm/Cancel button press
+ * @param {object} app - Homey app instance
+ * @param {object} query - Telegram callback_query
+ */
+async function handleConfirmationCallback(app, query) {
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  const [action, id] = String(query.data).split(':');
+  const pending = pendingConfirmations.get(id);
+  pendingConfirmations.delete(id);
+
+  if (!pending || pending.chatId !== chatId || pending.expiresAt < Date.now()) {
+    await answerCallbackQuery(query.id, 'This request has expired.');
+    await editMessageText(chatId, messageId, '⌛ This confirmation request has expired.');
+    return;
+  }
+
+  if (action === 'cancel') {
+    await answerCallbackQuery(query.id, 'Cancelled');
+    await editMessageText(chatId, messageId, `❌ Cancelled "${pending.commandText}"`);
+    return;
+  }
+
+  await answerCallbackQuery(query.id, 'Running...');
+  await editMessageText(chatId, messageId, `✅ Confirmed "${pending.commandText}"`);
+
+  const resultMessage = await runOrSchedule(
+    app, chatId, pending.jsonCommand, pending.commandText, pending.schedule, pending.replyOptions
+  );
+  app.log(`Confirmed command handled: ${resultMessage}`);
+}
+
+/**
+ * Handle a quick-reply button from a "Send a Telegram message" Flow card.
+ * The button's command runs like a typed message, including confirmation.
+ * @param {object} app - Homey app instance
+ * @param {object} query - Telegram callback_query
+ */
+async function handleQuickReplyCallback(app, query) {
+  const chatId = query.message.chat.id;
+  const reply = getQuickReply(app.homey?.settings, String(query.data).split(':')[1]);
+
+  if (!reply || reply.chatId !== String(chatId)) {
+    await answerCallbackQuery(query.id, 'This button has expired.');
+    return;
+  }
+
+  await answerCallbackQuery(query.id, 'Running...');
+  await app.telegram.sendMessage(chatId, `▶️ ${reply.label}: ${reply.command}`);
+
+  const language = query.from?.language_code || 'en';
+  const jsonCommand = await app.parseCommandWithState(reply.command, language);
+  if (jsonCommand.error) {
+    await app.telegram.sendMessage(chatId, `❌ ${jsonCommand.error}`);
+    return;
+  }
+
+  const confirmation = await app.checkConfirmation(jsonCommand);
+  if (confirmation.required) {
+    await requestConfirmation(app, chatId, jsonCommand, reply.command, confirmation, null, { language });
+    return;
+  }
+
+  const resultMessage = await runOrSchedule(app, chatId, jsonCommand, reply.command, null, { language });
+  app.log(`Quick reply handled: ${resultMessage}`);
+}
+
+/**
+ * Show a control panel in place of the message the button belongs to
+ * @param {number} chatId - Telegram chat ID
+ * @param {number} messageId - Panel message ID
+ * @param {object} panel - { text, reply_markup } from controlPanels
+ */
+async function showPanel(chatId, messageId, panel) {
+  try {
+    await editMessageText(chatId, messageId, panel.text, { reply_markup: panel.reply_markup });
+  } catch (error) {
+    // Tapping "Off" on a device that is already off leaves the panel as it was
+    if (!String(error.message).includes('message is not modified')) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Handle a button of a /rooms control panel: open a room, go back to the rooms, close the
+ * panel, or run a device button and show the room's new state
+ * @param {object} app - Homey app instance
+ * @param {object} query - Telegram callback_query
+ */
+async function handlePanelCallback(app, query) {
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  const action = parsePanelData(query.data);
+
+  if (!action) {
+    await answerCallbackQuery(query.id);
+    return;
+  }
+  if (action.type === 'close') {
+    await answerCallbackQuery(query.id);
+    await editMessageReplyMarkup(chatId, messageId, { inline_keyboard: [] });
+    return;
+  }
+
+  const { zones, devices } = await app.getHomeState();
+  if (action.type === 'rooms') {
+    await answerCallbackQuery(query.id);
+    await showPanel(chatId, messageId, buildRoomsPanel(zones, Object.values(devices)));
+    return;
+  }
+  if (action.type === 'room') {
+    if (!zones[action.zoneId]) {
+      await answerCallbackQuery(query.id, 'This room no longer exists.');
+      return;
+    }
+    await answerCallbackQuery(query.id);
+    await showPanel(chatId, messageId, buildRoomPanel(zones[action.zoneId], Object.values(devices)));
+    return;
+  }
+
+  const device = devices[action.deviceId];
+  if (!device) {
+    await answerCallbackQuery(query.id, 'This device no longer exists.');
+    return;
+  }
+
+  const jsonCommand = toPanelCommand(device, action.action);
+  const commandText = `${jsonCommand.command} ${device.name}`;
+  const confirmation = await app.checkConfirmation(jsonCommand);
+  if (confirmation.required) {
+    await answerCallbackQuery(query.id);
+    await requestConfirmation(app, chatId, jsonCommand, commandText, confirmation);
+    return;
+  }
+
+  const resultMessage = await app.executeHomeyCommand(jsonCommand, { chatId, description: commandText });
+  await answerCallbackQuery(query.id, resultMessage);
+  app.log(`Panel button handled: ${resultMessage}`);
+
+  const updated = await app.getHomeState();
+  if (updated.zones[device.zone]) {
+    await showPanel(chatId, messageId, buildRoomPanel(updated.zones[device.zone], Object.values(updated.devices)));
+  }
+}
+
+/**
+ * Handle a "More ▸" or "◂ Back" button of a paged reply
+ * @param {object} app - Homey app instance
+ * @param {object} query - Telegram callback_query
+ */
+async function handlePageCallback(app, query) {
+  const chatId = query.message.chat.id;
+  const action = parsePageData(query.data);
+  const paged = action && pagedReplies.get(action.id);
+
+  if (!paged || paged.chatId !== chatId || paged.expiresAt < Date.now() || !paged.pages[action.index]) {
+    await answerCallbackQuery(query.id, 'This list has expired. Ask again for the current status.');
+    return;
+  }
+
+  await answerCallbackQuery(query.id);
+  await editMessageText(chatId, query.message.message_id, formatPage(paged.pages, action.index), {
+    format: FORMATS.html,
+    reply_markup: buildPageKeyboard(action.id, action.index, paged.pages.length)
+  });
+}
+
 module.exports = function initTelegramListener(app) {
+  // Sets up the inline keyboard listener
+  onCallbackQuery(async query => {
+    const chatId = query.message?.chat?.id;
+
+    try {
+      if (!chatId || !isUserAuthorized(chatId, app)) {
+        await answerCallbackQuery(query.id, 'Unauthorized');
+        app.log(`Unauthorized callback query from chat ID: ${chatId}`);
+        return;
+      }
+
+      const action = String(query.data || '').split(':')[0];
+      if (action === 'confirm' || action === 'cancel') {
+        await handleConfirmationCallback(app, query);
+      } else if (action === 'quick') {
+        await handleQuickReplyCallback(app, query);
+      } else if (action === 'panel') {
+        await handlePanelCallback(app, query);
+      } else if (action === 'page') {
+        await handlePageCallback(app, query);
+      } else {
+        await answerCallbackQuery(query.id);
+      }
+    } catch (error) {
+      ErrorHandler.log(error, app, { context: 'telegram_callback_query', chatId });
+      try {
+        const errorMsg = error.name === 'StandardError' ? error.toUserMessage() : `❌ Error: ${error.message}`;
+        await app.telegram.sendMessage(chatId, errorMsg);
+      } catch (sendError) {
+        app.error('Failed to send error message to user:', sendError);
+      }
+    }
+  });
+
   // Sets up the Telegram message listener
   onMessage(async msg => {
     const chatId = msg.chat.id;
@@ -79,6 +782,7 @@ module.exports = function initTelegramListener(app) {
       }
       
       let commandText = '';
+      let previewRequested = false;
 
       // Handle different message types
       let detectedLanguage = 'en'; // Default language
@@ -122,9 +826,11 @@ module.exports = function initTelegramListener(app) {
         }
 
         app.log(`Voice transcribed: "${commandText}" (Language: ${detectedLanguage})`);
+        triggerMessageReceived(app, msg, commandText, detectedLanguage);
 
       } else if (msg.text) {
         commandText = msg.text;
+        triggerMessageReceived(app, msg, commandText);
 
         // Handle special commands
         if (commandText.toLowerCase().startsWith('/help')) {
@@ -141,16 +847,54 @@ I can help you control your smart home devices! Here are some examples based on
 ${roomNames.map(room => `• "Turn on ${room} lights"`).join('\n')}
 • "Turn off bedroom"
 • "Dim kitchen lights"
+• "Turn off upstairs" or "Close all bedroom blinds" (floors and groups of rooms)
 
 🔹 Device commands:
+• "Dim the reading lamp in the bedroom" (any device by its name)
 ${deviceClasses.includes('thermostat') ? '• "Set temperature to 22 degrees"\n' : ''}${deviceClasses.includes('lock') ? '• "Lock the front door"\n' : ''}${deviceClasses.includes('curtain') ? '• "Open the curtains"\n' : ''} 
 🔹 Voice messages:
 • Send a voice message with your command
+• "/voice on" answers voice messages with voice and text, "/voice only" with voice, "/voice off" with text
 
 🔹 Status queries:
 • "What's the status of the living room?"
 • "Show me all lights"
 • "/status" for system status
+• "/rooms" opens buttons to switch and dim the lights in a room
+
+🔹 Undo and preview:
+• "/undo" or "undo that" reverts your last command
+• "/preview <command>" shows what a command would change, "/run" executes it
+• "/preview on" previews every command first, "/preview off" turns that off
+
+🔹 Timers:
+• "Turn off the kitchen lights in 20 minutes" or "... at 22:30"
+• "Turn on the porch light 30 minutes after sunset" (also sunrise, dawn and dusk)
+• "/timers" lists pending timers, "/cancel <id>" removes one
+
+🔹 Sequences:
+• "Turn on the porch light, wait 5 minutes, then turn it off" (waits up to 1 hour)
+• "Close the blinds and at the same time dim the lights"
+
+🔹 Routines:
+• "Every weekday at 06:45 turn on the kitchen lights"
+• "Every 2 hours turn on the fan"
+• "/routines" lists them, "/pause <id>", "/resume <id>" and "/delete <id>" manage them
+
+🔹 Scenes:
+• "Save the living room as movie night"
+• "Activate movie night" or "/scene movie night"
+• "/scenes" lists them, "/scene rename <name> to <new name>" and "/scene delete <name>" manage them
+
+🔹 Flows and moods:
+• "Run the good night flow" starts a Flow with the "This Flow is started" trigger
+• "Activate the cozy mood in the living room"
+• "/flows" lists the Flows and moods you can start
+
+🔹 Aliases:
+• "/alias the big lamp = Floor lamp" names a device
+• "/alias upstairs office = Kontor 2" names a room, "/alias TV corner = TV, Soundbar" a group
+• "/alias" lists them, "/alias remove <name>" removes one
 
 Available device types: ${deviceClasses.join(', ')}
 Available rooms: ${roomNames.join(', ')}${Object.keys(homeState.zones || {}).length > 3 ? ' and more...' : ''}
@@ -185,6 +929,140 @@ Ready to process commands!`;
           return;
         }
 
+        if (commandText.toLowerCase().startsWith('/voice')) {
+          const setting = commandText.slice('/voice'.length).trim().toLowerCase();
+          const replies = {
+            on: '🔊 Voice replies are on: voice messages are answered with voice and text.',
+            only: '🔊 Voice replies only: voice messages are answered with voice instead of text.',
+            off: '🔇 Voice replies are off: voice messages are answered with text.'
+          };
+
+          if (replies[setting]) {
+            setChatPreference(app.homey?.settings, chatId, 'voiceReplies', setting);
+            await app.telegram.sendMessage(chatId, replies[setting]);
+            return;
+          }
+
+          const voiceReplies = getChatPreference(app.homey?.settings, chatId, 'voiceReplies');
+          await app.telegram.sendMessage(chatId, `🔊 Usage: /voice on, /voice only, /voice off
+Voice replies are currently ${voiceReplies}.`);
+          return;
+        }
+
+        if (commandText.toLowerCase().startsWith('/preview')) {
+          const argument = commandText.slice('/preview'.length).trim();
+          const setting = argument.toLowerCase();
+
+          if (setting === 'on' || setting === 'off') {
+            setChatPreference(app.homey?.settings, chatId, 'previewFirst', setting === 'on');
+            await app.telegram.sendMessage(chatId, setting === 'on'
+              ? '🔍 Preview first is on: commands are previewed and run with /run.'
+              : '🔍 Preview first is off: commands run immediately.');
+            return;
+          }
+
+          if (!argument) {
+            const previewFirst = getChatPreference(app.homey?.settings, chatId, 'previewFirst');
+            await app.telegram.sendMessage(chatId, `🔍 Usage: /preview <command>, /preview on, /preview off
+Preview first is currently ${previewFirst ? 'on' : 'off'}.`);
+            return;
+          }
+
+          commandText = argument;
+          previewRequested = true;
+        }
+
+        if (commandText.toLowerCase().startsWith('/run')) {
+          const pending = pendingPreviews.get(chatId);
+          pendingPreviews.delete(chatId);
+
+          if (!pending || pending.expiresAt < Date.now()) {
+            await app.telegram.sendMessage(chatId, '❌ Nothing to run. Preview a command with /preview <command>.');
+            return;
+          }
+
+          // A preview doesn't replace Confirm/Cancel for sensitive or wide-reaching commands
+          const confirmation = await app.checkConfirmation(pending.jsonCommand);
+          if (confirmation.required) {
+            await requestConfirmation(
+              app, chatId, pending.jsonCommand, pending.commandText, confirmation,
+              pending.schedule, pending.replyOptions
+            );
+            return;
+          }
+
+          const runResult = await runOrSchedule(
+            app, chatId, pending.jsonCommand, pending.commandText, pending.schedule, pending.replyOptions
+          );
+          app.log(`Previewed command handled: ${runResult}`);
+          return;
+        }
+
+        if (commandText.toLowerCase().startsWith('/timers')) {
+          await app.telegram.sendMessage(chatId, formatTimers(app, chatId));
+          return;
+        }
+
+        if (commandText.toLowerCase().startsWith('/routines')) {
+          await app.telegram.sendMessage(chatId, formatRoutines(app, chatId));
+          return;
+        }
+
+        const routineCommand = commandText.match(/^\/(pause|resume|delete)\b(.*)$/i);
+        if (routineCommand) {
+          const action = routineCommand[1].toLowerCase();
+          await app.telegram.sendMessage(chatId, manageRoutine(app, chatId, action, routineCommand[2]));
+          return;
+        }
+
+        const aliasCommand = commandText.match(/^\/alias(?:es)?\b(.*)$/is);
+        if (aliasCommand) {
+          await app.telegram.sendMessage(chatId, await manageAliases(app, aliasCommand[1].trim()));
+          return;
+        }
+
+        if (commandText.toLowerCase().startsWith('/flows')) {
+          const { flows, moods } = await app.getFlowsAndMoods();
+          await app.telegram.sendMessage(chatId, formatFlowsAndMoods(flows, moods));
+          return;
+        }
+
+        if (commandText.toLowerCase().startsWith('/rooms')) {
+          const homeState = await app.getHomeState();
+          const panel = buildRoomsPanel(homeState.zones || {}, Object.values(homeState.devices || {}));
+          await app.telegram.sendMessage(chatId, panel.text, { reply_markup: panel.reply_markup });
+          return;
+        }
+
+        if (commandText.toLowerCase().startsWith('/scenes')) {
+          await app.telegram.sendMessage(chatId, formatScenes(app));
+          return;
+        }
+
+        // "/scene <name>" activates a scene further down, like any other command
+        const sceneCommand = commandText.match(/^\/scene\b\s*(?:(rename|delete)\b)?\s*(.*)$/i);
+        if (sceneCommand && (sceneCommand[1] || !sceneCommand[2].trim())) {
+          const usage = '🎬 Usage: /scene <name>, /scene rename <name> to <new name>, /scene delete <name>';
+          await app.telegram.sendMessage(chatId, sceneCommand[1]
+            ? manageScene(app, sceneCommand[1].toLowerCase(), sceneCommand[2].trim())
+            : `${usage}\n\n${formatScenes(app)}`);
+          return;
+        }
+
+        if (commandText.toLowerCase().startsWith('/cancel')) {
+          const timerId = commandText.slice('/cancel'.length).trim().replace(/^#/, '');
+          if (!/^\d+$/.test(timerId)) {
+            await app.telegram.sendMessage(chatId, '⏰ Usage: /cancel <id>. Send /timers to see pending timers.');
+            return;
+          }
+
+          const cancelled = app.scheduler.cancelTimer(chatId, timerId);
+          await app.telegram.sendMessage(chatId, cancelled
+            ? `🗑️ Cancelled timer #${cancelled.id}: ${cancelled.commandText}`
+            : `❌ No pending timer #${timerId}. Send /timers to see pending timers.`);
+          return;
+        }
+
       } else {
         await app.telegram.sendMessage(chatId, '❌ Unsupported message type. Please send text or voice messages.');
         return;
@@ -195,14 +1073,49 @@ Ready to process commands!`;
         return;
       }
 
+      // "/undo" or "undo that" in any supported language reverts the last command
+      if (commandText.toLowerCase().startsWith('/undo') || isUndoRequest(commandText, detectedLanguage)) {
+        const undoResult = await app.undoLastCommand(chatId);
+        await app.telegram.sendMessage(chatId, formatUndoResult(undoResult));
+        return;
+      }
+
+      // "every weekday at 06:45 ..." creates a routine, "... in 20 minutes" / "... at sunset" a timer
+      let schedule = null;
+      // Text messages carry no language, so time words and replies use the one the words suggest
+      const commandLanguage = msg.voice ? detectedLanguage : detectCommandLanguage(commandText, detectedLanguage);
+      const replyOptions = { spoken: Boolean(msg.voice), language: commandLanguage };
+      const recurrence = extractRecurrenceExpression(commandText, commandLanguage);
+      const timeExpression = recurrence ? null : extractTimeExpression(commandText, commandLanguage);
+
+      if (recurrence && !recurrence.rule) {
+        await app.telegram.sendMessage(chatId, `❌ Please add a time to "${recurrence.text}", `
+          + 'e.g. "every weekday at 06:45 turn on the kitchen lights".');
+        return;
+      }
+      if (recurrence && recurrence.remainingText) {
+        schedule = { rule: recurrence.rule };
+        commandText = recurrence.remainingText;
+        app.log(`Creating routine "${commandText}" (${recurrence.text})`);
+      } else if (timeExpression && timeExpression.remainingText) {
+        schedule = {
+          fireAt: resolveTimeExpression(timeExpression, app.getTimezone(), Date.now(), app.getLocation())
+        };
+        commandText = timeExpression.remainingText;
+        app.log(`Scheduling "${commandText}" (${timeExpression.text})`);
+      }
+
       // Send processing indicator for complex commands (configurable threshold)
       const processingThreshold = app.homey?.settings?.get('processingIndicatorThreshold') || 50;
       if (commandText.length > processingThreshold) {
         await app.telegram.sendMessage(chatId, '🤔 Processing your request...');
       }
 
-      // Parse and execute command with language information
-      const jsonCommand = await app.parseCommandWithState(commandText, detectedLanguage);
+      // Parse and execute command with language information; "/scene <name>" needs no parsing
+      const sceneRequest = commandText.match(/^\/scene\s+(.+)$/i);
+      const jsonCommand = sceneRequest
+        ? { command: SCENE_COMMANDS.activate, parameters: { scene: sceneRequest[1].trim() } }
+        : await app.parseCommandWithState(commandText, detectedLanguage);
 
       if (jsonCommand.error) {
         const errorMsg = `❌ ${jsonCommand.error}`;
@@ -210,9 +1123,27 @@ Ready to process commands!`;
         return;
       }
 
-      const resultMessage = await app.executeHomeyCommand(jsonCommand);
-      await app.telegram.sendMessage(chatId, resultMessage);
-      app.log(`Command executed successfully: ${resultMessage}`);
+      if (schedule && jsonCommand.query_type === 'status') {
+        await app.telegram.sendMessage(chatId, '❌ Status questions can\'t be scheduled. Ask again without a time.');
+        return;
+      }
+
+      // Status queries don't change anything, so they are never previewed
+      const previewFirst = getChatPreference(app.homey?.settings, chatId, 'previewFirst');
+      if ((previewRequested || previewFirst) && jsonCommand.query_type !== 'status') {
+        await sendPreview(app, chatId, jsonCommand, commandText, schedule, replyOptions);
+        return;
+      }
+
+      // Sensitive or wide-reaching commands wait for Confirm/Cancel
+      const confirmation = await app.checkConfirmation(jsonCommand);
+      if (confirmation.required) {
+        await requestConfirmation(app, chatId, jsonCommand, commandText, confirmation, schedule, replyOptions);
+        return;
+      }
+
+      const resultMessage = await runOrSchedule(app, chatId, jsonCommand, commandText, schedule, replyOptions);
+      app.log(`Command handled successfully: ${resultMessage}`);
 
     } catch (error) {
       // Log error with standardized format
@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Telegram Webhook
+ * Telegram pushes updates to the app instead of the app polling getUpdates. Updates arrive either
+ * through the app's Web API (POST /api/app/com.chatgtp.assistent/telegram/:secret, e.g. on Homey's
+ * cloud URL) or on a local port behind a reverse proxy. The local listener checks Telegram's
+ * X-Telegram-Bot-Api-Secret-Token header; the Web API doesn't pass headers to apps, so there the
+ * same secret is part of the path. When Telegram reports that it can't deliver updates, the
+ * webhook is removed and the bot goes back to polling.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const telegram = require('./telegram');
+
+const SECRET_SETTINGS_KEY = 'telegramWebhookSecret';
+const WEB_API_PATH = '/api/app/com.chatgtp.assistent/telegram';
+const HEALTH_CHECK_INTERVAL = 5 * 60 * 1000;
+// Updates are small; anything bigger isn't from Telegram
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Get the webhook secret, creating it on first use
+ * @param {object} settings - Homey settings manager (homey.settings)
+ * @returns {string} Secret token
+ */
+function getWebhookSecret(settings) {
+  let secret = settings.get(SECRET_SETTINGS_KEY);
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    settings.set(SECRET_SETTINGS_KEY, secret);
+  }
+  return secret;
+}
+
+/**
+ * Compare a received secret with the expected one in constant time
+ * @param {string} expected - Webhook secret
+ * @param {string} received - Secret from the request
+ * @returns {boolean} True if they match
+ */
+function isValidSecret(expected, received) {
+  if (typeof received !== 'string') {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Build the URL Telegram posts updates to
+ * @param {string} baseUrl - Public URL from the settings
+ * @param {string} secret - Webhook secret
+ * @param {number|null} port - Local listener port; without one, updates go through the Web API
+ * @returns {string} Webhook URL
+ */
+function buildWebhookUrl(baseUrl, secret, port) {
+  const url = String(baseUrl || '').trim();
+  return port ? url : `${url.replace(/\/+$/, '')}${WEB_API_PATH}/${secret}`;
+}
+
+/**
+ * Remove any webhook and poll for updates
+ * @param {object} logger - Object with error(), e.g. the app
+ */
+async function usePolling(logger = console) {
+  try {
+    // A webhook left from an earlier configuration makes getUpdates fail
+    await telegram.deleteWebhook();
+  } catch (error) {
+    logger.error('Failed to remove Telegram webhook:', error.message);
+  }
+  telegram.startPolling();
+}
+
+/**
+ * Registered webhook with its optional local listener and delivery check
+ */
+class TelegramWebhook {
+  /**
+   * @param {object} options - { url, secret, port, logger, onFallback }
+   *   url: the URL Telegram posts to (see buildWebhookUrl)
+   *   port: local port to listen on, null when updates come through the Web API
+   *   onFallback: called with the reason after switching back to polling
+   */
+  constructor({
+    url, secret, port = null, logger = console, onFallback = null
+  }) {
+    this.url = url;
+    this.secret = secret;
+    this.port = port;
+    this.logger = logger;
+    this.onFallback = onFallback;
+    this.server = null;
+    this.healthCheck = null;
+    this.registeredAt = null;
+    this.active = false;
+  }
+
+  /**
+   * Start the local listener if configured and register the webhook, polling if that fails
+   * @returns {Promise<boolean>} True if the webhook is in use
+   */
+  async start() {
+    try {
+      if (this.port !== null) {
+        await this._listen();
+      }
+      await telegram.setWebhook(this.url, this.secret);
+    } catch (error) {
+      await this.fallBackToPolling(`registering the webhook failed: ${error.message}`);
+      return false;
+    }
+
+    this.registeredAt = Date.now();
+    this.active = true;
+    this.healthCheck = setInterval(() => this.checkDelivery(), HEALTH_CHECK_INTERVAL);
+    this.logger.log(`Receiving Telegram updates through the webhook${this.server ? ` on port ${this.port}` : ''}`);
+    return true;
+  }
+
+  /**
+   * Stop listening and remove the webhook
+   */
+  async stop() {
+    this.active = false;
+    if (this.healthCheck) {
+      clearInterval(this.healthCheck);
+      this.healthCheck = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    try {
+      await telegram.deleteWebhook();
+    } catch (error) {
+      this.logger.error('Failed to remove Telegram webhook:', error.message);
+    }
+  }
+
+  /**
+   * Handle an update pushed by Telegram
+   * @param {string} secret - Secret from the request header or path
+   * @param {object} update - Telegram update
+   * @returns {boolean} False if the webhook isn't active or the secret is wrong
+   */
+  handleUpdate(secret, update) {
+    if (!this.active || !isValidSecret(this.secret, secret)) {
+      return false;
+    }
+
+    try {
+      telegram.processUpdate(update);
+    } catch (error) {
+      // Acknowledge anyway, or Telegram keeps redelivering the update
+      this.logger.error('Ignoring invalid Telegram update:', error.message);
+    }
+    return true;
+  }
+
+  /**
+   * Ask Telegram whether updates are being delivered, and poll instead if they aren't
+   */
+  async checkDelivery() {
+    let info;
+    try {
+      info = await telegram.getWebhookInfo();
+    } catch (error) {
+      // Can't reach Telegram at all; polling wouldn't work either
+      this.logger.error('Failed to check Telegram webhook:', error.message);
+      return;
+    }
+
+    if (info.url !== this.url) {
+      await this.fallBackToPolling('the webhook was removed');
+    } else if (info.last_error_date * 1000 >= this.registeredAt && info.pending_update_count > 0) {
+      await this.fallBackToPolling(`Telegram can't deliver updates: ${info.last_error_message}`);
+    }
+  }
+
+  /**
+   * Remove the webhook and poll for updates
+   * @param {string} reason - Why, for the log
+   */
+  async fallBackToPolling(reason) {
+    this.logger.error(`Telegram webhook failed, falling back to polling: ${reason}`);
+    await this.stop();
+    telegram.startPolling();
+    if (this.onFallback) {
+      this.onFallback(reason);
+    }
+  }
+
+  /**
+   * Start the local HTTP listener
+   * @returns {Promise<void>} Resolves once listening
+   */
+  _listen() {
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, resolve);
+    });
+  }
+
+  /**
+   * Handle a request on the local listener
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  _handleRequest(req, res) {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+    if (!isValidSecret(this.secret, req.headers['x-telegram-bot-api-secret-token'])) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        res.writeHead(413).end();
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      let update;
+      try {
+        update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        res.writeHead(400).end();
+        return;
+      }
+      res.writeHead(this.handleUpdate(req.headers['x-telegram-bot-api-secret-token'], update) ? 200 : 401).end();
+    });
+  }
+}
+
+module.exports = {
+  SECRET_SETTINGS_KEY,
+  WEB_API_PATH,
+  getWebhookSecret,
+  isValidSecret,
+  buildWebhookUrl,
+  usePolling,
+  TelegramWebhook
+};
@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * Time Utilities
+ * Timezone-aware date calculations based on Intl, so scheduled commands follow
+ * the Homey clock timezone instead of the process timezone
+ */
+
+const { ErrorHandler } = require('./errorHandler');
+const { getSolarEventTime, isValidLocation } = require('./solarCalculator');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the calendar parts of a moment in a timezone
+ * @param {Date|number} date - Moment in time
+ * @param {string} timezone - IANA timezone (e.g. 'Europe/Stockholm')
+ * @returns {object} { year, month, day, hour, minute, second, weekday } (month 1-12, weekday 0 = Sunday)
+ */
+function getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short'
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(date)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Get the UTC offset of a timezone at a given moment
+ * @param {Date|number} date - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timezone) {
+  const time = new Date(date).getTime();
+  const parts = getZonedParts(time, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (time - (time % 1000));
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC timestamp.
+ * Times skipped by a DST change resolve to the moment after the gap.
+ * @param {object} local - { year, month, day, hour, minute } (month 1-12)
+ * @param {string} timezone - IANA timezone
+ * @returns {number} UTC timestamp in milliseconds
+ */
+function zonedTimeToUtc(local, timezone) {
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute || 0, local.second || 0);
+  // Two passes handle the offset changing between the guess and the result (DST)
+  let result = asUtc - getTimezoneOffset(asUtc, timezone);
+  result = asUtc - getTimezoneOffset(result, timezone);
+  return result;
+}
+
+/**
+ * Add calendar days to a date in a timezone's calendar
+ * @param {object} parts - { year, month, day }
+ * @param {number} days - Days to add
+ * @returns {object} { year, month, day }
+ */
+function addDays(parts, days) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Get the next moment a wall-clock time occurs in a timezone
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @param {string} timezone - IANA timezone
+ * @param {number} now - Current timestamp
+ * @returns {number} UTC timestamp of the next occurrence (always in the future)
+ */
+function getNextOccurrence(hour, minute, timezone, now = Date.now()) {
+  ErrorHandler.validateInput(Number.isInteger(hour) && hour >= 0 && hour <= 23, 'Hour must be between 0 and 23');
+  ErrorHandler.validateInput(
+    Number.isInteger(minute) && minute >= 0 && minute <= 59,
+    'Minute must be between 0 and 59'
+  );
+
+  const today = getZonedParts(now, timezone);
+  let candidate = zonedTimeToUtc({ ...today, hour, minute, second: 0 }, timezone);
+  if (candidate <= now) {
+    candidate = zonedTimeToUtc({ ...addDays(today, 1), hour, minute, second: 0 }, timezone);
+  }
+  return candidate;
+}
+
+/**
+ * Get the next moment a weekly rule fires ("weekdays at 06:45")
+ * @param {Array} days - Weekdays the rule runs on (0 = Sunday)
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @param {string} timezone - IANA timezone
+ * @param {number} now - Current timestamp
+ * @returns {number} UTC timestamp of the next occurrence (always in the future)
+ */
+function getNextWeeklyOccurrence(days, hour, minute, timezone, now = Date.now()) {
+  ErrorHandler.validateInput(Array.isArray(days) && days.length > 0, 'At least one weekday is required');
+
+  const today = getZonedParts(now, timezone);
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = addDays(today, offset);
+    const weekday = (today.weekday + offset) % 7;
+    if (days.includes(weekday)) {
+      const candidate = zonedTimeToUtc({ ...date, hour, minute, second: 0 }, timezone);
+      if (candidate > now) {
+        return candidate;
+      }
+    }
+  }
+  throw ErrorHandler.validation('No upcoming occurrence for weekly rule');
+}
+
+/**
+ * Get a solar event on a local calendar date. The solar calculation works on UTC days,
+ * so neighbouring UTC days are checked for timezones far from UTC.
+ * @param {string} event - 'dawn', 'sunrise', 'sunset' or 'dusk'
+ * @param {object} date - Local date { year, month, day }
+ * @param {string} timezone - IANA timezone
+ * @param {object} location - { latitude, longitude }
+ * @returns {number|null} UTC timestamp, or null if the event doesn't happen that day
+ */
+function getSolarEventOnLocalDate(event, date, timezone, location) {
+  for (const shift of [0, -1, 1]) {
+    const time = getSolarEventTime(event, addDays(date, shift), location);
+    if (time !== null) {
+      const parts = getZonedParts(time, timezone);
+      if (parts.year === date.year && parts.month === date.month && parts.day === date.day) {
+        return time;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the next moment relative to a solar event ("30 minutes after sunset").
+ * Days on which the event doesn't happen (midnight sun, polar night) are skipped.
+ * @param {object} solar - { event, offsetMs }
+ * @param {Array|null} days - Weekdays to consider (0 = Sunday), null for every day
+ * @param {string} timezone - IANA timezone
+ * @param {object} location - { latitude, longitude }
+ * @param {number} now - Current timestamp
+ * @returns {number} UTC timestamp (always in the future)
+ */
+function getNextSolarOccurrence(solar, days, timezone, location, now = Date.now()) {
+  ErrorHandler.validateInput(
+    isValidLocation(location),
+    'Homey\'s location is not available, so sunrise and sunset times can\'t be calculated'
+  );
+
+  const today = getZonedParts(now, timezone);
+  // Start yesterday: a large offset can push yesterday's event past now
+  for (let offset = -1; offset <= 366; offset++) {
+    const weekday = (((today.weekday + offset) % 7) + 7) % 7;
+    if (!days || days.includes(weekday)) {
+      const eventTime = getSolarEventOnLocalDate(solar.event, addDays(today, offset), timezone, location);
+      if (eventTime !== null && eventTime + (solar.offsetMs || 0) > now) {
+        return eventTime + (solar.offsetMs || 0);
+      }
+    }
+  }
+  throw ErrorHandler.validation(`There is no ${solar.event} at this location in the coming year`);
+}
+
+/**
+ * Get the next moment a recurrence rule fires after now
+ * @param {object} rule - { type: 'weekly', days, hour, minute }, { type: 'solar', days, event, offsetMs }
+ *   or { type: 'interval', intervalMs }
+ * @param {string} timezone - IANA timezone
+ * @param {number} now - Current timestamp
+ * @param {number} previousRun - Last scheduled run, keeps intervals on their original grid
+ * @param {object} location - { latitude, longitude }, required for solar rules
+ * @returns {number} UTC timestamp
+ */
+function getNextRuleOccurrence(rule, timezone, now = Date.now(), previousRun = null, location = null) {
+  ErrorHandler.validateInput(rule && typeof rule === 'object', 'Recurrence rule is required');
+
+  if (rule.type === 'weekly') {
+    return getNextWeeklyOccurrence(rule.days, rule.hour, rule.minute, timezone, now);
+  }
+  if (rule.type === 'solar') {
+    return getNextSolarOccurrence(rule, rule.days, timezone, location, now);
+  }
+  if (rule.type === 'interval') {
+    ErrorHandler.validateInput(rule.intervalMs >= MINUTE, 'Interval must be at least one minute');
+    if (!previousRun) {
+      return now + rule.intervalMs;
+    }
+    const missedRuns = Math.max(0, Math.floor((now - previousRun) / rule.intervalMs));
+    return previousRun + (missedRuns + 1) * rule.intervalMs;
+  }
+  throw ErrorHandler.validation(`Unknown recurrence rule type: ${rule.type}`);
+}
+
+/**
+ * Resolve a parsed time expression (see extractTimeExpression) to a timestamp
+ * @param {object} expression - { type: 'delay', delayMs }, { type: 'time', hour, minute }
+ *   or { type: 'solar', event, offsetMs }
+ * @param {string} timezone - IANA timezone
+ * @param {number} now - Current timestamp
+ * @param {object} location - { latitude, longitude }, required for solar expressions
+ * @returns {number} UTC timestamp
+ */
+function resolveTimeExpression(expression, timezone, now = Date.now(), location = null) {
+  ErrorHandler.validateInput(expression && typeof expression === 'object', 'Time expression is required');
+
+  if (expression.type === 'delay') {
+    ErrorHandler.validateInput(expression.delayMs > 0, 'Delay must be positive');
+    return now + expression.delayMs;
+  }
+  if (expression.type === 'time') {
+    return getNextOccurrence(expression.hour, expression.minute, timezone, now);
+  }
+  if (expression.type === 'solar') {
+    return getNextSolarOccurrence(expression, null, timezone, location, now);
+  }
+  throw ErrorHandler.validation(`Unknown time expression type: ${expression.type}`);
+}
+
+/**
+ * Format a timestamp as HH:MM in a timezone, prefixed with the date when it isn't today
+ * @param {number} timestamp - UTC timestamp
+ * @param {string} timezone - IANA timezone
+ * @param {number} now - Current timestamp
+ * @returns {string} Display text, e.g. "22:30" or "2024-03-02 07:00"
+ */
+function formatLocalTime(timestamp, timezone, now = Date.now()) {
+  const pad = value => String(value).padStart(2, '0');
+  const parts = getZonedParts(timestamp, timezone);
+  const today = getZonedParts(now, timezone);
+  const time = `${pad(parts.hour)}:${pad(parts.minute)}`;
+
+  if (parts.year === today.year && parts.month === today.month && parts.day === today.day) {
+    return time;
+  }
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${time}`;
+}
+
+/**
+ * Format a duration as a short human readable string ("1 h 5 min", "40 s")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Display text
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  if (totalSeconds < 60) {
+    return `${totalSeconds} s`;
+  }
+
+  const totalMinutes = Math.round(totalSeconds / 60);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+
+  return [
+    days > 0 ? `${days} d` : null,
+    hours > 0 ? `${hours} h` : null,
+    minutes > 0 ? `${minutes} min` : null
+  ].filter(Boolean).join(' ') || '0 min';
+}
+
+/**
+ * Describe a solar anchor, e.g. "at sunset" or "30 min after sunset"
+ * @param {object} solar - { event, offsetMs }
+ * @returns {string} Display text
+ */
+function describeSolarEvent(solar) {
+  if (!solar.offsetMs) {
+    return `at ${solar.event}`;
+  }
+  const direction = solar.offsetMs < 0 ? 'before' : 'after';
+  return `${formatDuration(Math.abs(solar.offsetMs))} ${direction} ${solar.event}`;
+}
+
+/**
+ * Describe a recurrence rule, e.g. "weekdays at 06:45", "every day 30 min after sunset" or "every 2 h"
+ * @param {object} rule - Recurrence rule
+ * @returns {string} Display text
+ */
+function describeRule(rule) {
+  if (rule.type === 'interval') {
+    return `every ${formatDuration(rule.intervalMs)}`;
+  }
+
+  const days = [...rule.days].sort((a, b) => a - b).join(',');
+  const names = {
+    '0,1,2,3,4,5,6': 'every day',
+    '1,2,3,4,5': 'weekdays',
+    '0,6': 'weekends'
+  };
+  const dayText = names[days] || [...rule.days]
+    .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+    .map(day => WEEKDAY_NAMES[day])
+    .join(', ');
+
+  if (rule.type === 'solar') {
+    return `${dayText} ${describeSolarEvent(rule)}`;
+  }
+  const time = `${String(rule.hour).padStart(2, '0')}:${String(rule.minute).padStart(2, '0')}`;
+  return `${dayText} at ${time}`;
+}
+
+/**
+ * Get the Homey timezone, falling back to UTC
+ * @param {object} homey - Homey instance
+ * @returns {string} IANA timezone
+ */
+function getHomeyTimezone(homey) {
+  try {
+    const timezone = homey?.clock?.getTimezone();
+    if (timezone) {
+      // Validate the timezone before using it
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone }).format(0);
+      return timezone;
+    }
+  } catch (error) {
+    console.warn('Invalid Homey timezone, falling back to UTC:', error.message);
+  }
+  return 'UTC';
+}
+
+module.exports = {
+  MINUTE,
+  HOUR,
+  DAY,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  addDays,
+  getNextOccurrence,
+  getNextWeeklyOccurrence,
+  getNextRuleOccurrence,
+  getSolarEventOnLocalDate,
+  getNextSolarOccurrence,
+  resolveTimeExpression,
+  formatLocalTime,
+  formatDuration,
+  describeSolarEvent,
+  describeRule,
+  getHomeyTimezone
+};
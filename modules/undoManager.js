@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * Undo Manager
+ * Keeps a per-chat stack of capability changes so the last command can be reverted
+ */
+
+const DEFAULT_MAX_DEPTH = 10;
+
+// Momentary capabilities have no state to restore
+const NON_RESTORABLE_CAPABILITIES = ['button', 'speaker_next', 'speaker_prev'];
+
+/**
+ * Check whether a capability change can be reverted
+ * @param {string} capability - Capability id
+ * @param {*} previousValue - Value before the change
+ * @returns {boolean} True if the change can be undone
+ */
+function isRestorableChange(capability, previousValue) {
+  return !NON_RESTORABLE_CAPABILITIES.includes(capability)
+    && previousValue !== null
+    && previousValue !== undefined;
+}
+
+/**
+ * Per-chat undo stacks
+ */
+class UndoManager {
+  /**
+   * @param {number} maxDepth - Maximum number of commands remembered per chat
+   */
+  constructor(maxDepth = DEFAULT_MAX_DEPTH) {
+    this.maxDepth = maxDepth;
+    this.stacks = new Map();
+  }
+
+  /**
+   * Record the changes made by a command
+   * @param {string|number} chatId - Chat the command came from
+   * @param {string} description - Human readable command description
+   * @param {Array} changes - Array of { deviceId, deviceName, capability, previousValue, value }
+   * @returns {boolean} True if anything was recorded
+   */
+  record(chatId, description, changes) {
+    const restorable = (changes || []).filter(change => isRestorableChange(change.capability, change.previousValue));
+    if (chatId === undefined || chatId === null || restorable.length === 0) {
+      return false;
+    }
+
+    const key = String(chatId);
+    const stack = this.stacks.get(key) || [];
+    stack.push({ description, changes: restorable, timestamp: Date.now() });
+    if (stack.length > this.maxDepth) {
+      stack.shift();
+    }
+    this.stacks.set(key, stack);
+    return true;
+  }
+
+  /**
+   * Remove and return the most recent entry for a chat
+   * @param {string|number} chatId - Chat ID
+   * @returns {Object|null} Undo entry or null if the stack is empty
+   */
+  pop(chatId) {
+    const stack = this.stacks.get(String(chatId));
+    if (!stack || stack.length === 0) {
+      return null;
+    }
+    return stack.pop();
+  }
+
+  /**
+   * Number of undoable commands for a chat
+   * @param {string|number} chatId - Chat ID
+   * @returns {number} Stack size
+   */
+  size(chatId) {
+    const stack = this.stacks.get(String(chatId));
+    return stack ? stack.length : 0;
+  }
+
+  /**
+   * Forget all undo history for a chat
+   * @param {string|number} chatId - Chat ID
+   */
+  clear(chatId) {
+    this.stacks.delete(String(chatId));
+  }
+}
+
+module.exports = {
+  UndoManager,
+  isRestorableChange,
+  NON_RESTORABLE_CAPABILITIES
+};
@@ -70,11 +70,12 @@ async function parseCommandWithUnifiedMatching(commandText, availableRooms = [],
  * @param {Array} availableRooms - Available rooms
  * @param {string} language - Detected language
  * @param {Object} homeState - Home state with devices and zones
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options; options.aliases holds lines from
+ *   aliasStore.formatAliasesForPrompt for aliases mentioned in the command
  * @returns {string} The constructed prompt
  */
 function buildUnifiedPrompt(commandText, availableRooms, language, homeState, options = {}) {
-  const { maxDevices = 50 } = options;
+  const { maxDevices = 50, aliases = [] } = options;
 
   // Prepare room context with normalization hints
   const roomContext = buildRoomMatchingContext(availableRooms, language);
@@ -92,7 +93,10 @@ ${roomContext}
 
 AVAILABLE DEVICES:
 ${deviceContext}
-
+${aliases.length > 0 ? `
+USER-DEFINED ALIASES (always resolve these names to exactly these targets, room_matching method "alias"):
+${aliases.map(line => `- ${line}`).join('\n')}
+` : ''}
 COMMAND TO PROCESS: "${commandText}" (Language: ${language})
 
 UNIFIED PARSING RULES:
@@ -111,6 +115,7 @@ UNIFIED PARSING RULES:
 2. COMMAND PARSING - Extract actions and targets:
    - Understand commands in ANY language
    - Normalize actions to English: "turn_on", "turn_off", "dim", etc.
+   - Relative changes ("brighter", "2 degrees warmer") use "parameters": {"relative": true, "delta": <signed percent points or °C>}
    - Identify device filters if specified
    - Handle multi-step commands
 
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Zone Hierarchy
+ * Homey zones form a tree (Home > Upstairs > Bedroom). A command or status question for a
+ * zone covers every zone below it, "all bedrooms" covers every zone with that name, and
+ * "all"/"everywhere" covers the whole home.
+ */
+
+const { normalizeUnicode } = require('./advancedMultilingualMatcher');
+
+// Room phrases meaning the whole home
+const WHOLE_HOME_PHRASES = [
+  'all', 'everywhere', 'everything', 'whole house', 'entire house', 'whole home', 'all rooms',
+  'alla', 'överallt', 'hela huset', 'alla rum',
+  'alle', 'überall', 'ganzes haus', 'alle räume',
+  'partout', 'toute la maison', 'toutes les pièces',
+  'todo', 'todas partes', 'toda la casa',
+  'ovunque', 'tutta la casa',
+  'overal', 'hele huis',
+  'toda a casa'
+];
+
+// Words that turn a room name into a pattern ("all bedrooms", "alla sovrum"), longest first
+const QUANTIFIERS = [
+  'all the', 'all of the', 'all', 'every', 'each',
+  'alla', 'varje', 'samtliga',
+  'alle', 'jedes', 'jeden',
+  'tous les', 'toutes les', 'chaque',
+  'todos los', 'todas las', 'cada',
+  'tutti i', 'tutte le', 'ogni',
+  'elke',
+  'todos os', 'todas as'
+].sort((a, b) => b.length - a.length);
+
+// Plural endings stripped from a pattern ("bedrooms" -> "bedroom", "sovrummen" -> "sovrum")
+const PLURAL_ENDINGS = ['men', 'es', 'en', 'er', 'ar', 'na', 's', 'e', 'i', 'n'];
+const MIN_STEM_LENGTH = 4;
+
+/**
+ * Recognize room phrases that mean several zones
+ * @param {string} room - Room from the command
+ * @returns {object|null} { all: true } for the whole home, { term } for "all <term>", null for a single room
+ */
+function parseZonePattern(room) {
+  const text = normalizeUnicode(String(room || '')).replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+  if (WHOLE_HOME_PHRASES.some(phrase => normalizeUnicode(phrase) === text)) {
+    return { all: true };
+  }
+
+  const quantifier = QUANTIFIERS.find(word => text.startsWith(`${normalizeUnicode(word)} `));
+  if (!quantifier) {
+    return null;
+  }
+  const term = text.slice(normalizeUnicode(quantifier).length).trim();
+  return term ? { term } : null;
+}
+
+/**
+ * The zones without a parent (normally just "Home")
+ * @param {object} zones - Zones by ID ({ id, name, parent })
+ * @returns {Array} Zone IDs
+ */
+function getRootZoneIds(zones) {
+  return Object.keys(zones).filter(id => !zones[id].parent || !zones[zones[id].parent]);
+}
+
+/**
+ * Find the zones a pattern covers
+ * @param {object} zones - Zones by ID
+ * @param {object} pattern - From parseZonePattern
+ * @returns {Array} Zone IDs, without their descendants
+ */
+function findZonesByPattern(zones, pattern) {
+  if (pattern.all) {
+    return getRootZoneIds(zones);
+  }
+
+  const stems = [pattern.term, ...PLURAL_ENDINGS
+    .filter(ending => pattern.term.endsWith(ending))
+    .map(ending => pattern.term.slice(0, -ending.length))]
+    .filter(stem => stem.length >= MIN_STEM_LENGTH);
+  return Object.keys(zones).filter(id => {
+    const name = normalizeUnicode(zones[id].name || '');
+    return stems.some(stem => name.includes(stem));
+  });
+}
+
+/**
+ * Add every descendant to a set of zones
+ * @param {object} zones - Zones by ID
+ * @param {Array} zoneIds - Zone IDs
+ * @returns {Array} The zones and all zones below them, without duplicates
+ */
+function expandZoneIds(zones, zoneIds) {
+  const children = {};
+  Object.keys(zones).forEach(id => {
+    const { parent } = zones[id];
+    if (parent) {
+      (children[parent] = children[parent] || []).push(id);
+    }
+  });
+
+  const expanded = new Set();
+  const queue = [...zoneIds];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (!expanded.has(id)) {
+      expanded.add(id);
+      queue.push(...(children[id] || []));
+    }
+  }
+  return [...expanded];
+}
+
+/**
+ * Name of a zone
+ * @param {object} zones - Zones by ID
+ * @param {string} zoneId - Zone ID
+ * @returns {string|null} Zone name, null if unknown
+ */
+function getZoneName(zones, zoneId) {
+  return zones && zones[zoneId] ? zones[zoneId].name : null;
+}
+
+/**
+ * Group items by their zoneName, keeping the order in which zones first appear
+ * @param {Array} items - Items with a zoneName property
+ * @returns {Array} Array of { zoneName, items }
+ */
+function groupByZone(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    const zoneName = item.zoneName || null;
+    if (!groups.has(zoneName)) {
+      groups.set(zoneName, []);
+    }
+    groups.get(zoneName).push(item);
+  });
+  return [...groups.entries()].map(([zoneName, zoneItems]) => ({ zoneName, items: zoneItems }));
+}
+
+module.exports = {
+  parseZonePattern,
+  getRootZoneIds,
+  findZonesByPattern,
+  expandZoneIds,
+  getZoneName,
+  groupByZone
+};
@@ -15,7 +15,8 @@ const {
   generatePhoneticVariations,
   fuzzyMatch,
   findBestRoomMatch,
-  comprehensiveRoomMatch
+  comprehensiveRoomMatch,
+  comprehensiveDeviceMatch
 } = require('../../modules/advancedMultilingualMatcher');
 
 describe('Advanced Multilingual Matcher', function() {
@@ -265,6 +266,69 @@ describe('Advanced Multilingual Matcher', function() {
       expect(result).to.have.property('match', 'Vardagsrummet');
       expect(result).to.have.property('confidence').above(0.8);
     });
+
+    it('should resolve user-defined aliases before fuzzy or LLM matching', async function() {
+      const llm = sinon.stub().resolves('Kitchen');
+      const aliases = { 'upstairs office': 'Bedroom' };
+      const result = await comprehensiveRoomMatch('Upstairs  Office', availableRooms, 'en', llm, aliases);
+
+      expect(result).to.deep.equal({ match: 'Bedroom', confidence: 1.0, method: 'alias' });
+      expect(llm.called).to.be.false;
+    });
+
+    it('should ignore aliases pointing at rooms that no longer exist', async function() {
+      const result = await comprehensiveRoomMatch('Kitchen', availableRooms, 'en', null, { kitchen: 'Attic' });
+
+      expect(result).to.have.property('match', 'Kitchen');
+      expect(result).to.have.property('method', 'exact');
+    });
+  });
+
+  describe('comprehensiveDeviceMatch', function() {
+    const devices = [
+      { id: 'd1', name: 'Hue Go', zone: 'z1' },
+      { id: 'd2', name: 'Reading lamp left', zone: 'z2' },
+      { id: 'd3', name: 'Reading lamp right', zone: 'z2' },
+      { id: 'd4', name: 'Ceiling', zone: 'z1' },
+      { id: 'd5', name: 'Ceiling', zone: 'z2' }
+    ];
+
+    it('should match device names fuzzily', async function() {
+      expect((await comprehensiveDeviceMatch('the Hue Go', devices)).match.id).to.equal('d1');
+      expect((await comprehensiveDeviceMatch('hue goo', devices)).match.id).to.equal('d1');
+      expect((await comprehensiveDeviceMatch('reading lamp left', devices)).match.id).to.equal('d2');
+    });
+
+    it('should return candidates instead of guessing between similar names', async function() {
+      const result = await comprehensiveDeviceMatch('reading lamp', devices);
+
+      expect(result.match).to.be.null;
+      expect(result.candidates.map(device => device.id)).to.deep.equal(['d2', 'd3']);
+    });
+
+    it('should return every device sharing the matched name', async function() {
+      const result = await comprehensiveDeviceMatch('ceiling', devices);
+
+      expect(result.match).to.be.null;
+      expect(result.candidates.map(device => device.id)).to.deep.equal(['d4', 'd5']);
+    });
+
+    it('should use semantic matching when fuzzy matching is unsure', async function() {
+      const llm = sinon.stub().resolves({ match: 'Hue Go', confidence: 0.85 });
+
+      const result = await comprehensiveDeviceMatch('den bärbara lampan', devices, 'sv', llm);
+
+      expect(result.match.id).to.equal('d1');
+      expect(result.method).to.equal('semantic');
+      expect(llm.firstCall.args[0]).to.include('Available devices: "Hue Go"');
+    });
+
+    it('should return no candidates when nothing matches', async function() {
+      const result = await comprehensiveDeviceMatch('television', devices);
+
+      expect(result).to.include({ match: null, confidence: 0 });
+      expect(result.candidates).to.deep.equal([]);
+    });
   });
 
   describe('Performance and Edge Cases', function() {
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Unit Tests for Alias Store
+ * Tests parsing, storing and resolving user-defined device and room aliases
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const {
+  SETTINGS_KEY,
+  parseAliases,
+  getAliases,
+  setAlias,
+  removeAlias,
+  resolveAlias,
+  resolveAliases,
+  getRoomAliasMap,
+  findMentionedAliases,
+  formatAliasesForPrompt
+} = require('../../modules/aliasStore');
+
+const homeState = {
+  zones: {
+    z1: { id: 'z1', name: 'Kontor 2' },
+    z2: { id: 'z2', name: 'Living room' }
+  },
+  devices: {
+    d1: { id: 'd1', name: 'Floor lamp', zone: 'z2' },
+    d2: { id: 'd2', name: 'TV', zone: 'z2' },
+    d3: { id: 'd3', name: 'Soundbar', zone: 'z2' }
+  }
+};
+
+describe('Alias Store', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('parseAliases', function() {
+    it('should parse one alias per line', function() {
+      const text = 'the big lamp = Floor lamp\n\n# comment\nTV corner = TV, Soundbar ,\nbroken line';
+
+      expect(parseAliases(text)).to.deep.equal([
+        { alias: 'the big lamp', targets: ['Floor lamp'] },
+        { alias: 'TV corner', targets: ['TV', 'Soundbar'] }
+      ]);
+    });
+
+    it('should handle missing settings', function() {
+      expect(parseAliases(null)).to.deep.equal([]);
+    });
+  });
+
+  describe('storage', function() {
+    it('should add and replace aliases case-insensitively', function() {
+      const settings = createMockSettings();
+      setAlias(settings, 'The Big Lamp', ['TV']);
+      setAlias(settings, 'the big lamp', ['Floor lamp']);
+
+      expect(getAliases(settings)).to.deep.equal([{ alias: 'the big lamp', targets: ['Floor lamp'] }]);
+      expect(settings.get(SETTINGS_KEY)).to.equal('the big lamp = Floor lamp');
+    });
+
+    it('should reject aliases that cannot be stored as a line', function() {
+      const settings = createMockSettings();
+
+      expect(() => setAlias(settings, 'a = b', ['TV'])).to.throw('cannot contain');
+      expect(() => setAlias(settings, 'lamp', [])).to.throw('at least one target');
+    });
+
+    it('should remove aliases', function() {
+      const settings = createMockSettings({ [SETTINGS_KEY]: 'office = Kontor 2\nlamp = Floor lamp' });
+
+      expect(removeAlias(settings, 'OFFICE').alias).to.equal('office');
+      expect(removeAlias(settings, 'office')).to.be.null;
+      expect(settings.get(SETTINGS_KEY)).to.equal('lamp = Floor lamp');
+    });
+  });
+
+  describe('resolveAlias', function() {
+    it('should resolve a single zone target to a room', function() {
+      const resolved = resolveAlias({ alias: 'upstairs office', targets: ['kontor 2'] }, homeState);
+
+      expect(resolved).to.deep.equal({
+        alias: 'upstairs office', type: 'zone', zoneId: 'z1', zoneName: 'Kontor 2'
+      });
+    });
+
+    it('should resolve device names and IDs, skipping unknown targets', function() {
+      const resolved = resolveAlias({ alias: 'TV corner', targets: ['tv', 'd3', 'Radio'] }, homeState);
+
+      expect(resolved.type).to.equal('devices');
+      expect(resolved.devices).to.deep.equal([{ id: 'd2', name: 'TV' }, { id: 'd3', name: 'Soundbar' }]);
+    });
+
+    it('should return null when nothing matches', function() {
+      expect(resolveAlias({ alias: 'garage', targets: ['Garage'] }, homeState)).to.be.null;
+    });
+  });
+
+  describe('prompt helpers', function() {
+    const settings = createMockSettings({
+      [SETTINGS_KEY]: 'upstairs office = Kontor 2\nthe big lamp = Floor lamp\nTV corner = TV, Soundbar\ngarage = Garage'
+    });
+    const resolved = resolveAliases(settings, homeState);
+
+    it('should drop aliases that match nothing', function() {
+      expect(resolved.map(entry => entry.alias)).to.deep.equal(['upstairs office', 'the big lamp', 'TV corner']);
+    });
+
+    it('should build the room alias map', function() {
+      expect(getRoomAliasMap(resolved)).to.deep.equal({ 'upstairs office': 'Kontor 2' });
+    });
+
+    it('should find aliases mentioned as whole words', function() {
+      const mentioned = findMentionedAliases(resolved, 'Turn on the big lamp and the tv corner!');
+
+      expect(mentioned.map(entry => entry.alias)).to.deep.equal(['the big lamp', 'TV corner']);
+      expect(findMentionedAliases(resolved, 'turn on the big lamps')).to.deep.equal([]);
+    });
+
+    it('should describe aliases as command targets', function() {
+      expect(formatAliasesForPrompt(resolved)).to.deep.equal([
+        '"upstairs office" = {"room": "Kontor 2"}',
+        '"the big lamp" = {"device_id": "d1"} (Floor lamp)',
+        '"TV corner" = {"device_ids": ["d2","d3"]} (TV, Soundbar)'
+      ]);
+    });
+  });
+});
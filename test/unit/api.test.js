@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Unit Tests for the Web API
+ * Tests token checks and how requests are passed to the app
+ */
+
+const { expect, sinon, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const { createApiClient } = require('../../modules/apiClients');
+const { CommandLog } = require('../../modules/commandLog');
+const { createMessageReport } = require('../../modules/executionReport');
+const api = require('../../api');
+
+async function expectRejection(promise, message) {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error, 'expected a rejection').to.be.an('error');
+  expect(error.message).to.include(message);
+}
+
+describe('Web API', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  let homey;
+  let token;
+
+  beforeEach(function() {
+    homey = {
+      settings: createMockSettings(),
+      app: {
+        commandLog: new CommandLog(),
+        runAssistantCommand: sinon.stub().resolves(createMessageReport('✅ Started Flow "Good night"')),
+        listRoomsAndDevices: sinon.stub().resolves({ rooms: [], devices: [] })
+      }
+    };
+    token = createApiClient(homey.settings, 'Tablet').token;
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  it('should reject requests without a valid token', async function() {
+    await expectRejection(api.submitCommand({ homey, query: {}, body: { command: 'lights on' } }), 'Unauthorized');
+    await expectRejection(api.getDevices({ homey, query: { token: 'wrong' } }), 'Unauthorized');
+    expect(homey.app.runAssistantCommand.called).to.be.false;
+  });
+
+  it('should run commands on behalf of the client', async function() {
+    const response = await api.submitCommand({
+      homey, query: {}, body: { token, command: ' lights on ', language: 'sv' }
+    });
+
+    expect(response).to.include({ result: '✅ Started Flow "Good night"', success: true });
+    expect(response.devices).to.deep.equal([]);
+    expect(homey.app.runAssistantCommand.calledOnceWith('lights on', { language: 'sv', source: 'api:Tablet' }))
+      .to.be.true;
+  });
+
+  it('should only answer status questions on /status', async function() {
+    await api.getStatus({ homey, query: { token, query: 'what is on?' } });
+
+    expect(homey.app.runAssistantCommand.firstCall.args[1]).to.include({ statusOnly: true, language: 'en' });
+  });
+
+  it('should return the most recent log entries', async function() {
+    homey.app.commandLog.add({ command: 'a' });
+    homey.app.commandLog.add({ command: 'b' });
+
+    const entries = await api.getLog({ homey, query: { token, limit: '1' } });
+    expect(entries.map(entry => entry.command)).to.deep.equal(['b']);
+  });
+
+  it('should only pass Telegram updates on to an active webhook', async function() {
+    const update = { update_id: 1 };
+    const request = { homey, params: { secret: 's' }, body: update };
+    await expectRejection(api.receiveTelegramUpdate(request), 'Unauthorized');
+
+    homey.app.telegramWebhook = { handleUpdate: sinon.stub().returns(false) };
+    await expectRejection(api.receiveTelegramUpdate(request), 'Unauthorized');
+
+    homey.app.telegramWebhook.handleUpdate.returns(true);
+    expect(await api.receiveTelegramUpdate(request)).to.deep.equal({ ok: true });
+    expect(homey.app.telegramWebhook.handleUpdate.calledWith('s', update)).to.be.true;
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Unit Tests for API Clients
+ * Tests per-client tokens for the local Web API
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const {
+  SETTINGS_KEY,
+  listApiClients,
+  createApiClient,
+  revokeApiClient,
+  authenticateApiClient
+} = require('../../modules/apiClients');
+
+describe('API Clients', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  it('should return the token once and only store its hash', function() {
+    const settings = createMockSettings();
+    const client = createApiClient(settings, '  Hallway   tablet ');
+
+    expect(client.name).to.equal('Hallway tablet');
+    expect(client.token).to.match(/^[0-9a-f]{48}$/);
+    expect(JSON.stringify(settings.get(SETTINGS_KEY))).to.not.include(client.token);
+    expect(listApiClients(settings)[0]).to.deep.equal({
+      id: client.id, name: 'Hallway tablet', createdAt: client.createdAt, lastUsedAt: null
+    });
+  });
+
+  it('should authenticate known tokens only', function() {
+    const settings = createMockSettings();
+    const tablet = createApiClient(settings, 'Tablet');
+    createApiClient(settings, 'Script');
+
+    expect(authenticateApiClient(settings, tablet.token)).to.include({ id: tablet.id, name: 'Tablet' });
+    expect(authenticateApiClient(settings, 'wrong')).to.be.null;
+    expect(authenticateApiClient(settings, undefined)).to.be.null;
+  });
+
+  it('should skip clients with a malformed token hash', function() {
+    const settings = createMockSettings();
+    const tablet = createApiClient(settings, 'Tablet');
+    settings.set(SETTINGS_KEY, [
+      { id: 'short', name: 'Short', tokenHash: 'abc123' },
+      { id: 'missing', name: 'Missing' },
+      ...settings.get(SETTINGS_KEY)
+    ]);
+
+    expect(authenticateApiClient(settings, 'wrong')).to.be.null;
+    expect(authenticateApiClient(settings, tablet.token)).to.include({ id: tablet.id });
+  });
+
+  it('should record when a client was last used', function() {
+    const settings = createMockSettings();
+    const client = createApiClient(settings, 'Tablet');
+    authenticateApiClient(settings, client.token);
+
+    expect(listApiClients(settings)[0].lastUsedAt).to.be.a('string');
+  });
+
+  it('should revoke clients', function() {
+    const settings = createMockSettings();
+    const client = createApiClient(settings, 'Tablet');
+
+    expect(revokeApiClient(settings, client.id).name).to.equal('Tablet');
+    expect(revokeApiClient(settings, client.id)).to.be.null;
+    expect(authenticateApiClient(settings, client.token)).to.be.null;
+  });
+
+  it('should require a name', function() {
+    expect(() => createApiClient(createMockSettings(), ' ')).to.throw('client name is required');
+  });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * Unit Tests for Capability Registry
+ * Tests command to capability resolution and value conversion
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  getCapabilityForCommand,
+  getValueForCommand,
+  getCommandWrites,
+  resolveCommandWrites,
+  isRelativeAdjustment,
+  getCapabilityKeys,
+  isSupportedCommand,
+  resolveCommandName
+} = require('../../modules/capabilityRegistry');
+
+function deviceWith(capabilities, extra = {}) {
+  return { id: 'device_1', name: 'Device', capabilities, ...extra };
+}
+
+describe('Capability Registry', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('getCapabilityForCommand', function() {
+    it('should resolve the original commands', function() {
+      expect(getCapabilityForCommand(deviceWith(['onoff', 'dim']), 'turn_on')).to.equal('onoff');
+      expect(getCapabilityForCommand(deviceWith(['onoff', 'dim']), 'dim')).to.equal('dim');
+      expect(getCapabilityForCommand(deviceWith(['target_temperature']), 'set_temperature'))
+        .to.equal('target_temperature');
+      expect(getCapabilityForCommand(deviceWith(['volume_set']), 'set_volume')).to.equal('volume_set');
+    });
+
+    it('should resolve lock, media and window covering commands', function() {
+      expect(getCapabilityForCommand(deviceWith(['locked']), 'lock')).to.equal('locked');
+      expect(getCapabilityForCommand(deviceWith(['speaker_playing']), 'play_music')).to.equal('speaker_playing');
+      expect(getCapabilityForCommand(deviceWith(['speaker_next']), 'next_track')).to.equal('speaker_next');
+      expect(getCapabilityForCommand(deviceWith(['windowcoverings_set']), 'open')).to.equal('windowcoverings_set');
+      expect(getCapabilityForCommand(deviceWith(['button']), 'press')).to.equal('button');
+    });
+
+    it('should fall back to windowcoverings_state when windowcoverings_set is missing', function() {
+      const blind = deviceWith(['windowcoverings_state']);
+      expect(getCapabilityForCommand(blind, 'close')).to.equal('windowcoverings_state');
+      expect(getCommandWrites(blind, 'close')).to.deep.equal([{ capability: 'windowcoverings_state', value: 'down' }]);
+    });
+
+    it('should open and close garage doors', function() {
+      const garage = deviceWith(['garagedoor_closed']);
+      expect(getCommandWrites(garage, 'open')).to.deep.equal([{ capability: 'garagedoor_closed', value: false }]);
+      expect(getCommandWrites(garage, 'close')).to.deep.equal([{ capability: 'garagedoor_closed', value: true }]);
+    });
+
+    it('should return null for unsupported commands or capabilities', function() {
+      expect(getCapabilityForCommand(deviceWith(['onoff']), 'lock')).to.be.null;
+      expect(getCapabilityForCommand(deviceWith(['onoff']), 'fly')).to.be.null;
+    });
+
+    it('should resolve command aliases', function() {
+      expect(resolveCommandName('pause')).to.equal('stop_music');
+      expect(getCapabilityForCommand(deviceWith(['speaker_playing']), 'play')).to.equal('speaker_playing');
+      expect(isSupportedCommand('speaker_prev')).to.be.true;
+    });
+
+    it('should read capabilities from capabilitiesObj', function() {
+      const device = { capabilitiesObj: { locked: { value: false } } };
+      expect(getCapabilityKeys(device)).to.deep.equal(['locked']);
+      expect(getCapabilityForCommand(device, 'unlock')).to.equal('locked');
+    });
+  });
+
+  describe('getValueForCommand', function() {
+    it('should keep the original defaults', function() {
+      expect(getValueForCommand('turn_on')).to.be.true;
+      expect(getValueForCommand('dim')).to.equal(0.5);
+      expect(getValueForCommand('set_temperature')).to.equal(20);
+    });
+
+    it('should convert percentages to the 0-1 range', function() {
+      expect(getValueForCommand('dim', { dim_level: 40 })).to.equal(0.4);
+      expect(getValueForCommand('dim', { dim_level: '25' })).to.equal(0.25);
+      expect(getValueForCommand('set_volume', { volume: 150 })).to.equal(1);
+    });
+
+    it('should honour a zero dim level', function() {
+      expect(getValueForCommand('dim', { dim_level: 0 })).to.equal(0);
+    });
+
+    it('should read 1 as one percent', function() {
+      expect(getValueForCommand('dim', { dim_level: 1 })).to.equal(0.01);
+      expect(getValueForCommand('set_position', { position: 1 })).to.equal(0.01);
+    });
+
+    it('should validate thermostat modes', function() {
+      expect(getValueForCommand('set_thermostat_mode', { mode: 'Heat' })).to.equal('heat');
+      expect(() => getValueForCommand('set_thermostat_mode', { mode: 'turbo' })).to.throw(/Thermostat mode/);
+    });
+
+    it('should return null for unknown commands', function() {
+      expect(getValueForCommand('fly')).to.be.null;
+    });
+  });
+
+  describe('getCommandWrites', function() {
+    it('should add supported companion capabilities for set_color', function() {
+      const bulb = deviceWith(['onoff', 'light_hue', 'light_saturation', 'light_mode']);
+      expect(getCommandWrites(bulb, 'set_color', { color: 'blue' })).to.deep.equal([
+        { capability: 'light_hue', value: 0.66 },
+        { capability: 'light_saturation', value: 1 },
+        { capability: 'light_mode', value: 'color' }
+      ]);
+    });
+
+    it('should skip companions the device lacks', function() {
+      const bulb = deviceWith(['light_hue']);
+      expect(getCommandWrites(bulb, 'set_color', { hue: 180 })).to.deep.equal([
+        { capability: 'light_hue', value: 0.5 }
+      ]);
+    });
+
+    it('should reject unknown colors', function() {
+      expect(() => getCommandWrites(deviceWith(['light_hue']), 'set_color', { color: 'plaid' }))
+        .to.throw(/Unknown color/);
+    });
+
+    it('should return null when the device does not support the command', function() {
+      expect(getCommandWrites(deviceWith(['onoff']), 'set_color', { color: 'red' })).to.be.null;
+    });
+  });
+
+  describe('resolveCommandWrites', function() {
+    it('should detect relative parameters', function() {
+      expect(isRelativeAdjustment({ relative: true, delta: 10 })).to.be.true;
+      expect(isRelativeAdjustment({ direction: 'down' })).to.be.true;
+      expect(isRelativeAdjustment({ dim_level: 40 })).to.be.false;
+      expect(isRelativeAdjustment(undefined)).to.be.false;
+    });
+
+    it('should pass absolute commands through', async function() {
+      const lamp = deviceWith(['dim']);
+      const writes = await resolveCommandWrites(lamp, 'dim', { dim_level: 30 });
+      expect(writes).to.deep.equal([{ capability: 'dim', value: 0.3 }]);
+    });
+
+    it('should add percent point deltas to the current value', async function() {
+      const lamp = { name: 'Lamp', capabilitiesObj: { dim: { value: 0.4 } } };
+      const writes = await resolveCommandWrites(lamp, 'dim', { relative: true, delta: 20 });
+      expect(writes).to.deep.equal([{ capability: 'dim', value: 0.6 }]);
+    });
+
+    it('should read small deltas as percent points', async function() {
+      const lamp = { name: 'Lamp', capabilitiesObj: { dim: { value: 0.3 } } };
+      expect(await resolveCommandWrites(lamp, 'dim', { relative: true, delta: 1 }))
+        .to.deep.equal([{ capability: 'dim', value: 0.31 }]);
+      expect(await resolveCommandWrites(lamp, 'dim', { relative: true, delta: 0.5 }))
+        .to.deep.equal([{ capability: 'dim', value: 0.305 }]);
+    });
+
+    it('should use the default step for a direction without delta', async function() {
+      const speaker = { name: 'Speaker', capabilitiesObj: { volume_set: { value: 0.5 } } };
+      const writes = await resolveCommandWrites(speaker, 'set_volume', { relative: true, direction: 'down' });
+      expect(writes).to.deep.equal([{ capability: 'volume_set', value: 0.4 }]);
+    });
+
+    it('should apply temperature deltas in degrees and read values via getCapabilityValue', async function() {
+      const thermostat = {
+        name: 'Thermostat',
+        capabilities: ['target_temperature'],
+        getCapabilityValue: async() => 21
+      };
+      const writes = await resolveCommandWrites(thermostat, 'set_temperature', { relative: true, delta: -2 });
+      expect(writes).to.deep.equal([{ capability: 'target_temperature', value: 19 }]);
+    });
+
+    it('should clamp to the range reported by the device', async function() {
+      const thermostat = {
+        name: 'Thermostat',
+        capabilitiesObj: { target_temperature: { value: 24, min: 5, max: 25 } }
+      };
+      const writes = await resolveCommandWrites(thermostat, 'set_temperature', { relative: true, delta: 3 });
+      expect(writes[0].value).to.equal(25);
+    });
+
+    it('should clamp percent capabilities to 0-1', async function() {
+      const lamp = { name: 'Lamp', capabilitiesObj: { dim: { value: 0.95 } } };
+      const writes = await resolveCommandWrites(lamp, 'dim', { relative: true, delta: 10 });
+      expect(writes[0].value).to.equal(1);
+    });
+
+    it('should reject relative adjustments for non-numeric commands', async function() {
+      const lock = { name: 'Door', capabilitiesObj: { locked: { value: true } } };
+      await expect(resolveCommandWrites(lock, 'lock', { relative: true, delta: 1 }))
+        .to.be.rejectedWith(/doesn't support relative adjustments/);
+    });
+
+    it('should fail when the current value is unknown', async function() {
+      const lamp = deviceWith(['dim']);
+      await expect(resolveCommandWrites(lamp, 'dim', { relative: true, delta: 10 }))
+        .to.be.rejectedWith(/is unknown/);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Unit Tests for Chat Preferences
+ * Tests per-chat preference storage in Homey settings
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const {
+  getChatPreferences,
+  getChatPreference,
+  setChatPreference
+} = require('../../modules/chatPreferences');
+
+describe('Chat Preferences', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  let settings;
+
+  beforeEach(function() {
+    settings = createMockSettings();
+  });
+
+  it('should return defaults for unknown chats', function() {
+    expect(getChatPreferences(settings, 123)).to.deep.equal({ previewFirst: false, voiceReplies: 'on' });
+    expect(getChatPreference(settings, 123, 'previewFirst')).to.equal(false);
+  });
+
+  it('should persist preferences per chat', function() {
+    setChatPreference(settings, 123, 'previewFirst', true);
+
+    expect(getChatPreference(settings, 123, 'previewFirst')).to.equal(true);
+    expect(getChatPreference(settings, 456, 'previewFirst')).to.equal(false);
+    expect(settings.set.calledWith('chatPreferences')).to.equal(true);
+  });
+
+  it('should treat numeric and string chat IDs the same', function() {
+    setChatPreference(settings, 123, 'previewFirst', true);
+    expect(getChatPreference(settings, '123', 'previewFirst')).to.equal(true);
+  });
+
+  it('should keep other preferences when updating one', function() {
+    setChatPreference(settings, 123, 'previewFirst', true);
+    setChatPreference(settings, 123, 'language', 'sv');
+
+    expect(getChatPreferences(settings, 123)).to.deep.equal({ previewFirst: true, voiceReplies: 'on', language: 'sv' });
+  });
+
+  it('should fall back to defaults without settings', function() {
+    expect(getChatPreference(undefined, 123, 'previewFirst')).to.equal(false);
+    expect(() => setChatPreference(undefined, 123, 'previewFirst', true)).to.throw('Settings are not available');
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Unit Tests for Command Log
+ * Tests the ring buffer of executed commands
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { CommandLog } = require('../../modules/commandLog');
+
+describe('Command Log', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  it('should list entries newest first with ids and timestamps', function() {
+    const log = new CommandLog();
+    log.add({ source: 'telegram', command: 'lights on', success: true });
+    log.add({ source: 'api:tablet', command: 'lights off', success: true });
+
+    const entries = log.list();
+    expect(entries.map(entry => entry.command)).to.deep.equal(['lights off', 'lights on']);
+    expect(entries[0]).to.include({ id: 2, source: 'api:tablet' });
+    expect(entries[0].timestamp).to.be.a('string');
+  });
+
+  it('should drop the oldest entries when full', function() {
+    const log = new CommandLog(3);
+    ['a', 'b', 'c', 'd'].forEach(command => log.add({ command }));
+
+    expect(log.size()).to.equal(3);
+    expect(log.list().map(entry => entry.command)).to.deep.equal(['d', 'c', 'b']);
+  });
+
+  it('should limit the number of listed entries', function() {
+    const log = new CommandLog();
+    ['a', 'b', 'c'].forEach(command => log.add({ command }));
+
+    expect(log.list(2).map(entry => entry.command)).to.deep.equal(['c', 'b']);
+    expect(log.list('1')).to.have.length(1);
+    expect(log.list(0)).to.deep.equal([]);
+    expect(log.list('abc')).to.deep.equal([]);
+  });
+});
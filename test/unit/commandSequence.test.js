@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Unit Tests for Command Sequence
+ * Tests wait and parallel steps of multi-commands
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  WAIT_COMMAND,
+  MAX_WAIT_SECONDS,
+  MAX_UNATTENDED_WAIT_SECONDS,
+  isWaitStep,
+  isParallelStep,
+  getTotalWaitSeconds,
+  validateSequenceStep,
+  formatElapsed
+} = require('../../modules/commandSequence');
+
+const validateCommand = (command, prefix) => (command.command ? [] : [`${prefix} must have command string`]);
+
+describe('Command Sequence', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('step types', function() {
+    it('should recognize wait and parallel steps', function() {
+      expect(isWaitStep({ command: WAIT_COMMAND, parameters: { seconds: 300 } })).to.be.true;
+      expect(isWaitStep({ room: 'porch', command: 'turn_on' })).to.be.false;
+      expect(isParallelStep({ parallel: [] })).to.be.true;
+      expect(isParallelStep({ commands: [] })).to.be.false;
+    });
+  });
+
+  describe('getTotalWaitSeconds', function() {
+    it('should add up the waits between steps', function() {
+      const command = {
+        commands: [
+          { room: 'porch', command: 'turn_on' },
+          { command: 'wait', parameters: { seconds: 300 } },
+          { room: 'porch', command: 'turn_off' },
+          { command: 'wait', parameters: { seconds: 20 } }
+        ]
+      };
+
+      expect(getTotalWaitSeconds(command)).to.equal(320);
+      expect(getTotalWaitSeconds({ command: 'wait', parameters: { seconds: 10 } })).to.equal(10);
+      expect(getTotalWaitSeconds({ room: 'porch', command: 'turn_on' })).to.equal(0);
+    });
+
+    it('should count the waits of a conditional multi-command', function() {
+      const command = {
+        condition: { capability: 'alarm_motion', operator: '==', value: true },
+        commands: [{ command: 'wait', parameters: { seconds: MAX_UNATTENDED_WAIT_SECONDS + 1 } }]
+      };
+
+      expect(getTotalWaitSeconds(command)).to.be.above(MAX_UNATTENDED_WAIT_SECONDS);
+    });
+  });
+
+  describe('validateSequenceStep', function() {
+    it('should accept waits up to the maximum', function() {
+      expect(validateSequenceStep({ command: 'wait', parameters: { seconds: 300 } }, 'Command 1', validateCommand))
+        .to.deep.equal([]);
+      expect(validateSequenceStep({ command: 'wait', parameters: { seconds: MAX_WAIT_SECONDS + 1 } }, 'Command 1',
+        validateCommand)).to.have.length(1);
+      expect(validateSequenceStep({ command: 'wait', parameters: { seconds: 0.2 } }, 'Command 1', validateCommand))
+        .to.have.length(1);
+      expect(validateSequenceStep({ command: 'wait', parameters: { seconds: '5' } }, 'Command 1', validateCommand)[0])
+        .to.include('parameters.seconds');
+    });
+
+    it('should validate the commands of a parallel group', function() {
+      const step = {
+        parallel: [
+          { room: 'living room', command: 'close' },
+          { room: 'living room' },
+          { command: 'wait', parameters: { seconds: 5 } }
+        ]
+      };
+
+      expect(validateSequenceStep(step, 'Command 2', validateCommand)).to.deep.equal([
+        'Command 2 parallel[1] must have command string',
+        'Command 2 parallel[2] must be a device command'
+      ]);
+      expect(validateSequenceStep({ parallel: [] }, 'Command', validateCommand)).to.deep.equal([
+        'Command parallel cannot be empty'
+      ]);
+    });
+  });
+
+  describe('formatElapsed', function() {
+    it('should show seconds with one decimal, then minutes', function() {
+      expect(formatElapsed(420)).to.equal('0.4 s');
+      expect(formatElapsed(300000)).to.equal('5 min');
+      expect(formatElapsed(301600)).to.equal('5 min 2 s');
+    });
+
+    it('should carry rounded seconds over into minutes', function() {
+      expect(formatElapsed(119600)).to.equal('2 min');
+      expect(formatElapsed(179499)).to.equal('2 min 59 s');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Unit Tests for Condition Evaluator
+ * Tests validation and live evaluation of conditional command clauses
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  validateCondition,
+  compareValues,
+  evaluateCondition
+} = require('../../modules/conditionEvaluator');
+
+function sensor(id, name, capabilities) {
+  const capabilitiesObj = {};
+  Object.entries(capabilities).forEach(([capability, value]) => {
+    capabilitiesObj[capability] = { value };
+  });
+  return {
+    id, name, class: 'sensor', capabilitiesObj
+  };
+}
+
+describe('Condition Evaluator', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('validateCondition', function() {
+    it('should accept comparisons and combinations', function() {
+      const comparison = {
+        capability: 'measure_temperature', operator: '<', value: 19, room: 'bedroom'
+      };
+
+      expect(validateCondition(comparison)).to.deep.equal([]);
+      expect(validateCondition({ all: [comparison, { ...comparison, quantifier: 'all' }] })).to.deep.equal([]);
+    });
+
+    it('should report invalid fields with their path', function() {
+      const errors = validateCondition({
+        any: [{
+          capability: 'alarm_motion', operator: '=', value: null, quantifier: 'most'
+        }]
+      });
+
+      expect(errors).to.have.length(3);
+      expect(errors[0]).to.include('condition.any[0].operator');
+    });
+
+    it('should reject empty combinations and non-objects', function() {
+      expect(validateCondition({ all: [] })).to.deep.equal(['condition.all cannot be empty']);
+      expect(validateCondition('if cold')).to.deep.equal(['condition must be an object']);
+    });
+  });
+
+  describe('compareValues', function() {
+    it('should compare numbers, booleans and strings', function() {
+      expect(compareValues(18.5, '<', 19)).to.equal(true);
+      expect(compareValues('21', '>=', 21)).to.equal(true);
+      expect(compareValues(false, '==', false)).to.equal(true);
+      expect(compareValues('Heat', '==', 'heat')).to.equal(true);
+    });
+
+    it('should never hold for missing values', function() {
+      expect(compareValues(null, '!=', 5)).to.equal(false);
+    });
+  });
+
+  describe('evaluateCondition', function() {
+    const devices = [
+      sensor('s1', 'Bedroom sensor', { measure_temperature: 18.2, alarm_motion: false }),
+      sensor('s2', 'Window sensor', { measure_temperature: 20.5 }),
+      { id: 'l1', name: 'Lamp', class: 'light', capabilitiesObj: { onoff: { value: true } } }
+    ];
+    const resolveDevices = async () => devices;
+
+    it('should hold when any device matches by default', async function() {
+      const result = await evaluateCondition({ capability: 'measure_temperature', operator: '<', value: 19 }, resolveDevices);
+
+      expect(result.held).to.equal(true);
+      expect(result.description).to.include('Bedroom sensor: 18.2');
+    });
+
+    it('should require every device to match with the all quantifier', async function() {
+      const condition = {
+        capability: 'measure_temperature', operator: '<', value: 19, quantifier: 'all'
+      };
+
+      expect((await evaluateCondition(condition, resolveDevices)).held).to.equal(false);
+    });
+
+    it('should combine conditions', async function() {
+      const cold = { capability: 'measure_temperature', operator: '<', value: 19 };
+      const motion = { capability: 'alarm_motion', operator: '==', value: true };
+
+      expect((await evaluateCondition({ all: [cold, motion] }, resolveDevices)).held).to.equal(false);
+      expect((await evaluateCondition({ any: [cold, motion] }, resolveDevices)).held).to.equal(true);
+    });
+
+    it('should pass each comparison to the device resolver', async function() {
+      const scopes = [];
+      const condition = {
+        capability: 'onoff', operator: '==', value: true, room: 'kitchen'
+      };
+      await evaluateCondition(condition, async comparison => {
+        scopes.push(comparison.room);
+        return devices;
+      });
+
+      expect(scopes).to.deep.equal(['kitchen']);
+    });
+
+    it('should fail when no device has the capability', async function() {
+      const condition = { capability: 'measure_co2', operator: '>', value: 1000 };
+
+      try {
+        await evaluateCondition(condition, resolveDevices);
+        expect.fail('Expected evaluateCondition to throw');
+      } catch (error) {
+        expect(error.message).to.include('No devices with measure_co2');
+      }
+    });
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Unit Tests for Confirmation Policy
+ * Tests which planned changes require user confirmation
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const {
+  DEFAULT_POLICY,
+  getConfirmationPolicy,
+  getSocketCategory,
+  evaluateConfirmation,
+  formatConfirmationRefusal
+} = require('../../modules/confirmationPolicy');
+
+function change(deviceId, deviceName, deviceClass, capability, value) {
+  return {
+    deviceId, deviceName, deviceClass, capability, value
+  };
+}
+
+describe('Confirmation Policy', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('getConfirmationPolicy', function() {
+    it('should use defaults when nothing is configured', function() {
+      expect(getConfirmationPolicy(createMockSettings())).to.deep.equal(DEFAULT_POLICY);
+    });
+
+    it('should parse comma-separated settings', function() {
+      const settings = createMockSettings({
+        confirmDeviceClasses: 'Lock, heater ,',
+        confirmSocketCategories: 'kitchen',
+        confirmDeviceThreshold: 3
+      });
+
+      expect(getConfirmationPolicy(settings)).to.deep.equal({
+        deviceClasses: ['lock', 'heater'],
+        socketCategories: ['kitchen'],
+        deviceThreshold: 3
+      });
+    });
+
+    it('should treat empty settings as disabled rules', function() {
+      const settings = createMockSettings({ confirmDeviceClasses: '', confirmSocketCategories: '' });
+      const policy = getConfirmationPolicy(settings);
+
+      expect(policy.deviceClasses).to.deep.equal([]);
+      expect(policy.socketCategories).to.deep.equal([]);
+    });
+  });
+
+  describe('getSocketCategory', function() {
+    it('should identify the appliance behind a socket by name', function() {
+      expect(getSocketCategory({ class: 'socket', name: 'Space heater' })).to.equal('climate');
+      expect(getSocketCategory({ class: 'socket', name: 'Socket 3' })).to.be.null;
+    });
+
+    it('should prefer the virtual class reported by Homey', function() {
+      const plug = { class: 'socket', name: 'Plug', settings: { virtualClass: 'heater' } };
+      expect(getSocketCategory(plug)).to.equal('climate');
+    });
+
+    it('should ignore non-socket devices', function() {
+      expect(getSocketCategory({ class: 'light', name: 'Heater lamp' })).to.be.null;
+    });
+  });
+
+  describe('evaluateConfirmation', function() {
+    it('should require confirmation for unlocking a door', function() {
+      const result = evaluateConfirmation([change('d1', 'Front door', 'lock', 'locked', false)], {}, DEFAULT_POLICY);
+
+      expect(result.required).to.equal(true);
+      expect(result.reasons[0]).to.include('Front door');
+    });
+
+    it('should not require confirmation for locking or closing', function() {
+      const changes = [
+        change('d1', 'Front door', 'lock', 'locked', true),
+        change('d2', 'Garage', 'garagedoor', 'garagedoor_closed', true)
+      ];
+
+      expect(evaluateConfirmation(changes, {}, DEFAULT_POLICY).required).to.equal(false);
+    });
+
+    it('should require confirmation for heater sockets', function() {
+      const devices = { s1: { id: 's1', class: 'socket', name: 'Bedroom heater' } };
+      const changes = [change('s1', 'Bedroom heater', 'socket', 'onoff', true)];
+      const result = evaluateConfirmation(changes, devices, DEFAULT_POLICY);
+
+      expect(result.required).to.equal(true);
+      expect(result.reasons[0]).to.include('climate');
+    });
+
+    it('should require confirmation above the device threshold', function() {
+      const policy = { deviceClasses: [], socketCategories: [], deviceThreshold: 2 };
+      const changes = ['a', 'b', 'c'].map(id => change(id, `Lamp ${id}`, 'light', 'onoff', false));
+
+      const result = evaluateConfirmation(changes, {}, policy);
+      expect(result.required).to.equal(true);
+      expect(result.reasons).to.deep.equal(['3 devices would change (limit 2)']);
+    });
+
+    it('should count devices rather than capability writes', function() {
+      const policy = { deviceClasses: [], socketCategories: [], deviceThreshold: 1 };
+      const changes = [
+        change('a', 'Bulb', 'light', 'light_hue', 0.5),
+        change('a', 'Bulb', 'light', 'light_saturation', 1)
+      ];
+
+      expect(evaluateConfirmation(changes, {}, policy).required).to.equal(false);
+    });
+
+    it('should allow ordinary commands', function() {
+      const changes = [change('l1', 'Kitchen lamp', 'light', 'onoff', true)];
+      expect(evaluateConfirmation(changes, {}, DEFAULT_POLICY)).to.deep.equal({ required: false, reasons: [] });
+    });
+  });
+
+  describe('formatConfirmationRefusal', function() {
+    it('should send commands that need confirmation to Telegram', function() {
+      const { reasons } = evaluateConfirmation([change('d1', 'Front door', 'lock', 'locked', false)], {}, DEFAULT_POLICY);
+
+      expect(formatConfirmationRefusal(reasons))
+        .to.equal('This command needs confirmation in Telegram: Front door is a lock');
+    });
+  });
+});
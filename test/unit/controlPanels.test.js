@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Unit Tests for Control Panels
+ * Tests the /rooms keyboards, their callback data and the commands device buttons run
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  DIM_STEP,
+  isPanelDevice,
+  formatDeviceState,
+  buildRoomsPanel,
+  buildRoomPanel,
+  parsePanelData,
+  toPanelCommand
+} = require('../../modules/controlPanels');
+
+const zones = {
+  kitchen: { id: 'kitchen', name: 'Kitchen' },
+  hall: { id: 'hall', name: 'Hall' },
+  garage: { id: 'garage', name: 'Garage' }
+};
+
+function createDevice(id, name, zone, values) {
+  const capabilitiesObj = {};
+  Object.entries(values).forEach(([capability, value]) => {
+    capabilitiesObj[capability] = { value };
+  });
+  return {
+    id, name, zone, capabilities: Object.keys(values), capabilitiesObj
+  };
+}
+
+const devices = [
+  createDevice('ceiling', 'Ceiling', 'kitchen', { onoff: true, dim: 0.6 }),
+  createDevice('kettle', 'Kettle', 'kitchen', { onoff: false }),
+  createDevice('lamp', 'Lamp', 'hall', { onoff: false, dim: 0.3 }),
+  createDevice('sensor', 'Door sensor', 'garage', { alarm_contact: false })
+];
+
+describe('Control Panels', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  it('should only give buttons to devices that switch or dim', function() {
+    expect(devices.map(isPanelDevice)).to.deep.equal([true, true, true, false]);
+  });
+
+  it('should describe device state', function() {
+    expect(formatDeviceState(devices[0])).to.equal('on, 60%');
+    expect(formatDeviceState(devices[2])).to.equal('off');
+    expect(formatDeviceState(devices[3])).to.equal('unknown');
+  });
+
+  describe('buildRoomsPanel', function() {
+    it('should list rooms with panel devices, sorted by name', function() {
+      const panel = buildRoomsPanel(zones, devices);
+      const buttons = panel.reply_markup.inline_keyboard;
+
+      expect(buttons[0]).to.deep.equal([
+        { text: 'Hall (1)', callback_data: 'panel:room:hall' },
+        { text: 'Kitchen (2)', callback_data: 'panel:room:kitchen' }
+      ]);
+      expect(buttons[1]).to.deep.equal([{ text: '✖️ Close', callback_data: 'panel:close' }]);
+    });
+
+    it('should skip rooms whose callback data would be too long for Telegram', function() {
+      const longId = 'x'.repeat(60);
+      const panel = buildRoomsPanel({ [longId]: { id: longId, name: 'Long' } }, [
+        createDevice('a', 'A', longId, { onoff: true })
+      ]);
+
+      expect(panel.reply_markup.inline_keyboard).to.be.empty;
+      expect(panel.text).to.include('No rooms');
+    });
+  });
+
+  describe('buildRoomPanel', function() {
+    it('should show state and toggle and dim buttons per device', function() {
+      const panel = buildRoomPanel(zones.kitchen, devices);
+
+      expect(panel.text).to.equal('🏠 Kitchen\n🟢 Ceiling: on, 60%\n⚪ Kettle: off');
+      expect(panel.reply_markup.inline_keyboard).to.deep.equal([
+        [
+          { text: '🟢 Ceiling', callback_data: 'panel:dev:ceiling:toggle' },
+          { text: '🔅', callback_data: 'panel:dev:ceiling:down' },
+          { text: '🔆', callback_data: 'panel:dev:ceiling:up' }
+        ],
+        [{ text: '⚪ Kettle', callback_data: 'panel:dev:kettle:toggle' }],
+        [
+          { text: '⬅️ Rooms', callback_data: 'panel:rooms' },
+          { text: '✖️ Close', callback_data: 'panel:close' }
+        ]
+      ]);
+    });
+  });
+
+  describe('parsePanelData', function() {
+    it('should parse every button type', function() {
+      expect(parsePanelData('panel:rooms')).to.deep.equal({ type: 'rooms' });
+      expect(parsePanelData('panel:close')).to.deep.equal({ type: 'close' });
+      expect(parsePanelData('panel:room:kitchen')).to.deep.equal({ type: 'room', zoneId: 'kitchen' });
+      expect(parsePanelData('panel:dev:lamp:up')).to.deep.equal({ type: 'device', deviceId: 'lamp', action: 'up' });
+    });
+
+    it('should reject other and malformed callback data', function() {
+      expect(parsePanelData('quick:abc')).to.be.null;
+      expect(parsePanelData('panel:dev:lamp:explode')).to.be.null;
+      expect(parsePanelData('panel:room')).to.be.null;
+      expect(parsePanelData(undefined)).to.be.null;
+    });
+  });
+
+  describe('toPanelCommand', function() {
+    it('should toggle based on the current state', function() {
+      expect(toPanelCommand(devices[0], 'toggle')).to.deep.equal({ device_id: 'ceiling', command: 'turn_off' });
+      expect(toPanelCommand(devices[1], 'toggle')).to.deep.equal({ device_id: 'kettle', command: 'turn_on' });
+    });
+
+    it('should dim relatively', function() {
+      expect(toPanelCommand(devices[2], 'down')).to.deep.equal({
+        device_id: 'lamp', command: 'dim', parameters: { relative: true, direction: 'down', delta: DIM_STEP }
+      });
+    });
+  });
+});
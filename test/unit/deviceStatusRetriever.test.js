@@ -169,6 +169,29 @@ describe('Device Status Retriever', function() {
       expect(result).to.have.property('deviceCount', 0);
       expect(result).to.have.property('devices').that.is.empty;
     });
+
+    it('should include the devices of zones below the room', async function() {
+      const zones = {
+        upstairs: { id: 'upstairs', name: 'Upstairs', parent: null },
+        bedroom: { id: 'bedroom', name: 'Bedroom', parent: 'upstairs' }
+      };
+      const devices = {
+        lamp: createMockDevice({ id: 'lamp', name: 'Lamp', zone: 'bedroom' }),
+        fan: createMockDevice({ id: 'fan', name: 'Fan', zone: 'upstairs' })
+      };
+
+      const result = await getRoomStatus('Upstairs', ['Upstairs', 'Bedroom'], devices, zones, 'en');
+
+      expect(result).to.have.property('deviceCount', 2);
+      expect(result.devices.map(device => device.zoneName)).to.have.members(['Bedroom', 'Upstairs']);
+    });
+
+    it('should cover every matching room for "all" patterns', async function() {
+      const result = await getRoomStatus('all bedrooms', [], mockHomeState.devices, mockHomeState.zones, 'en');
+
+      expect(result).to.have.property('success', true);
+      expect(result).to.have.property('matchMethod', 'pattern');
+    });
   });
 
   describe('getDeviceTypeStatus', function() {
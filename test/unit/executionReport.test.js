@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * Unit Tests for Execution Report
+ * Tests counting and rendering command reports for Telegram, Flow tokens and the Web API
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  ERROR_TYPES,
+  deviceSucceeded,
+  deviceSkipped,
+  deviceFailed,
+  createDevicesReport,
+  createDeviceReport,
+  createMessageReport,
+  createErrorReport,
+  createConditionReport,
+  createSequenceReport,
+  createCandidatesReport,
+  countActions,
+  isSuccessful,
+  collectDevices,
+  listIssues,
+  formatReport,
+  toFlowTokens,
+  toApiResult
+} = require('../../modules/executionReport');
+
+const ceiling = { id: 'd1', name: 'Ceiling' };
+const lamp = { id: 'd2', name: 'Lamp' };
+const radio = { id: 'd3', name: 'Radio' };
+
+function createRoomReport() {
+  return createDevicesReport({
+    command: 'turn_on',
+    room: 'kitchen',
+    devices: [
+      deviceSucceeded(ceiling, [{ capability: 'onoff', previousValue: false, value: true }]),
+      deviceFailed(lamp, new Error('Device offline')),
+      deviceSkipped(radio, ERROR_TYPES.unsupported, 'doesn\'t support turn_on')
+    ]
+  });
+}
+
+describe('Execution Report', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('device results', function() {
+    it('should record the primary capability with its old and new value', function() {
+      const result = deviceSucceeded(ceiling, [
+        { capability: 'light_hue', previousValue: 0.1, value: 0.6 },
+        { capability: 'light_mode', previousValue: 'temperature', value: 'color' }
+      ]);
+
+      expect(result).to.deep.equal({
+        id: 'd1',
+        name: 'Ceiling',
+        zoneName: null,
+        capability: 'light_hue',
+        oldValue: 0.1,
+        newValue: 0.6,
+        outcome: 'success',
+        errorType: null,
+        error: null
+      });
+    });
+
+    it('should type failures', function() {
+      expect(deviceFailed(lamp, new Error('Device offline'))).to.include({
+        outcome: 'failed', errorType: 'device_error', error: 'Device offline'
+      });
+      expect(deviceSkipped(radio, ERROR_TYPES.deviceMissing, 'device no longer exists')).to.include({
+        outcome: 'skipped', errorType: 'device_missing'
+      });
+    });
+  });
+
+  describe('formatReport', function() {
+    it('should render a room command with one line per device', function() {
+      expect(formatReport(createRoomReport())).to.equal([
+        '1/3 devices updated in kitchen',
+        '✅ Ceiling: turn_on successful',
+        '❌ Lamp: Device offline',
+        '⚠️ Radio: doesn\'t support turn_on'
+      ].join('\n'));
+    });
+
+    it('should group devices by zone when a command spans several zones', function() {
+      const report = createDevicesReport({
+        command: 'turn_off',
+        room: 'upstairs',
+        devices: [
+          { ...deviceSucceeded(ceiling, []), zoneName: 'Bedroom' },
+          { ...deviceSucceeded(lamp, []), zoneName: 'Office' },
+          { ...deviceSucceeded(radio, []), zoneName: 'Bedroom' }
+        ]
+      });
+
+      expect(formatReport(report)).to.equal([
+        '3/3 devices updated in upstairs',
+        '📍 Bedroom',
+        '✅ Ceiling: turn_off successful',
+        '✅ Radio: turn_off successful',
+        '📍 Office',
+        '✅ Lamp: turn_off successful'
+      ].join('\n'));
+    });
+
+    it('should render scenes, single devices and conditions', function() {
+      const scene = createDevicesReport({ scene: 'Movie', devices: [deviceSucceeded(ceiling, [])] });
+      expect(formatReport(scene)).to.equal('🎬 Scene "Movie": 1/1 devices restored\n✅ Ceiling: restored');
+
+      const single = createDeviceReport('turn_off', deviceSucceeded(lamp, []));
+      expect(formatReport(single)).to.equal('✅ Lamp: turn_off successful');
+
+      expect(formatReport(createConditionReport(false, 'the hallway is dark')))
+        .to.equal('⏭️ Condition not met, nothing was done: the hallway is dark');
+      expect(formatReport(createConditionReport(true, 'the hallway is dark', single)))
+        .to.equal('🔎 Condition met: the hallway is dark\n✅ Lamp: turn_off successful');
+    });
+
+    it('should render a sequence with step timing', function() {
+      const report = createSequenceReport([
+        {
+          label: '1', startedAt: 0, duration: 400, wait: false, report: createRoomReport()
+        },
+        {
+          label: '2',
+          startedAt: 400,
+          duration: 0,
+          wait: true,
+          report: createMessageReport('⏳ Waited 5 min', { counted: false })
+        }
+      ], 300400);
+
+      const text = formatReport(report);
+      expect(text).to.match(/^🎯 Multi-command completed: 1\/3 actions successful in 5 min/);
+      expect(text).to.include('Command 1 (at 0.0 s, took 0.4 s): 1/3 devices updated in kitchen');
+      expect(text).to.include('Command 2 (at 0.4 s): ⏳ Waited 5 min');
+    });
+  });
+
+  describe('candidates', function() {
+    it('should list the matching devices and count as not done', function() {
+      const report = createCandidatesReport('reading lamp', [
+        { id: 'd2', name: 'Reading lamp left', room: 'Bedroom' },
+        { id: 'd3', name: 'Reading lamp right', room: null }
+      ]);
+
+      expect(formatReport(report)).to.equal([
+        '❓ Several devices match "reading lamp", nothing was done:',
+        '• Reading lamp left (Bedroom)',
+        '• Reading lamp right',
+        'Say the full device name, or add the room.'
+      ].join('\n'));
+      expect(isSuccessful(report)).to.be.false;
+      expect(toApiResult(report).report.candidates).to.have.length(2);
+    });
+  });
+
+  describe('counting', function() {
+    it('should not count waits and skipped conditions as actions', function() {
+      expect(countActions(createMessageReport('⏳ Waited 5 s', { counted: false }))).to.be.null;
+      expect(countActions(createConditionReport(false, 'it is raining'))).to.be.null;
+      expect(countActions(createRoomReport())).to.deep.equal({ success: 1, failed: 1, attempted: 3 });
+    });
+
+    it('should succeed when devices were updated and none failed', function() {
+      const report = createDevicesReport({
+        command: 'turn_on',
+        room: 'kitchen',
+        devices: [
+          deviceSucceeded(ceiling, [{ capability: 'onoff', previousValue: false, value: true }]),
+          deviceSkipped(radio, ERROR_TYPES.unsupported, 'doesn\'t support turn_on')
+        ]
+      });
+
+      expect(isSuccessful(report)).to.be.true;
+      expect(isSuccessful(createRoomReport())).to.be.false;
+      expect(isSuccessful(createDeviceReport('turn_on', deviceFailed(lamp, 'offline')))).to.be.false;
+      expect(isSuccessful(createErrorReport(new Error('No devices found')))).to.be.false;
+      expect(isSuccessful(createConditionReport(false, 'it is raining'))).to.be.true;
+    });
+
+    it('should fail a sequence when one of its steps failed', function() {
+      const report = createSequenceReport([
+        { label: '1', report: createDeviceReport('turn_on', deviceSucceeded(lamp, [])) },
+        { label: '2', report: createErrorReport(new Error('No devices found')) }
+      ], 1000);
+
+      expect(isSuccessful(report)).to.be.false;
+    });
+
+    it('should collect device results from nested steps', function() {
+      const report = createSequenceReport([
+        { label: '1', report: createConditionReport(true, 'it is dark', createRoomReport()) },
+        { label: '2', report: createDeviceReport('turn_off', deviceSucceeded(lamp, [])) }
+      ], 1000);
+
+      expect(collectDevices(report).map(result => result.id)).to.deep.equal(['d1', 'd2', 'd3', 'd2']);
+      expect(listIssues(report)).to.deep.equal(['❌ Lamp: Device offline', '⚠️ Radio: doesn\'t support turn_on']);
+    });
+  });
+
+  describe('rendering for Flows and the Web API', function() {
+    it('should render Flow tokens from the report', function() {
+      expect(toFlowTokens(createRoomReport())).to.include({
+        success: false, devices_updated: 1, devices_not_updated: 2
+      });
+      expect(toFlowTokens(createErrorReport('Empty command'))).to.deep.equal({
+        result: '❌ Empty command', success: false, devices_updated: 0, devices_not_updated: 0
+      });
+    });
+
+    it('should return the device results in API responses', function() {
+      const response = toApiResult(createRoomReport());
+
+      expect(response.success).to.be.false;
+      expect(response.result).to.equal(formatReport(createRoomReport()));
+      expect(response.devices.map(result => result.outcome)).to.deep.equal(['success', 'failed', 'skipped']);
+      expect(response.report.type).to.equal('devices');
+    });
+  });
+});
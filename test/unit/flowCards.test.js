@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Unit Tests for Flow Cards
+ * Tests that the Flow card run listeners call into the assistant pipeline
+ */
+
+const { expect, sinon, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const { getQuickReply } = require('../../modules/quickReplies');
+const { createDevicesReport, deviceSucceeded } = require('../../modules/executionReport');
+const { registerFlowCards, triggerMessageReceived, triggerCommandExecuted } = require('../../modules/flowCards');
+
+function createMockFlow() {
+  const listeners = {};
+  const autocompleteListeners = {};
+  const triggered = [];
+  return {
+    listeners,
+    autocompleteListeners,
+    triggered,
+    getActionCard: id => ({
+      registerRunListener: listener => {
+        listeners[id] = listener;
+      },
+      registerArgumentAutocompleteListener: (arg, listener) => {
+        autocompleteListeners[`${id}.${arg}`] = listener;
+      }
+    }),
+    getTriggerCard: id => ({
+      trigger: async tokens => {
+        triggered.push({ id, tokens });
+      }
+    })
+  };
+}
+
+describe('Flow Cards', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  let flow;
+  let app;
+
+  beforeEach(function() {
+    flow = createMockFlow();
+    app = {
+      homey: {
+        flow,
+        settings: createMockSettings({ notificationChatId: '-100200', authorizedUsers: '42, 43' })
+      },
+      telegram: { sendMessage: sinon.stub().resolves({ ok: true }) },
+      error: sinon.stub(),
+      runAssistantCommand: sinon.stub().resolves(createDevicesReport({
+        command: 'turn_off',
+        room: 'kitchen',
+        devices: [
+          deviceSucceeded({ id: 'd1', name: 'Ceiling' }, [{ capability: 'onoff', previousValue: true, value: false }])
+        ]
+      }))
+    };
+    registerFlowCards(app);
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('ask_assistant', function() {
+    it('should run the command and return the tokens', async function() {
+      const tokens = await flow.listeners.ask_assistant({ command: ' Turn off the kitchen lights ', language: 'sv' });
+
+      expect(tokens).to.deep.equal({
+        result: '1/1 devices updated in kitchen\n✅ Ceiling: turn_off successful',
+        success: true,
+        devices_updated: 1,
+        devices_not_updated: 0
+      });
+      expect(app.runAssistantCommand.calledOnceWith('Turn off the kitchen lights', { language: 'sv', source: 'flow' }))
+        .to.be.true;
+    });
+
+    it('should default to English', async function() {
+      await flow.listeners.ask_assistant({ command: 'lights on' });
+
+      expect(app.runAssistantCommand.firstCall.args[1].language).to.equal('en');
+    });
+
+    it('should not run empty commands', async function() {
+      const tokens = await flow.listeners.ask_assistant({ command: '  ' });
+
+      expect(tokens.success).to.be.false;
+      expect(app.runAssistantCommand.called).to.be.false;
+    });
+  });
+
+  describe('send_telegram_message', function() {
+    it('should offer the default chat and authorized users as recipients', async function() {
+      const recipients = await flow.autocompleteListeners['send_telegram_message.recipient']('');
+
+      expect(recipients.map(recipient => recipient.id)).to.deep.equal(['default', '42', '43']);
+      expect(await flow.autocompleteListeners['send_telegram_message.recipient']('43')).to.have.length(1);
+    });
+
+    it('should send to the default chat with the chosen formatting', async function() {
+      await flow.listeners.send_telegram_message({ recipient: { id: 'default' }, text: '<b>Garage open</b>', format: 'html' });
+
+      expect(app.telegram.sendMessage.calledOnceWith('-100200', '<b>Garage open</b>', { parse_mode: 'HTML' })).to.be.true;
+    });
+
+    it('should not send to users who are not authorized', async function() {
+      let error;
+      try {
+        await flow.listeners.send_telegram_message({ recipient: { id: '99' }, text: 'Hello' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.message).to.include('not an authorized user');
+      expect(app.telegram.sendMessage.called).to.be.false;
+    });
+
+    it('should attach quick-reply buttons that map to commands', async function() {
+      await flow.listeners.send_telegram_message({
+        recipient: { id: '42' },
+        text: 'The garage door is open',
+        buttons: 'Close it = close the garage door | lights off'
+      });
+
+      const { reply_markup: replyMarkup } = app.telegram.sendMessage.firstCall.args[2];
+      const buttons = replyMarkup.inline_keyboard[0];
+      expect(buttons.map(button => button.text)).to.deep.equal(['Close it', 'lights off']);
+
+      const reply = getQuickReply(app.homey.settings, buttons[0].callback_data.split(':')[1]);
+      expect(reply).to.include({ chatId: '42', command: 'close the garage door' });
+    });
+  });
+
+  describe('triggers', function() {
+    it('should trigger for Telegram messages with sender tokens', async function() {
+      const msg = { chat: { id: 42 }, from: { id: 42, username: 'anna', language_code: 'sv' } };
+      await triggerMessageReceived(app, msg, "I'm leaving");
+
+      expect(flow.triggered).to.deep.equal([{
+        id: 'telegram_message_received',
+        tokens: {
+          text: "I'm leaving", user_id: '42', username: 'anna', language: 'sv'
+        }
+      }]);
+    });
+
+    it('should prefer the detected language of voice messages', async function() {
+      await triggerMessageReceived(app, { chat: { id: 7 }, from: { id: 7, first_name: 'Erik' } }, 'tänd ljuset', 'sv');
+
+      expect(flow.triggered[0].tokens).to.include({ username: 'Erik', language: 'sv' });
+    });
+
+    it('should summarize executed commands', async function() {
+      const jsonCommand = {
+        commands: [
+          { room: 'kitchen', command: 'turn_off' },
+          { room: 'hallway', command: 'turn_off' },
+          { room: 'kitchen', command: 'dim' }
+        ]
+      };
+      const changes = [{ deviceId: 'a' }, { deviceId: 'b' }, { deviceId: 'a' }];
+      await triggerCommandExecuted(app, jsonCommand, { description: 'lights off', changes, success: true });
+
+      expect(flow.triggered[0]).to.deep.equal({
+        id: 'command_executed',
+        tokens: {
+          command: 'lights off', room: 'kitchen, hallway', device_count: 2, success: true
+        }
+      });
+    });
+
+    it('should log instead of throwing when a trigger fails', async function() {
+      app.homey.flow = { getTriggerCard: () => ({ trigger: sinon.stub().rejects(new Error('Flow offline')) }) };
+      await triggerCommandExecuted(app, { room: 'kitchen', command: 'turn_on' }, { success: false });
+
+      expect(app.error.calledOnce).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Unit Tests for Homey Flows and Moods
+ * Tests matching spoken names to triggerable Flows and zone moods
+ */
+
+const { expect, sinon, TEST_CONFIG } = require('../utils/testSetup');
+const { findFlow, findMood, formatFlowsAndMoods } = require('../../modules/homeyFlows');
+
+const flows = [
+  { id: 'f1', name: 'Good night', advanced: false },
+  { id: 'f2', name: 'Leaving home', advanced: true }
+];
+
+const moods = [
+  {
+    id: 'm1', name: 'Mysig', zoneId: 'z1', zoneName: 'Vardagsrum'
+  },
+  {
+    id: 'm2', name: 'Mysig', zoneId: 'z2', zoneName: 'Kök'
+  },
+  {
+    id: 'm3', name: 'Movie', zoneId: 'z1', zoneName: 'Vardagsrum'
+  }
+];
+
+async function expectRejection(promise, message) {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error, 'expected a rejection').to.be.an('error');
+  expect(error.message).to.include(message);
+}
+
+describe('Homey Flows', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('findFlow', function() {
+    it('should match flow names fuzzily', async function() {
+      expect((await findFlow(flows, 'good nigth')).id).to.equal('f1');
+      expect((await findFlow(flows, 'the Leaving Home')).id).to.equal('f2');
+    });
+
+    it('should use semantic matching for other languages', async function() {
+      const llmFunction = sinon.stub().resolves({ match: 'Good night', confidence: 0.9 });
+
+      const flow = await findFlow(flows, 'godnatt', { language: 'sv', llmFunction });
+
+      expect(flow.id).to.equal('f1');
+      expect(llmFunction.calledOnce).to.be.true;
+    });
+
+    it('should list the available flows when nothing matches', async function() {
+      await expectRejection(findFlow(flows, 'vacuum the house'), 'Available Flows: Good night, Leaving home');
+    });
+  });
+
+  describe('findMood', function() {
+    it('should pick the mood in the mentioned room', async function() {
+      expect((await findMood(moods, 'mysig', 'kök', { language: 'sv' })).id).to.equal('m2');
+    });
+
+    it('should find a mood without a room when its name is unique', async function() {
+      expect((await findMood(moods, 'movie', null)).id).to.equal('m3');
+    });
+
+    it('should ask for the room when a mood name is used in several rooms', async function() {
+      await expectRejection(findMood(moods, 'Mysig', null), 'several rooms (Vardagsrum, Kök)');
+    });
+  });
+
+  describe('formatFlowsAndMoods', function() {
+    it('should list flows and moods with their rooms', function() {
+      const text = formatFlowsAndMoods(flows, moods);
+
+      expect(text).to.include('▶️ Flows (2):\n• Good night\n• Leaving home');
+      expect(text).to.include('• Mysig (Kök)');
+    });
+
+    it('should explain how to make flows startable when there are none', function() {
+      expect(formatFlowsAndMoods([], [])).to.include('This Flow is started');
+    });
+  });
+});
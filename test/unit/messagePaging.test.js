@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Unit Tests for Message Paging
+ * Tests splitting long replies into numbered parts and paging status listings
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  MAX_MESSAGE_LENGTH,
+  splitMessage,
+  paginateListing,
+  formatPage,
+  buildPageKeyboard,
+  parsePageData
+} = require('../../modules/messagePaging');
+const { FORMATS, formatCodeBlock, renderMessage } = require('../../modules/messageRenderer');
+
+/**
+ * Build a status listing like statusFormatter's
+ * @param {number} count - Number of device lines
+ * @param {Function} zoneOf - (index) => zone name, or null for no zone headers
+ * @returns {string} Listing text
+ */
+function buildListing(count, zoneOf = null) {
+  const lines = ['🌍 **Global Home Status**', '', '📊 **Summary**', `📱 ${count} devices found`, ''];
+  let zone = null;
+  for (let i = 0; i < count; i++) {
+    if (zoneOf && zoneOf(i) !== zone) {
+      zone = zoneOf(i);
+      lines.push(`📍 **${zone}**`);
+    }
+    lines.push(`• **Device ${i}**: on`);
+  }
+  return lines.join('\n');
+}
+
+describe('Message Paging', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('splitMessage', function() {
+    it('should leave short messages alone', function() {
+      expect(splitMessage('✅ Done')).to.deep.equal(['✅ Done']);
+    });
+
+    it('should split on section boundaries and number the parts', function() {
+      const sections = Array.from({ length: 6 }, (_, i) => `Section ${i}\n${'x'.repeat(1500)}`);
+      const parts = splitMessage(sections.join('\n\n'));
+
+      expect(parts).to.have.length(3);
+      parts.forEach((part, index) => {
+        expect(part.length).to.be.at.most(MAX_MESSAGE_LENGTH);
+        expect(part.endsWith(`(${index + 1}/3)`)).to.be.true;
+      });
+      expect(parts[1].startsWith('Section 2\n')).to.be.true;
+    });
+
+    it('should split a long section on line boundaries', function() {
+      const lines = Array.from({ length: 200 }, (_, i) => `• Device ${i}: ${'y'.repeat(40)}`);
+      const parts = splitMessage(lines.join('\n'));
+
+      expect(parts.length).to.be.greaterThan(1);
+      parts.forEach(part => {
+        expect(part.length).to.be.at.most(MAX_MESSAGE_LENGTH);
+        part.split('\n').slice(0, -2).forEach(line => expect(line).to.match(/^• Device \d+: y+$/));
+      });
+    });
+
+    it('should cut a line that is longer than a message', function() {
+      const parts = splitMessage('z'.repeat(10000));
+
+      expect(parts).to.have.length(3);
+      expect(parts.map(part => part.replace(/\n\n\(\d\/3\)$/, '')).join('')).to.equal('z'.repeat(10000));
+    });
+
+    it('should keep parts within the limit after HTML escaping', function() {
+      const lines = Array.from({ length: 110 }, (_, i) => `• **Lamp <${i}> & <Desk> && Co**: on`);
+      const text = lines.join('\n');
+      const parts = splitMessage(text);
+
+      expect(text.length).to.be.below(MAX_MESSAGE_LENGTH);
+      expect(parts.length).to.be.greaterThan(1);
+      parts.forEach(part => {
+        expect(renderMessage(part, FORMATS.html).text.length).to.be.at.most(MAX_MESSAGE_LENGTH);
+      });
+    });
+
+    it('should cut a line of characters that need escaping', function() {
+      const parts = splitMessage('&'.repeat(5000));
+
+      expect(parts).to.have.length(7);
+      parts.forEach(part => {
+        expect(renderMessage(part, FORMATS.html).text.length).to.be.at.most(MAX_MESSAGE_LENGTH);
+      });
+      expect(parts.map(part => part.replace(/\n\n\(\d\/7\)$/, '')).join('')).to.equal('&'.repeat(5000));
+    });
+
+    it('should close and reopen a code block that spans parts', function() {
+      const rows = Array.from({ length: 300 }, (_, i) => `light_${i}  1  1`);
+      const parts = splitMessage(`Device types:\n${formatCodeBlock(rows.join('\n'), 'text')}`);
+
+      expect(parts.length).to.be.greaterThan(1);
+      parts.forEach(part => {
+        expect((part.match(/^```/gm) || []).length % 2).to.equal(0);
+      });
+      expect(parts[1].startsWith('```text\n')).to.be.true;
+    });
+  });
+
+  describe('paginateListing', function() {
+    it('should not page a short listing', function() {
+      const text = buildListing(5);
+      expect(paginateListing(text, 15)).to.deep.equal([text]);
+    });
+
+    it('should keep the summary on the first page and the title on later pages', function() {
+      const pages = paginateListing(buildListing(40), 15);
+
+      expect(pages).to.have.length(3);
+      expect(pages[0]).to.include('📊 **Summary**');
+      expect(pages[0]).to.include('• **Device 14**');
+      expect(pages[0]).not.to.include('• **Device 15**');
+      expect(pages[1].split('\n')[0]).to.equal('🌍 **Global Home Status**');
+      expect(pages[1]).not.to.include('📊 **Summary**');
+      expect((pages[2].match(/^• /gm) || []).length).to.equal(10);
+    });
+
+    it('should repeat the zone header when a zone continues on the next page', function() {
+      const pages = paginateListing(buildListing(20, i => (i < 12 ? 'Kitchen' : 'Hall')), 10);
+
+      expect(pages).to.have.length(2);
+      expect(pages[1]).to.include('📍 **Kitchen**\n• **Device 10**');
+      expect(pages[1]).to.include('📍 **Hall**\n• **Device 12**');
+    });
+  });
+
+  describe('page buttons', function() {
+    it('should show More on the first page and Back on the last', function() {
+      expect(buildPageKeyboard('abc', 0, 3).inline_keyboard[0].map(button => button.text)).to.deep.equal(['More ▸']);
+      expect(buildPageKeyboard('abc', 1, 3).inline_keyboard[0].map(button => button.callback_data))
+        .to.deep.equal(['page:abc:0', 'page:abc:2']);
+      expect(buildPageKeyboard('abc', 2, 3).inline_keyboard[0].map(button => button.text)).to.deep.equal(['◂ Back']);
+    });
+
+    it('should number pages', function() {
+      expect(formatPage(['one', 'two'], 1)).to.equal('two\n\n__Page 2/2__');
+    });
+
+    it('should parse page callback data', function() {
+      expect(parsePageData('page:abc:2')).to.deep.equal({ id: 'abc', index: 2 });
+      expect(parsePageData('page:abc:x')).to.be.null;
+      expect(parsePageData('panel:rooms')).to.be.null;
+    });
+  });
+});
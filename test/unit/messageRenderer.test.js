@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Unit Tests for Message Renderer
+ * Tests rendering formatter markup to Telegram HTML and MarkdownV2 with escaped names
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  FORMATS,
+  escapeMarkdownV2,
+  renderMessage,
+  stripMarkup,
+  formatCodeBlock,
+  formatTable
+} = require('../../modules/messageRenderer');
+
+describe('Message Renderer', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('renderMessage', function() {
+    it('should render bold, italic and code as HTML', function() {
+      const rendered = renderMessage('🏠 **Kitchen** is __on__, see `/status`');
+
+      expect(rendered.parse_mode).to.equal('HTML');
+      expect(rendered.text).to.equal('🏠 <b>Kitchen</b> is <i>on</i>, see <code>/status</code>');
+    });
+
+    it('should escape device names in HTML', function() {
+      const rendered = renderMessage('• **Lamp <Desk> & Co**: on', FORMATS.html);
+
+      expect(rendered.text).to.equal('• <b>Lamp &lt;Desk&gt; &amp; Co</b>: on');
+    });
+
+    it('should escape special characters in MarkdownV2', function() {
+      const rendered = renderMessage('• **Lamp_1 (desk)**: 50%.', FORMATS.markdown);
+
+      expect(rendered.parse_mode).to.equal('MarkdownV2');
+      expect(rendered.text).to.equal('• *Lamp\\_1 \\(desk\\)*: 50%\\.');
+    });
+
+    it('should render code blocks without formatting their contents', function() {
+      const text = `Command:\n${formatCodeBlock({ room: 'living_room', command: 'turn_on' })}`;
+
+      const html = renderMessage(text, FORMATS.html).text;
+      expect(html).to.include('<pre><code class="language-json">{\n  "room": "living_room"');
+      expect(html).not.to.include('<i>');
+
+      const markdown = renderMessage(text, FORMATS.markdown).text;
+      expect(markdown).to.include('```json\n{\n  "room": "living_room"');
+      expect(markdown.startsWith('Command:\n```')).to.be.true;
+    });
+
+    it('should leave text without markup unchanged apart from escaping', function() {
+      expect(renderMessage('Temperature > 20', FORMATS.html).text).to.equal('Temperature &gt; 20');
+      expect(escapeMarkdownV2('a.b-c!')).to.equal('a\\.b\\-c\\!');
+    });
+  });
+
+  describe('stripMarkup', function() {
+    it('should remove markup and keep the text', function() {
+      const text = `📊 **Summary**\n__Too many devices__\n${formatCodeBlock('a  b', '')}`;
+
+      expect(stripMarkup(text)).to.equal('📊 Summary\nToo many devices\na  b');
+    });
+
+    it('should return an empty string for empty input', function() {
+      expect(stripMarkup(null)).to.equal('');
+    });
+  });
+
+  describe('formatCodeBlock', function() {
+    it('should keep backticks in the code from closing the block', function() {
+      const block = formatCodeBlock('x = ```y```', 'text');
+      const rendered = renderMessage(`${block} after`, FORMATS.html).text;
+
+      expect(rendered.startsWith('<pre><code class="language-text">')).to.be.true;
+      expect(rendered.endsWith('</code></pre> after')).to.be.true;
+    });
+  });
+
+  describe('formatTable', function() {
+    it('should pad columns into a monospace block', function() {
+      const table = formatTable(['Type', 'Online', 'Total'], [['light', 3, 4], ['thermostat', 1, 1]]);
+
+      expect(stripMarkup(table).split('\n')).to.deep.equal([
+        'Type        Online  Total',
+        '----------  ------  -----',
+        'light       3       4',
+        'thermostat  1       1'
+      ]);
+      expect(renderMessage(table, FORMATS.html).text.startsWith('<pre>Type')).to.be.true;
+    });
+  });
+});
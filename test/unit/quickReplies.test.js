@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Unit Tests for Quick Replies
+ * Tests parsing and storing the commands behind inline buttons
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const {
+  SETTINGS_KEY,
+  parseQuickReplyButtons,
+  saveQuickReplies,
+  getQuickReply,
+  buildQuickReplyKeyboard
+} = require('../../modules/quickReplies');
+
+describe('Quick Replies', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('parseQuickReplyButtons', function() {
+    it('should parse labelled and plain buttons', function() {
+      expect(parseQuickReplyButtons(' Close it = close the garage door |lights off\nStatus=what is on?')).to.deep.equal([
+        { label: 'Close it', command: 'close the garage door' },
+        { label: 'lights off', command: 'lights off' },
+        { label: 'Status', command: 'what is on?' }
+      ]);
+    });
+
+    it('should ignore empty definitions', function() {
+      expect(parseQuickReplyButtons('')).to.deep.equal([]);
+      expect(parseQuickReplyButtons(' | Label = ')).to.deep.equal([]);
+    });
+
+    it('should limit the number of buttons', function() {
+      expect(() => parseQuickReplyButtons(new Array(9).fill('on').join('|'))).to.throw('At most 8 buttons');
+    });
+  });
+
+  describe('storage', function() {
+    it('should store commands for the chat they were sent to', function() {
+      const settings = createMockSettings();
+      const [stored] = saveQuickReplies(settings, 42, [{ label: 'Close it', command: 'close the garage door' }]);
+
+      expect(getQuickReply(settings, stored.id)).to.include({ chatId: '42', command: 'close the garage door' });
+      expect(getQuickReply(settings, 'missing')).to.be.null;
+    });
+
+    it('should keep only the newest replies', function() {
+      const old = {};
+      for (let index = 0; index < 100; index++) {
+        old[`old${index}`] = {
+          chatId: '42', label: 'x', command: 'x', createdAt: '2020-01-01T00:00:00.000Z'
+        };
+      }
+      const settings = createMockSettings({ [SETTINGS_KEY]: old });
+      const [stored] = saveQuickReplies(settings, 42, [{ label: 'New', command: 'lights on' }]);
+
+      expect(Object.keys(settings.get(SETTINGS_KEY))).to.have.length(100);
+      expect(getQuickReply(settings, stored.id).command).to.equal('lights on');
+    });
+  });
+
+  describe('buildQuickReplyKeyboard', function() {
+    it('should put two buttons per row', function() {
+      const keyboard = buildQuickReplyKeyboard([
+        { id: 'a', label: 'One' }, { id: 'b', label: 'Two' }, { id: 'c', label: 'Three' }
+      ]);
+
+      expect(keyboard.inline_keyboard).to.deep.equal([
+        [{ text: 'One', callback_data: 'quick:a' }, { text: 'Two', callback_data: 'quick:b' }],
+        [{ text: 'Three', callback_data: 'quick:c' }]
+      ]);
+    });
+  });
+});
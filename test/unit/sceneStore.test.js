@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Unit Tests for Scene Store
+ * Tests capturing device state and storing named scenes
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const {
+  SETTINGS_KEY,
+  normalizeSceneName,
+  captureDeviceState,
+  getSceneWrites,
+  listScenes,
+  getScene,
+  saveScene,
+  renameScene,
+  deleteScene
+} = require('../../modules/sceneStore');
+
+const capturedLamp = {
+  deviceId: 'l1',
+  deviceName: 'Floor lamp',
+  deviceClass: 'light',
+  values: { onoff: true, dim: 0.3 }
+};
+
+describe('Scene Store', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('captureDeviceState', function() {
+    it('should capture settable capability values', function() {
+      const device = {
+        id: 'l1',
+        name: 'Floor lamp',
+        class: 'light',
+        capabilitiesObj: {
+          onoff: { value: true, setable: true },
+          dim: { value: 0.3, setable: true },
+          measure_power: { value: 12, setable: false },
+          light_hue: { value: null, setable: true }
+        }
+      };
+
+      expect(captureDeviceState(device)).to.deep.equal(capturedLamp);
+    });
+
+    it('should skip devices without settable values', function() {
+      const sensor = {
+        id: 's1',
+        name: 'Motion',
+        class: 'sensor',
+        capabilitiesObj: { alarm_motion: { value: false, setable: false } }
+      };
+
+      expect(captureDeviceState(sensor)).to.be.null;
+    });
+  });
+
+  describe('getSceneWrites', function() {
+    it('should turn devices on before other writes', function() {
+      const writes = getSceneWrites({ dim: 0.3, onoff: true });
+      expect(writes.map(write => write.capability)).to.deep.equal(['onoff', 'dim']);
+    });
+
+    it('should turn devices off after other writes', function() {
+      const writes = getSceneWrites({ onoff: false, dim: 0.3 });
+      expect(writes).to.deep.equal([
+        { capability: 'dim', value: 0.3 },
+        { capability: 'onoff', value: false }
+      ]);
+    });
+  });
+
+  describe('storage', function() {
+    it('should save and look up scenes case-insensitively', function() {
+      const settings = createMockSettings();
+      saveScene(settings, '  Movie   Night ', [capturedLamp]);
+
+      expect(normalizeSceneName('Movie  Night')).to.equal('movie night');
+      expect(getScene(settings, 'movie night').name).to.equal('Movie Night');
+      expect(Object.keys(settings.get(SETTINGS_KEY))).to.deep.equal(['movie night']);
+    });
+
+    it('should replace a scene saved under the same name', function() {
+      const settings = createMockSettings();
+      saveScene(settings, 'Evening', [capturedLamp]);
+      saveScene(settings, 'evening', [capturedLamp, { ...capturedLamp, deviceId: 'l2' }]);
+
+      expect(listScenes(settings)).to.have.length(1);
+      expect(getScene(settings, 'Evening').devices).to.have.length(2);
+    });
+
+    it('should reject empty scenes and names', function() {
+      const settings = createMockSettings();
+
+      expect(() => saveScene(settings, 'Empty', [])).to.throw('at least one device');
+      expect(() => saveScene(settings, ' ', [capturedLamp])).to.throw('scene name is required');
+    });
+
+    it('should list scenes sorted by name', function() {
+      const settings = createMockSettings();
+      saveScene(settings, 'Morning', [capturedLamp]);
+      saveScene(settings, 'Dinner', [capturedLamp]);
+
+      expect(listScenes(settings).map(scene => scene.name)).to.deep.equal(['Dinner', 'Morning']);
+    });
+
+    it('should rename scenes', function() {
+      const settings = createMockSettings();
+      saveScene(settings, 'Movie night', [capturedLamp]);
+
+      expect(renameScene(settings, 'movie night', 'Cinema').name).to.equal('Cinema');
+      expect(getScene(settings, 'movie night')).to.be.null;
+      expect(getScene(settings, 'cinema').devices).to.have.length(1);
+      expect(renameScene(settings, 'missing', 'Other')).to.be.null;
+    });
+
+    it('should not rename onto an existing scene', function() {
+      const settings = createMockSettings();
+      saveScene(settings, 'Morning', [capturedLamp]);
+      saveScene(settings, 'Dinner', [capturedLamp]);
+
+      expect(() => renameScene(settings, 'Morning', 'dinner')).to.throw('already exists');
+    });
+
+    it('should delete scenes', function() {
+      const settings = createMockSettings();
+      saveScene(settings, 'Morning', [capturedLamp]);
+
+      expect(deleteScene(settings, 'MORNING').name).to.equal('Morning');
+      expect(deleteScene(settings, 'Morning')).to.be.null;
+      expect(listScenes(settings)).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+'use strict';
+
+/**
+ * Unit Tests for Scheduler
+ * Tests persistent one-shot timers for delayed commands
+ */
+
+const { expect, sinon, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const { Scheduler, SETTINGS_KEY, MAX_TIMEOUT } = require('../../modules/scheduler');
+
+const MINUTE = 60 * 1000;
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe('Scheduler', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  let clock;
+  let settings;
+  let execute;
+  let scheduler;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers({ now: Date.UTC(2024, 0, 15, 12, 0, 0) });
+    settings = createMockSettings();
+    execute = sinon.stub().resolves();
+    scheduler = new Scheduler({ settings, execute, logger: silentLogger });
+  });
+
+  afterEach(function() {
+    scheduler.destroy();
+    clock.restore();
+  });
+
+  function addTimer(chatId, minutes, commandText = 'turn off the lights') {
+    return scheduler.addTimer({
+      chatId,
+      commandText,
+      jsonCommand: { room: 'kitchen', command: 'turn_off' },
+      fireAt: Date.now() + minutes * MINUTE
+    });
+  }
+
+  it('should run a timer when it is due and remove it', async function() {
+    const job = addTimer(1, 20);
+
+    await clock.tickAsync(19 * MINUTE);
+    expect(execute.called).to.equal(false);
+
+    await clock.tickAsync(MINUTE);
+    expect(execute.calledOnce).to.equal(true);
+    expect(execute.firstCall.args[0].id).to.equal(job.id);
+    expect(scheduler.listTimers()).to.deep.equal([]);
+  });
+
+  it('should persist timers in settings', function() {
+    addTimer(1, 20);
+
+    const state = settings.get(SETTINGS_KEY);
+    expect(state.nextId).to.equal(2);
+    expect(state.jobs).to.have.lengthOf(1);
+    expect(state.jobs[0]).to.include({ id: 1, type: 'timer', chatId: 1, commandText: 'turn off the lights' });
+  });
+
+  it('should reject timers in the past', function() {
+    expect(() => scheduler.addTimer({
+      chatId: 1, commandText: 'x', jsonCommand: {}, fireAt: Date.now() - 1
+    })).to.throw('The timer must be set in the future');
+  });
+
+  it('should list timers per chat, soonest first', function() {
+    addTimer(1, 30, 'second');
+    addTimer(2, 10, 'other chat');
+    addTimer(1, 5, 'first');
+
+    expect(scheduler.listTimers(1).map(job => job.commandText)).to.deep.equal(['first', 'second']);
+    expect(scheduler.listTimers('2').map(job => job.commandText)).to.deep.equal(['other chat']);
+  });
+
+  it('should cancel only timers of the requesting chat', async function() {
+    const job = addTimer(1, 10);
+
+    expect(scheduler.cancelTimer(2, job.id)).to.be.null;
+    expect(scheduler.cancelTimer(1, String(job.id)).id).to.equal(job.id);
+    expect(scheduler.listTimers()).to.deep.equal([]);
+
+    await clock.tickAsync(10 * MINUTE);
+    expect(execute.called).to.equal(false);
+  });
+
+  it('should re-arm persisted timers after a restart', async function() {
+    addTimer(1, 20);
+    scheduler.destroy();
+
+    await clock.tickAsync(10 * MINUTE);
+    scheduler = new Scheduler({ settings, execute, logger: silentLogger });
+    scheduler.init();
+
+    await clock.tickAsync(10 * MINUTE);
+    expect(execute.calledOnce).to.equal(true);
+  });
+
+  it('should run slightly overdue timers and report long-missed ones', async function() {
+    addTimer(1, 1, 'missed');
+    addTimer(1, 2, 'slightly late');
+    scheduler.destroy();
+
+    // 7 and 6 minutes overdue, with a grace period in between
+    await clock.tickAsync(8 * MINUTE);
+    const onMissed = sinon.spy();
+    scheduler = new Scheduler({
+      settings, execute, onMissed, logger: silentLogger, missedGracePeriod: 6.5 * MINUTE
+    });
+    scheduler.init();
+    await clock.tickAsync(0);
+
+    expect(onMissed.calledOnce).to.equal(true);
+    expect(onMissed.firstCall.args[0].commandText).to.equal('missed');
+    expect(execute.calledOnce).to.equal(true);
+    expect(execute.firstCall.args[0].commandText).to.equal('slightly late');
+  });
+
+  it('should handle delays longer than setTimeout supports', async function() {
+    scheduler.addTimer({
+      chatId: 1, commandText: 'far away', jsonCommand: {}, fireAt: Date.now() + MAX_TIMEOUT + MINUTE
+    });
+
+    await clock.tickAsync(MAX_TIMEOUT);
+    expect(execute.called).to.equal(false);
+
+    await clock.tickAsync(MINUTE);
+    expect(execute.calledOnce).to.equal(true);
+  });
+
+  describe('routines', function() {
+    // 2024-01-15 12:00 UTC is a Monday
+    const weekdayRule = { type: 'weekly', days: [1, 2, 3, 4, 5], hour: 6, minute: 45 };
+
+    function addRoutine(chatId, rule = weekdayRule) {
+      return scheduler.addRoutine({
+        chatId,
+        commandText: 'turn on the kitchen lights',
+        jsonCommand: { room: 'kitchen', command: 'turn_on' },
+        rule
+      });
+    }
+
+    it('should schedule the next weekly occurrence', function() {
+      const job = addRoutine(1);
+
+      expect(job.type).to.equal('routine');
+      expect(job.fireAt).to.equal(Date.UTC(2024, 0, 16, 6, 45));
+    });
+
+    it('should run on every occurrence and skip other days', async function() {
+      addRoutine(1, { type: 'weekly', days: [2, 4], hour: 6, minute: 45 });
+
+      await clock.tickAsync(24 * 60 * MINUTE);
+      expect(execute.callCount).to.equal(1);
+
+      await clock.tickAsync(2 * 24 * 60 * MINUTE);
+      expect(execute.callCount).to.equal(2);
+      expect(scheduler.listRoutines(1)[0].fireAt).to.equal(Date.UTC(2024, 0, 23, 6, 45));
+    });
+
+    it('should run interval routines repeatedly', async function() {
+      addRoutine(1, { type: 'interval', intervalMs: 30 * MINUTE });
+
+      await clock.tickAsync(90 * MINUTE);
+      expect(execute.callCount).to.equal(3);
+    });
+
+    it('should pause and resume routines', async function() {
+      const job = addRoutine(1, { type: 'interval', intervalMs: 30 * MINUTE });
+
+      expect(scheduler.setRoutinePaused(1, job.id, true).paused).to.equal(true);
+      await clock.tickAsync(60 * MINUTE);
+      expect(execute.called).to.equal(false);
+
+      const resumed = scheduler.setRoutinePaused(1, job.id, false);
+      expect(resumed.fireAt).to.be.above(Date.now());
+      await clock.tickAsync(30 * MINUTE);
+      expect(execute.calledOnce).to.equal(true);
+    });
+
+    it('should delete only routines of the requesting chat', function() {
+      const job = addRoutine(1);
+
+      expect(scheduler.deleteRoutine(2, job.id)).to.be.null;
+      expect(scheduler.cancelTimer(1, job.id)).to.be.null;
+      expect(scheduler.deleteRoutine(1, job.id).id).to.equal(job.id);
+      expect(scheduler.listRoutines()).to.deep.equal([]);
+    });
+
+    it('should schedule solar routines from the Homey location', function() {
+      scheduler = new Scheduler({
+        settings,
+        execute,
+        logger: silentLogger,
+        getTimezone: () => 'Europe/Stockholm',
+        getLocation: () => ({ latitude: 59.3293, longitude: 18.0686 })
+      });
+      const job = addRoutine(1, {
+        type: 'solar', days: [0, 1, 2, 3, 4, 5, 6], event: 'sunset', offsetMs: 0
+      });
+
+      // Sunset in Stockholm on 2024-01-15 is at 15:23 local time
+      expect(Math.abs(job.fireAt - Date.UTC(2024, 0, 15, 14, 23))).to.be.below(3 * MINUTE);
+    });
+
+    it('should reject solar routines without a location', function() {
+      expect(() => addRoutine(1, {
+        type: 'solar', days: [1], event: 'sunset', offsetMs: 0
+      })).to.throw('location is not available');
+    });
+
+    it('should skip runs missed while stopped instead of reporting them', async function() {
+      addRoutine(1);
+      scheduler.destroy();
+
+      await clock.tickAsync(2 * 24 * 60 * MINUTE);
+      const onMissed = sinon.spy();
+      scheduler = new Scheduler({
+        settings, execute, onMissed, logger: silentLogger
+      });
+      scheduler.init();
+      await clock.tickAsync(0);
+
+      expect(onMissed.called).to.equal(false);
+      expect(execute.called).to.equal(false);
+      expect(scheduler.listRoutines()[0].fireAt).to.equal(Date.UTC(2024, 0, 18, 6, 45));
+    });
+  });
+
+  it('should keep running after a failing job', async function() {
+    execute.onFirstCall().rejects(new Error('Device offline'));
+    addTimer(1, 1);
+    addTimer(1, 2);
+
+    await clock.tickAsync(2 * MINUTE);
+    expect(execute.calledTwice).to.equal(true);
+  });
+});
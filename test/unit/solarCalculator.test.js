@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Unit Tests for Solar Calculator
+ * Tests sunrise, sunset and twilight times against published values
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { getSolarEventTime, getSolarTimes, isValidLocation } = require('../../modules/solarCalculator');
+
+const STOCKHOLM = { latitude: 59.3293, longitude: 18.0686 };
+const KIRUNA = { latitude: 67.8558, longitude: 20.2253 };
+
+// Published times are rounded to the minute; the NOAA equations are accurate to about a minute
+function expectNear(actual, expected, toleranceMinutes = 2) {
+  expect(actual).to.be.a('number');
+  expect(Math.abs(actual - expected)).to.be.at.most(toleranceMinutes * 60 * 1000);
+}
+
+describe('Solar Calculator', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  it('should compute midsummer sunrise and sunset in Stockholm', function() {
+    const times = getSolarTimes({ year: 2024, month: 6, day: 21 }, STOCKHOLM);
+
+    // 03:31 and 22:08 local time (UTC+2)
+    expectNear(times.sunrise, Date.UTC(2024, 5, 21, 1, 31));
+    expectNear(times.sunset, Date.UTC(2024, 5, 21, 20, 8));
+    expect(times.dawn).to.be.below(times.sunrise);
+    expect(times.dusk).to.be.above(times.sunset);
+  });
+
+  it('should compute midwinter sunrise and sunset in Stockholm', function() {
+    const times = getSolarTimes({ year: 2024, month: 12, day: 21 }, STOCKHOLM);
+
+    // 08:44 and 14:48 local time (UTC+1)
+    expectNear(times.sunrise, Date.UTC(2024, 11, 21, 7, 44));
+    expectNear(times.sunset, Date.UTC(2024, 11, 21, 13, 48));
+  });
+
+  it('should report no sunset during the midnight sun', function() {
+    const times = getSolarTimes({ year: 2024, month: 6, day: 21 }, KIRUNA);
+
+    expect(times.sunrise).to.be.null;
+    expect(times.sunset).to.be.null;
+    expect(times.dusk).to.be.null;
+  });
+
+  it('should report twilight but no sunrise during the polar night', function() {
+    const times = getSolarTimes({ year: 2024, month: 12, day: 21 }, KIRUNA);
+
+    expect(times.sunrise).to.be.null;
+    expect(times.dawn).to.be.a('number');
+  });
+
+  it('should validate events and locations', function() {
+    expect(() => getSolarEventTime('noon', { year: 2024, month: 1, day: 1 }, STOCKHOLM)).to.throw('Unknown solar event');
+    expect(isValidLocation({ latitude: 91, longitude: 0 })).to.equal(false);
+    expect(isValidLocation(null)).to.equal(false);
+  });
+});
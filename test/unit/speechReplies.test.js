@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Unit Tests for Spoken Replies
+ * Tests preparing replies for speech and calling an OpenAI-compatible text-to-speech endpoint
+ */
+
+const http = require('http');
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { synthesizeSpeech, toSpeechText, toLanguageCode } = require('../../modules/speech');
+const { getKeyManager } = require('../../modules/secureKeyManager');
+const { formatTable } = require('../../modules/messageRenderer');
+
+const OPENAI_KEY = 'sk-1234567890abcdef1234567890abcdef12345678';
+
+describe('Spoken Replies', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('toSpeechText', function() {
+    it('should drop markup, emoji, bullets and tables', function() {
+      const reply = [
+        '🏠 **Kitchen** Status',
+        '',
+        '📊 **Summary**',
+        formatTable(['Type', 'Online'], [['light', 2]]),
+        '• **Ceiling light** (light): on, 80%'
+      ].join('\n');
+
+      expect(toSpeechText(reply)).to.equal('Kitchen Status\nSummary\nCeiling light (light): on, 80%');
+    });
+
+    it('should cut long replies at a line boundary', function() {
+      const reply = Array.from({ length: 10 }, (_, i) => `Line ${i}`).join('\n');
+
+      expect(toSpeechText(reply, 20)).to.equal('Line 0\nLine 1\nLine 2');
+    });
+
+    it('should return an empty string when nothing is left to say', function() {
+      expect(toSpeechText('✅')).to.equal('');
+    });
+  });
+
+  describe('synthesizeSpeech', function() {
+    let server;
+    let requests;
+    let baseUrl;
+
+    beforeEach(function(done) {
+      requests = [];
+      getKeyManager().setKey('openai', OPENAI_KEY, 'openai');
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          requests.push({ url: req.url, headers: req.headers, body: JSON.parse(Buffer.concat(chunks).toString()) });
+          res.writeHead(200, { 'Content-Type': 'audio/ogg' }).end(Buffer.from('OggS-audio'));
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      getKeyManager().clearAll();
+      server.close(done);
+    });
+
+    it('should request OGG/Opus audio from the configured server', async function() {
+      const audio = await synthesizeSpeech('Kitchen lights are on', { baseUrl, voice: 'nova' });
+
+      expect(audio.toString()).to.equal('OggS-audio');
+      expect(requests).to.have.length(1);
+      expect(requests[0].url).to.equal('/v1/audio/speech');
+      expect(requests[0].body).to.deep.equal({
+        model: 'tts-1', voice: 'nova', input: 'Kitchen lights are on', response_format: 'opus'
+      });
+    });
+
+    it('should not send the OpenAI key to another server', async function() {
+      await synthesizeSpeech('Hello', { baseUrl });
+      await synthesizeSpeech('Hello', { baseUrl, apiKey: 'local-key' });
+
+      expect(requests[0].headers).not.to.have.property('authorization');
+      expect(requests[1].headers.authorization).to.equal('Bearer local-key');
+    });
+
+    it('should reject failed requests and invalid URLs', async function() {
+      server.removeAllListeners('request');
+      server.on('request', (req, res) => res.writeHead(500).end('model not found'));
+
+      try {
+        await synthesizeSpeech('Hello', { baseUrl });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('status 500');
+      }
+
+      try {
+        await synthesizeSpeech('Hello', { baseUrl: 'ftp://example.com' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('http or https');
+      }
+    });
+
+    it('should give up on a server that doesn\'t answer', async function() {
+      server.removeAllListeners('request');
+      server.on('request', () => {});
+
+      try {
+        await synthesizeSpeech('Hello', { baseUrl, timeout: 50 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('timed out');
+      }
+    });
+  });
+
+  describe('toLanguageCode', function() {
+    it('should turn Whisper language names into codes', function() {
+      expect(toLanguageCode('swedish')).to.equal('sv');
+      expect(toLanguageCode('German')).to.equal('de');
+      expect(toLanguageCode('nl')).to.equal('nl');
+    });
+
+    it('should return null for unknown languages', function() {
+      expect(toLanguageCode('klingon')).to.be.null;
+      expect(toLanguageCode('auto')).to.be.null;
+      expect(toLanguageCode(undefined)).to.be.null;
+    });
+  });
+});
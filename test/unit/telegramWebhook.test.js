@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Unit Tests for Telegram Webhook
+ * Tests secret checks, the local listener and falling back to polling
+ */
+
+const http = require('http');
+const { expect, sinon, TEST_CONFIG } = require('../utils/testSetup');
+const { createMockSettings } = require('../utils/mockHomeyAPI');
+const telegram = require('../../modules/telegram');
+const {
+  SECRET_SETTINGS_KEY,
+  getWebhookSecret,
+  isValidSecret,
+  buildWebhookUrl,
+  TelegramWebhook
+} = require('../../modules/telegramWebhook');
+
+const SECRET = 'a'.repeat(64);
+const URL = 'https://example.com/api/app/com.chatgtp.assistent/telegram/secret';
+
+function createLogger() {
+  return { log: sinon.stub(), error: sinon.stub() };
+}
+
+function post(port, headers, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port, method: 'POST', path: '/', headers: { 'Content-Type': 'application/json', ...headers }
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('Telegram Webhook', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  let api;
+
+  beforeEach(function() {
+    api = {
+      setWebhook: sinon.stub(telegram, 'setWebhook').resolves({ ok: true }),
+      deleteWebhook: sinon.stub(telegram, 'deleteWebhook').resolves({ ok: true }),
+      getWebhookInfo: sinon.stub(telegram, 'getWebhookInfo'),
+      processUpdate: sinon.stub(telegram, 'processUpdate').returns(true),
+      startPolling: sinon.stub(telegram, 'startPolling')
+    };
+  });
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('secrets and URLs', function() {
+    it('should create the secret once and keep it in settings', function() {
+      const settings = createMockSettings();
+      const secret = getWebhookSecret(settings);
+
+      expect(secret).to.match(/^[0-9a-f]{64}$/);
+      expect(getWebhookSecret(settings)).to.equal(secret);
+      expect(settings.get(SECRET_SETTINGS_KEY)).to.equal(secret);
+    });
+
+    it('should only accept the exact secret', function() {
+      expect(isValidSecret(SECRET, SECRET)).to.be.true;
+      expect(isValidSecret(SECRET, 'a')).to.be.false;
+      expect(isValidSecret(SECRET, undefined)).to.be.false;
+    });
+
+    it('should route through the Web API unless a local port is used', function() {
+      expect(buildWebhookUrl('https://abc.connect.athom.com/', 'xyz', null))
+        .to.equal('https://abc.connect.athom.com/api/app/com.chatgtp.assistent/telegram/xyz');
+      expect(buildWebhookUrl(' https://proxy.example.com/tg ', 'xyz', 8443)).to.equal('https://proxy.example.com/tg');
+    });
+  });
+
+  describe('TelegramWebhook', function() {
+    it('should register the webhook and pass on updates with the right secret', async function() {
+      const webhook = new TelegramWebhook({ url: URL, secret: SECRET, logger: createLogger() });
+      expect(await webhook.start()).to.be.true;
+
+      expect(api.setWebhook.calledOnceWith(URL, SECRET)).to.be.true;
+      expect(webhook.handleUpdate('wrong', { update_id: 1 })).to.be.false;
+      expect(webhook.handleUpdate(SECRET, { update_id: 1 })).to.be.true;
+      expect(api.processUpdate.calledOnceWith({ update_id: 1 })).to.be.true;
+      await webhook.stop();
+    });
+
+    it('should poll when the webhook can\'t be registered', async function() {
+      api.setWebhook.rejects(new Error('bad webhook: HTTPS url must be provided'));
+      const onFallback = sinon.stub();
+      const webhook = new TelegramWebhook({
+        url: URL, secret: SECRET, logger: createLogger(), onFallback
+      });
+
+      expect(await webhook.start()).to.be.false;
+      expect(api.startPolling.calledOnce).to.be.true;
+      expect(onFallback.firstCall.args[0]).to.include('HTTPS url must be provided');
+      expect(webhook.handleUpdate(SECRET, { update_id: 1 })).to.be.false;
+    });
+
+    it('should fall back to polling when Telegram reports failed deliveries', async function() {
+      const webhook = new TelegramWebhook({ url: URL, secret: SECRET, logger: createLogger() });
+      await webhook.start();
+
+      api.getWebhookInfo.resolves({ url: URL, pending_update_count: 0 });
+      await webhook.checkDelivery();
+      expect(api.startPolling.called).to.be.false;
+
+      api.getWebhookInfo.resolves({
+        url: URL,
+        pending_update_count: 3,
+        last_error_date: Math.ceil(Date.now() / 1000),
+        last_error_message: 'Connection timed out'
+      });
+      await webhook.checkDelivery();
+      expect(api.deleteWebhook.calledOnce).to.be.true;
+      expect(api.startPolling.calledOnce).to.be.true;
+    });
+
+    it('should keep the webhook when Telegram itself can\'t be reached', async function() {
+      const webhook = new TelegramWebhook({ url: URL, secret: SECRET, logger: createLogger() });
+      await webhook.start();
+
+      api.getWebhookInfo.rejects(new Error('ENOTFOUND'));
+      await webhook.checkDelivery();
+      expect(api.startPolling.called).to.be.false;
+      await webhook.stop();
+    });
+
+    it('should check the secret header on the local listener', async function() {
+      const webhook = new TelegramWebhook({
+        url: 'https://proxy.example.com/tg', secret: SECRET, port: 0, logger: createLogger()
+      });
+      // Port 0 listens on any free port
+      await webhook.start();
+      const { port } = webhook.server.address();
+      const body = JSON.stringify({ update_id: 7, message: { text: 'hi' } });
+
+      expect(await post(port, {}, body)).to.equal(401);
+      expect(await post(port, { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' }, body)).to.equal(401);
+      expect(await post(port, { 'X-Telegram-Bot-Api-Secret-Token': SECRET }, '{not json')).to.equal(400);
+      expect(await post(port, { 'X-Telegram-Bot-Api-Secret-Token': SECRET }, body)).to.equal(200);
+      expect(api.processUpdate.calledOnceWith({ update_id: 7, message: { text: 'hi' } })).to.be.true;
+      await webhook.stop();
+    });
+  });
+});
@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * Unit Tests for Time Utilities
+ * Tests timezone-aware scheduling maths and time expressions in commands
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  getNextOccurrence,
+  getNextRuleOccurrence,
+  getNextSolarOccurrence,
+  resolveTimeExpression,
+  formatLocalTime,
+  formatDuration,
+  describeRule,
+  getHomeyTimezone
+} = require('../../modules/timeUtils');
+const {
+  detectCommandLanguage,
+  extractTimeExpression,
+  extractRecurrenceExpression
+} = require('../../modules/multilingualProcessor');
+
+describe('Time Utilities', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  const STOCKHOLM = 'Europe/Stockholm';
+
+  describe('timezone conversion', function() {
+    it('should read wall-clock parts in a timezone', function() {
+      const parts = getZonedParts(Date.UTC(2024, 0, 15, 21, 30), STOCKHOLM);
+      expect(parts).to.include({ year: 2024, month: 1, day: 15, hour: 22, minute: 30, weekday: 1 });
+    });
+
+    it('should convert wall-clock time to UTC across DST', function() {
+      const winter = zonedTimeToUtc({ year: 2024, month: 1, day: 15, hour: 22, minute: 30 }, STOCKHOLM);
+      const summer = zonedTimeToUtc({ year: 2024, month: 7, day: 15, hour: 22, minute: 30 }, STOCKHOLM);
+
+      expect(winter).to.equal(Date.UTC(2024, 0, 15, 21, 30));
+      expect(summer).to.equal(Date.UTC(2024, 6, 15, 20, 30));
+    });
+  });
+
+  describe('getNextOccurrence', function() {
+    const now = Date.UTC(2024, 0, 15, 20, 0); // 21:00 in Stockholm
+
+    it('should return today when the time is still ahead', function() {
+      expect(getNextOccurrence(22, 30, STOCKHOLM, now)).to.equal(Date.UTC(2024, 0, 15, 21, 30));
+    });
+
+    it('should roll over to tomorrow when the time has passed', function() {
+      expect(getNextOccurrence(7, 0, STOCKHOLM, now)).to.equal(Date.UTC(2024, 0, 16, 6, 0));
+      expect(getNextOccurrence(21, 0, STOCKHOLM, now)).to.equal(Date.UTC(2024, 0, 16, 20, 0));
+    });
+
+    it('should reject invalid times', function() {
+      expect(() => getNextOccurrence(24, 0, STOCKHOLM, now)).to.throw('Hour must be between 0 and 23');
+    });
+  });
+
+  describe('getNextRuleOccurrence', function() {
+    const now = Date.UTC(2024, 0, 19, 20, 0); // Friday 21:00 in Stockholm
+
+    it('should find the next matching weekday', function() {
+      const rule = { type: 'weekly', days: [1, 2, 3, 4, 5], hour: 6, minute: 45 };
+      expect(getNextRuleOccurrence(rule, STOCKHOLM, now)).to.equal(Date.UTC(2024, 0, 22, 5, 45));
+    });
+
+    it('should keep intervals on the grid of the previous run', function() {
+      const rule = { type: 'interval', intervalMs: 60 * 60000 };
+      expect(getNextRuleOccurrence(rule, STOCKHOLM, now)).to.equal(now + 60 * 60000);
+      expect(getNextRuleOccurrence(rule, STOCKHOLM, now, now - 150 * 60000)).to.equal(now + 30 * 60000);
+    });
+
+    it('should follow solar rules on the selected days', function() {
+      const rule = { type: 'solar', days: [1], event: 'sunrise', offsetMs: -15 * 60000 };
+      const location = { latitude: 59.3293, longitude: 18.0686 };
+      const next = getNextRuleOccurrence(rule, STOCKHOLM, now, null, location);
+
+      expect(getZonedParts(next, STOCKHOLM)).to.include({ day: 22, weekday: 1 });
+    });
+
+    it('should describe rules', function() {
+      expect(describeRule({ type: 'weekly', days: [5, 1, 2, 3, 4], hour: 6, minute: 45 })).to.equal('weekdays at 06:45');
+      expect(describeRule({ type: 'weekly', days: [0, 1], hour: 18, minute: 0 })).to.equal('Mon, Sun at 18:00');
+      expect(describeRule({ type: 'interval', intervalMs: 2 * 60 * 60000 })).to.equal('every 2 h');
+      expect(describeRule({
+        type: 'solar', days: [0, 1, 2, 3, 4, 5, 6], event: 'sunset', offsetMs: 30 * 60000
+      })).to.equal('every day 30 min after sunset');
+    });
+  });
+
+  describe('getNextSolarOccurrence', function() {
+    const location = { latitude: 59.3293, longitude: 18.0686 };
+
+    it('should apply offsets to the next event', function() {
+      const now = Date.UTC(2024, 5, 21, 12, 0);
+      const sunset = getNextSolarOccurrence({ event: 'sunset', offsetMs: 0 }, null, STOCKHOLM, location, now);
+      const later = getNextSolarOccurrence({ event: 'sunset', offsetMs: 30 * 60000 }, null, STOCKHOLM, location, now);
+
+      expect(later - sunset).to.equal(30 * 60000);
+      expect(formatLocalTime(sunset, STOCKHOLM, now)).to.equal('22:08');
+    });
+
+    it('should move to the next day once the event has passed', function() {
+      const now = Date.UTC(2024, 5, 21, 21, 0); // 23:00 in Stockholm
+      const sunrise = getNextSolarOccurrence({ event: 'sunrise', offsetMs: 0 }, null, STOCKHOLM, location, now);
+
+      expect(getZonedParts(sunrise, STOCKHOLM)).to.include({ day: 22, hour: 3 });
+    });
+
+    it('should skip days without the event at high latitudes', function() {
+      const kiruna = { latitude: 67.8558, longitude: 20.2253 };
+      const now = Date.UTC(2024, 5, 21, 12, 0);
+      const sunset = getNextSolarOccurrence({ event: 'sunset', offsetMs: 0 }, null, STOCKHOLM, kiruna, now);
+
+      expect(getZonedParts(sunset, STOCKHOLM).month).to.equal(7);
+    });
+
+    it('should require a location', function() {
+      expect(() => getNextSolarOccurrence({ event: 'sunset' }, null, STOCKHOLM, null))
+        .to.throw('location is not available');
+    });
+  });
+
+  describe('resolveTimeExpression', function() {
+    it('should resolve delays and wall-clock times', function() {
+      const now = Date.UTC(2024, 0, 15, 20, 0);
+
+      expect(resolveTimeExpression({ type: 'delay', delayMs: 60000 }, STOCKHOLM, now)).to.equal(now + 60000);
+      expect(resolveTimeExpression({ type: 'time', hour: 22, minute: 30 }, STOCKHOLM, now))
+        .to.equal(Date.UTC(2024, 0, 15, 21, 30));
+    });
+  });
+
+  describe('formatting', function() {
+    it('should format local times and durations', function() {
+      const now = Date.UTC(2024, 0, 15, 20, 0);
+
+      expect(formatLocalTime(Date.UTC(2024, 0, 15, 21, 30), STOCKHOLM, now)).to.equal('22:30');
+      expect(formatLocalTime(Date.UTC(2024, 0, 16, 6, 0), STOCKHOLM, now)).to.equal('2024-01-16 07:00');
+      expect(formatDuration(65 * 60000)).to.equal('1 h 5 min');
+      expect(formatDuration(40000)).to.equal('40 s');
+    });
+
+    it('should fall back to UTC without a valid Homey timezone', function() {
+      expect(getHomeyTimezone({ clock: { getTimezone: () => STOCKHOLM } })).to.equal(STOCKHOLM);
+      expect(getHomeyTimezone({ clock: { getTimezone: () => 'Not/AZone' } })).to.equal('UTC');
+      expect(getHomeyTimezone(undefined)).to.equal('UTC');
+    });
+  });
+
+  describe('extractTimeExpression', function() {
+    it('should extract relative delays in supported languages', function() {
+      const cases = [
+        ['turn off the kitchen lights in 20 minutes', 'en', 20 * 60000, 'turn off the kitchen lights'],
+        ['släck i köket om en halvtimme', 'sv', 30 * 60000, 'släck i köket'],
+        ['schalte das Licht in einer Stunde aus', 'de', 60 * 60000, 'schalte das Licht aus'],
+        ['éteins la lumière dans 10 minutes', 'fr', 10 * 60000, 'éteins la lumière'],
+        ['apaga las luces en media hora', 'es', 30 * 60000, 'apaga las luces'],
+        ['spegni la luce tra 5 minuti', 'it', 5 * 60000, 'spegni la luce'],
+        ['desliga a luz daqui a uma hora', 'pt', 60 * 60000, 'desliga a luz'],
+        ['doe het licht uit over een kwartier', 'nl', 15 * 60000, 'doe het licht uit']
+      ];
+
+      cases.forEach(([text, language, delayMs, remainingText]) => {
+        expect(extractTimeExpression(text, language), text).to.include({ type: 'delay', delayMs, remainingText });
+      });
+    });
+
+    it('should extract wall-clock times', function() {
+      expect(extractTimeExpression('turn on the porch light at 22:30', 'en'))
+        .to.include({ type: 'time', hour: 22, minute: 30, remainingText: 'turn on the porch light' });
+      expect(extractTimeExpression('turn on the lights at 7 pm', 'en')).to.include({ hour: 19, minute: 0 });
+      expect(extractTimeExpression('tänd lampan klockan 7', 'sv')).to.include({ hour: 7, minute: 0 });
+      expect(extractTimeExpression('mach das Licht um 22 Uhr aus', 'de'))
+        .to.include({ hour: 22, remainingText: 'mach das Licht aus' });
+      expect(extractTimeExpression('éteins la lumière à 22h30', 'fr')).to.include({ hour: 22, minute: 30 });
+    });
+
+    it('should extract solar anchors with offsets', function() {
+      expect(extractTimeExpression('turn on the porch light 30 minutes after sunset', 'en')).to.deep.equal({
+        type: 'solar',
+        event: 'sunset',
+        offsetMs: 30 * 60000,
+        text: '30 minutes after sunset',
+        remainingText: 'turn on the porch light'
+      });
+      expect(extractTimeExpression('turn on the lights at dawn', 'en')).to.include({ event: 'dawn', offsetMs: 0 });
+      expect(extractTimeExpression('släck 15 minuter före soluppgången', 'sv'))
+        .to.include({ event: 'sunrise', offsetMs: -15 * 60000 });
+      expect(extractTimeExpression('tänd lamporna i skymningen', 'sv')).to.include({ event: 'dusk' });
+      expect(extractTimeExpression('mach das Licht bei Sonnenuntergang an', 'de'))
+        .to.include({ event: 'sunset', remainingText: 'mach das Licht an' });
+      expect(extractTimeExpression('accendi la luce all\'alba', 'it')).to.include({ event: 'dawn' });
+    });
+
+    it('should not mistake device and scene names for solar anchors', function() {
+      expect(extractTimeExpression('turn on Sunrise lamp', 'en')).to.be.null;
+      expect(extractTimeExpression('switch on the sunset scene', 'en')).to.be.null;
+      expect(extractTimeExpression('dim the dawn light to 40%', 'en')).to.be.null;
+      expect(extractTimeExpression('tänd Solnedgång-lampan', 'sv')).to.be.null;
+      expect(extractRecurrenceExpression('every day turn on the sunset scene', 'en').rule).to.be.null;
+    });
+
+    it('should read time words in the language of the command', function() {
+      // "om" is "in" in Swedish and "at" in Dutch
+      const language = detectCommandLanguage('släck lampan om 10 minuter', 'nl');
+      expect(language).to.equal('sv');
+      expect(extractTimeExpression('släck lampan om 10 minuter', language))
+        .to.include({ type: 'delay', delayMs: 10 * 60000 });
+      expect(detectCommandLanguage('doe het licht uit over een kwartier')).to.equal('nl');
+      expect(detectCommandLanguage('turn off the lights')).to.equal('en');
+      expect(extractTimeExpression('dim the lights over 10 min', 'en')).to.be.null;
+    });
+
+    it('should only take a delay at the start or end of a command', function() {
+      expect(extractTimeExpression('in 20 minutes turn off the kitchen lights', 'en'))
+        .to.include({ delayMs: 20 * 60000, remainingText: 'turn off the kitchen lights' });
+      expect(extractTimeExpression('turn off the kitchen lights in 20 minutes.', 'en'))
+        .to.include({ delayMs: 20 * 60000 });
+      expect(extractTimeExpression('turn on the porch light and after 5 minutes turn it off', 'en')).to.be.null;
+      expect(extractTimeExpression('schalte in einer Stunde das Licht aus', 'de')).to.be.null;
+    });
+
+    it('should not mistake values for times', function() {
+      expect(extractTimeExpression('set the thermostat at 21 degrees', 'en')).to.be.null;
+      expect(extractTimeExpression('set brightness at 20', 'en')).to.be.null;
+      expect(extractTimeExpression('turn on the lights in the kitchen', 'en')).to.be.null;
+      expect(extractTimeExpression('dim kitchen to 20% in an hour', 'en'))
+        .to.include({ delayMs: 60 * 60000, remainingText: 'dim kitchen to 20%' });
+    });
+  });
+
+  describe('extractRecurrenceExpression', function() {
+    it('should extract weekly rules with a time', function() {
+      expect(extractRecurrenceExpression('every weekday at 06:45 turn on the kitchen lights', 'en')).to.deep.equal({
+        rule: {
+          type: 'weekly', days: [1, 2, 3, 4, 5], hour: 6, minute: 45
+        },
+        text: 'every weekday at 06:45',
+        remainingText: 'turn on the kitchen lights'
+      });
+      expect(extractRecurrenceExpression('every monday and friday at 7 turn on the heater', 'en').rule)
+        .to.deep.include({ days: [1, 5], hour: 7 });
+      expect(extractRecurrenceExpression('varje dag klockan 22 släck i vardagsrummet', 'sv'))
+        .to.deep.include({ remainingText: 'släck i vardagsrummet' });
+      expect(extractRecurrenceExpression('tous les lundis et mercredis à 18h allume la lumière', 'fr').rule)
+        .to.deep.include({ days: [1, 3], hour: 18 });
+    });
+
+    it('should extract solar routines', function() {
+      expect(extractRecurrenceExpression('every day at sunset turn on the porch light', 'en')).to.deep.include({
+        rule: {
+          type: 'solar', days: [0, 1, 2, 3, 4, 5, 6], event: 'sunset', offsetMs: 0
+        },
+        remainingText: 'turn on the porch light'
+      });
+    });
+
+    it('should extract intervals', function() {
+      expect(extractRecurrenceExpression('every 2 hours turn on the fan', 'en').rule)
+        .to.deep.equal({ type: 'interval', intervalMs: 2 * 60 * 60000 });
+      expect(extractRecurrenceExpression('varje timme sätt på fläkten', 'sv').rule)
+        .to.deep.equal({ type: 'interval', intervalMs: 60 * 60000 });
+    });
+
+    it('should report days without a time', function() {
+      expect(extractRecurrenceExpression('every weekday turn on the lights', 'en'))
+        .to.include({ rule: null, text: 'every weekday' });
+    });
+
+    it('should ignore one-shot and plain commands', function() {
+      expect(extractRecurrenceExpression('turn off the lights in 20 minutes', 'en')).to.be.null;
+      expect(extractRecurrenceExpression('turn on every light', 'en')).to.be.null;
+    });
+  });
+});
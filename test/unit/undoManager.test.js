@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Unit Tests for Undo Manager
+ * Tests per-chat undo stacks and multilingual undo phrase detection
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const { UndoManager, isRestorableChange } = require('../../modules/undoManager');
+const { isUndoRequest } = require('../../modules/multilingualProcessor');
+
+function change(overrides = {}) {
+  return {
+    deviceId: 'lamp_1',
+    deviceName: 'Lamp',
+    capability: 'onoff',
+    previousValue: true,
+    value: false,
+    ...overrides
+  };
+}
+
+describe('Undo Manager', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  let undoManager;
+
+  beforeEach(function() {
+    undoManager = new UndoManager(3);
+  });
+
+  describe('record and pop', function() {
+    it('should return the most recent entry first', function() {
+      undoManager.record(1, 'turn off lamp', [change()]);
+      undoManager.record(1, 'dim lamp', [change({ capability: 'dim', previousValue: 0.8, value: 0.3 })]);
+
+      expect(undoManager.pop(1).description).to.equal('dim lamp');
+      expect(undoManager.pop(1).description).to.equal('turn off lamp');
+      expect(undoManager.pop(1)).to.be.null;
+    });
+
+    it('should keep stacks separate per chat', function() {
+      undoManager.record(1, 'chat one', [change()]);
+      undoManager.record('2', 'chat two', [change()]);
+
+      expect(undoManager.pop(2).description).to.equal('chat two');
+      expect(undoManager.size(1)).to.equal(1);
+    });
+
+    it('should drop the oldest entries beyond the maximum depth', function() {
+      ['a', 'b', 'c', 'd'].forEach(name => undoManager.record(1, name, [change()]));
+
+      expect(undoManager.size(1)).to.equal(3);
+      expect(undoManager.pop(1).description).to.equal('d');
+      expect(undoManager.pop(1).description).to.equal('c');
+      expect(undoManager.pop(1).description).to.equal('b');
+    });
+
+    it('should not record commands without restorable changes', function() {
+      expect(undoManager.record(1, 'next track', [change({ capability: 'speaker_next' })])).to.equal(false);
+      expect(undoManager.record(1, 'unknown value', [change({ previousValue: null })])).to.equal(false);
+      expect(undoManager.record(1, 'nothing', [])).to.equal(false);
+      expect(undoManager.size(1)).to.equal(0);
+    });
+
+    it('should not record without a chat', function() {
+      expect(undoManager.record(undefined, 'api call', [change()])).to.equal(false);
+    });
+
+    it('should clear a chat', function() {
+      undoManager.record(1, 'turn off lamp', [change()]);
+      undoManager.clear(1);
+      expect(undoManager.pop(1)).to.be.null;
+    });
+  });
+
+  describe('isRestorableChange', function() {
+    it('should reject momentary capabilities', function() {
+      expect(isRestorableChange('button', true)).to.equal(false);
+      expect(isRestorableChange('onoff', false)).to.equal(true);
+    });
+  });
+
+  describe('isUndoRequest', function() {
+    it('should detect undo phrases in supported languages', function() {
+      expect(isUndoRequest('Undo that', 'en')).to.equal(true);
+      expect(isUndoRequest('Ångra det!', 'sv')).to.equal(true);
+      expect(isUndoRequest('mach das rückgängig', 'de')).to.equal(true);
+      expect(isUndoRequest('Deshaz eso', 'es')).to.equal(true);
+    });
+
+    it('should detect phrases when the language was misdetected', function() {
+      expect(isUndoRequest('annuler', 'en')).to.equal(true);
+    });
+
+    it('should not match commands that merely contain the word', function() {
+      expect(isUndoRequest('undo the lights in the kitchen', 'en')).to.equal(false);
+      expect(isUndoRequest('turn on the lights', 'en')).to.equal(false);
+      expect(isUndoRequest('', 'en')).to.equal(false);
+    });
+  });
+});
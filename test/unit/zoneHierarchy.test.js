@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Unit Tests for Zone Hierarchy
+ * Tests expanding floors to their rooms and "all bedrooms"-style room patterns
+ */
+
+const { expect, TEST_CONFIG } = require('../utils/testSetup');
+const {
+  parseZonePattern,
+  getRootZoneIds,
+  findZonesByPattern,
+  expandZoneIds,
+  groupByZone
+} = require('../../modules/zoneHierarchy');
+
+const zones = {
+  home: { id: 'home', name: 'Home', parent: null },
+  upstairs: { id: 'upstairs', name: 'Upstairs', parent: 'home' },
+  downstairs: { id: 'downstairs', name: 'Downstairs', parent: 'home' },
+  master: { id: 'master', name: 'Master Bedroom', parent: 'upstairs' },
+  guest: { id: 'guest', name: 'Guest bedroom', parent: 'upstairs' },
+  closet: { id: 'closet', name: 'Walk-in closet', parent: 'master' },
+  kitchen: { id: 'kitchen', name: 'Kitchen', parent: 'downstairs' },
+  sovrum: { id: 'sovrum', name: 'Sovrum', parent: 'downstairs' }
+};
+
+describe('Zone Hierarchy', function() {
+  this.timeout(TEST_CONFIG.timeout.unit);
+
+  describe('parseZonePattern', function() {
+    it('should recognize the whole home in several languages', function() {
+      ['all', 'Everywhere', 'hela huset', 'überall', 'partout'].forEach(room => {
+        expect(parseZonePattern(room), room).to.deep.equal({ all: true });
+      });
+    });
+
+    it('should extract the term after a quantifier', function() {
+      expect(parseZonePattern('all bedrooms')).to.deep.equal({ term: 'bedrooms' });
+      expect(parseZonePattern('All the  bathrooms')).to.deep.equal({ term: 'bathrooms' });
+      expect(parseZonePattern('alla sovrum')).to.deep.equal({ term: 'sovrum' });
+    });
+
+    it('should leave single rooms alone', function() {
+      expect(parseZonePattern('bedroom')).to.be.null;
+      expect(parseZonePattern('hallway')).to.be.null;
+      expect(parseZonePattern('')).to.be.null;
+      expect(parseZonePattern(undefined)).to.be.null;
+    });
+  });
+
+  describe('findZonesByPattern', function() {
+    it('should match every zone with the singular name', function() {
+      expect(findZonesByPattern(zones, { term: 'bedrooms' })).to.have.members(['master', 'guest']);
+      expect(findZonesByPattern(zones, { term: 'sovrummen' })).to.deep.equal(['sovrum']);
+    });
+
+    it('should return the root zones for the whole home', function() {
+      expect(findZonesByPattern(zones, { all: true })).to.deep.equal(['home']);
+      expect(getRootZoneIds({ a: { name: 'A', parent: 'missing' } })).to.deep.equal(['a']);
+    });
+
+    it('should not match on very short stems', function() {
+      expect(findZonesByPattern(zones, { term: 'es' })).to.be.empty;
+    });
+  });
+
+  describe('expandZoneIds', function() {
+    it('should include every zone below a floor', function() {
+      expect(expandZoneIds(zones, ['upstairs'])).to.have.members(['upstairs', 'master', 'guest', 'closet']);
+    });
+
+    it('should not duplicate zones already covered by a parent', function() {
+      const expanded = expandZoneIds(zones, ['upstairs', 'master']);
+      expect(expanded).to.have.length(4);
+    });
+
+    it('should keep a leaf zone as is', function() {
+      expect(expandZoneIds(zones, ['kitchen'])).to.deep.equal(['kitchen']);
+    });
+  });
+
+  describe('groupByZone', function() {
+    it('should group items in the order their zones first appear', function() {
+      const groups = groupByZone([
+        { name: 'a', zoneName: 'Kitchen' },
+        { name: 'b', zoneName: 'Hall' },
+        { name: 'c', zoneName: 'Kitchen' }
+      ]);
+
+      expect(groups.map(group => group.zoneName)).to.deep.equal(['Kitchen', 'Hall']);
+      expect(groups[0].items.map(item => item.name)).to.deep.equal(['a', 'c']);
+    });
+  });
+});
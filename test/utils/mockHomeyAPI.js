@@ -226,10 +226,27 @@ function createMockHomeyAPI(homeState) {
   };
 }
 
+/**
+ * Create mock homey.settings backed by an in-memory store
+ * @param {object} initialValues - Initial settings
+ * @returns {object} Mock settings manager
+ */
+function createMockSettings(initialValues = {}) {
+  const store = { ...initialValues };
+  return {
+    get: sinon.stub().callsFake(key => (key in store ? store[key] : null)),
+    set: sinon.stub().callsFake((key, value) => { store[key] = value; }),
+    unset: sinon.stub().callsFake(key => { delete store[key]; }),
+    getKeys: sinon.stub().callsFake(() => Object.keys(store)),
+    on: sinon.stub()
+  };
+}
+
 module.exports = {
   createMockDevice,
   createMockZone,
   createMockHomeState,
   createMockLLMFunction,
-  createMockHomeyAPI
+  createMockHomeyAPI,
+  createMockSettings
 };